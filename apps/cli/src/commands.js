@@ -12,6 +12,8 @@ import { NAVIS_PATHS } from '@navisai/api-contracts'
 import { installBridge, uninstallBridge } from '@navisai/setup-app/bridge'
 import { runPreflightChecks } from '@navisai/core/preflight'
 import { refreshNavisSnapshot, readSnapshotState, navisSnapshotExists, isSnapshotFresh } from '@navisai/core/snapshot'
+import { recordingPath, asciicastOutput } from '@navisai/core/recording'
+import { readCommitTemplate } from '@navisai/core/commit-template'
 import { Agent as UndiciAgent } from 'undici'
 
 const execAsync = promisify(exec)
@@ -24,6 +26,7 @@ const CA_KEY_PATH = path.join(homedir(), '.navis', 'certs', 'navis.local-ca.key'
 const LEAF_CERT_PATH = path.join(homedir(), '.navis', 'certs', 'navis.local.crt')
 const LEAF_KEY_PATH = path.join(homedir(), '.navis', 'certs', 'navis.local.key')
 const CLI_LOG_PATH = path.join(homedir(), '.navis', 'logs', 'cli.log')
+const AGENT_TOKEN_PATH = path.join(homedir(), '.navis', 'agent-token')
 
 async function logCliPrompt(event, details) {
   try {
@@ -2383,6 +2386,61 @@ export async function indexCommand(paths, options = {}) {
   }
 }
 
+export async function searchCommand(terms, options = {}) {
+  try {
+    const query = (terms || []).join(' ').trim()
+    if (!query) {
+      console.log('❌ No search query provided')
+      console.log('Usage: navisai search <query>')
+      process.exit(1)
+    }
+
+    // Check if daemon is running
+    const daemonProcess = await findDaemonProcess()
+    if (!daemonProcess) {
+      console.log('❌ Navis daemon is not running. Please run `navisai up` first.')
+      process.exit(1)
+    }
+
+    const params = new URLSearchParams({ q: query })
+    if (options.project) params.set('projectId', options.project)
+    if (options.limit) params.set('limit', options.limit)
+
+    const response = await fetchNavis(`${NAVIS_PATHS.search}?${params}`)
+
+    if (!response.ok) {
+      const error = await response.json()
+      console.log('❌ Search failed:', error.error || 'Unknown error')
+      process.exit(1)
+    }
+
+    const result = await response.json()
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2))
+      return result
+    }
+
+    if (result.results.length === 0) {
+      console.log(`No matches for "${result.query}"`)
+      return result
+    }
+
+    console.log(`🔎 ${result.results.length} match(es) for "${result.query}"\n`)
+    result.results.forEach(item => {
+      console.log(`${item.projectName}  ${item.path}`)
+      if (item.snippet) {
+        console.log(`   ${item.snippet.replace(/\s+/g, ' ').trim()}`)
+      }
+    })
+
+    return result
+  } catch (error) {
+    console.error('❌ Search failed:', error.message)
+    process.exit(1)
+  }
+}
+
 export async function pairCommand(options = {}) {
   try {
     console.log('🔗 Initiating Navis device pairing...\n')
@@ -2457,6 +2515,125 @@ export async function pairCommand(options = {}) {
   }
 }
 
+export async function approveWaitCommand(type, payloadJson, options = {}) {
+  let payload
+  try {
+    payload = payloadJson ? JSON.parse(payloadJson) : {}
+  } catch {
+    console.error('❌ Payload must be valid JSON')
+    process.exit(1)
+  }
+
+  const token = (await fs.readFile(AGENT_TOKEN_PATH, 'utf8').catch(() => '')).trim()
+  if (!token) {
+    console.error('❌ Agent token not found. Please run `navisai up` first.')
+    process.exit(1)
+  }
+
+  const authHeaders = { Authorization: `Bearer ${token}` }
+  const deadline = Date.now() + (parseInt(options.timeout, 10) || 300) * 1000
+
+  try {
+    const response = await fetchDaemonDirect(NAVIS_PATHS.approvals.create, {
+      method: 'POST',
+      headers: { ...authHeaders, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type,
+        payload,
+        ...(options.project ? { projectId: options.project } : {}),
+      }),
+    })
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}))
+      console.error('❌ Approval request failed:', error.message || error.error || `HTTP ${response.status}`)
+      process.exit(1)
+    }
+
+    let approval = await response.json()
+    if (approval.status === 'pending') {
+      console.error(`⏳ Waiting for approval ${approval.id} (${type})...`)
+    }
+
+    while (approval.status === 'pending' && Date.now() < deadline) {
+      const waitSeconds = Math.min(30, Math.max(1, Math.ceil((deadline - Date.now()) / 1000)))
+      const waitResponse = await fetchDaemonDirect(
+        `${NAVIS_PATHS.approvals.wait(approval.id)}?timeout=${waitSeconds}`,
+        { headers: authHeaders }
+      )
+      if (!waitResponse.ok) {
+        console.error(`❌ Waiting for approval failed: HTTP ${waitResponse.status}`)
+        process.exit(1)
+      }
+      approval = await waitResponse.json()
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(approval))
+    } else if (approval.status === 'approved') {
+      console.log(`✅ Approved (${approval.id})`)
+    } else if (approval.status === 'denied') {
+      console.log(`❌ Denied (${approval.id})${approval.deniedReason ? `: ${approval.deniedReason}` : ''}`)
+    } else {
+      console.log(`⌛ Timed out waiting for approval (${approval.id})`)
+    }
+
+    process.exit(approval.status === 'approved' ? 0 : 1)
+  } catch (error) {
+    console.error('❌ Approval request failed:', error.message)
+    process.exit(1)
+  }
+}
+
+export async function sessionsExportCommand(id, options = {}) {
+  try {
+    // Recordings are local files, so export works even when the daemon is down.
+    const cast = await fs.readFile(recordingPath(id), 'utf8').catch(error => {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No recording for session ${id} (was it started with recording enabled?)`)
+      }
+      throw error
+    })
+    const contents = options.text ? asciicastOutput(cast) : cast
+
+    if (!options.output || options.output === '-') {
+      process.stdout.write(contents)
+      return
+    }
+
+    await fs.writeFile(options.output, contents)
+    console.log(`✅ Exported ${id} to ${options.output}`)
+    if (!options.text) {
+      console.log(`   Replay with: asciinema play ${options.output}`)
+    }
+  } catch (error) {
+    console.error('❌ Export failed:', error.message)
+    process.exit(1)
+  }
+}
+
+export async function commitTemplateCommand(projectPath, options = {}) {
+  try {
+    // Read straight from the local repository, like the daemon route does.
+    const template = await readCommitTemplate(path.resolve(projectPath || process.cwd()))
+
+    if (options.json) {
+      console.log(JSON.stringify(template, null, 2))
+      return
+    }
+    if (options.output) {
+      await fs.writeFile(options.output, template.message)
+      console.error(`✅ Wrote commit template to ${options.output}`)
+      console.error(`   Use it with: git commit --template ${options.output}`)
+      return
+    }
+    process.stdout.write(template.message)
+  } catch (error) {
+    console.error('❌ Commit template failed:', error.message)
+    process.exit(1)
+  }
+}
+
 // Helper function to find daemon process
 async function findDaemonProcess() {
   try {
@@ -10,9 +10,13 @@ import {
   logsCommand,
   scanCommand,
   indexCommand,
+  searchCommand,
   pairCommand,
   resetCommand,
   cleanupCommand,
+  approveWaitCommand,
+  sessionsExportCommand,
+  commitTemplateCommand,
 } from './commands.js'
 
 // CLI configuration
@@ -74,12 +78,46 @@ program
   .description('Index specific paths for projects')
   .action(indexCommand)
 
+program
+  .command('search <query...>')
+  .description('Search file names and contents across indexed projects')
+  .option('-p, --project <id>', 'Only search this project')
+  .option('-l, --limit <number>', 'Maximum number of results', '50')
+  .option('--json', 'Print the results as JSON')
+  .action(searchCommand)
+
 program
   .command('pair')
   .description('Initiate device pairing for Navis')
   .option('-r, --re-pair', 'Force re-pairing of all devices')
   .action(pairCommand)
 
+program
+  .command('approve-wait <type> [payload]')
+  .description('Request an approval as a local agent and wait for the decision (exit 0 = approved)')
+  .option('-p, --project <id>', 'Project the approval belongs to')
+  .option('-t, --timeout <seconds>', 'Give up after this many seconds', '300')
+  .option('--json', 'Print the resolved approval as JSON')
+  .action(approveWaitCommand)
+
+const sessions = program
+  .command('sessions')
+  .description('Work with recorded terminal sessions')
+
+sessions
+  .command('export <id>')
+  .description('Export a session recording (asciicast v2) to a file or stdout')
+  .option('-o, --output <file>', 'Write to a file instead of stdout')
+  .option('--text', 'Export plain terminal output instead of asciicast')
+  .action(sessionsExportCommand)
+
+program
+  .command('commit-template [path]')
+  .description('Print a commit message template for the staged changes in a git repository')
+  .option('-o, --output <file>', 'Write the template to a file (for git commit --template)')
+  .option('--json', 'Print the template with detected conventions as JSON')
+  .action(commitTemplateCommand)
+
 program
   .command('reset')
   .description('Reset local Navis setup (bridge/mDNS/certs)')
@@ -0,0 +1,41 @@
+import { randomBytes, timingSafeEqual } from 'node:crypto'
+import { chmod, mkdir, readFile, writeFile } from 'node:fs/promises'
+import { homedir } from 'node:os'
+import { dirname, join } from 'node:path'
+
+/**
+ * Local agent token
+ * Shared secret that lets agent processes on this machine call agent-facing
+ * endpoints (e.g. `POST /approvals`) without a paired-device HMAC identity.
+ * The file is readable only by the user running the daemon.
+ */
+export const AGENT_TOKEN_PATH = join(homedir(), '.navis', 'agent-token')
+
+export async function ensureAgentToken(tokenPath = AGENT_TOKEN_PATH) {
+  try {
+    const existing = (await readFile(tokenPath, 'utf8')).trim()
+    if (existing) return existing
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+
+  const token = randomBytes(32).toString('hex')
+  await mkdir(dirname(tokenPath), { recursive: true })
+  await writeFile(tokenPath, `${token}\n`, { mode: 0o600 })
+  await chmod(tokenPath, 0o600)
+  return token
+}
+
+export function parseAgentAuthHeader(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null
+  }
+  return authHeader.slice(7).trim() || null
+}
+
+export function verifyAgentToken(provided, expected) {
+  if (!provided || !expected) return false
+  const a = Buffer.from(provided)
+  const b = Buffer.from(expected)
+  return a.length === b.length && timingSafeEqual(a, b)
+}
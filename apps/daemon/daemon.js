@@ -16,8 +16,11 @@ import { homedir } from 'node:os'
 import { createServer } from 'node:net'
 import { fileURLToPath } from 'node:url'
 import fastifyStatic from '@fastify/static'
-import { NAVIS_PATHS } from '@navisai/api-contracts'
+import { NAVIS_PATHS, NAVIS_AGENT_APPROVAL_TYPES } from '@navisai/api-contracts'
 import dbManager from '@navisai/db'
+import { approvalsRepo, projectsRepo, searchRepo, sessionsRepo } from '@navisai/db/repositories.js'
+import { config as navisConfig } from '@navisai/core/config'
+import { scopeName } from '@navisai/core/commit-template'
 // Local config for now
 const DEFAULT_CONFIG = {
   daemon: {
@@ -54,18 +57,118 @@ const DEFAULT_CONFIG = {
 import { SSLManager } from './ssl-manager.js'
 import { WebSocketManager } from './websocket-manager.js'
 import { createAuthMiddleware } from './middleware/auth.js'
+import { createAgentAuthMiddleware } from './middleware/agent-auth.js'
+import { ensureAgentToken } from './auth/agent-token.js'
 import { ProjectService } from './services/project.js'
 import { SessionService } from './services/session.js'
+import { GitService } from './services/git.js'
+import { GIT_ACTIONS, GitActionService } from './services/git-actions.js'
+import { CARGO_COMMANDS, PROJECT_ACTIONS, ProjectActionService } from './services/project-actions.js'
+import { FileService } from './services/files.js'
+import { SearchService } from './services/search.js'
 import { ApprovalService } from './services/approval.js'
 import { PairingService } from './services/pairing.js'
 import { BleAdvertiser } from './services/ble.js'
 import { logStore } from './log-store.js'
 import { logger } from '@navisai/logging'
 import discovery from '@navisai/discovery'
+import { ProjectIndexer } from '@navisai/discovery/indexer.js'
+import { classificationEngine } from '@navisai/discovery/classification.js'
 import { detectorRegistry } from '@navisai/discovery/detectors/index.js'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
 
+// Longest a single long-poll on an approval may block
+const MAX_APPROVAL_WAIT_SECONDS = 60
+const DEFAULT_APPROVAL_WAIT_SECONDS = 30
+
+// Upper bound on client-requested scan concurrency
+const MAX_SCAN_CONCURRENCY = 32
+
+// POST /approvals body: the payload is validated against the schema for its type
+const agentApprovalBodySchema = {
+  type: 'object',
+  required: ['type', 'payload'],
+  properties: {
+    type: { type: 'string', enum: Object.keys(NAVIS_AGENT_APPROVAL_TYPES) },
+    payload: { type: 'object' },
+    projectId: { type: 'string' },
+    wait: { type: 'integer', minimum: 0, maximum: MAX_APPROVAL_WAIT_SECONDS },
+  },
+  allOf: Object.entries(NAVIS_AGENT_APPROVAL_TYPES).map(([type, payloadSchema]) => ({
+    if: { properties: { type: { const: type } } },
+    then: { properties: { payload: payloadSchema } },
+  })),
+}
+
+const sessionBodySchema = {
+  type: 'object',
+  required: ['command'],
+  additionalProperties: false,
+  properties: {
+    type: { type: 'string', enum: ['terminal', 'acp'], default: 'terminal' },
+    command: { type: 'string', minLength: 1 },
+    args: { type: 'array', items: { type: 'string' } },
+    cwd: { type: 'string' },
+    projectId: { type: 'string' },
+    cols: { type: 'integer', minimum: 1, maximum: 1000 },
+    rows: { type: 'integer', minimum: 1, maximum: 1000 },
+    allowInput: { type: 'boolean' },
+    record: { type: 'boolean' },
+    // ACP only: first prompt sent once the agent session is open
+    prompt: { type: 'string', minLength: 1 },
+  },
+}
+
+// POST /projects/:id/git/actions body; GitActionService validates each action's fields
+const gitActionBodySchema = {
+  type: 'object',
+  required: ['action'],
+  additionalProperties: false,
+  properties: {
+    action: { type: 'string', enum: GIT_ACTIONS },
+    message: { type: 'string' },
+    all: { type: 'boolean' },
+    name: { type: 'string' },
+    create: { type: 'boolean' },
+    operation: { type: 'string', enum: ['push', 'pop'] },
+    includeUntracked: { type: 'boolean' },
+    remote: { type: 'string' },
+    branch: { type: 'string' },
+    setUpstream: { type: 'boolean' },
+  },
+}
+
+// POST /projects/:id/actions/:action body; ProjectActionService validates it against the project
+const projectActionParamsSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    action: { type: 'string', enum: PROJECT_ACTIONS },
+  },
+}
+
+const projectActionBodySchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    script: { type: 'string' },
+    command: { type: 'string', enum: CARGO_COMMANDS },
+    package: { type: 'string' },
+    path: { type: 'string' },
+    target: { type: 'string' },
+    restart: { type: 'boolean' },
+  },
+}
+
+const sessionPromptBodySchema = {
+  type: 'object',
+  required: ['text'],
+  properties: {
+    text: { type: 'string', minLength: 1 },
+  },
+}
+
 async function probeBind(host, port) {
   return new Promise((resolve) => {
     const server = createServer()
@@ -82,6 +185,7 @@ export class NavisDaemon {
     this.sslManager = new SSLManager()
     this.wsManager = null
     this.dbManager = null
+    this.agentToken = null
     this.config = {
       get: (key) => {
         let obj = DEFAULT_CONFIG
@@ -105,6 +209,12 @@ export class NavisDaemon {
 
     // Services
     this.projectService = null
+    this.indexer = null
+    this.gitService = null
+    this.gitActionService = null
+    this.projectActionService = null
+    this.fileService = null
+    this.searchService = null
     this.sessionService = null
     this.approvalService = null
     this.pairingService = null
@@ -303,11 +413,19 @@ export class NavisDaemon {
 
       // Setup WebSocket (optional)
       if (this.dbManager) {
-        this.wsManager = new WebSocketManager(this.fastify, this.dbManager)
+        this.wsManager = new WebSocketManager(this.fastify, this.dbManager, {
+          getAgentToken: () => this.agentToken,
+          onTerminalInput: (sessionId, data, options) =>
+            this.sessionService.submitInput(sessionId, data, options),
+        })
         await this.wsManager.initialize()
         this.approvalService?.setWebSocketManager(this.wsManager)
+        this.sessionService?.setWebSocketManager(this.wsManager)
+        this.projectService?.setWebSocketManager(this.wsManager)
       }
 
+      this.startIndexer()
+
       // Start the server
       await this.fastify.listen({ port, host })
 
@@ -357,6 +475,14 @@ export class NavisDaemon {
       mkdirSync(dataDir, { recursive: true })
     }
 
+    // Local agent token for agent-facing endpoints (POST /approvals)
+    try {
+      this.agentToken = await ensureAgentToken()
+    } catch (error) {
+      console.warn('⚠️  Agent token unavailable, agent approval API disabled:', error.message)
+      this.agentToken = null
+    }
+
     // Initialize database (optional per architecture)
     try {
       await dbManager.initialize()
@@ -367,15 +493,85 @@ export class NavisDaemon {
       this.dbManager = null
     }
 
+    try {
+      await navisConfig.load()
+    } catch (error) {
+      console.warn('⚠️  Config not loaded, using defaults:', error.message)
+    }
+
     // Initialize all services
-    this.projectService = new ProjectService()
+    discovery.setDatabase(this.dbManager)
+    this.projectService = new ProjectService({
+      repository: this.dbManager ? projectsRepo : null,
+      discovery,
+    })
     await this.projectService.initialize()
 
-    this.sessionService = new SessionService()
-    await this.sessionService.initialize()
+    const projectService = this.projectService
+    this.searchService = new SearchService({
+      repository: this.dbManager && navisConfig.get('search.enabled') ? searchRepo : null,
+      projectService,
+      contents: navisConfig.get('search.contents'),
+      maxContentBytes: navisConfig.get('search.maxContentBytes'),
+      maxFiles: navisConfig.get('search.maxFilesPerProject'),
+    })
+    await this.searchService.initialize()
+    this.searchService.start().catch(error => {
+      logger.warn('Search indexing failed', { error: error.message })
+    })
+
+    this.gitService = new GitService({
+      onChange: async (projectId, git) => {
+        const project = await projectService.getProject(projectId)
+        projectService.emit('project.updated', { project, created: false, git })
+      },
+    })
+    await this.gitService.initialize()
 
-    this.approvalService = new ApprovalService()
+    this.fileService = new FileService({
+      gitService: this.gitService,
+      maxReadBytes: navisConfig.get('files.maxReadBytes'),
+      maxEntries: navisConfig.get('files.maxEntries'),
+    })
+    await this.fileService.initialize()
+
+    let approvalPolicy = null
+    try {
+      approvalPolicy = await navisConfig.loadApprovalPolicy()
+    } catch (error) {
+      console.warn('⚠️  Approval policy not loaded, all approvals require a human:', error.message)
+    }
+
+    this.approvalService = new ApprovalService({
+      repository: this.dbManager ? approvalsRepo : null,
+      policy: approvalPolicy,
+      ttlSeconds: navisConfig.get('approvals.ttlSeconds'),
+    })
     await this.approvalService.initialize()
+    this.approvalService.startSweeper(navisConfig.get('approvals.sweepIntervalSeconds') * 1000)
+
+    this.sessionService = new SessionService({
+      scrollbackBytes: navisConfig.get('sessions.scrollbackBytes'),
+      approvalService: this.approvalService,
+      recordByDefault: navisConfig.get('sessions.record'),
+      retainExited: navisConfig.get('sessions.retainExited'),
+      repository: this.dbManager ? sessionsRepo : null,
+    })
+    await this.sessionService.initialize()
+
+    this.gitActionService = new GitActionService({
+      gitService: this.gitService,
+      approvalService: this.approvalService,
+      sessionService: this.sessionService,
+      allowedRemotes: navisConfig.get('git.allowedRemotes'),
+      onEvent: event => projectService.emit('git.action', event),
+    })
+
+    this.projectActionService = new ProjectActionService({
+      approvalService: this.approvalService,
+      sessionService: this.sessionService,
+      onEvent: event => projectService.emit('project.action', event),
+    })
 
     this.bleAdvertiser = new BleAdvertiser()
 
@@ -393,11 +589,49 @@ export class NavisDaemon {
         detector.name,
         async (path) => {
           const result = await detector.detect(path)
-          return result.confidence || 0
+          return { confidence: result.confidence || 0, metadata: result.metadata }
         },
-        detector.indicators?.map(ind => ind.file) || []
+        detector.indicators?.map(ind => ind.file) || [],
+        { descend: detector.descend }
       )
     }
+    discovery.registerClassifier('category', async (path, signals) =>
+      classificationEngine.classifySignals(signals)
+    )
+  }
+
+  /**
+   * Index the configured discovery roots in the background and keep watching
+   * them. Progress is broadcast as `discovery.progress`.
+   */
+  startIndexer() {
+    const roots = (navisConfig.get('discovery.roots') || [])
+      .map(root => root.replace(/^~(?=$|[\\/])/, homedir()))
+    if (!navisConfig.get('discovery.enabled') || roots.length === 0) {
+      return
+    }
+
+    const projectService = this.projectService
+    this.indexer = new ProjectIndexer({
+      engine: discovery,
+      roots,
+      maxDepth: navisConfig.get('discovery.scanDepth'),
+      concurrency: navisConfig.get('discovery.maxConcurrency'),
+      fingerprints: {
+        get: path => projectService.getFingerprint(path),
+        set: (path, fingerprint) => projectService.setFingerprint(path, fingerprint),
+      },
+      onProjects: async projects => {
+        this.searchService.schedule(await projectService.recordDiscovered(projects))
+      },
+      onProgress: progress => projectService.emit('discovery.progress', progress),
+      onFileChange: this.searchService.available
+        ? change => this.searchService.handleFileChange(change)
+        : undefined,
+    })
+    this.indexer.start({ watch: navisConfig.get('discovery.watch') }).catch(error => {
+      logger.warn('Background project indexing failed', { error: error.message })
+    })
   }
 
   async setupRoutes() {
@@ -423,11 +657,81 @@ export class NavisDaemon {
     this.fastify.get('/projects/:id', {
       preHandler: authMiddleware
     }, this.getProjectHandler.bind(this))
+    this.fastify.get('/projects/:id/packages', {
+      preHandler: authMiddleware
+    }, this.getProjectPackagesHandler.bind(this))
+    this.fastify.get('/projects/:id/tasks', {
+      preHandler: authMiddleware
+    }, this.getProjectTasksHandler.bind(this))
+    this.fastify.get('/projects/:id/files', {
+      preHandler: authMiddleware
+    }, this.getProjectFilesHandler.bind(this))
+    this.fastify.get('/projects/:id/files/content', {
+      preHandler: authMiddleware
+    }, this.getProjectFileContentHandler.bind(this))
+    this.fastify.get('/projects/:id/git/status', {
+      preHandler: authMiddleware
+    }, this.getProjectGitStatusHandler.bind(this))
+    this.fastify.get('/projects/:id/git/log', {
+      preHandler: authMiddleware
+    }, this.getProjectGitLogHandler.bind(this))
+    this.fastify.get('/projects/:id/git/diff', {
+      preHandler: authMiddleware
+    }, this.getProjectGitDiffHandler.bind(this))
+    this.fastify.get('/projects/:id/git/commit-template', {
+      preHandler: authMiddleware
+    }, this.getProjectCommitTemplateHandler.bind(this))
+    this.fastify.post('/projects/:id/git/actions', {
+      preHandler: authMiddleware,
+      schema: { body: gitActionBodySchema }
+    }, this.createProjectGitActionHandler.bind(this))
+    this.fastify.get('/projects/:id/actions', {
+      preHandler: authMiddleware
+    }, this.getProjectActionsHandler.bind(this))
+    this.fastify.post('/projects/:id/actions/:action', {
+      preHandler: authMiddleware,
+      schema: { params: projectActionParamsSchema, body: projectActionBodySchema }
+    }, this.createProjectActionHandler.bind(this))
+
+    // Search endpoint
+    this.fastify.get(NAVIS_PATHS.search, {
+      preHandler: authMiddleware
+    }, this.searchHandler.bind(this))
 
     // Sessions endpoints
-    this.fastify.get(NAVIS_PATHS.sessions, {
+    this.fastify.get(NAVIS_PATHS.sessions.list, {
       preHandler: authMiddleware
     }, this.getSessionsHandler.bind(this))
+    this.fastify.get('/sessions/:id', {
+      preHandler: authMiddleware
+    }, this.getSessionHandler.bind(this))
+    this.fastify.post('/sessions/:id/cancel', {
+      preHandler: authMiddleware
+    }, this.cancelSessionHandler.bind(this))
+    this.fastify.get('/sessions/:id/scrollback', {
+      preHandler: authMiddleware
+    }, this.getSessionScrollbackHandler.bind(this))
+    this.fastify.get('/sessions/:id/recording', {
+      preHandler: authMiddleware
+    }, this.getSessionRecordingHandler.bind(this))
+
+    // Agent-facing approval endpoints (local agent token, not device HMAC)
+    const agentAuthMiddleware = createAgentAuthMiddleware(() => this.agentToken)
+    this.fastify.post(NAVIS_PATHS.approvals.create, {
+      preHandler: agentAuthMiddleware,
+      schema: { body: agentApprovalBodySchema }
+    }, this.createApprovalHandler.bind(this))
+    this.fastify.get('/approvals/:id/wait', {
+      preHandler: agentAuthMiddleware
+    }, this.waitApprovalHandler.bind(this))
+    this.fastify.post(NAVIS_PATHS.sessions.create, {
+      preHandler: agentAuthMiddleware,
+      schema: { body: sessionBodySchema }
+    }, this.createSessionHandler.bind(this))
+    this.fastify.post('/sessions/:id/prompt', {
+      preHandler: agentAuthMiddleware,
+      schema: { body: sessionPromptBodySchema }
+    }, this.promptSessionHandler.bind(this))
 
     // Approvals endpoints
     this.fastify.get(NAVIS_PATHS.approvals.list, {
@@ -584,7 +888,216 @@ pnpm --filter @navisai/daemon dev</code></pre>
       reply.code(404)
       return { error: 'Project not found' }
     }
-    return await this.projectService.getProject(id)
+    try {
+      return await this.projectService.getProject(id)
+    } catch (error) {
+      reply.code(404)
+      return { error: error.message }
+    }
+  }
+
+  async getProjectPackagesHandler(request, reply) {
+    const { id } = request.params
+    if (!this.projectService) {
+      reply.code(404)
+      return { error: 'Project not found' }
+    }
+    try {
+      return await this.projectService.listPackages(id)
+    } catch (error) {
+      reply.code(404)
+      return { error: error.message }
+    }
+  }
+
+  async getProjectTasksHandler(request, reply) {
+    const { id } = request.params
+    if (!this.projectService) {
+      reply.code(404)
+      return { error: 'Project not found' }
+    }
+    try {
+      return await this.projectService.listTasks(id)
+    } catch (error) {
+      reply.code(404)
+      return { error: error.message }
+    }
+  }
+
+  /**
+   * Run a file explorer read for the project named in the route. Paths that
+   * resolve outside the project are 403s.
+   */
+  async withProjectFiles(request, reply, read) {
+    if (!this.projectService || !this.fileService) {
+      reply.code(404)
+      return { error: 'Project not found' }
+    }
+    try {
+      const project = await this.projectService.getProject(request.params.id)
+      return await read(project, request.query?.path || '')
+    } catch (error) {
+      const codes = {
+        'Project not found': 404,
+        'Project directory not found': 404,
+        'File not found': 404,
+        'Path is outside the project': 403,
+        'Not a directory': 400,
+        'Not a file': 400,
+      }
+      reply.code(codes[error.message] || 500)
+      return { error: error.message }
+    }
+  }
+
+  async getProjectFilesHandler(request, reply) {
+    return this.withProjectFiles(request, reply, (project, path) =>
+      this.fileService.listDirectory(project, path)
+    )
+  }
+
+  async getProjectFileContentHandler(request, reply) {
+    return this.withProjectFiles(request, reply, (project, path) =>
+      this.fileService.readFile(project, path)
+    )
+  }
+
+  /**
+   * Run a git read for the project named in the route; unknown projects and
+   * directories that are not repositories are 404s.
+   */
+  async withProjectGit(request, reply, read) {
+    if (!this.projectService || !this.gitService) {
+      reply.code(404)
+      return { error: 'Project not found' }
+    }
+    let project
+    try {
+      project = await this.projectService.getProject(request.params.id)
+    } catch (error) {
+      reply.code(404)
+      return { error: error.message }
+    }
+    try {
+      return await read(project)
+    } catch (error) {
+      const notFound = ['Not a git repository', 'Project directory not found'].includes(error.message)
+      reply.code(notFound ? 404 : error.message === 'Invalid ref' ? 400 : 500)
+      return { error: error.message }
+    }
+  }
+
+  async getProjectGitStatusHandler(request, reply) {
+    return this.withProjectGit(request, reply, async project => {
+      const status = await this.gitService.getStatus(project.path)
+      await this.gitService.watch(project, status)
+      return status
+    })
+  }
+
+  async getProjectGitLogHandler(request, reply) {
+    const { limit, ref } = request.query || {}
+    return this.withProjectGit(request, reply, project =>
+      this.gitService.getLog(project.path, { limit, ref })
+    )
+  }
+
+  async getProjectGitDiffHandler(request, reply) {
+    const { staged, ref } = request.query || {}
+    return this.withProjectGit(request, reply, project =>
+      this.gitService.getDiff(project.path, { staged: staged === 'true' || staged === '1', ref })
+    )
+  }
+
+  async getProjectCommitTemplateHandler(request, reply) {
+    return this.withProjectGit(request, reply, async project => {
+      // Scopes come from the workspace packages discovery stored for the project.
+      const { packages } = await this.projectService.listPackages(project.id)
+      const scopes = packages.length > 0
+        ? packages.map(pkg => ({ name: scopeName(pkg.packageJson?.name || pkg.name), path: pkg.path }))
+        : undefined
+      return this.gitService.getCommitTemplate(project.path, { scopes })
+    })
+  }
+
+  /**
+   * File a git write action for approval; it runs as a session once approved.
+   */
+  async createProjectGitActionHandler(request, reply) {
+    if (!this.gitActionService) {
+      reply.code(503)
+      return { error: 'Git actions not available' }
+    }
+    const { action, ...params } = request.body
+    return this.withProjectGit(request, reply, async project => {
+      try {
+        const approval = await this.gitActionService.request(project, action, params)
+        reply.code(202)
+        return { approval }
+      } catch (error) {
+        if (['Not a git repository', 'Project directory not found', 'git is not installed'].includes(error.message)) {
+          throw error
+        }
+        reply.code(400)
+        return { error: error.message }
+      }
+    })
+  }
+
+  /**
+   * Run a project action call for the project named in the route; unknown
+   * projects are 404s and validation errors 400s.
+   */
+  async withProjectActions(request, reply, run) {
+    if (!this.projectActionService || !this.projectService) {
+      reply.code(503)
+      return { error: 'Project actions not available' }
+    }
+    let project
+    try {
+      project = await this.projectService.getProject(request.params.id)
+    } catch (error) {
+      reply.code(404)
+      return { error: error.message }
+    }
+    try {
+      return await run(project)
+    } catch (error) {
+      reply.code(error.message === 'Project actions are unavailable' ? 503 : 400)
+      return { error: error.message }
+    }
+  }
+
+  async getProjectActionsHandler(request, reply) {
+    return this.withProjectActions(request, reply, async project => ({
+      actions: await this.projectActionService.listActions(project),
+    }))
+  }
+
+  /**
+   * File a project action (script, test run, make target) for approval; it
+   * runs as a session once approved.
+   */
+  async createProjectActionHandler(request, reply) {
+    return this.withProjectActions(request, reply, async project => {
+      const approval = await this.projectActionService.request(project, request.params.action, request.body || {})
+      reply.code(202)
+      return { approval }
+    })
+  }
+
+  async searchHandler(request, reply) {
+    if (!this.searchService?.available) {
+      reply.code(503)
+      return { error: 'Search index not available' }
+    }
+    const { q, projectId, limit } = request.query || {}
+    try {
+      return await this.searchService.search(q, { projectId, limit })
+    } catch (error) {
+      reply.code(error.message === 'Query is required' ? 400 : 500)
+      return { error: error.message }
+    }
   }
 
   async getSessionsHandler(request, reply) {
@@ -592,7 +1105,112 @@ pnpm --filter @navisai/daemon dev</code></pre>
     if (!this.sessionService) {
       return { sessions: [] }
     }
-    return await this.sessionService.listSessions()
+    const { projectId, status, type } = request.query || {}
+    return await this.sessionService.listSessions({ projectId, status, type })
+  }
+
+  async getSessionScrollbackHandler(request, reply) {
+    // Refs: navisai-0f0 (authentication middleware applied)
+    const { id } = request.params
+    if (!this.sessionService) {
+      reply.code(404)
+      return { error: 'Session not found' }
+    }
+    try {
+      return await this.sessionService.getScrollback(id)
+    } catch (error) {
+      reply.code(404)
+      return { error: error.message }
+    }
+  }
+
+  async getSessionRecordingHandler(request, reply) {
+    // Refs: navisai-0f0 (authentication middleware applied)
+    const { id } = request.params
+    if (!this.sessionService) {
+      reply.code(404)
+      return { error: 'Recording not found' }
+    }
+    try {
+      const recording = await this.sessionService.getRecording(id)
+      reply.type('application/x-asciicast')
+      return recording
+    } catch (error) {
+      reply.code(error.message === 'Recording not found' ? 404 : 500)
+      return { error: error.message }
+    }
+  }
+
+  async getSessionHandler(request, reply) {
+    // Refs: navisai-0f0 (authentication middleware applied)
+    const { id } = request.params
+    if (!this.sessionService) {
+      reply.code(404)
+      return { error: 'Session not found' }
+    }
+    try {
+      return await this.sessionService.getSessionDetail(id)
+    } catch (error) {
+      reply.code(404)
+      return { error: error.message }
+    }
+  }
+
+  async createSessionHandler(request, reply) {
+    if (!this.sessionService) {
+      reply.code(503)
+      return { error: 'Session service not available' }
+    }
+    const { type, ...options } = request.body
+    try {
+      const session = type === 'acp'
+        ? await this.sessionService.createAcpSession(options)
+        : await this.sessionService.createTerminalSession(options)
+      reply.code(201)
+      return this.sessionService.toSummary(session)
+    } catch (error) {
+      reply.code(400)
+      return { error: error.message }
+    }
+  }
+
+  async promptSessionHandler(request, reply) {
+    if (!this.sessionService) {
+      reply.code(503)
+      return { error: 'Session service not available' }
+    }
+    const { id } = request.params
+    const session = await this.sessionService.getSession(id).catch(() => null)
+    if (!session || session.type !== 'acp') {
+      reply.code(404)
+      return { error: 'ACP session not found' }
+    }
+    if (session.status !== 'active' || session.busy) {
+      reply.code(409)
+      return { error: session.busy ? 'Agent is already working on a prompt' : 'Session is not running' }
+    }
+    // A turn can run for minutes; progress arrives as session.update events.
+    this.sessionService.promptAcpSession(id, request.body.text).catch(error => {
+      logger.warn('ACP prompt failed', { sessionId: id, error: error.message })
+    })
+    reply.code(202)
+    return { accepted: true, sessionId: id }
+  }
+
+  async cancelSessionHandler(request, reply) {
+    // Refs: navisai-0f0 (authentication middleware applied)
+    const { id } = request.params
+    if (!this.sessionService) {
+      reply.code(404)
+      return { error: 'Session not found' }
+    }
+    try {
+      const session = await this.sessionService.cancelAcpSession(id)
+      return this.sessionService.toSummary(session)
+    } catch (error) {
+      reply.code(error.message === 'Session not found' ? 404 : 409)
+      return { error: error.message }
+    }
   }
 
   async getApprovalsHandler(request, reply) {
@@ -600,7 +1218,8 @@ pnpm --filter @navisai/daemon dev</code></pre>
     if (!this.approvalService) {
       return { approvals: [] }
     }
-    return await this.approvalService.listApprovals()
+    const { status, limit, offset } = request.query || {}
+    return await this.approvalService.listApprovals({ status, limit, offset })
   }
 
   async getPendingApprovalsHandler(request, reply) {
@@ -608,9 +1227,9 @@ pnpm --filter @navisai/daemon dev</code></pre>
     if (!this.approvalService) {
       return { approvals: [] }
     }
-    const result = await this.approvalService.listApprovals()
+    const result = await this.approvalService.listApprovals({ status: 'pending' })
     return {
-      approvals: (result.approvals || []).filter(a => a.status === 'pending')
+      approvals: result.approvals || []
     }
   }
 
@@ -629,6 +1248,37 @@ pnpm --filter @navisai/daemon dev</code></pre>
     return approval
   }
 
+  async createApprovalHandler(request, reply) {
+    if (!this.approvalService) {
+      reply.code(503)
+      return { error: 'Approval service not available' }
+    }
+    const { type, payload, projectId = null, wait = 0 } = request.body
+    const approval = await this.approvalService.createApproval(type, payload, { projectId })
+    reply.code(201)
+    return await this.approvalService.waitForResolution(approval.id, wait * 1000)
+  }
+
+  async waitApprovalHandler(request, reply) {
+    const { id } = request.params
+    // `timeout=0` is a plain status check; only a missing value waits the default.
+    const requested = parseInt(request.query?.timeout, 10)
+    const timeout = Math.min(
+      Math.max(Number.isNaN(requested) ? DEFAULT_APPROVAL_WAIT_SECONDS : requested, 0),
+      MAX_APPROVAL_WAIT_SECONDS
+    )
+    if (!this.approvalService) {
+      reply.code(404)
+      return { error: 'Approval not found' }
+    }
+    try {
+      return await this.approvalService.waitForResolution(id, timeout * 1000)
+    } catch {
+      reply.code(404)
+      return { error: 'Approval not found' }
+    }
+  }
+
   async approveHandler(request, reply) {
     // Refs: navisai-0f0 (authentication middleware applied)
     const { id } = request.params
@@ -636,9 +1286,14 @@ pnpm --filter @navisai/daemon dev</code></pre>
       reply.code(404)
       return { error: 'Approval not found' }
     }
-    const approval = await this.approvalService.approve(id)
-    await this.pairingService?.onApprovalResolved?.(approval)
-    return approval
+    try {
+      const approval = await this.approvalService.approve(id, { deviceId: request.device?.id })
+      await this.pairingService?.onApprovalResolved?.(approval)
+      return approval
+    } catch (error) {
+      reply.code(error.message === 'Approval not found' ? 404 : 409)
+      return { error: error.message }
+    }
   }
 
   async rejectHandler(request, reply) {
@@ -648,9 +1303,14 @@ pnpm --filter @navisai/daemon dev</code></pre>
       reply.code(404)
       return { error: 'Approval not found' }
     }
-    const approval = await this.approvalService.reject(id)
-    await this.pairingService?.onApprovalResolved?.(approval)
-    return approval
+    try {
+      const approval = await this.approvalService.reject(id, { deviceId: request.device?.id })
+      await this.pairingService?.onApprovalResolved?.(approval)
+      return approval
+    } catch (error) {
+      reply.code(error.message === 'Approval not found' ? 404 : 409)
+      return { error: error.message }
+    }
   }
 
   async getDevicesHandler(request, reply) {
@@ -675,6 +1335,12 @@ pnpm --filter @navisai/daemon dev</code></pre>
     // Refs: navisai-4oi (discovery endpoint implementation)
     const { path, options = {} } = request.body
     const scanPath = typeof path === 'string' && path.trim() ? path.trim() : homedir()
+    // Stop walking the tree if the client goes away mid-scan.
+    const controller = new AbortController()
+    reply.raw?.once('close', () => {
+      if (!reply.raw.writableFinished) controller.abort()
+    })
+    let throughput = null
 
     try {
       // Use discovery engine to scan for projects
@@ -682,16 +1348,26 @@ pnpm --filter @navisai/daemon dev</code></pre>
         maxDepth: options.depth || this.config.get('discovery.scanDepth'),
         excludeDirs: options.excludeDirs || ['node_modules', '.git', '.next', 'dist', 'build', 'coverage', 'target'],
         excludeFiles: options.excludeFiles || ['package-lock.json', 'yarn.lock', '.DS_Store', 'Thumbs.db'],
-        ...options
+        ...options,
+        concurrency: Math.min(
+          parseInt(options.concurrency, 10) || this.config.get('discovery.maxConcurrency'),
+          MAX_SCAN_CONCURRENCY
+        ),
+        signal: controller.signal,
+        onStats: stats => {
+          throughput = stats
+        },
       }
 
       const projects = await discovery.scan(scanPath, scanOptions)
+      const storedIds = await this.recordDiscoveredProjects(projects)
 
       return {
         scannedPath: scanPath,
         count: projects.length,
+        throughput,
         projects: projects.map(p => ({
-          id: p.id || Buffer.from(p.path).toString('base64'),
+          id: storedIds.get(p.path) || p.id || Buffer.from(p.path).toString('base64'),
           name: p.name,
           path: p.path,
           detected: true,
@@ -706,6 +1382,11 @@ pnpm --filter @navisai/daemon dev</code></pre>
         }))
       }
     } catch (error) {
+      if (controller.signal.aborted) {
+        logger.info('Scan cancelled', { scannedPath: scanPath })
+        reply.code(499)
+        return { error: 'Scan cancelled', scannedPath: scanPath }
+      }
       logger.error(`Scan failed for ${path}:`, error)
       reply.code(500)
       return {
@@ -716,6 +1397,27 @@ pnpm --filter @navisai/daemon dev</code></pre>
     }
   }
 
+  /**
+   * Store scan/index results through the project service.
+   * Returns the stored project ids keyed by path.
+   */
+  async recordDiscoveredProjects(projects) {
+    const ids = new Map()
+    if (!this.projectService || projects.length === 0) {
+      return ids
+    }
+    try {
+      const stored = await this.projectService.recordDiscovered(projects)
+      for (const project of stored) {
+        ids.set(project.path, project.id)
+      }
+      this.searchService?.schedule(stored)
+    } catch (error) {
+      logger.warn('Failed to store discovered projects', { error: error.message })
+    }
+    return ids
+  }
+
   async indexHandler(request, reply) {
     // Refs: navisai-4oi (discovery endpoint implementation)
     const { paths, refresh = false } = request.body
@@ -727,6 +1429,7 @@ pnpm --filter @navisai/daemon dev</code></pre>
 
     try {
       const results = []
+      const projects = []
       let discovered = 0
 
       // Process each path
@@ -757,6 +1460,7 @@ pnpm --filter @navisai/daemon dev</code></pre>
 
           if (project) {
             discovered++
+            projects.push(project)
           }
         } catch (error) {
           results.push({
@@ -767,6 +1471,13 @@ pnpm --filter @navisai/daemon dev</code></pre>
         }
       }
 
+      const storedIds = await this.recordDiscoveredProjects(projects)
+      for (const result of results) {
+        if (result.project && storedIds.has(result.project.path)) {
+          result.project.id = storedIds.get(result.project.path)
+        }
+      }
+
       return {
         total: paths.length,
         discovered,
@@ -871,6 +1582,12 @@ pnpm --filter @navisai/daemon dev</code></pre>
 
     await this.bleAdvertiser?.stop?.()
 
+    this.approvalService?.stopSweeper()
+    await this.indexer?.stop()
+    this.searchService?.stop()
+    this.gitService?.stop()
+    await this.sessionService?.closeAll()
+
     if (this.wsManager) {
       await this.wsManager.close()
     }
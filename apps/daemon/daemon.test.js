@@ -3,6 +3,9 @@ import { homedir } from 'node:os'
 import test from 'node:test'
 import discovery from '@navisai/discovery'
 import { NavisDaemon } from './daemon.js'
+import { createAgentAuthMiddleware } from './middleware/agent-auth.js'
+import { ApprovalService } from './services/approval.js'
+import { SearchService } from './services/search.js'
 
 test('scanHandler defaults a blank path to the daemon user home', async () => {
   const originalScan = discovery.scan
@@ -19,10 +22,11 @@ test('scanHandler defaults a blank path to the daemon user home', async () => {
     const daemon = {
       config: {
         get(key) {
-          assert.equal(key, 'discovery.scanDepth')
+          assert.equal(key, 'discovery.maxConcurrency')
           return 4
         },
       },
+      recordDiscoveredProjects: NavisDaemon.prototype.recordDiscoveredProjects,
     }
 
     const result = await NavisDaemon.prototype.scanHandler.call(
@@ -33,9 +37,307 @@ test('scanHandler defaults a blank path to the daemon user home', async () => {
 
     assert.equal(observedPath, homedir())
     assert.equal(observedOptions.maxDepth, 2)
+    assert.equal(observedOptions.concurrency, 4)
+    assert.ok(observedOptions.signal instanceof AbortSignal)
     assert.equal(result.scannedPath, homedir())
     assert.equal(result.count, 0)
   } finally {
     discovery.scan = originalScan
   }
 })
+
+test('createApprovalHandler long-polls until the approval is resolved', async () => {
+  const approvalService = new ApprovalService()
+  const daemon = { approvalService }
+  let status = null
+  const reply = {
+    code(value) {
+      status = value
+    },
+  }
+
+  const resultPromise = NavisDaemon.prototype.createApprovalHandler.call(
+    daemon,
+    { body: { type: 'terminal.command', payload: { command: 'npm test' }, wait: 5 } },
+    reply,
+  )
+
+  const { approvals } = await approvalService.listApprovals({ status: 'pending' })
+  assert.equal(approvals.length, 1)
+  await approvalService.approve(approvals[0].id)
+
+  const result = await resultPromise
+  assert.equal(status, 201)
+  assert.equal(result.status, 'approved')
+  assert.equal(result.payload, JSON.stringify({ command: 'npm test' }))
+})
+
+test('agent auth middleware rejects requests without the local agent token', async () => {
+  const middleware = createAgentAuthMiddleware(() => 'secret-token')
+  const makeReply = () => ({
+    status: null,
+    body: null,
+    code(value) {
+      this.status = value
+      return this
+    },
+    send(body) {
+      this.body = body
+    },
+    hijack() {},
+  })
+
+  const missing = makeReply()
+  await middleware({ headers: {} }, missing)
+  assert.equal(missing.status, 401)
+
+  const wrong = makeReply()
+  await middleware({ headers: { authorization: 'Bearer nope' } }, wrong)
+  assert.equal(wrong.body.code, 'INVALID_AGENT_TOKEN')
+
+  const request = { headers: { authorization: 'Bearer secret-token' } }
+  const ok = makeReply()
+  await middleware(request, ok)
+  assert.equal(ok.status, null)
+  assert.equal(request.agent.authenticated, true)
+})
+
+test('promptSessionHandler accepts a prompt for an idle ACP session', async () => {
+  const prompts = []
+  const session = { id: 'session_acp', type: 'acp', status: 'active', busy: false }
+  const daemon = {
+    sessionService: {
+      getSession: async () => session,
+      promptAcpSession: async (id, text) => {
+        prompts.push([id, text])
+        return { stopReason: 'end_turn' }
+      },
+    },
+  }
+  let status = null
+  const reply = {
+    code(value) {
+      status = value
+    },
+  }
+
+  const result = await NavisDaemon.prototype.promptSessionHandler.call(
+    daemon,
+    { params: { id: 'session_acp' }, body: { text: 'run the tests' } },
+    reply,
+  )
+  assert.equal(status, 202)
+  assert.deepEqual(result, { accepted: true, sessionId: 'session_acp' })
+  assert.deepEqual(prompts, [['session_acp', 'run the tests']])
+
+  session.busy = true
+  const busy = await NavisDaemon.prototype.promptSessionHandler.call(
+    daemon,
+    { params: { id: 'session_acp' }, body: { text: 'again' } },
+    reply,
+  )
+  assert.equal(status, 409)
+  assert.match(busy.error, /already working/)
+})
+
+test('git routes map unknown projects and non-repositories to 404', async () => {
+  const daemon = {
+    withProjectGit: NavisDaemon.prototype.withProjectGit,
+    projectService: {
+      getProject: async id => {
+        if (id !== 'project_1') throw new Error('Project not found')
+        return { id, path: '/work/plain' }
+      },
+    },
+    gitService: {
+      getStatus: async () => {
+        throw new Error('Not a git repository')
+      },
+      getDiff: async (path, options) => ({ path, ...options }),
+    },
+  }
+  let status = null
+  const reply = {
+    code(value) {
+      status = value
+    },
+  }
+
+  const missing = await NavisDaemon.prototype.getProjectGitStatusHandler.call(
+    daemon,
+    { params: { id: 'nope' } },
+    reply,
+  )
+  assert.equal(status, 404)
+  assert.equal(missing.error, 'Project not found')
+
+  const plain = await NavisDaemon.prototype.getProjectGitStatusHandler.call(
+    daemon,
+    { params: { id: 'project_1' } },
+    reply,
+  )
+  assert.equal(status, 404)
+  assert.equal(plain.error, 'Not a git repository')
+
+  status = null
+  const diff = await NavisDaemon.prototype.getProjectGitDiffHandler.call(
+    daemon,
+    { params: { id: 'project_1' }, query: { staged: 'true' } },
+    reply,
+  )
+  assert.equal(status, null)
+  assert.deepEqual(diff, { path: '/work/plain', staged: true, ref: undefined })
+})
+
+test('git actions answer 202 with the approval and 400 for invalid requests', async () => {
+  const daemon = {
+    withProjectGit: NavisDaemon.prototype.withProjectGit,
+    projectService: { getProject: async id => ({ id, path: '/work/repo' }) },
+    gitService: {},
+    gitActionService: {
+      request: async (project, action, params) => {
+        if (!params.message) throw new Error('Commit message is required')
+        return { id: 'approval_1', type: `git.${action}`, status: 'pending' }
+      },
+    },
+  }
+  let status = null
+  const reply = {
+    code(value) {
+      status = value
+    },
+  }
+
+  const filed = await NavisDaemon.prototype.createProjectGitActionHandler.call(
+    daemon,
+    { params: { id: 'project_1' }, body: { action: 'commit', message: 'Fix typo' } },
+    reply,
+  )
+  assert.equal(status, 202)
+  assert.equal(filed.approval.type, 'git.commit')
+
+  const invalid = await NavisDaemon.prototype.createProjectGitActionHandler.call(
+    daemon,
+    { params: { id: 'project_1' }, body: { action: 'commit' } },
+    reply,
+  )
+  assert.equal(status, 400)
+  assert.equal(invalid.error, 'Commit message is required')
+})
+
+test('file explorer routes refuse paths outside the project with 403', async () => {
+  const daemon = {
+    withProjectFiles: NavisDaemon.prototype.withProjectFiles,
+    projectService: { getProject: async id => ({ id, path: '/work/repo' }) },
+    fileService: {
+      readFile: async (project, path) => {
+        if (path.startsWith('..')) throw new Error('Path is outside the project')
+        return { path, content: '' }
+      },
+    },
+  }
+  let status = null
+  const reply = {
+    code(value) {
+      status = value
+    },
+  }
+
+  const escaped = await NavisDaemon.prototype.getProjectFileContentHandler.call(
+    daemon,
+    { params: { id: 'project_1' }, query: { path: '../etc/passwd' } },
+    reply,
+  )
+  assert.equal(status, 403)
+  assert.equal(escaped.error, 'Path is outside the project')
+
+  status = null
+  const file = await NavisDaemon.prototype.getProjectFileContentHandler.call(
+    daemon,
+    { params: { id: 'project_1' }, query: { path: 'README.md' } },
+    reply,
+  )
+  assert.equal(status, null)
+  assert.equal(file.path, 'README.md')
+})
+
+test('search answers 503 without an index and 400 for an empty query', async () => {
+  let status = null
+  const reply = {
+    code(value) {
+      status = value
+    },
+  }
+
+  const unavailable = await NavisDaemon.prototype.searchHandler.call(
+    { searchService: new SearchService({ projectService: {} }) },
+    { query: { q: 'compose' } },
+    reply,
+  )
+  assert.equal(status, 503)
+  assert.equal(unavailable.error, 'Search index not available')
+
+  status = null
+  const daemon = {
+    searchService: new SearchService({
+      repository: { search: async () => [] },
+      projectService: {},
+    }),
+  }
+  const empty = await NavisDaemon.prototype.searchHandler.call(daemon, { query: { q: ' ' } }, reply)
+  assert.equal(status, 400)
+  assert.equal(empty.error, 'Query is required')
+
+  status = null
+  const none = await NavisDaemon.prototype.searchHandler.call(daemon, { query: { q: 'compose' } }, reply)
+  assert.equal(status, null)
+  assert.deepEqual(none, { query: 'compose', results: [] })
+})
+
+test('project actions answer 202 with the approval, 400 for invalid requests and 404 for unknown projects', async () => {
+  const daemon = {
+    withProjectActions: NavisDaemon.prototype.withProjectActions,
+    projectService: {
+      getProject: async id => {
+        if (id !== 'project_1') throw new Error('Project not found')
+        return { id, path: '/work/app' }
+      },
+    },
+    projectActionService: {
+      request: async (project, action, input) => {
+        if (input.script !== 'dev') throw new Error(`Unknown script: ${input.script}`)
+        return { id: 'approval_1', type: `project.${action}`, status: 'pending' }
+      },
+    },
+  }
+  let status = null
+  const reply = {
+    code(value) {
+      status = value
+    },
+  }
+
+  const filed = await NavisDaemon.prototype.createProjectActionHandler.call(
+    daemon,
+    { params: { id: 'project_1', action: 'run-script' }, body: { script: 'dev' } },
+    reply,
+  )
+  assert.equal(status, 202)
+  assert.equal(filed.approval.type, 'project.run-script')
+
+  const invalid = await NavisDaemon.prototype.createProjectActionHandler.call(
+    daemon,
+    { params: { id: 'project_1', action: 'run-script' }, body: { script: 'deploy' } },
+    reply,
+  )
+  assert.equal(status, 400)
+  assert.equal(invalid.error, 'Unknown script: deploy')
+
+  const missing = await NavisDaemon.prototype.createProjectActionHandler.call(
+    daemon,
+    { params: { id: 'project_2', action: 'run-script' }, body: { script: 'dev' } },
+    reply,
+  )
+  assert.equal(status, 404)
+  assert.equal(missing.error, 'Project not found')
+})
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Stub ACP agent for tests and manual runs.
+ *
+ * Speaks just enough of the Agent Client Protocol over stdio: it echoes each
+ * prompt as an agent message, proposes one `edit` tool call, asks the client
+ * for permission, and reports the tool call as completed or failed depending
+ * on the answer.
+ *
+ *   node apps/daemon/fixtures/stub-acp-agent.js
+ */
+
+import { createInterface } from 'node:readline'
+
+let nextRequestId = 1
+let promptCount = 0
+const pendingRequests = new Map()
+const cancelledSessions = new Set()
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`)
+}
+
+function request(method, params) {
+  const id = `agent-${nextRequestId++}`
+  return new Promise(resolve => {
+    pendingRequests.set(id, resolve)
+    send({ id, method, params })
+  })
+}
+
+function update(sessionId, sessionUpdate) {
+  send({ method: 'session/update', params: { sessionId, update: sessionUpdate } })
+}
+
+async function handlePrompt(id, { sessionId, prompt }) {
+  promptCount += 1
+  const text = prompt.map(block => block.text || '').join('')
+  const toolCallId = `call_${promptCount}`
+
+  update(sessionId, {
+    sessionUpdate: 'agent_message_chunk',
+    content: { type: 'text', text: `Echo: ${text}` },
+  })
+  update(sessionId, {
+    sessionUpdate: 'tool_call',
+    toolCallId,
+    title: 'Write notes.txt',
+    kind: 'edit',
+    status: 'pending',
+  })
+
+  const { outcome } = await request('session/request_permission', {
+    sessionId,
+    toolCall: { toolCallId, title: 'Write notes.txt', kind: 'edit' },
+    options: [
+      { optionId: 'allow', name: 'Allow', kind: 'allow_once' },
+      { optionId: 'reject', name: 'Reject', kind: 'reject_once' },
+    ],
+  })
+
+  if (cancelledSessions.delete(sessionId) || outcome.outcome === 'cancelled') {
+    send({ id, result: { stopReason: 'cancelled' } })
+    return
+  }
+
+  const allowed = outcome.optionId === 'allow'
+  update(sessionId, {
+    sessionUpdate: 'tool_call_update',
+    toolCallId,
+    status: allowed ? 'completed' : 'failed',
+  })
+  send({ id, result: { stopReason: 'end_turn' } })
+}
+
+const lines = createInterface({ input: process.stdin })
+lines.on('line', line => {
+  if (!line.trim()) return
+  const message = JSON.parse(line)
+
+  if (!message.method) {
+    pendingRequests.get(message.id)?.(message.result)
+    pendingRequests.delete(message.id)
+    return
+  }
+
+  switch (message.method) {
+    case 'initialize':
+      send({
+        id: message.id,
+        result: { protocolVersion: 1, agentCapabilities: { loadSession: false }, authMethods: [] },
+      })
+      break
+    case 'session/new':
+      send({ id: message.id, result: { sessionId: 'stub-session-1' } })
+      break
+    case 'session/prompt':
+      void handlePrompt(message.id, message.params)
+      break
+    case 'session/cancel':
+      cancelledSessions.add(message.params.sessionId)
+      break
+    default:
+      if (message.id !== undefined) {
+        send({ id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } })
+      }
+  }
+})
+lines.on('close', () => process.exit(0))
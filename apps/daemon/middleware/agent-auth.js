@@ -0,0 +1,29 @@
+import { parseAgentAuthHeader, verifyAgentToken } from '../auth/agent-token.js'
+
+/**
+ * Agent Authentication Middleware
+ * Accepts `Authorization: Bearer <token>` where the token matches ~/.navis/agent-token.
+ * Used for agent-facing endpoints instead of device HMAC signing.
+ */
+export function createAgentAuthMiddleware(getToken) {
+  return async function agentAuthMiddleware(request, reply) {
+    const provided = parseAgentAuthHeader(request.headers.authorization)
+    if (!provided) {
+      reply.code(401).send({
+        error: 'Missing agent token',
+        code: 'INVALID_AUTH_HEADER'
+      })
+      return reply.hijack()
+    }
+
+    if (!verifyAgentToken(provided, getToken())) {
+      reply.code(401).send({
+        error: 'Invalid agent token',
+        code: 'INVALID_AGENT_TOKEN'
+      })
+      return reply.hijack()
+    }
+
+    request.agent = { authenticated: true }
+  }
+}
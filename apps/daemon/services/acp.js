@@ -0,0 +1,253 @@
+/**
+ * ACP (Agent Client Protocol) client
+ * Talks JSON-RPC 2.0 over newline-delimited stdio to a locally launched agent
+ * process (https://agentclientprotocol.com). Navis acts as the client: it opens
+ * a session, relays prompts, receives `session/update` notifications and answers
+ * `session/request_permission` requests.
+ *
+ * Navis advertises no filesystem or terminal capabilities, so agents must do
+ * their own file access (and ask permission for it).
+ */
+
+import { spawn } from 'node:child_process'
+import { createInterface } from 'node:readline'
+import { logger } from '@navisai/logging'
+
+export const ACP_PROTOCOL_VERSION = 1
+
+const METHOD_NOT_FOUND = -32601
+const INTERNAL_ERROR = -32603
+const DEFAULT_START_TIMEOUT_MS = 30 * 1000
+
+function withTimeout(promise, timeoutMs, message) {
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeoutMs)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * JSON-RPC 2.0 peer over a pair of streams (one message per line).
+ */
+export class AcpConnection {
+  constructor(input, output) {
+    this.output = output
+    this.nextId = 1
+    this.pending = new Map()
+    this.requestHandler = null
+    this.notificationHandler = null
+    this.closed = false
+
+    this.lines = createInterface({ input })
+    this.lines.on('line', line => this.handleLine(line))
+    this.lines.on('close', () => this.close(new Error('Agent connection closed')))
+  }
+
+  onRequest(handler) {
+    this.requestHandler = handler
+  }
+
+  onNotification(handler) {
+    this.notificationHandler = handler
+  }
+
+  request(method, params) {
+    if (this.closed) {
+      return Promise.reject(new Error('Agent connection closed'))
+    }
+    const id = this.nextId++
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, method })
+      this.write({ jsonrpc: '2.0', id, method, params })
+    })
+  }
+
+  notify(method, params) {
+    if (this.closed) return
+    this.write({ jsonrpc: '2.0', method, params })
+  }
+
+  write(message) {
+    this.output.write(`${JSON.stringify(message)}\n`)
+  }
+
+  handleLine(line) {
+    if (!line.trim()) return
+
+    let message
+    try {
+      message = JSON.parse(line)
+    } catch {
+      logger.warn('Ignoring malformed ACP message', { line: line.slice(0, 200) })
+      return
+    }
+
+    if (message.method && message.id !== undefined) {
+      this.handleRequest(message)
+    } else if (message.method) {
+      this.notificationHandler?.(message.method, message.params || {})
+    } else if (this.pending.has(message.id)) {
+      const { resolve, reject, method } = this.pending.get(message.id)
+      this.pending.delete(message.id)
+      if (message.error) {
+        reject(new Error(`${method} failed: ${message.error.message || 'unknown error'}`))
+      } else {
+        resolve(message.result)
+      }
+    }
+  }
+
+  async handleRequest({ id, method, params }) {
+    try {
+      const result = this.requestHandler ? await this.requestHandler(method, params || {}) : undefined
+      if (result === undefined) {
+        this.write({ jsonrpc: '2.0', id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${method}` } })
+        return
+      }
+      this.write({ jsonrpc: '2.0', id, result })
+    } catch (error) {
+      this.write({ jsonrpc: '2.0', id, error: { code: INTERNAL_ERROR, message: error.message } })
+    }
+  }
+
+  close(error = new Error('Agent connection closed')) {
+    if (this.closed) return
+    this.closed = true
+    for (const { reject } of this.pending.values()) {
+      reject(error)
+    }
+    this.pending.clear()
+    this.lines.close()
+  }
+}
+
+/**
+ * A launched ACP agent with one ACP session.
+ * Callbacks: onUpdate(update), onPermission(params) -> Promise<outcome>, onExit({ exitCode, signal })
+ */
+export class AcpAgent {
+  constructor({
+    command,
+    args = [],
+    cwd,
+    env = process.env,
+    startTimeoutMs = DEFAULT_START_TIMEOUT_MS,
+    onUpdate,
+    onPermission,
+    onExit,
+  }) {
+    this.command = command
+    this.args = args
+    this.cwd = cwd
+    this.env = env
+    this.startTimeoutMs = startTimeoutMs
+    this.onUpdate = onUpdate || (() => {})
+    this.onPermission = onPermission || (async () => ({ outcome: 'cancelled' }))
+    this.onExit = onExit || (() => {})
+    this.child = null
+    this.connection = null
+    this.sessionId = null
+    this.agentInfo = null
+  }
+
+  /**
+   * Spawn the agent, run the `initialize` handshake and open a session.
+   */
+  async start() {
+    this.child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: this.env,
+      stdio: ['pipe', 'pipe', 'pipe'],
+    })
+
+    const exited = new Promise((resolve) => {
+      this.child.on('error', error => resolve({ exitCode: 127, signal: null, error }))
+      this.child.on('exit', (exitCode, signal) => resolve({ exitCode, signal }))
+    })
+    exited.then(result => {
+      this.connection?.close(result.error || new Error('Agent process exited'))
+      this.onExit(result)
+    })
+
+    // Writes after the agent exits fail with EPIPE; the exit handler reports that.
+    this.child.stdin.on('error', () => {})
+    this.child.stderr.on('data', chunk => {
+      logger.debug('ACP agent stderr', { command: this.command, output: chunk.toString().trim() })
+    })
+
+    this.connection = new AcpConnection(this.child.stdout, this.child.stdin)
+    this.connection.onNotification((method, params) => {
+      if (method === 'session/update' && params.sessionId === this.sessionId) {
+        this.onUpdate(params.update)
+      }
+    })
+    this.connection.onRequest(async (method, params) => {
+      if (method === 'session/request_permission') {
+        return { outcome: await this.onPermission(params) }
+      }
+      return undefined
+    })
+
+    try {
+      const init = await withTimeout(
+        this.connection.request('initialize', {
+          protocolVersion: ACP_PROTOCOL_VERSION,
+          clientCapabilities: {
+            fs: { readTextFile: false, writeTextFile: false },
+            terminal: false,
+          },
+        }),
+        this.startTimeoutMs,
+        'Agent did not answer initialize'
+      )
+      this.agentInfo = init || {}
+
+      const session = await withTimeout(
+        this.connection.request('session/new', { cwd: this.cwd, mcpServers: [] }),
+        this.startTimeoutMs,
+        'Agent did not open a session'
+      )
+      this.sessionId = session.sessionId
+    } catch (error) {
+      this.kill()
+      throw error
+    }
+    return this
+  }
+
+  /**
+   * Send a user prompt; resolves with the turn's stop reason.
+   */
+  async prompt(text) {
+    const result = await this.connection.request('session/prompt', {
+      sessionId: this.sessionId,
+      prompt: [{ type: 'text', text }],
+    })
+    return result?.stopReason || 'end_turn'
+  }
+
+  cancel() {
+    this.connection?.notify('session/cancel', { sessionId: this.sessionId })
+  }
+
+  kill(signal) {
+    this.connection?.close()
+    this.child?.kill(signal)
+  }
+}
+
+/**
+ * Pick the agent's permission option matching a Navis approval decision.
+ * Prefers one-off options; with no matching option the request is cancelled.
+ */
+export function selectPermissionOutcome(options = [], approved) {
+  const preferred = approved ? ['allow_once', 'allow_always'] : ['reject_once', 'reject_always']
+  for (const kind of preferred) {
+    const option = options.find(candidate => candidate.kind === kind)
+    if (option) {
+      return { outcome: 'selected', optionId: option.optionId }
+    }
+  }
+  return { outcome: 'cancelled' }
+}
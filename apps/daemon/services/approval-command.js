@@ -0,0 +1,131 @@
+/**
+ * Approval-gated commands
+ * Shared runner behind git and project actions. A caller validates a request
+ * and builds a fixed argv; the runner files it as a `<namespace>.<action>`
+ * approval whose payload carries the action, its parameters and the command
+ * line, waits for the approval to be resolved (by a device or by policy) and
+ * runs the command as a terminal session linked to the approval.
+ *
+ * Progress is reported through `onEvent` with the approval id, status
+ * (`pending`, `running`, `completed`, `failed`, `denied`) and, once started,
+ * the session id.
+ */
+
+import { logger } from '@navisai/logging'
+import { DAEMON_EXECUTOR } from './approval.js'
+
+export function requireString(value, field, maxLength = 255) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`${field} is required`)
+  }
+  if (value.length > maxLength) {
+    throw new Error(`${field} is too long`)
+  }
+  return value.trim()
+}
+
+/**
+ * Command line shown to approvers, with arguments quoted where needed.
+ */
+export function displayCommand(command, args) {
+  return [command, ...args].map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : JSON.stringify(arg))).join(' ')
+}
+
+export class ApprovalCommandRunner {
+  constructor({ namespace, approvalService, sessionService, onEvent } = {}) {
+    this.namespace = namespace
+    this.approvalService = approvalService
+    this.sessionService = sessionService
+    this.onEvent = onEvent || (() => {})
+    this.pending = new Set()
+    // Session id of the latest run of each command line, per project
+    this.running = new Map()
+  }
+
+  /**
+   * File an approval for a prepared command. Resolves with the approval as
+   * created (it may already be resolved by policy); the command runs once
+   * approved. With `restart`, a still-running session of the same command
+   * line is closed first.
+   */
+  async request(project, action, { params = {}, command, args = [], env, restart = false }) {
+    const type = `${this.namespace}.${action}`
+    const approval = await this.approvalService.createApproval(
+      type,
+      {
+        ...params,
+        projectId: project.id,
+        path: project.path,
+        action,
+        command: displayCommand(command, args),
+      },
+      { projectId: project.id, executor: DAEMON_EXECUTOR }
+    )
+
+    this.pending.add(approval.id)
+    this.report(approval, project, type, 'pending')
+    this.awaitApproval(approval, project, type, { command, args, env, restart })
+      .catch(error => {
+        logger.warn('Approved command failed', { approvalId: approval.id, type, error: error.message })
+        this.report(approval, project, type, 'failed', { error: error.message })
+      })
+      .finally(() => this.pending.delete(approval.id))
+
+    return approval
+  }
+
+  async awaitApproval(approval, project, type, { command, args, env, restart }) {
+    let resolved = approval
+    if (resolved.status === 'pending') {
+      const remaining = Math.max(Date.parse(resolved.expiresAt) - Date.now(), 0)
+      resolved = await this.approvalService.waitForResolution(resolved.id, remaining + 1000)
+    }
+
+    if (resolved.status !== 'approved') {
+      this.report(approval, project, type, 'denied', {
+        reason: resolved.deniedReason || (resolved.status === 'pending' ? 'expired' : 'rejected'),
+      })
+      return null
+    }
+
+    const key = `${project.id}\0${displayCommand(command, args)}`
+    const previous = this.running.get(key)
+    if (restart && previous) {
+      const session = await this.sessionService.getSession(previous).catch(() => null)
+      if (session?.status === 'active') {
+        await this.sessionService.closeSession(previous)
+      }
+    }
+
+    const session = await this.sessionService.createTerminalSession({
+      command,
+      args,
+      cwd: project.path,
+      projectId: project.id,
+      env,
+      // The argv is fixed; a project path must never reach a shell.
+      shell: false,
+      approvalId: approval.id,
+      onExit: ({ id, exitCode }) => {
+        if (this.running.get(key) === id) this.running.delete(key)
+        this.report(approval, project, type, exitCode === 0 ? 'completed' : 'failed', {
+          sessionId: id,
+          exitCode,
+        })
+      },
+    })
+    this.running.set(key, session.id)
+    this.report(approval, project, type, 'running', { sessionId: session.id })
+    return session
+  }
+
+  report(approval, project, type, status, details = {}) {
+    this.onEvent({
+      approvalId: approval.id,
+      projectId: project.id,
+      action: type,
+      status,
+      ...details,
+    })
+  }
+}
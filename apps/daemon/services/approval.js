@@ -1,26 +1,146 @@
 /**
  * Approval Service
  * Manages approval workflow for privileged operations
+ *
+ * Approvals are persisted through the approvals repository when the database
+ * is available; the in-memory map caches pending approvals so resolution does
+ * not hit SQLite on every lookup. Without a repository the service falls back
+ * to memory only (DB is optional per architecture).
+ *
+ * Every new request is first run through the approval policy (see
+ * @navisai/core/policy); auto-approve/auto-deny decisions are resolved
+ * immediately and recorded with the rule that fired.
+ *
+ * Approvals with a quorum above 1 collect per-device votes: they are approved
+ * once `quorum` distinct paired devices approve, and denied by any single reject.
+ *
+ * Each approval expires after a per-type TTL (`approvals.ttlSeconds` in config,
+ * falling back to `default`). A background sweeper denies overdue approvals and
+ * emits `approval.expired` so clients can drop them.
  */
 
+import { evaluateApprovalPolicy } from '@navisai/core/policy'
+import { logger } from '@navisai/logging'
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000 // 5 minutes
+const DEFAULT_SWEEP_INTERVAL_MS = 15 * 1000
+
+// `executor` of approvals acted on by a waiter inside the daemon process (git
+// and project actions, terminal input, ACP permissions). After a restart
+// nothing would run them, so rehydrate denies them. Agent-submitted approvals
+// have no executor: the agent polls for them across restarts.
+export const DAEMON_EXECUTOR = 'daemon'
+
 export class ApprovalService {
-  constructor() {
+  constructor({ repository, policy, ttlSeconds } = {}) {
     this.approvals = new Map()
+    this.repository = repository || null
+    this.policy = policy || null
+    this.ttlSeconds = ttlSeconds || {}
     this.wsManager = null
+    this.waiters = new Map()
+    this.sweepTimer = null
+    this.sweeping = false
   }
 
   async initialize() {
+    if (this.repository) {
+      await this.rehydrate()
+    }
     console.log('✅ Approval service initialized')
   }
 
-  async listApprovals() {
+  /**
+   * Load pending approvals from the database so they survive a daemon restart.
+   * Approvals whose expiresAt passed while the daemon was down are expired here;
+   * ones the daemon ran itself lost their executor with the previous run and
+   * are denied.
+   */
+  async rehydrate() {
+    const pending = await this.repository.findPending()
+    for (const row of pending) {
+      const approval = await this.withVotes(this.fromRow(row))
+      this.approvals.set(row.id, approval)
+      if (approval.executor === DAEMON_EXECUTOR) {
+        await this.abandon(approval)
+      }
+    }
+    await this.cleanupExpired()
+  }
+
+  /**
+   * Periodically expire overdue pending approvals.
+   */
+  startSweeper(intervalMs = DEFAULT_SWEEP_INTERVAL_MS) {
+    this.stopSweeper()
+    const interval = Number.isFinite(intervalMs) && intervalMs > 0 ? intervalMs : DEFAULT_SWEEP_INTERVAL_MS
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => {
+        logger.warn('Approval expiry sweep failed', { error: error.message })
+      })
+    }, interval)
+    this.sweepTimer.unref?.()
+  }
+
+  stopSweeper() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer)
+      this.sweepTimer = null
+    }
+  }
+
+  async sweep() {
+    // Skip a tick rather than overlap a slow sweep.
+    if (this.sweeping) return
+    this.sweeping = true
+    try {
+      await this.cleanupExpired()
+    } finally {
+      this.sweeping = false
+    }
+  }
+
+  /**
+   * TTL for an approval type in milliseconds.
+   */
+  ttlFor(type) {
+    const seconds = this.ttlSeconds[type] ?? this.ttlSeconds.default
+    const parsed = Number(seconds)
+    return Number.isFinite(parsed) && parsed > 0 ? parsed * 1000 : DEFAULT_TTL_MS
+  }
+
+  async listApprovals(options = {}) {
+    const { status } = options
+    const limit = this.parsePageParam(options.limit, 100)
+    const offset = this.parsePageParam(options.offset, 0)
+
+    if (this.repository) {
+      const [rows, total] = await Promise.all([
+        this.repository.findAll({ status, limit, offset }),
+        this.repository.count({ status }),
+      ])
+      return {
+        approvals: rows.map(row => this.approvals.get(row.id) || this.fromRow(row)),
+        total,
+        limit,
+        offset,
+      }
+    }
+
+    const all = Array.from(this.approvals.values())
+      .filter(approval => !status || approval.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+
     return {
-      approvals: Array.from(this.approvals.values())
+      approvals: all.slice(offset, offset + limit),
+      total: all.length,
+      limit,
+      offset,
     }
   }
 
   async getApproval(id) {
-    const approval = this.approvals.get(id)
+    const approval = this.approvals.get(id) || (await this.loadApproval(id))
     if (!approval) {
       throw new Error('Approval not found')
     }
@@ -34,59 +154,225 @@ export class ApprovalService {
       payload: typeof payload === 'string' ? payload : JSON.stringify(payload),
       status: 'pending',
       createdAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + 5 * 60 * 1000).toISOString(), // 5 minutes
-      ...metadata
+      expiresAt: new Date(Date.now() + this.ttlFor(type)).toISOString(),
+      quorum: 1,
+      ...metadata,
+      votes: [],
+    }
+
+    const { decision, rule, quorum } = evaluateApprovalPolicy(this.policy, approval)
+    if (rule) {
+      approval.policyRule = rule
+    }
+    approval.quorum = Math.max(approval.quorum, quorum)
+
+    if (this.repository) {
+      await this.repository.create(approval)
     }
 
     this.approvals.set(approval.id, approval)
+
+    if (decision === 'auto-approve' || decision === 'auto-deny') {
+      return this.resolveByPolicy(approval, decision)
+    }
+
     this.emit('approval.request', { approval })
     return approval
   }
 
-  async approve(id) {
-    const approval = this.approvals.get(id)
-    if (!approval) {
-      throw new Error('Approval not found')
+  async resolveByPolicy(approval, decision) {
+    approval.status = decision === 'auto-approve' ? 'approved' : 'denied'
+    approval.resolvedAt = new Date().toISOString()
+    approval.resolvedBy = 'policy'
+    if (approval.status === 'denied') {
+      approval.deniedReason = 'policy'
     }
 
+    await this.persistResolution(approval)
+    logger.info('Approval resolved by policy', {
+      approvalId: approval.id,
+      type: approval.type,
+      status: approval.status,
+      rule: approval.policyRule,
+    })
+    this.emit('approval.updated', { approval })
+    return approval
+  }
+
+  async approve(id, { deviceId } = {}) {
+    return this.resolve(id, 'approved', { deviceId })
+  }
+
+  async reject(id, { deviceId } = {}) {
+    return this.resolve(id, 'denied', { deviceId })
+  }
+
+  async resolve(id, status, { deviceId } = {}) {
+    const approval = await this.getApproval(id)
+
     if (approval.status !== 'pending') {
       throw new Error('Approval already processed')
     }
 
-    approval.status = 'approved'
+    if (this.isExpired(approval)) {
+      await this.expire(approval)
+      throw new Error('Approval expired')
+    }
+
+    if (deviceId) {
+      await this.recordVote(approval, deviceId, status === 'approved' ? 'approve' : 'reject')
+    } else if (approval.quorum > 1) {
+      throw new Error('Quorum approvals require an authenticated device')
+    }
+
+    const approvals = approval.votes.filter(vote => vote.vote === 'approve').length
+    if (status === 'approved' && approval.quorum > 1 && approvals < approval.quorum) {
+      // Still waiting on other devices; let clients refresh the vote tally.
+      this.emit('approval.updated', { approval })
+      return approval
+    }
+
+    approval.status = status
     approval.resolvedAt = new Date().toISOString()
-    this.approvals.set(id, approval)
+    approval.resolvedBy = 'human'
+    await this.persistResolution(approval)
     this.emit('approval.updated', { approval })
     return approval
   }
 
-  async reject(id) {
-    const approval = this.approvals.get(id)
-    if (!approval) {
-      throw new Error('Approval not found')
+  async cleanupExpired() {
+    for (const approval of this.approvals.values()) {
+      if (approval.status === 'pending' && this.isExpired(approval)) {
+        await this.expire(approval)
+      }
     }
+  }
 
-    if (approval.status !== 'pending') {
-      throw new Error('Approval already processed')
-    }
+  async expire(approval) {
+    approval.status = 'denied'
+    approval.deniedReason = 'expired'
+    approval.resolvedBy = 'system'
+    approval.resolvedAt = approval.resolvedAt || new Date().toISOString()
+    await this.persistResolution(approval)
+    this.emit('approval.expired', { approval })
+    this.emit('approval.updated', { approval })
+  }
 
+  /**
+   * Deny an approval whose requester did not survive a daemon restart.
+   */
+  async abandon(approval) {
     approval.status = 'denied'
+    approval.deniedReason = 'restarted'
+    approval.resolvedBy = 'system'
     approval.resolvedAt = new Date().toISOString()
-    this.approvals.set(id, approval)
+    await this.persistResolution(approval)
     this.emit('approval.updated', { approval })
-    return approval
   }
 
-  async cleanupExpired() {
-    const now = new Date()
-    for (const [id, approval] of this.approvals) {
-      if (new Date(approval.expiresAt) < now) {
-        approval.status = 'denied'
-        approval.deniedReason = 'expired'
-        approval.resolvedAt = approval.resolvedAt || new Date().toISOString()
-        this.approvals.set(id, approval)
+  async persistResolution(approval) {
+    if (!this.repository) {
+      this.approvals.set(approval.id, approval)
+      this.notifyResolved(approval)
+      return
+    }
+
+    await this.repository.resolve(approval.id, approval.status, {
+      resolvedAt: approval.resolvedAt,
+      resolvedBy: approval.resolvedBy,
+      deniedReason: approval.deniedReason,
+    })
+    // Resolved approvals are served from the database from here on.
+    this.approvals.delete(approval.id)
+    this.notifyResolved(approval)
+  }
+
+  /**
+   * Resolve once the approval leaves `pending`, or with its current state after timeoutMs.
+   * Backs long-polling for local agents waiting on a decision.
+   */
+  async waitForResolution(id, timeoutMs) {
+    const approval = await this.getApproval(id)
+    if (approval.status !== 'pending' || timeoutMs <= 0) {
+      return approval
+    }
+
+    return new Promise(resolve => {
+      const waiters = this.waiters.get(id) || new Set()
+      const done = result => {
+        clearTimeout(timer)
+        waiters.delete(done)
+        if (waiters.size === 0) this.waiters.delete(id)
+        resolve(result)
       }
+      const timer = setTimeout(() => done(approval), timeoutMs)
+      waiters.add(done)
+      this.waiters.set(id, waiters)
+    })
+  }
+
+  notifyResolved(approval) {
+    const waiters = this.waiters.get(approval.id)
+    if (!waiters) return
+    for (const done of [...waiters]) {
+      done(approval)
+    }
+  }
+
+  async recordVote(approval, deviceId, vote) {
+    if (approval.votes.some(existing => existing.deviceId === deviceId)) {
+      throw new Error('Device already voted')
+    }
+
+    if (this.repository) {
+      await this.repository.addVote(approval.id, deviceId, vote)
+    }
+    approval.votes.push({ deviceId, vote, votedAt: new Date().toISOString() })
+  }
+
+  async loadApproval(id) {
+    if (!this.repository) return null
+    const row = await this.repository.findById(id)
+    return row ? this.withVotes(this.fromRow(row)) : null
+  }
+
+  async withVotes(approval) {
+    const rows = await this.repository.findVotes(approval.id)
+    approval.votes = rows.map(row => ({
+      deviceId: row.deviceId,
+      vote: row.vote,
+      votedAt: row.createdAt,
+    }))
+    return approval
+  }
+
+  isExpired(approval, now = Date.now()) {
+    return Boolean(approval.expiresAt) && Date.parse(approval.expiresAt) < now
+  }
+
+  fromRow(row) {
+    const approval = {
+      id: row.id,
+      type: row.type,
+      payload: row.payload,
+      status: row.status,
+      createdAt: row.createdAt,
+      expiresAt: row.expiresAt || null,
+      projectId: row.projectId || null,
+      quorum: row.quorum || 1,
+      votes: [],
     }
+    if (row.resolvedAt) approval.resolvedAt = row.resolvedAt
+    if (row.resolvedBy) approval.resolvedBy = row.resolvedBy
+    if (row.deniedReason) approval.deniedReason = row.deniedReason
+    if (row.policyRule) approval.policyRule = row.policyRule
+    if (row.executor) approval.executor = row.executor
+    return approval
+  }
+
+  parsePageParam(value, fallback) {
+    const parsed = parseInt(value, 10)
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback
   }
 
   generateId() {
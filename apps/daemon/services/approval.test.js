@@ -1,5 +1,6 @@
 import { test } from 'node:test'
 import assert from 'node:assert/strict'
+import { evaluateApprovalPolicy, parseApprovalPolicy } from '@navisai/core/policy'
 import { ApprovalService } from './approval.js'
 
 test('createApproval stores pending approval and notifies ws manager', async () => {
@@ -68,3 +69,357 @@ test('approve throws when already processed', async () => {
     message: 'Approval already processed',
   })
 })
+
+function createRepositoryStub(rows = []) {
+  const store = new Map(rows.map(row => [row.id, { ...row }]))
+  return {
+    store,
+    async findPending() {
+      return Array.from(store.values()).filter(row => row.status === 'pending')
+    },
+    async findAll({ status, limit = 100, offset = 0 } = {}) {
+      return Array.from(store.values())
+        .filter(row => !status || row.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(offset, offset + limit)
+    },
+    async count({ status } = {}) {
+      return Array.from(store.values()).filter(row => !status || row.status === status).length
+    },
+    async findById(id) {
+      return store.get(id) || null
+    },
+    async create(data) {
+      store.set(data.id, { ...data, status: 'pending' })
+      return store.get(data.id)
+    },
+    votes: [],
+    async findVotes(approvalId) {
+      return this.votes.filter(vote => vote.approvalId === approvalId)
+    },
+    async addVote(approvalId, deviceId, vote) {
+      this.votes.push({ approvalId, deviceId, vote, createdAt: new Date().toISOString() })
+      return this.findVotes(approvalId)
+    },
+    async resolve(id, status, { resolvedAt, resolvedBy, deniedReason } = {}) {
+      const row = store.get(id)
+      Object.assign(row, { status, resolvedAt, resolvedBy, deniedReason: deniedReason || null })
+      return row
+    },
+  }
+}
+
+test('createApproval and approve write through to the repository', async () => {
+  const repository = createRepositoryStub()
+  const service = new ApprovalService({ repository })
+
+  const approval = await service.createApproval('pairing', { token: 'abc' })
+  assert.equal(repository.store.get(approval.id).status, 'pending')
+  assert.ok(repository.store.get(approval.id).expiresAt)
+
+  await service.approve(approval.id)
+  assert.equal(repository.store.get(approval.id).status, 'approved')
+  assert.equal(service.approvals.has(approval.id), false)
+
+  const fetched = await service.getApproval(approval.id)
+  assert.equal(fetched.status, 'approved')
+})
+
+test('initialize rehydrates pending approvals and expires overdue ones', async () => {
+  const now = Date.now()
+  const repository = createRepositoryStub([
+    {
+      id: 'approval_live',
+      type: 'pairing',
+      payload: '{}',
+      status: 'pending',
+      createdAt: new Date(now - 1000).toISOString(),
+      expiresAt: new Date(now + 60_000).toISOString(),
+    },
+    {
+      id: 'approval_stale',
+      type: 'pairing',
+      payload: '{}',
+      status: 'pending',
+      createdAt: new Date(now - 600_000).toISOString(),
+      expiresAt: new Date(now - 1000).toISOString(),
+    },
+  ])
+  const service = new ApprovalService({ repository })
+  await service.initialize()
+
+  assert.equal(service.approvals.has('approval_live'), true)
+  assert.equal(repository.store.get('approval_stale').status, 'denied')
+  assert.equal(repository.store.get('approval_stale').deniedReason, 'expired')
+
+  const approved = await service.approve('approval_live')
+  assert.equal(approved.status, 'approved')
+})
+
+test('initialize denies pending approvals whose executor died with the previous run', async () => {
+  const now = Date.now()
+  const row = (id, type, executor) => ({
+    id,
+    type,
+    payload: JSON.stringify({ command: 'git push origin main' }),
+    status: 'pending',
+    createdAt: new Date(now - 1000).toISOString(),
+    expiresAt: new Date(now + 60_000).toISOString(),
+    executor,
+  })
+  const repository = createRepositoryStub([
+    row('approval_git', 'git.push', 'daemon'),
+    row('approval_script', 'project.run-script', 'daemon'),
+    row('approval_input', 'terminal.input', 'daemon'),
+    // Filed by an external agent, which is still waiting on them
+    row('approval_agent_command', 'terminal.command'),
+    row('approval_agent_push', 'git.push'),
+    row('approval_pairing', 'pairing'),
+  ])
+  const service = new ApprovalService({ repository })
+  await service.initialize()
+
+  for (const id of ['approval_git', 'approval_script', 'approval_input']) {
+    assert.equal(repository.store.get(id).status, 'denied', id)
+    assert.equal(repository.store.get(id).deniedReason, 'restarted', id)
+    await assert.rejects(service.approve(id), /Approval already processed/)
+  }
+  for (const id of ['approval_agent_command', 'approval_agent_push', 'approval_pairing']) {
+    assert.equal(repository.store.get(id).status, 'pending', id)
+  }
+  assert.equal((await service.approve('approval_agent_command')).status, 'approved')
+})
+
+test('approve rejects an approval whose expiresAt has passed', async () => {
+  const service = new ApprovalService()
+  const approval = await service.createApproval('pairing', 'token')
+  approval.expiresAt = new Date(Date.now() - 1000).toISOString()
+
+  await assert.rejects(() => service.approve(approval.id), { message: 'Approval expired' })
+  assert.equal(approval.status, 'denied')
+  assert.equal(approval.deniedReason, 'expired')
+})
+
+test('listApprovals pages through repository history', async () => {
+  const rows = Array.from({ length: 5 }, (_, i) => ({
+    id: `approval_${i}`,
+    type: 'pairing',
+    payload: '{}',
+    status: i % 2 ? 'approved' : 'denied',
+    createdAt: new Date(Date.UTC(2025, 0, i + 1)).toISOString(),
+  }))
+  const service = new ApprovalService({ repository: createRepositoryStub(rows) })
+
+  const page = await service.listApprovals({ limit: '2', offset: '1' })
+  assert.equal(page.total, 5)
+  assert.equal(page.limit, 2)
+  assert.equal(page.offset, 1)
+  assert.deepEqual(page.approvals.map(a => a.id), ['approval_3', 'approval_2'])
+
+  const approved = await service.listApprovals({ status: 'approved' })
+  assert.equal(approved.total, 2)
+})
+
+test('policy auto-approves matching commands and records the rule', async () => {
+  const repository = createRepositoryStub()
+  const broadcasts = []
+  const service = new ApprovalService({
+    repository,
+    policy: parseApprovalPolicy({
+      rules: [
+        {
+          id: 'allow-tests',
+          decision: 'auto-approve',
+          match: { type: 'terminal.command', command: ['npm test', 'pnpm test *'] },
+        },
+      ],
+    }),
+  })
+  service.setWebSocketManager({
+    broadcast: (payload, channel) => broadcasts.push({ payload, channel }),
+  })
+
+  const approval = await service.createApproval('terminal.command', { command: 'pnpm test --watch=false' })
+  assert.equal(approval.status, 'approved')
+  assert.equal(approval.resolvedBy, 'policy')
+  assert.equal(approval.policyRule, 'allow-tests')
+  assert.equal(repository.store.get(approval.id).status, 'approved')
+  assert.equal(repository.store.get(approval.id).policyRule, 'allow-tests')
+  assert.deepEqual(broadcasts.map(entry => entry.payload.type), ['approval.updated'])
+
+  const other = await service.createApproval('terminal.command', { command: 'rm -rf /' })
+  assert.equal(other.status, 'pending')
+  assert.equal(other.policyRule, undefined)
+})
+
+test('policy never auto-approves chained or substituted commands', () => {
+  const policy = parseApprovalPolicy({
+    default: 'auto-approve',
+    rules: [{ id: 'allow-tests', decision: 'auto-approve', match: { command: 'pnpm test *' } }],
+  })
+  const evaluate = command => evaluateApprovalPolicy(policy, { type: 'terminal.command', payload: { command } })
+
+  assert.equal(evaluate('pnpm test --run').rule, 'allow-tests')
+  assert.equal(evaluate('pnpm test').rule, null)
+  for (const command of ['pnpm test && rm -rf ~', 'pnpm test; rm -rf ~', 'pnpm test $(rm -rf ~)', 'pnpm test\nrm -rf ~']) {
+    assert.deepEqual(evaluate(command), { decision: 'require-human', rule: null, quorum: 1 }, command)
+  }
+})
+
+test('policy auto-denies by path glob and project', async () => {
+  const service = new ApprovalService({
+    policy: parseApprovalPolicy({
+      rules: [
+        {
+          id: 'no-secrets',
+          decision: 'auto-deny',
+          match: { projectId: 'proj_1', path: '**/.env*' },
+        },
+        { id: 'review-writes', decision: 'require-human', match: { type: 'file.write' } },
+      ],
+    }),
+  })
+
+  const denied = await service.createApproval(
+    'file.write',
+    { paths: ['config/.env.local'] },
+    { projectId: 'proj_1' }
+  )
+  assert.equal(denied.status, 'denied')
+  assert.equal(denied.deniedReason, 'policy')
+  assert.equal(denied.policyRule, 'no-secrets')
+
+  const pending = await service.createApproval(
+    'file.write',
+    { paths: ['src/index.js'] },
+    { projectId: 'proj_1' }
+  )
+  assert.equal(pending.status, 'pending')
+  assert.equal(pending.policyRule, 'review-writes')
+})
+
+test('evaluateApprovalPolicy honors time-of-day windows across midnight', () => {
+  const policy = parseApprovalPolicy({
+    rules: [
+      {
+        id: 'overnight-builds',
+        decision: 'auto-approve',
+        match: { type: 'terminal.*', timeOfDay: { from: '22:00', to: '06:00' } },
+      },
+    ],
+  })
+  const approval = { type: 'terminal.command', payload: '{}' }
+
+  assert.deepEqual(evaluateApprovalPolicy(policy, approval, new Date(2025, 0, 1, 23, 30)), {
+    decision: 'auto-approve',
+    rule: 'overnight-builds',
+    quorum: 1,
+  })
+  assert.deepEqual(evaluateApprovalPolicy(policy, approval, new Date(2025, 0, 1, 12, 0)), {
+    decision: 'require-human',
+    rule: null,
+    quorum: 1,
+  })
+})
+
+test('parseApprovalPolicy rejects unknown decisions', () => {
+  assert.throws(() => parseApprovalPolicy({ rules: [{ id: 'x', decision: 'maybe' }] }), {
+    message: 'Policy rule x has invalid decision: maybe',
+  })
+})
+
+function createQuorumService(repository) {
+  return new ApprovalService({
+    repository,
+    policy: parseApprovalPolicy({
+      rules: [{ id: 'two-person-push', decision: 'require-human', quorum: 2, match: { type: 'git.push' } }],
+    }),
+  })
+}
+
+test('quorum approvals need distinct device approvals', async () => {
+  const repository = createRepositoryStub()
+  const service = createQuorumService(repository)
+  const approval = await service.createApproval('git.push', { remote: 'origin' })
+  assert.equal(approval.quorum, 2)
+
+  await assert.rejects(() => service.approve(approval.id), {
+    message: 'Quorum approvals require an authenticated device',
+  })
+
+  const first = await service.approve(approval.id, { deviceId: 'device_a' })
+  assert.equal(first.status, 'pending')
+  assert.deepEqual(first.votes.map(vote => vote.deviceId), ['device_a'])
+
+  await assert.rejects(() => service.approve(approval.id, { deviceId: 'device_a' }), {
+    message: 'Device already voted',
+  })
+
+  const second = await service.approve(approval.id, { deviceId: 'device_b' })
+  assert.equal(second.status, 'approved')
+  assert.equal(repository.votes.length, 2)
+
+  const fetched = await service.getApproval(approval.id)
+  assert.equal(fetched.status, 'approved')
+  assert.deepEqual(fetched.votes.map(vote => vote.vote), ['approve', 'approve'])
+})
+
+test('a single reject denies a quorum approval', async () => {
+  const service = createQuorumService(createRepositoryStub())
+  const approval = await service.createApproval('git.push', { remote: 'origin' })
+
+  await service.approve(approval.id, { deviceId: 'device_a' })
+  const denied = await service.reject(approval.id, { deviceId: 'device_b' })
+  assert.equal(denied.status, 'denied')
+  assert.deepEqual(denied.votes.map(vote => vote.vote), ['approve', 'reject'])
+})
+
+test('waitForResolution resolves when the approval is decided', async () => {
+  const service = new ApprovalService()
+  const approval = await service.createApproval('agent.action', { summary: 'deploy' })
+
+  const waiting = service.waitForResolution(approval.id, 5000)
+  await service.reject(approval.id)
+
+  const resolved = await waiting
+  assert.equal(resolved.status, 'denied')
+  assert.equal(service.waiters.size, 0)
+})
+
+test('waitForResolution returns the pending approval after the timeout', async () => {
+  const service = new ApprovalService()
+  const approval = await service.createApproval('agent.action', { summary: 'deploy' })
+
+  const result = await service.waitForResolution(approval.id, 10)
+  assert.equal(result.status, 'pending')
+  assert.equal(service.waiters.size, 0)
+})
+
+test('createApproval uses the configured TTL for the approval type', async () => {
+  const service = new ApprovalService({ ttlSeconds: { default: 600, 'terminal.command': 30 } })
+
+  const before = Date.now()
+  const command = await service.createApproval('terminal.command', { command: 'ls' })
+  const other = await service.createApproval('file.write', { paths: ['a.txt'] })
+
+  const commandTtl = Date.parse(command.expiresAt) - before
+  const otherTtl = Date.parse(other.expiresAt) - before
+  assert.ok(commandTtl >= 29_000 && commandTtl <= 31_000)
+  assert.ok(otherTtl >= 599_000 && otherTtl <= 601_000)
+})
+
+test('sweep expires overdue approvals and broadcasts approval.expired', async () => {
+  const service = new ApprovalService()
+  const events = []
+  service.setWebSocketManager({ broadcast: data => events.push(data.type) })
+
+  const approval = await service.createApproval('agent.action', { summary: 'deploy' })
+  approval.expiresAt = new Date(Date.now() - 1000).toISOString()
+  events.length = 0
+
+  await service.sweep()
+
+  assert.equal(approval.status, 'denied')
+  assert.equal(approval.deniedReason, 'expired')
+  assert.deepEqual(events, ['approval.expired', 'approval.updated'])
+})
@@ -0,0 +1,279 @@
+/**
+ * File Service
+ * Read-only view of the files in a discovered project: directory listings with
+ * size, mtime and git status, and file contents with a language hint.
+ *
+ * Every requested path is relative to the project root and is resolved through
+ * symlinks before use; anything that ends up outside the root (`..`, absolute
+ * paths, links pointing elsewhere) is refused, as is anything in a `.git`
+ * directory. Files larger than the read limit are returned truncated; binary
+ * files are reported without content.
+ */
+
+import { lstat, open, readdir, realpath, stat } from 'node:fs/promises'
+import path from 'node:path'
+
+const DEFAULT_MAX_READ_BYTES = 1024 * 1024
+const DEFAULT_MAX_ENTRIES = 1000
+
+// Same heuristic as git: a NUL byte in the first 8000 bytes means binary.
+const BINARY_SNIFF_BYTES = 8000
+
+const LANGUAGE_BY_EXTENSION = {
+  '.c': 'c',
+  '.h': 'c',
+  '.cc': 'cpp',
+  '.cpp': 'cpp',
+  '.hpp': 'cpp',
+  '.cs': 'csharp',
+  '.css': 'css',
+  '.scss': 'scss',
+  '.dart': 'dart',
+  '.ex': 'elixir',
+  '.exs': 'elixir',
+  '.go': 'go',
+  '.gradle': 'groovy',
+  '.html': 'html',
+  '.java': 'java',
+  '.js': 'javascript',
+  '.cjs': 'javascript',
+  '.mjs': 'javascript',
+  '.jsx': 'javascript',
+  '.json': 'json',
+  '.kt': 'kotlin',
+  '.kts': 'kotlin',
+  '.lua': 'lua',
+  '.md': 'markdown',
+  '.mdx': 'markdown',
+  '.php': 'php',
+  '.py': 'python',
+  '.rb': 'ruby',
+  '.rs': 'rust',
+  '.sh': 'shell',
+  '.bash': 'shell',
+  '.zsh': 'shell',
+  '.sql': 'sql',
+  '.svelte': 'svelte',
+  '.swift': 'swift',
+  '.toml': 'toml',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.vue': 'vue',
+  '.xml': 'xml',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+}
+
+const LANGUAGE_BY_NAME = {
+  Dockerfile: 'dockerfile',
+  Makefile: 'makefile',
+  Gemfile: 'ruby',
+  Rakefile: 'ruby',
+  'go.mod': 'go',
+  '.gitignore': 'ignore',
+  '.navisignore': 'ignore',
+}
+
+/**
+ * Language hint for a file, from its name or extension.
+ */
+export function languageFor(filePath) {
+  const name = path.basename(filePath)
+  if (LANGUAGE_BY_NAME[name]) return LANGUAGE_BY_NAME[name]
+  if (name.startsWith('Dockerfile.')) return 'dockerfile'
+  return LANGUAGE_BY_EXTENSION[path.extname(name).toLowerCase()] || null
+}
+
+export function isBinary(buffer) {
+  return buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0)
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target)
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative))
+}
+
+function toPosix(relative) {
+  return relative.split(path.sep).join('/')
+}
+
+function entryType(dirent, stats) {
+  if (dirent.isSymbolicLink()) return 'symlink'
+  if (stats.isDirectory()) return 'directory'
+  if (stats.isFile()) return 'file'
+  return 'other'
+}
+
+export class FileService {
+  constructor({ gitService, maxReadBytes = DEFAULT_MAX_READ_BYTES, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.gitService = gitService || null
+    this.maxReadBytes = maxReadBytes
+    this.maxEntries = maxEntries
+  }
+
+  async initialize() {
+    console.log('📂 File service initialized')
+  }
+
+  /**
+   * Resolve a project-relative path to a real path inside the project.
+   * @returns {Promise<{ root: string, absolute: string, path: string }>}
+   */
+  async resolvePath(project, requested = '') {
+    const value = String(requested ?? '')
+    if (value.includes('\0') || path.isAbsolute(value)) {
+      throw new Error('Path is outside the project')
+    }
+
+    let root
+    try {
+      root = await realpath(project.path)
+    } catch {
+      throw new Error('Project directory not found')
+    }
+
+    const lexical = path.resolve(root, value)
+    if (!isInside(root, lexical)) {
+      throw new Error('Path is outside the project')
+    }
+
+    let absolute
+    try {
+      absolute = await realpath(lexical)
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') throw new Error('File not found')
+      throw error
+    }
+    if (!isInside(root, absolute)) {
+      throw new Error('Path is outside the project')
+    }
+
+    const relative = toPosix(path.relative(root, absolute))
+    if (relative.split('/').includes('.git')) {
+      throw new Error('Path is outside the project')
+    }
+    return { root, absolute, path: relative }
+  }
+
+  /**
+   * Entries of a directory (directories first, then by name) with git status.
+   * A directory's `git` status is `modified` when anything under it changed.
+   */
+  async listDirectory(project, requested = '') {
+    const { root, absolute, path: relative } = await this.resolvePath(project, requested)
+    const stats = await stat(absolute)
+    if (!stats.isDirectory()) {
+      throw new Error('Not a directory')
+    }
+
+    const dirents = (await readdir(absolute, { withFileTypes: true }))
+      .filter(dirent => dirent.name !== '.git')
+      .sort((a, b) => Number(b.isDirectory()) - Number(a.isDirectory()) || a.name.localeCompare(b.name))
+    const truncated = dirents.length > this.maxEntries
+    const git = await this.gitChanges(root)
+
+    const entries = []
+    for (const dirent of dirents.slice(0, this.maxEntries)) {
+      const entryPath = relative ? `${relative}/${dirent.name}` : dirent.name
+      const entryAbsolute = path.join(absolute, dirent.name)
+      let entryStats
+      try {
+        // Symlinks are described by their target while it is inside the
+        // project (following one is resolvePath's job); links pointing
+        // elsewhere only by the link itself.
+        entryStats = dirent.isSymbolicLink() && !isInside(root, await realpath(entryAbsolute))
+          ? await lstat(entryAbsolute)
+          : await stat(entryAbsolute)
+      } catch {
+        // dangling symlink or removed while listing
+        continue
+      }
+      const type = entryType(dirent, entryStats)
+      entries.push({
+        name: dirent.name,
+        path: entryPath,
+        type,
+        size: entryStats.isDirectory() ? null : entryStats.size,
+        mtime: entryStats.mtime.toISOString(),
+        git: git ? this.gitStatusFor(git, entryPath, entryStats.isDirectory()) : null,
+      })
+    }
+
+    return {
+      path: relative,
+      repository: Boolean(git),
+      entries,
+      truncated,
+    }
+  }
+
+  /**
+   * Contents of a text file, or metadata only for binary files.
+   */
+  async readFile(project, requested, { maxBytes = this.maxReadBytes } = {}) {
+    if (!requested) {
+      throw new Error('Not a file')
+    }
+    const { absolute, path: relative } = await this.resolvePath(project, requested)
+    // Checked before opening: opening a FIFO for reading would block.
+    if (!(await stat(absolute)).isFile()) {
+      throw new Error('Not a file')
+    }
+
+    const handle = await open(absolute, 'r')
+    try {
+      const stats = await handle.stat()
+
+      const length = Math.min(stats.size, maxBytes)
+      const buffer = Buffer.alloc(length)
+      const { bytesRead } = await handle.read(buffer, 0, length, 0)
+      const data = buffer.subarray(0, bytesRead)
+      const binary = isBinary(data)
+
+      return {
+        path: relative,
+        size: stats.size,
+        mtime: stats.mtime.toISOString(),
+        language: binary ? null : languageFor(relative),
+        binary,
+        truncated: !binary && stats.size > bytesRead,
+        encoding: binary ? null : 'utf-8',
+        content: binary ? null : new TextDecoder('utf-8').decode(data),
+      }
+    } finally {
+      await handle.close()
+    }
+  }
+
+  /**
+   * Changed files keyed by path relative to `root`, or null outside a repository.
+   */
+  async gitChanges(root) {
+    if (!this.gitService) return null
+    let toplevel
+    let status
+    try {
+      toplevel = (await this.gitService.git(root, ['rev-parse', '--show-toplevel'])).trim()
+      status = await this.gitService.getStatus(root)
+    } catch {
+      return null
+    }
+
+    // Status paths are relative to the repository root, which may be above the project.
+    const prefix = toPosix(path.relative(toplevel, root))
+    const changes = new Map()
+    for (const file of status.files) {
+      if (prefix && !file.path.startsWith(`${prefix}/`)) continue
+      changes.set(prefix ? file.path.slice(prefix.length + 1) : file.path, file.status)
+    }
+    return changes
+  }
+
+  gitStatusFor(changes, entryPath, isDirectory) {
+    if (!isDirectory) return changes.get(entryPath) || null
+    for (const changed of changes.keys()) {
+      if (changed.startsWith(`${entryPath}/`)) return 'modified'
+    }
+    return null
+  }
+}
@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict'
+import { execFileSync } from 'node:child_process'
+import { mkdir, mkdtemp, rm, symlink, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import test from 'node:test'
+import { FileService, languageFor } from './files.js'
+import { GitService } from './git.js'
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Navis Test',
+  GIT_AUTHOR_EMAIL: 'test@navis.local',
+  GIT_COMMITTER_NAME: 'Navis Test',
+  GIT_COMMITTER_EMAIL: 'test@navis.local',
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_CONFIG_GLOBAL: '/dev/null',
+}
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, env: GIT_ENV, encoding: 'utf-8' })
+}
+
+async function createProject() {
+  const dir = await mkdtemp(join(tmpdir(), 'navis-files-'))
+  const root = join(dir, 'repo')
+  await mkdir(join(root, 'src', 'lib'), { recursive: true })
+  await writeFile(join(root, 'README.md'), '# demo\n')
+  await writeFile(join(root, 'src', 'index.js'), 'export {}\n')
+  await writeFile(join(root, 'src', 'lib', 'util.ts'), 'export const x = 1\n')
+  git(dir, 'init', '--quiet', '--initial-branch=main', 'repo')
+  git(root, 'add', '.')
+  git(root, 'commit', '--quiet', '-m', 'Initial commit')
+  await writeFile(join(dir, 'secret.txt'), 'outside\n')
+  return { dir, root, project: { id: 'project_1', path: root } }
+}
+
+test('languageFor recognizes extensions and well-known file names', () => {
+  assert.equal(languageFor('src/app.tsx'), 'typescript')
+  assert.equal(languageFor('lib/Server.JAVA'), 'java')
+  assert.equal(languageFor('Dockerfile.dev'), 'dockerfile')
+  assert.equal(languageFor('Makefile'), 'makefile')
+  assert.equal(languageFor('LICENSE'), null)
+})
+
+test('directory listings carry size, mtime and git status', async () => {
+  const { dir, root, project } = await createProject()
+  const files = new FileService({ gitService: new GitService() })
+
+  try {
+    await writeFile(join(root, 'src', 'lib', 'util.ts'), 'export const x = 2\n')
+    await writeFile(join(root, 'notes.txt'), 'todo\n')
+
+    const top = await files.listDirectory(project)
+    assert.equal(top.path, '')
+    assert.equal(top.repository, true)
+    assert.deepEqual(top.entries.map(entry => [entry.name, entry.type, entry.git]), [
+      ['src', 'directory', 'modified'],
+      ['notes.txt', 'file', 'untracked'],
+      ['README.md', 'file', null],
+    ])
+    assert.equal(top.entries[2].size, 7)
+    assert.ok(!Number.isNaN(Date.parse(top.entries[2].mtime)))
+
+    const nested = await files.listDirectory(project, 'src/lib')
+    assert.deepEqual(nested.entries.map(entry => [entry.path, entry.git]), [['src/lib/util.ts', 'modified']])
+
+    const plain = await new FileService().listDirectory(project, 'src')
+    assert.equal(plain.repository, false)
+    assert.deepEqual(plain.entries.map(entry => entry.git), [null, null])
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('paths that escape the project are refused', async () => {
+  const { dir, root, project } = await createProject()
+  const files = new FileService()
+
+  try {
+    await symlink(join(dir, 'secret.txt'), join(root, 'leak.txt'))
+    await symlink(dir, join(root, 'parent'))
+    await symlink(join(root, 'src'), join(root, 'source'))
+
+    for (const requested of ['../secret.txt', 'src/../../secret.txt', join(dir, 'secret.txt'), 'leak.txt', 'parent/secret.txt', '.git/config']) {
+      await assert.rejects(files.readFile(project, requested), /Path is outside the project/, requested)
+    }
+    await assert.rejects(files.listDirectory(project, 'parent'), /Path is outside the project/)
+    await assert.rejects(files.readFile(project, 'missing.txt'), /File not found/)
+    await assert.rejects(files.readFile(project, 'src'), /Not a file/)
+    await assert.rejects(files.listDirectory(project, 'README.md'), /Not a directory/)
+
+    // Links that stay inside the project resolve to their target.
+    const linked = await files.readFile(project, 'source/index.js')
+    assert.equal(linked.path, 'src/index.js')
+    assert.equal(linked.content, 'export {}\n')
+
+    const listed = await files.listDirectory(project)
+    assert.ok(!listed.entries.some(entry => entry.name === '.git'))
+    assert.deepEqual(
+      listed.entries.filter(entry => entry.type === 'symlink').map(entry => entry.name),
+      ['leak.txt', 'parent', 'source']
+    )
+    // Links out of the project do not report their target's metadata.
+    const leak = listed.entries.find(entry => entry.name === 'leak.txt')
+    const parent = listed.entries.find(entry => entry.name === 'parent')
+    assert.equal(leak.size, join(dir, 'secret.txt').length)
+    assert.equal(parent.size, dir.length)
+    assert.equal(listed.entries.find(entry => entry.name === 'source').size, null)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('file contents are size-limited and binaries are not returned', async () => {
+  const { dir, root, project } = await createProject()
+  const files = new FileService({ maxReadBytes: 16 })
+
+  try {
+    const text = await files.readFile(project, 'src/lib/util.ts')
+    assert.equal(text.language, 'typescript')
+    assert.equal(text.binary, false)
+    assert.equal(text.truncated, true)
+    assert.equal(text.size, 19)
+    assert.equal(text.content, 'export const x =')
+
+    await writeFile(join(root, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]))
+    const binary = await files.readFile(project, 'logo.png')
+    assert.equal(binary.binary, true)
+    assert.equal(binary.content, null)
+    assert.equal(binary.size, 6)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,131 @@
+/**
+ * Git Action Service
+ * Git write operations a paired device can request for a project: commit,
+ * create/switch branch, stash push/pop and push to an allow-listed remote.
+ *
+ * A request is validated and turned into a fixed `git` argv, then filed as a
+ * `git.<action>` approval through ApprovalCommandRunner (./approval-command.js).
+ * Nothing runs until the approval is granted (by a device or by policy); the
+ * command then runs as a terminal session (no shell, no prompts) so its output
+ * streams on the session's WebSocket channel. Progress is broadcast as
+ * `git.action` on the `projects` channel.
+ */
+
+import { ApprovalCommandRunner, requireString } from './approval-command.js'
+
+export const GIT_ACTIONS = ['commit', 'branch', 'stash', 'push']
+
+export const DEFAULT_ALLOWED_REMOTES = ['origin']
+
+const MAX_MESSAGE_LENGTH = 10000
+
+export class GitActionService {
+  constructor({ gitService, approvalService, sessionService, allowedRemotes = DEFAULT_ALLOWED_REMOTES, onEvent } = {}) {
+    this.gitService = gitService
+    this.approvalService = approvalService
+    this.sessionService = sessionService
+    this.allowedRemotes = allowedRemotes
+    this.runner = new ApprovalCommandRunner({ namespace: 'git', approvalService, sessionService, onEvent })
+  }
+
+  /**
+   * Validate a requested action and build its git argv.
+   * @returns {Promise<{ params: Object, args: string[] }>}
+   */
+  async prepare(project, action, input = {}) {
+    switch (action) {
+      case 'commit': {
+        const message = requireString(input.message, 'Commit message', MAX_MESSAGE_LENGTH)
+        const all = input.all === true
+        return {
+          params: { message, all },
+          args: ['commit', ...(all ? ['--all'] : []), '--message', message],
+        }
+      }
+
+      case 'branch': {
+        const name = await this.checkBranchName(project, input.name)
+        const create = input.create === true
+        return {
+          params: { name, create },
+          args: ['switch', ...(create ? ['--create'] : []), name],
+        }
+      }
+
+      case 'stash': {
+        const operation = input.operation || 'push'
+        if (operation === 'pop') {
+          return { params: { operation }, args: ['stash', 'pop'] }
+        }
+        if (operation !== 'push') {
+          throw new Error('Stash operation must be push or pop')
+        }
+        const message = input.message ? requireString(input.message, 'Stash message', 1000) : null
+        const includeUntracked = input.includeUntracked === true
+        return {
+          params: { operation, message, includeUntracked },
+          args: [
+            'stash',
+            'push',
+            ...(includeUntracked ? ['--include-untracked'] : []),
+            ...(message ? ['--message', message] : []),
+          ],
+        }
+      }
+
+      case 'push': {
+        const remote = input.remote || this.allowedRemotes[0]
+        if (!this.allowedRemotes.includes(remote)) {
+          throw new Error(`Remote ${remote} is not allowed (allowed: ${this.allowedRemotes.join(', ') || 'none'})`)
+        }
+        const remotes = (await this.gitService.git(project.path, ['remote'])).split('\n').filter(Boolean)
+        if (!remotes.includes(remote)) {
+          throw new Error(`Remote ${remote} does not exist`)
+        }
+
+        const status = await this.gitService.getStatus(project.path)
+        const branch = await this.checkBranchName(project, input.branch || status.branch)
+        const setUpstream = input.setUpstream === true
+        return {
+          params: { remote, branch, setUpstream },
+          args: ['push', ...(setUpstream ? ['--set-upstream'] : []), remote, branch],
+        }
+      }
+
+      default:
+        throw new Error(`Unknown git action: ${action}`)
+    }
+  }
+
+  async checkBranchName(project, name) {
+    const branch = requireString(name, 'Branch name')
+    if (branch.startsWith('-')) {
+      throw new Error('Invalid branch name')
+    }
+    try {
+      await this.gitService.git(project.path, ['check-ref-format', '--branch', branch])
+    } catch (error) {
+      if (error.message === 'Not a git repository') throw error
+      throw new Error('Invalid branch name')
+    }
+    return branch
+  }
+
+  /**
+   * File an approval for an action. Resolves with the approval as created
+   * (it may already be resolved by policy); the command runs once approved.
+   */
+  async request(project, action, input = {}) {
+    if (!this.approvalService || !this.sessionService) {
+      throw new Error('Git actions are unavailable')
+    }
+    const { params, args } = await this.prepare(project, action, input)
+    // No shell and no credential prompts: a prompt would hang the session.
+    return this.runner.request(project, action, {
+      params,
+      command: 'git',
+      args,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+    })
+  }
+}
@@ -0,0 +1,162 @@
+import assert from 'node:assert/strict'
+import { execFileSync } from 'node:child_process'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import test from 'node:test'
+import { ApprovalService } from './approval.js'
+import { GitActionService } from './git-actions.js'
+import { GitService } from './git.js'
+import { SessionService } from './session.js'
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_CONFIG_GLOBAL: '/dev/null',
+}
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, env: GIT_ENV, encoding: 'utf-8' })
+}
+
+async function createProject() {
+  const dir = await mkdtemp(join(tmpdir(), 'navis-git-actions-'))
+  const repo = join(dir, 'repo')
+  git(dir, 'init', '--quiet', '--initial-branch=main', 'repo')
+  // Actions run with the daemon's environment, so the identity lives in the repo.
+  git(repo, 'config', 'user.name', 'Navis Test')
+  git(repo, 'config', 'user.email', 'test@navis.local')
+  await writeFile(join(repo, 'README.md'), '# demo\n')
+  git(repo, 'add', '.')
+  git(repo, 'commit', '--quiet', '-m', 'Initial commit')
+  return { dir, project: { id: 'project_1', path: repo } }
+}
+
+function createActions(options = {}) {
+  const events = []
+  const waiters = []
+  const approvalService = new ApprovalService()
+  const sessionService = new SessionService()
+  const actions = new GitActionService({
+    gitService: new GitService(),
+    approvalService,
+    sessionService,
+    onEvent: event => {
+      events.push(event)
+      for (const waiter of [...waiters]) {
+        if (waiter.predicate(event)) {
+          waiters.splice(waiters.indexOf(waiter), 1)
+          clearTimeout(waiter.timer)
+          waiter.resolve(event)
+        }
+      }
+    },
+    ...options,
+  })
+  // Resolves with the first event from now on that matches
+  const next = predicate =>
+    new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('No matching git.action event')), 5000)
+      waiters.push({ predicate, resolve, timer })
+    })
+  return { actions, approvalService, sessionService, events, next }
+}
+
+test('actions are validated before an approval is filed', async () => {
+  const { dir, project } = await createProject()
+  const { actions, approvalService } = createActions()
+
+  try {
+    await assert.rejects(actions.request(project, 'commit', { message: '  ' }), /Commit message is required/)
+    await assert.rejects(actions.request(project, 'branch', { name: 'bad..name' }), /Invalid branch name/)
+    await assert.rejects(actions.request(project, 'branch', { name: '--force' }), /Invalid branch name/)
+    await assert.rejects(actions.request(project, 'stash', { operation: 'drop' }), /push or pop/)
+    await assert.rejects(actions.request(project, 'push', { remote: 'upstream' }), /not allowed/)
+    await assert.rejects(actions.request(project, 'push', { remote: 'origin' }), /does not exist/)
+    await assert.rejects(actions.request(project, 'rebase'), /Unknown git action/)
+    assert.equal((await approvalService.listApprovals()).total, 0)
+
+    assert.deepEqual((await actions.prepare(project, 'stash', { includeUntracked: true, message: 'wip' })).args, [
+      'stash', 'push', '--include-untracked', '--message', 'wip',
+    ])
+    assert.deepEqual((await actions.prepare(project, 'branch', { name: 'feature/x', create: true })).args, [
+      'switch', '--create', 'feature/x',
+    ])
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('an approved commit runs as a session linked to its approval', async () => {
+  const { dir, project } = await createProject()
+  const { actions, approvalService, sessionService, events, next } = createActions()
+
+  try {
+    await writeFile(join(project.path, 'README.md'), '# demo\n\nMore.\n')
+
+    const approval = await actions.request(project, 'commit', { message: 'Update readme', all: true })
+    assert.equal(approval.type, 'git.commit')
+    assert.equal(approval.status, 'pending')
+    const payload = JSON.parse(approval.payload)
+    assert.equal(payload.projectId, 'project_1')
+    assert.equal(payload.command, 'git commit --all --message "Update readme"')
+
+    // Nothing runs until a device approves.
+    assert.deepEqual(events.map(event => event.status), ['pending'])
+    assert.equal(git(project.path, 'log', '-1', '--format=%s').trim(), 'Initial commit')
+
+    const completed = next(event => event.status === 'completed' || event.status === 'failed')
+    await approvalService.approve(approval.id, { deviceId: 'device_1' })
+    const done = await completed
+
+    assert.equal(done.status, 'completed')
+    assert.equal(done.exitCode, 0)
+    assert.deepEqual(events.map(event => event.status), ['pending', 'running', 'completed'])
+    assert.equal(git(project.path, 'log', '-1', '--format=%s').trim(), 'Update readme')
+
+    const session = await sessionService.getSession(done.sessionId)
+    assert.equal(session.approvalId, approval.id)
+    assert.equal(sessionService.toSummary(session).approvalId, approval.id)
+    assert.match((await sessionService.getScrollback(session.id)).data, /Update readme/)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('rejected actions never run', async () => {
+  const { dir, project } = await createProject()
+  const { actions, approvalService, sessionService, next } = createActions()
+
+  try {
+    const approval = await actions.request(project, 'branch', { name: 'feature/x', create: true })
+    const denied = next(event => event.status === 'denied')
+    await approvalService.reject(approval.id, { deviceId: 'device_1' })
+
+    assert.equal((await denied).reason, 'rejected')
+    assert.deepEqual((await sessionService.listSessions()).sessions, [])
+    assert.equal(git(project.path, 'branch', '--list', 'feature/x'), '')
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('pushes go to an allow-listed remote that exists', async () => {
+  const { dir, project } = await createProject()
+  const remote = join(dir, 'remote.git')
+  git(dir, 'init', '--quiet', '--bare', remote)
+  git(project.path, 'remote', 'add', 'origin', remote)
+  const { actions, approvalService, next } = createActions({ allowedRemotes: ['origin'] })
+
+  try {
+    const approval = await actions.request(project, 'push', { setUpstream: true })
+    assert.equal(JSON.parse(approval.payload).command, 'git push --set-upstream origin main')
+
+    const finished = next(event => event.status === 'completed' || event.status === 'failed')
+    await approvalService.approve(approval.id, { deviceId: 'device_1' })
+
+    assert.equal((await finished).status, 'completed')
+    assert.equal(git(remote, 'rev-parse', 'main'), git(project.path, 'rev-parse', 'HEAD'))
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,317 @@
+/**
+ * Git Service
+ * Read-only view of a project's git repository: branch and upstream state,
+ * local branches, dirty files, recent commits and per-file diff summaries.
+ *
+ * Everything is read by running the `git` CLI (runGit in @navisai/core/git)
+ * with porcelain/machine-readable output (no optional locks, so it never
+ * contends with a user's own git).
+ *
+ * Commit message templates combine the staged diff, recent subjects and the
+ * project's workspace packages (see @navisai/core/commit-template).
+ *
+ * Repositories whose status was requested are watched: when something in
+ * `.git` changes (commit, checkout, staging, fetch) the status is re-read and,
+ * if the summary changed, `onChange(projectId, summary)` is called so the
+ * daemon can broadcast `project.updated`.
+ */
+
+import { watch } from 'node:fs'
+import path from 'node:path'
+import { readCommitTemplate } from '@navisai/core/commit-template'
+import { EMPTY_TREE, parseDiff, runGit, STATUS_NAMES } from '@navisai/core/git'
+import { logger } from '@navisai/logging'
+
+const DEFAULT_LOG_LIMIT = 20
+const MAX_LOG_LIMIT = 200
+const MAX_WATCHED_REPOSITORIES = 100
+const WATCH_DEBOUNCE_MS = 300
+
+const FIELD = '\x1f'
+const RECORD = '\x1e'
+
+/**
+ * One file status from the two-letter porcelain XY code.
+ */
+function fileStatus(xy) {
+  if (xy.includes('U') || xy === 'AA' || xy === 'DD') return 'conflicted'
+  const code = xy[0] !== '.' ? xy[0] : xy[1]
+  return STATUS_NAMES[code] || 'modified'
+}
+
+/**
+ * Parse `git status --porcelain=v2 --branch -z`.
+ */
+export function parseStatus(output) {
+  const status = {
+    head: null,
+    branch: null,
+    detached: false,
+    upstream: null,
+    ahead: 0,
+    behind: 0,
+    files: [],
+  }
+
+  const records = output.split('\0')
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i]
+    if (!record) continue
+
+    if (record.startsWith('# ')) {
+      const [key, ...rest] = record.slice(2).split(' ')
+      const value = rest.join(' ')
+      if (key === 'branch.oid') {
+        status.head = value === '(initial)' ? null : value
+      } else if (key === 'branch.head') {
+        status.detached = value === '(detached)'
+        status.branch = status.detached ? null : value
+      } else if (key === 'branch.upstream') {
+        status.upstream = value
+      } else if (key === 'branch.ab') {
+        const match = value.match(/^\+(\d+) -(\d+)$/)
+        if (match) {
+          status.ahead = Number(match[1])
+          status.behind = Number(match[2])
+        }
+      }
+      continue
+    }
+
+    const kind = record[0]
+    if (kind === '?' || kind === '!') {
+      status.files.push({
+        path: record.slice(2),
+        index: null,
+        worktree: null,
+        status: kind === '?' ? 'untracked' : 'ignored',
+        staged: false,
+      })
+      continue
+    }
+
+    // 1 XY sub mH mI mW hH hI path
+    // 2 XY sub mH mI mW hH hI Xscore path \0 origPath
+    // u XY sub m1 m2 m3 mW h1 h2 h3 path
+    const fieldCount = { 1: 8, 2: 9, u: 10 }[kind]
+    if (!fieldCount) continue
+    const fields = record.split(' ')
+    const xy = fields[1]
+    const file = {
+      path: fields.slice(fieldCount).join(' '),
+      index: xy[0] === '.' ? null : xy[0],
+      worktree: xy[1] === '.' ? null : xy[1],
+      status: fileStatus(xy),
+      staged: kind !== 'u' && xy[0] !== '.',
+    }
+    if (kind === '2') {
+      file.oldPath = records[++i]
+    }
+    status.files.push(file)
+  }
+
+  return status
+}
+
+/**
+ * Parse `git log` output written with the FIELD/RECORD separators.
+ */
+export function parseLog(output) {
+  return output
+    .split(RECORD)
+    .map(record => record.replace(/^\n/, ''))
+    .filter(Boolean)
+    .map(record => {
+      const [sha, shortSha, authorName, authorEmail, date, subject, parents] = record.split(FIELD)
+      return {
+        sha,
+        shortSha,
+        author: { name: authorName, email: authorEmail },
+        date,
+        subject,
+        parents: parents ? parents.split(' ') : [],
+      }
+    })
+}
+
+export class GitService {
+  constructor({ gitBinary = 'git', onChange, debounceMs = WATCH_DEBOUNCE_MS } = {}) {
+    this.gitBinary = gitBinary
+    this.onChange = onChange || null
+    this.debounceMs = debounceMs
+    this.watchers = new Map()
+  }
+
+  async initialize() {
+    console.log('🌿 Git service initialized')
+  }
+
+  async git(cwd, args) {
+    return runGit(cwd, args, { gitBinary: this.gitBinary })
+  }
+
+  /**
+   * Branch, upstream, ahead/behind, local branches and dirty files.
+   */
+  async getStatus(repoPath) {
+    const [statusOutput, branchOutput] = await Promise.all([
+      this.git(repoPath, ['status', '--porcelain=v2', '--branch', '-z', '--untracked-files=all']),
+      this.git(repoPath, [
+        'for-each-ref',
+        'refs/heads',
+        `--format=%(refname:short)${FIELD}%(HEAD)${FIELD}%(upstream:short)${FIELD}%(objectname)`,
+      ]),
+    ])
+    const status = parseStatus(statusOutput)
+    const branches = branchOutput
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const [name, current, upstream, sha] = line.split(FIELD)
+        return { name, current: current === '*', upstream: upstream || null, sha }
+      })
+
+    return {
+      ...status,
+      clean: status.files.length === 0,
+      branches,
+    }
+  }
+
+  /**
+   * Most recent commits on HEAD (or `ref`), newest first.
+   */
+  async getLog(repoPath, { limit = DEFAULT_LOG_LIMIT, ref } = {}) {
+    const count = Math.min(Math.max(parseInt(limit) || DEFAULT_LOG_LIMIT, 1), MAX_LOG_LIMIT)
+    if (ref && ref.startsWith('-')) {
+      throw new Error('Invalid ref')
+    }
+    if (!ref && !(await this.hasCommits(repoPath))) {
+      return { commits: [] }
+    }
+
+    const format = ['%H', '%h', '%an', '%ae', '%aI', '%s', '%P'].join(FIELD) + RECORD
+    const output = await this.git(repoPath, [
+      'log',
+      `--max-count=${count}`,
+      `--format=${format}`,
+      ...(ref ? [ref] : []),
+      '--',
+    ])
+    return { commits: parseLog(output) }
+  }
+
+  /**
+   * Per-file line counts for uncommitted changes.
+   * By default compares the working tree with HEAD (staged and unstaged
+   * changes); `staged` limits it to the index. `ref` replaces HEAD as the base.
+   */
+  async getDiff(repoPath, { staged = false, ref } = {}) {
+    if (ref && ref.startsWith('-')) {
+      throw new Error('Invalid ref')
+    }
+    const base = ref || ((await this.hasCommits(repoPath)) ? 'HEAD' : EMPTY_TREE)
+    const diff = format =>
+      this.git(repoPath, ['diff', format, '-M', '-z', ...(staged ? ['--cached'] : []), base, '--'])
+
+    const [numstat, nameStatus] = await Promise.all([diff('--numstat'), diff('--name-status')])
+    return { base, staged, ...parseDiff(numstat, nameStatus) }
+  }
+
+  /**
+   * Commit message template for what is staged (see readCommitTemplate in
+   * @navisai/core/commit-template), read through this service's git runner.
+   */
+  async getCommitTemplate(repoPath, { scopes } = {}) {
+    return readCommitTemplate(repoPath, { scopes, git: (cwd, args) => this.git(cwd, args) })
+  }
+
+  async hasCommits(repoPath) {
+    try {
+      await this.git(repoPath, ['rev-parse', '--verify', '--quiet', 'HEAD'])
+      return true
+    } catch (error) {
+      if (error.message === 'Not a git repository') throw error
+      return false
+    }
+  }
+
+  /**
+   * Compact status for `project.updated` payloads.
+   */
+  summarize(status) {
+    return {
+      head: status.head,
+      branch: status.branch,
+      detached: status.detached,
+      upstream: status.upstream,
+      ahead: status.ahead,
+      behind: status.behind,
+      dirty: status.files.length,
+    }
+  }
+
+  /**
+   * Watch a project's `.git` directory and report summary changes through onChange.
+   */
+  async watch(project, status) {
+    if (!this.onChange || this.watchers.has(project.id)) return
+
+    let gitDir
+    try {
+      gitDir = path.resolve(project.path, (await this.git(project.path, ['rev-parse', '--git-dir'])).trim())
+    } catch {
+      return
+    }
+
+    // Drop the oldest watch once the cap is reached.
+    if (this.watchers.size >= MAX_WATCHED_REPOSITORIES) {
+      const [oldestId] = this.watchers.keys()
+      this.unwatch(oldestId)
+    }
+
+    const entry = { watcher: null, timer: null, summary: JSON.stringify(this.summarize(status)) }
+    try {
+      entry.watcher = watch(gitDir, { persistent: false }, (eventType, filename) => {
+        // Lock files come and go during every git command.
+        if (filename?.endsWith('.lock')) return
+        clearTimeout(entry.timer)
+        entry.timer = setTimeout(() => this.refresh(project), this.debounceMs)
+      })
+      entry.watcher.on('error', () => this.unwatch(project.id))
+    } catch (error) {
+      logger.warn('Could not watch git directory', { path: gitDir, error: error.message })
+      return
+    }
+    this.watchers.set(project.id, entry)
+  }
+
+  async refresh(project) {
+    const entry = this.watchers.get(project.id)
+    if (!entry) return
+
+    try {
+      const summary = this.summarize(await this.getStatus(project.path))
+      const serialized = JSON.stringify(summary)
+      if (serialized === entry.summary) return
+      entry.summary = serialized
+      await this.onChange(project.id, summary)
+    } catch (error) {
+      logger.warn('Git refresh failed', { path: project.path, error: error.message })
+    }
+  }
+
+  unwatch(projectId) {
+    const entry = this.watchers.get(projectId)
+    if (!entry) return
+    clearTimeout(entry.timer)
+    entry.watcher?.close()
+    this.watchers.delete(projectId)
+  }
+
+  stop() {
+    for (const projectId of [...this.watchers.keys()]) {
+      this.unwatch(projectId)
+    }
+  }
+}
@@ -0,0 +1,271 @@
+import assert from 'node:assert/strict'
+import { execFileSync } from 'node:child_process'
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import test from 'node:test'
+import { buildCommitTemplate } from '@navisai/core/commit-template'
+import { parseDiff } from '@navisai/core/git'
+import { GitService, parseStatus } from './git.js'
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Navis Test',
+  GIT_AUTHOR_EMAIL: 'test@navis.local',
+  GIT_COMMITTER_NAME: 'Navis Test',
+  GIT_COMMITTER_EMAIL: 'test@navis.local',
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_CONFIG_GLOBAL: '/dev/null',
+}
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, env: GIT_ENV, encoding: 'utf-8' })
+}
+
+async function createRepository() {
+  const dir = await mkdtemp(join(tmpdir(), 'navis-git-'))
+  const repo = join(dir, 'repo')
+  git(dir, 'init', '--quiet', '--initial-branch=main', 'repo')
+  await writeFile(join(repo, 'README.md'), '# demo\n')
+  await writeFile(join(repo, 'notes.txt'), 'one\ntwo\nthree\n')
+  git(repo, 'add', '.')
+  git(repo, 'commit', '--quiet', '-m', 'Initial commit')
+  return { dir, repo }
+}
+
+test('parseStatus reads branch headers, renames and untracked files', () => {
+  const output = [
+    '# branch.oid 1234567890abcdef',
+    '# branch.head main',
+    '# branch.upstream origin/main',
+    '# branch.ab +2 -1',
+    '1 .M N... 100644 100644 100644 aaa bbb src/app file.js',
+    '2 R. N... 100644 100644 100644 aaa bbb R100 lib/new.js',
+    'lib/old.js',
+    'u UU N... 100644 100644 100644 100644 aaa bbb ccc merge.txt',
+    '? scratch.txt',
+    '',
+  ].join('\0')
+
+  const status = parseStatus(output)
+  assert.equal(status.branch, 'main')
+  assert.equal(status.upstream, 'origin/main')
+  assert.equal(status.ahead, 2)
+  assert.equal(status.behind, 1)
+  assert.deepEqual(status.files.map(file => [file.path, file.status, file.staged]), [
+    ['src/app file.js', 'modified', false],
+    ['lib/new.js', 'renamed', true],
+    ['merge.txt', 'conflicted', false],
+    ['scratch.txt', 'untracked', false],
+  ])
+  assert.equal(status.files[1].oldPath, 'lib/old.js')
+})
+
+test('parseDiff pairs line counts with statuses, including renames and binaries', () => {
+  const summary = parseDiff(
+    ['3\t1\tsrc/a.js', '0\t0\t', 'old.js', 'new.js', '-\t-\tlogo.png', ''].join('\0'),
+    ['M', 'src/a.js', 'R100', 'old.js', 'new.js', 'A', 'logo.png', ''].join('\0')
+  )
+
+  assert.deepEqual(summary.files, [
+    { path: 'src/a.js', status: 'modified', additions: 3, deletions: 1, binary: false },
+    { path: 'new.js', status: 'renamed', oldPath: 'old.js', additions: 0, deletions: 0, binary: false },
+    { path: 'logo.png', status: 'added', additions: 0, deletions: 0, binary: true },
+  ])
+  assert.deepEqual(summary.totals, { files: 3, additions: 3, deletions: 1 })
+})
+
+test('status, log and diff describe uncommitted work in a fixture repository', async () => {
+  const { dir, repo } = await createRepository()
+  const service = new GitService()
+
+  try {
+    const clean = await service.getStatus(repo)
+    assert.equal(clean.branch, 'main')
+    assert.equal(clean.clean, true)
+    assert.deepEqual(clean.branches.map(branch => [branch.name, branch.current]), [['main', true]])
+
+    await writeFile(join(repo, 'notes.txt'), 'one\n2\nthree\nfour\n')
+    await writeFile(join(repo, 'todo.md'), '- ship\n')
+    git(repo, 'add', 'todo.md')
+    await writeFile(join(repo, 'scratch.txt'), 'tmp\n')
+
+    const dirty = await service.getStatus(repo)
+    assert.equal(dirty.clean, false)
+    assert.deepEqual(dirty.files.map(file => [file.path, file.status, file.staged]), [
+      ['notes.txt', 'modified', false],
+      ['todo.md', 'added', true],
+      ['scratch.txt', 'untracked', false],
+    ])
+
+    const diff = await service.getDiff(repo)
+    assert.equal(diff.base, 'HEAD')
+    assert.deepEqual(diff.files.map(file => [file.path, file.additions, file.deletions]), [
+      ['notes.txt', 2, 1],
+      ['todo.md', 1, 0],
+    ])
+    const staged = await service.getDiff(repo, { staged: true })
+    assert.deepEqual(staged.files.map(file => file.path), ['todo.md'])
+
+    git(repo, 'commit', '--quiet', '-am', 'Add todo list')
+    const { commits } = await service.getLog(repo, { limit: 1 })
+    assert.equal(commits.length, 1)
+    assert.equal(commits[0].subject, 'Add todo list')
+    assert.equal(commits[0].author.name, 'Navis Test')
+    assert.equal(commits[0].parents.length, 1)
+
+    await assert.rejects(service.getLog(repo, { ref: '--output=/tmp/x' }), /Invalid ref/)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('ahead/behind counts follow the upstream branch', async () => {
+  const { dir, repo } = await createRepository()
+  const clone = join(dir, 'clone')
+  git(dir, 'clone', '--quiet', repo, clone)
+  const service = new GitService()
+
+  try {
+    await writeFile(join(clone, 'local.txt'), 'local\n')
+    git(clone, 'add', '.')
+    git(clone, 'commit', '--quiet', '-m', 'Local work')
+    await writeFile(join(repo, 'remote.txt'), 'remote\n')
+    git(repo, 'add', '.')
+    git(repo, 'commit', '--quiet', '-m', 'Remote work')
+    git(clone, 'fetch', '--quiet')
+
+    const status = await service.getStatus(clone)
+    assert.equal(status.upstream, 'origin/main')
+    assert.equal(status.ahead, 1)
+    assert.equal(status.behind, 1)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('repositories without commits and plain directories are handled', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'navis-git-'))
+  const service = new GitService()
+
+  try {
+    await assert.rejects(service.getStatus(dir), /Not a git repository/)
+
+    git(dir, 'init', '--quiet', '--initial-branch=main')
+    await writeFile(join(dir, 'first.txt'), 'hello\n')
+    git(dir, 'add', '.')
+
+    const status = await service.getStatus(dir)
+    assert.equal(status.head, null)
+    assert.equal(status.branch, 'main')
+    assert.deepEqual(await service.getLog(dir), { commits: [] })
+    assert.deepEqual((await service.getDiff(dir)).files.map(file => file.path), ['first.txt'])
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('watched repositories report summary changes after a commit', async () => {
+  const { dir, repo } = await createRepository()
+  const changes = []
+  let notify
+  let timer
+  // The watcher does not keep the process alive on its own.
+  const committed = new Promise((resolve, reject) => {
+    notify = resolve
+    timer = setTimeout(() => reject(new Error('No change reported')), 5000)
+  })
+  const service = new GitService({
+    debounceMs: 20,
+    onChange: (projectId, summary) => {
+      changes.push({ projectId, summary })
+      // Staging may be reported on its own before the commit lands.
+      if (summary.dirty === 0) notify()
+    },
+  })
+
+  try {
+    const project = { id: 'project_1', path: repo }
+    const before = await service.getStatus(repo)
+    await service.watch(project, before)
+
+    await writeFile(join(repo, 'next.txt'), 'next\n')
+    git(repo, 'add', '.')
+    git(repo, 'commit', '--quiet', '-m', 'Next')
+    await committed
+
+    const last = changes.at(-1)
+    assert.equal(last.projectId, 'project_1')
+    assert.notEqual(last.summary.head, before.head)
+  } finally {
+    clearTimeout(timer)
+    service.stop()
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('buildCommitTemplate follows the conventions found in history', () => {
+  const diff = {
+    files: [{ path: 'packages/db/index.js', status: 'modified', additions: 4, deletions: 1, binary: false }],
+    totals: { files: 1, additions: 4, deletions: 1 },
+  }
+  const scopes = [{ name: 'db', path: 'packages/db' }, { name: 'daemon', path: 'apps/daemon' }]
+
+  const conventional = buildCommitTemplate({
+    diff,
+    subjects: ['fix(db): close handles', 'feat: add search', 'fix: typo', 'Merge branch main'],
+    scopes,
+  })
+  assert.equal(conventional.conventions.style, 'conventional')
+  assert.deepEqual(conventional.conventions.types, ['fix', 'feat'])
+  assert.equal(conventional.message.split('\n')[0], 'fix(db): ')
+  assert.match(conventional.message, /# Staged: 1 file changed, \+4 -1/)
+
+  const plain = buildCommitTemplate({ diff, subjects: ['Add search', 'Fix typo'], scopes })
+  assert.equal(plain.conventions.style, 'plain')
+  assert.equal(plain.message.split('\n')[0], '')
+
+  const docs = buildCommitTemplate({
+    diff: { files: [{ path: 'docs/API.md', status: 'modified', additions: 1, deletions: 0 }], totals: diff.totals },
+    subjects: ['feat: a'],
+    template: '{{header}}\n\nRefs: \n{{files}}\n',
+  })
+  assert.equal(docs.usedTemplate, true)
+  assert.equal(docs.message, 'docs: \n\nRefs: \n#   modified docs/API.md (+1 -0)\n')
+})
+
+test('commit templates use staged files, history and workspace packages', async () => {
+  const { dir, repo } = await createRepository()
+  const service = new GitService()
+
+  try {
+    await writeFile(join(repo, 'package.json'), JSON.stringify({ name: 'mono', workspaces: ['packages/*'] }))
+    for (const name of ['api', 'web']) {
+      await mkdir(join(repo, 'packages', name), { recursive: true })
+      await writeFile(join(repo, 'packages', name, 'package.json'), JSON.stringify({ name: `@mono/${name}` }))
+    }
+    git(repo, 'add', '.')
+    git(repo, 'commit', '--quiet', '-m', 'chore: set up workspace')
+    git(repo, 'commit', '--quiet', '--allow-empty', '-m', 'feat(web): empty')
+
+    await writeFile(join(repo, 'packages', 'api', 'server.js'), 'export {}\n')
+    git(repo, 'add', '.')
+
+    const template = await service.getCommitTemplate(repo)
+    assert.equal(template.conventions.style, 'conventional')
+    assert.deepEqual(template.conventions.packageScopes, ['api', 'web'])
+    assert.equal(template.type, 'feat')
+    assert.equal(template.scope, 'api')
+    assert.equal(template.message.split('\n')[0], 'feat(api): ')
+    assert.match(template.message, /added {4}packages\/api\/server\.js \(\+1 -0\)/)
+
+    await mkdir(join(repo, '.navis'))
+    await writeFile(join(repo, '.navis', 'commit-template'), '{{type}}[{{scope}}] \n# {{stats}}\n')
+    const custom = await service.getCommitTemplate(repo, {
+      scopes: [{ name: 'server', path: join(repo, 'packages', 'api') }],
+    })
+    assert.equal(custom.message, 'feat[server] \n# 1 file changed, +1 -0\n')
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
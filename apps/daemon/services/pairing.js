@@ -121,6 +121,11 @@ export class PairingService {
       this.pendingApprovals.set(approval.id, { resolve, reject, pairingToken, clientName })
     })
 
+    // The approval policy may have resolved the request already.
+    if (approval.status !== 'pending') {
+      await this.onApprovalResolved(approval)
+    }
+
     let timeoutId = null
     const timeoutPromise = new Promise((_, reject) => {
       timeoutId = setTimeout(() => {
@@ -152,6 +157,9 @@ export class PairingService {
   }
 
   async onApprovalResolved(approval) {
+    // Quorum approvals stay pending until enough devices have voted.
+    if (approval.status === 'pending') return
+
     const pending = this.pendingApprovals.get(approval.id)
     if (!pending) return
     this.pendingApprovals.delete(approval.id)
@@ -0,0 +1,220 @@
+/**
+ * Project Action Service
+ * Runnable actions for a discovered project: package.json scripts, cargo
+ * subcommands, `go test`, pytest, and make, just and Taskfile targets, offered
+ * when the project has the manifest the matching detector looks for.
+ *
+ * Like git actions, a request is validated against the project as it is on
+ * disk (the script or target must exist) and turned into a fixed argv, then
+ * filed as a `project.<action>` approval through ApprovalCommandRunner
+ * (./approval-command.js). Once approved the command runs as a terminal
+ * session linked to the approval, so its output is mirrored to devices and its
+ * exit code recorded. With `restart`, a still-running session of the same
+ * command is closed first (e.g. restarting a dev server). Progress is
+ * broadcast as `project.action` on the `projects` channel.
+ */
+
+import { access, readFile } from 'node:fs/promises'
+import path from 'node:path'
+import {
+  detectPackageManager,
+  JUSTFILES,
+  MAKEFILES,
+  parseJustfile,
+  parseMakefile,
+  parseTaskfile,
+  TASKFILES,
+} from '@navisai/discovery/detectors/tasks.js'
+import { ApprovalCommandRunner, displayCommand, requireString } from './approval-command.js'
+
+export const PROJECT_ACTIONS = ['run-script', 'cargo', 'go-test', 'pytest', 'make', 'just', 'task']
+
+export const CARGO_COMMANDS = ['build', 'check', 'test', 'run', 'clippy']
+
+const PYTHON_MANIFESTS = ['pyproject.toml', 'setup.py', 'setup.cfg', 'requirements.txt', 'Pipfile', 'pytest.ini', 'tox.ini']
+
+// Task runners whose targets are read from a file in the project
+const TASK_RUNNERS = {
+  make: { files: MAKEFILES, parse: parseMakefile, file: 'Makefile', label: 'make target' },
+  just: { files: JUSTFILES, parse: parseJustfile, file: 'justfile', label: 'just recipe' },
+  task: { files: TASKFILES, parse: parseTaskfile, file: 'Taskfile.yml', label: 'task' },
+}
+
+async function exists(filePath) {
+  try {
+    await access(filePath)
+    return true
+  } catch {
+    return false
+  }
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target)
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative))
+}
+
+export class ProjectActionService {
+  constructor({ approvalService, sessionService, onEvent } = {}) {
+    this.approvalService = approvalService
+    this.sessionService = sessionService
+    this.runner = new ApprovalCommandRunner({ namespace: 'project', approvalService, sessionService, onEvent })
+  }
+
+  /**
+   * Everything that can currently be run for a project.
+   * @returns {Promise<Array<{ action: string, name: string, command: string }>>}
+   */
+  async listActions(project) {
+    const actions = []
+    const add = (action, name, command, args) => {
+      actions.push({ action, name, command: displayCommand(command, args) })
+    }
+
+    const scripts = await this.readScripts(project)
+    if (scripts) {
+      const packageManager = await detectPackageManager(project.path)
+      for (const script of Object.keys(scripts).filter(script => !script.startsWith('-'))) {
+        add('run-script', script, packageManager, ['run', script])
+      }
+    }
+    if (await exists(path.join(project.path, 'Cargo.toml'))) {
+      for (const command of CARGO_COMMANDS) add('cargo', command, 'cargo', [command])
+    }
+    if (await exists(path.join(project.path, 'go.mod'))) {
+      add('go-test', 'test', 'go', ['test', './...'])
+    }
+    if (await this.isPythonProject(project)) {
+      const { command, args } = await this.prepare(project, 'pytest')
+      add('pytest', 'pytest', command, args)
+    }
+    for (const runner of Object.keys(TASK_RUNNERS)) {
+      for (const target of (await this.readTargets(project, runner)) || []) {
+        add(runner, target, runner, [target])
+      }
+    }
+    return actions
+  }
+
+  /**
+   * Validate a requested action and build its argv.
+   * @returns {Promise<{ params: Object, command: string, args: string[] }>}
+   */
+  async prepare(project, action, input = {}) {
+    switch (action) {
+      case 'run-script': {
+        const script = requireString(input.script, 'Script')
+        const scripts = await this.readScripts(project)
+        if (!scripts) {
+          throw new Error('Project has no package.json')
+        }
+        if (script.startsWith('-') || !Object.hasOwn(scripts, script)) {
+          throw new Error(`Unknown script: ${script}`)
+        }
+        const packageManager = await detectPackageManager(project.path)
+        return { params: { script, packageManager }, command: packageManager, args: ['run', script] }
+      }
+
+      case 'cargo': {
+        const command = input.command || 'build'
+        if (!CARGO_COMMANDS.includes(command)) {
+          throw new Error(`Cargo command must be one of ${CARGO_COMMANDS.join(', ')}`)
+        }
+        if (!(await exists(path.join(project.path, 'Cargo.toml')))) {
+          throw new Error('Project has no Cargo.toml')
+        }
+        return { params: { command }, command: 'cargo', args: [command] }
+      }
+
+      case 'go-test': {
+        const pattern = requireString(input.package || './...', 'Package')
+        const dir = pattern === './...' ? '.' : pattern.replace(/\/\.\.\.$/, '')
+        if (!pattern.startsWith('./') || /[^\w./-]/.test(pattern) || !isInside(project.path, path.resolve(project.path, dir))) {
+          throw new Error('Invalid package pattern')
+        }
+        if (!(await exists(path.join(project.path, 'go.mod')))) {
+          throw new Error('Project has no go.mod')
+        }
+        return { params: { package: pattern }, command: 'go', args: ['test', pattern] }
+      }
+
+      case 'pytest': {
+        const target = input.path ? requireString(input.path, 'Test path') : null
+        if (target && (target.startsWith('-') || path.isAbsolute(target) || !isInside(project.path, path.resolve(project.path, target)))) {
+          throw new Error('Invalid test path')
+        }
+        if (!(await this.isPythonProject(project))) {
+          throw new Error('Project is not a Python project')
+        }
+        // Prefer the project's virtualenv when it has one.
+        const venvPytest = path.join(project.path, '.venv', 'bin', 'pytest')
+        const command = (await exists(venvPytest)) ? venvPytest : 'pytest'
+        return { params: { testPath: target }, command, args: target ? [target] : [] }
+      }
+
+      case 'make':
+      case 'just':
+      case 'task': {
+        const target = requireString(input.target, 'Target')
+        const { file, label } = TASK_RUNNERS[action]
+        const targets = await this.readTargets(project, action)
+        if (!targets) {
+          throw new Error(`Project has no ${file}`)
+        }
+        if (target.startsWith('-') || !targets.includes(target)) {
+          throw new Error(`Unknown ${label}: ${target}`)
+        }
+        return { params: { target }, command: action, args: [target] }
+      }
+
+      default:
+        throw new Error(`Unknown project action: ${action}`)
+    }
+  }
+
+  async readScripts(project) {
+    try {
+      const packageJson = JSON.parse(await readFile(path.join(project.path, 'package.json'), 'utf-8'))
+      return packageJson.scripts && typeof packageJson.scripts === 'object' ? packageJson.scripts : {}
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Target names of a task runner's file, or null when the project has none.
+   */
+  async readTargets(project, runner) {
+    const { files, parse } = TASK_RUNNERS[runner]
+    for (const name of files) {
+      try {
+        return parse(await readFile(path.join(project.path, name), 'utf-8'))
+          .map(target => target.name)
+          .filter(target => !target.startsWith('-'))
+      } catch {
+        // try the next name
+      }
+    }
+    return null
+  }
+
+  async isPythonProject(project) {
+    for (const name of PYTHON_MANIFESTS) {
+      if (await exists(path.join(project.path, name))) return true
+    }
+    return false
+  }
+
+  /**
+   * File an approval for an action. Resolves with the approval as created
+   * (it may already be resolved by policy); the command runs once approved.
+   */
+  async request(project, action, input = {}) {
+    if (!this.approvalService || !this.sessionService) {
+      throw new Error('Project actions are unavailable')
+    }
+    const { params, command, args } = await this.prepare(project, action, input)
+    const restart = input.restart === true
+    return this.runner.request(project, action, { params: { ...params, restart }, command, args, restart })
+  }
+}
@@ -0,0 +1,240 @@
+import assert from 'node:assert/strict'
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import test from 'node:test'
+import { ApprovalService } from './approval.js'
+import { ProjectActionService } from './project-actions.js'
+import { SessionService } from './session.js'
+
+const MAKEFILE = [
+  'GO ?= go',
+  'VERSION := 1.0',
+  '.PHONY: build test',
+  '',
+  'build: deps ## Build everything',
+  '\t$(GO) build ./...',
+  '',
+  'test lint:',
+  '\techo testing',
+  '',
+  'fail:',
+  '\texit 3',
+  '',
+  'serve:',
+  '\tsleep 30',
+  '',
+  '%.o: %.c',
+  '\tcc -c $<',
+  '',
+].join('\n')
+
+async function createProject() {
+  const dir = await mkdtemp(join(tmpdir(), 'navis-project-actions-'))
+  const root = join(dir, 'repo')
+  const app = join(root, 'packages', 'app')
+  await mkdir(app, { recursive: true })
+  await writeFile(join(root, 'pnpm-lock.yaml'), 'lockfileVersion: 9.0\n')
+  await writeFile(join(app, 'package.json'), JSON.stringify({ name: 'app', scripts: { dev: 'vite', test: 'vitest run' } }))
+  await writeFile(join(app, 'Cargo.toml'), '[package]\nname = "app"\n')
+  await writeFile(join(app, 'Makefile'), MAKEFILE)
+  return { dir, project: { id: 'project_1', path: app } }
+}
+
+function createActions() {
+  const events = []
+  const waiters = []
+  const approvalService = new ApprovalService()
+  const sessionService = new SessionService()
+  const actions = new ProjectActionService({
+    approvalService,
+    sessionService,
+    onEvent: event => {
+      events.push(event)
+      for (const waiter of [...waiters]) {
+        if (waiter.predicate(event)) {
+          waiters.splice(waiters.indexOf(waiter), 1)
+          clearTimeout(waiter.timer)
+          waiter.resolve(event)
+        }
+      }
+    },
+  })
+  // Resolves with the first event from now on that matches
+  const next = predicate =>
+    new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('No matching project.action event')), 5000)
+      waiters.push({ predicate, resolve, timer })
+    })
+  return { actions, approvalService, sessionService, events, next }
+}
+
+test('just and task targets are offered and validated like make targets', async () => {
+  const { dir, project } = await createProject()
+  const { actions } = createActions()
+
+  try {
+    await assert.rejects(actions.prepare(project, 'just', { target: 'dev' }), /Project has no justfile/)
+    await writeFile(join(project.path, 'justfile'), '# Start the dev server\ndev:\n    vite\n\n_setup:\n    pnpm i\n')
+    await writeFile(join(project.path, 'Taskfile.yml'), "version: '3'\ntasks:\n  lint:\n    cmds:\n      - eslint .\n  '--dir=/':\n    cmds:\n      - ls\n")
+
+    const available = await actions.listActions(project)
+    assert.deepEqual(
+      available.filter(action => action.action !== 'run-script' && action.action !== 'cargo').map(action => action.command),
+      ['make build', 'make test', 'make lint', 'make fail', 'make serve', 'just dev', 'task lint']
+    )
+    assert.deepEqual((await actions.prepare(project, 'just', { target: 'dev' })).args, ['dev'])
+    await assert.rejects(actions.prepare(project, 'just', { target: '_setup' }), /Unknown just recipe: _setup/)
+    await assert.rejects(actions.prepare(project, 'task', { target: 'deploy' }), /Unknown task: deploy/)
+    await assert.rejects(actions.prepare(project, 'task', { target: '--dir=/' }), /Unknown task: --dir=\//)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('available actions follow the project manifests', async () => {
+  const { dir, project } = await createProject()
+  const { actions } = createActions()
+
+  try {
+    const available = await actions.listActions(project)
+    assert.deepEqual(available.map(action => [action.action, action.name, action.command]), [
+      ['run-script', 'dev', 'pnpm run dev'],
+      ['run-script', 'test', 'pnpm run test'],
+      ['cargo', 'build', 'cargo build'],
+      ['cargo', 'check', 'cargo check'],
+      ['cargo', 'test', 'cargo test'],
+      ['cargo', 'run', 'cargo run'],
+      ['cargo', 'clippy', 'cargo clippy'],
+      ['make', 'build', 'make build'],
+      ['make', 'test', 'make test'],
+      ['make', 'lint', 'make lint'],
+      ['make', 'fail', 'make fail'],
+      ['make', 'serve', 'make serve'],
+    ])
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('actions are validated before an approval is filed', async () => {
+  const { dir, project } = await createProject()
+  const { actions, approvalService } = createActions()
+
+  try {
+    await assert.rejects(actions.request(project, 'run-script', { script: 'deploy' }), /Unknown script: deploy/)
+    await assert.rejects(actions.request(project, 'run-script', {}), /Script is required/)
+    await assert.rejects(actions.request(project, 'make', { target: 'clean' }), /Unknown make target: clean/)
+    await assert.rejects(actions.request(project, 'cargo', { command: 'publish' }), /Cargo command must be one of/)
+    await assert.rejects(actions.request(project, 'go-test'), /Project has no go.mod/)
+    await assert.rejects(actions.request(project, 'go-test', { package: '../...' }), /Invalid package pattern/)
+    await assert.rejects(actions.request(project, 'pytest', { path: '../other' }), /Invalid test path/)
+    await assert.rejects(actions.request(project, 'pytest'), /not a Python project/)
+    await assert.rejects(actions.request(project, 'deploy'), /Unknown project action/)
+    assert.equal((await approvalService.listApprovals()).total, 0)
+
+    await writeFile(join(project.path, 'go.mod'), 'module example.com/app\n')
+    assert.deepEqual((await actions.prepare(project, 'go-test', { package: './cmd/...' })).args, ['test', './cmd/...'])
+    await writeFile(join(project.path, 'package.json'), JSON.stringify({ packageManager: 'yarn@4.1.0', scripts: { dev: 'vite' } }))
+    assert.equal((await actions.prepare(project, 'run-script', { script: 'dev' })).command, 'yarn')
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('an approved action runs as a session and records its exit code', async () => {
+  const { dir, project } = await createProject()
+  const { actions, approvalService, sessionService, events, next } = createActions()
+
+  try {
+    const approval = await actions.request(project, 'make', { target: 'fail' })
+    assert.equal(approval.type, 'project.make')
+    const payload = JSON.parse(approval.payload)
+    assert.equal(payload.command, 'make fail')
+    assert.equal(payload.target, 'fail')
+    assert.deepEqual(events.map(event => event.status), ['pending'])
+
+    const finished = next(event => event.status === 'completed' || event.status === 'failed')
+    await approvalService.approve(approval.id, { deviceId: 'device_1' })
+    const done = await finished
+
+    assert.equal(done.status, 'failed')
+    assert.equal(done.exitCode, 2)
+    assert.deepEqual(events.map(event => event.status), ['pending', 'running', 'failed'])
+
+    const session = await sessionService.getSession(done.sessionId)
+    assert.equal(session.approvalId, approval.id)
+    assert.equal(session.exitCode, 2)
+    assert.match((await sessionService.getScrollback(session.id)).data, /exit 3/)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('rejected actions never run', async () => {
+  const { dir, project } = await createProject()
+  const { actions, approvalService, sessionService, next } = createActions()
+
+  try {
+    const approval = await actions.request(project, 'run-script', { script: 'dev' })
+    const denied = next(event => event.status === 'denied')
+    await approvalService.reject(approval.id, { deviceId: 'device_1' })
+
+    assert.equal((await denied).reason, 'rejected')
+    assert.deepEqual((await sessionService.listSessions()).sessions, [])
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('restart closes the running session of the same command', async () => {
+  const { dir, project } = await createProject()
+  const { actions, approvalService, sessionService, next } = createActions()
+
+  try {
+    const first = await actions.request(project, 'make', { target: 'serve' })
+    const firstRunning = next(event => event.approvalId === first.id && event.status === 'running')
+    await approvalService.approve(first.id, { deviceId: 'device_1' })
+    const { sessionId: firstSession } = await firstRunning
+
+    const second = await actions.request(project, 'make', { target: 'serve', restart: true })
+    assert.equal(JSON.parse(second.payload).restart, true)
+    const secondRunning = next(event => event.approvalId === second.id && event.status === 'running')
+    await approvalService.approve(second.id, { deviceId: 'device_1' })
+    const { sessionId: secondSession } = await secondRunning
+
+    assert.equal((await sessionService.getSession(firstSession)).status, 'closed')
+    assert.equal((await sessionService.getSession(secondSession)).status, 'active')
+  } finally {
+    await sessionService.closeAll()
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('pytest runs from a project path with shell metacharacters without a shell', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'navis-project-actions-'))
+  const project = { id: 'project_1', path: join(dir, 'my app;echo INJECTED') }
+  const { actions, approvalService, sessionService, next } = createActions()
+
+  try {
+    await mkdir(join(project.path, '.venv', 'bin'), { recursive: true })
+    await writeFile(join(project.path, 'pyproject.toml'), '[project]\nname = "app"\n')
+    await writeFile(join(project.path, '.venv', 'bin', 'pytest'), '#!/bin/sh\necho "pytest ran"\n', { mode: 0o755 })
+
+    const approval = await actions.request(project, 'pytest')
+    const payload = JSON.parse(approval.payload)
+    assert.equal(payload.path, project.path)
+    assert.equal(payload.testPath, null)
+
+    const finished = next(event => event.status === 'completed' || event.status === 'failed')
+    await approvalService.approve(approval.id, { deviceId: 'device_1' })
+    const done = await finished
+
+    assert.equal(done.status, 'completed')
+    const { data } = await sessionService.getScrollback(done.sessionId)
+    assert.match(data, /pytest ran/)
+    assert.doesNotMatch(data, /INJECTED/)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
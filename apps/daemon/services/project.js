@@ -1,11 +1,35 @@
 /**
  * Project Service
  * Manages discovered projects and their metadata
+ *
+ * When the database is available, projects are read from the `projects`,
+ * `project_signals` and `project_classification` tables that scans write
+ * through DiscoveryEngine.saveProjects(). Without it, scan results are kept in
+ * memory until the daemon stops.
+ *
+ * Every scan or index that creates or changes a project broadcasts
+ * `project.updated` on the `projects` WebSocket channel.
+ *
+ * The background indexer stores a manifest fingerprint per project path here
+ * so unchanged projects are skipped on the next pass.
+ *
+ * Workspace roots (pnpm/npm/yarn workspaces, Cargo workspaces, go.work) are
+ * projects whose member packages are projects too, linked through `parentId`.
  */
 
+import { NAVIS_WS_CHANNELS } from '@navisai/api-contracts'
+import { fromProjectRecord, sameProjectRecord, toProjectRecord } from '@navisai/discovery/records.js'
+
+const MAX_PROJECTS = 1000
+
 export class ProjectService {
-  constructor() {
+  constructor({ repository, discovery } = {}) {
     this.projects = new Map()
+    this.records = new Map()
+    this.fingerprints = new Map()
+    this.repository = repository || null
+    this.discovery = discovery || null
+    this.wsManager = null
   }
 
   async initialize() {
@@ -14,12 +38,27 @@ export class ProjectService {
   }
 
   async listProjects() {
+    if (this.repository) {
+      const rows = await this.repository.findAll({ limit: MAX_PROJECTS })
+      return {
+        projects: await Promise.all(rows.map(row => this.withDetails(row)))
+      }
+    }
+
     return {
       projects: Array.from(this.projects.values())
     }
   }
 
   async getProject(id) {
+    if (this.repository) {
+      const row = await this.repository.findById(id)
+      if (!row) {
+        throw new Error('Project not found')
+      }
+      return this.withDetails(row)
+    }
+
     const project = this.projects.get(id)
     if (!project) {
       throw new Error('Project not found')
@@ -27,6 +66,141 @@ export class ProjectService {
     return project
   }
 
+  /**
+   * Member packages of a workspace project (empty for other projects)
+   */
+  async listPackages(id) {
+    const project = await this.getProject(id)
+
+    if (this.repository) {
+      const rows = await this.repository.findChildren(id)
+      return {
+        project,
+        packages: await Promise.all(rows.map(row => this.withDetails(row)))
+      }
+    }
+
+    return {
+      project,
+      packages: Array.from(this.projects.values())
+        .filter(candidate => candidate.parentId === id)
+        .sort((a, b) => a.path.localeCompare(b.path))
+    }
+  }
+
+  /**
+   * Runnable tasks (package scripts, make, just and Taskfile targets) found by
+   * the task runner detector when the project was last scanned
+   */
+  async listTasks(id) {
+    const project = await this.getProject(id)
+    const signal = (project.signals || []).find(candidate => candidate.type === 'tasks')
+    return {
+      project,
+      tasks: signal?.metadata?.tasks || []
+    }
+  }
+
+  /**
+   * Store scan/index results and broadcast `project.updated` for each project
+   * that is new or changed. Resolves with the stored projects.
+   */
+  async recordDiscovered(discovered) {
+    if (!this.repository) {
+      return this.recordInMemory(discovered)
+    }
+
+    const results = await this.discovery.saveProjects(discovered)
+    const projects = []
+    for (const { projectId, created, changed } of results) {
+      const project = await this.getProject(projectId)
+      projects.push(project)
+      if (changed) {
+        this.emit('project.updated', { project, created })
+      }
+    }
+    return projects
+  }
+
+  recordInMemory(discovered) {
+    const now = new Date().toISOString()
+    const results = discovered.map(result => {
+      const id = Buffer.from(result.path).toString('base64')
+      const record = toProjectRecord(result)
+      const previous = this.projects.get(id)
+      const changed = !previous || !sameProjectRecord(this.records.get(id), record)
+
+      const project = changed
+        ? fromProjectRecord(
+            {
+              id,
+              path: result.path,
+              ...record.project,
+              lastScannedAt: result.lastScanned || now,
+              createdAt: previous?.createdAt || now,
+              updatedAt: now,
+            },
+            record.signals,
+            record.classification
+          )
+        : { ...previous, lastScannedAt: result.lastScanned || now }
+
+      this.projects.set(id, project)
+      this.records.set(id, record)
+      return { project, created: !previous, changed }
+    })
+
+    this.linkInMemory()
+    for (const { project, created, changed } of results) {
+      if (changed) {
+        this.emit('project.updated', { project, created })
+      }
+    }
+    return results.map(({ project }) => project)
+  }
+
+  /**
+   * Point every in-memory project at the workspace root that lists it.
+   */
+  linkInMemory() {
+    const parents = new Map()
+    for (const project of this.projects.values()) {
+      for (const memberPath of project.workspace?.members || []) {
+        parents.set(memberPath, project.id)
+      }
+    }
+    for (const project of this.projects.values()) {
+      project.parentId = parents.get(project.path) ?? null
+    }
+  }
+
+  async getFingerprint(path) {
+    if (this.repository) {
+      const row = await this.repository.findByPath(path)
+      return row?.fingerprint || null
+    }
+    return this.fingerprints.get(path) || null
+  }
+
+  async setFingerprint(path, fingerprint) {
+    if (this.repository) {
+      const row = await this.repository.findByPath(path)
+      if (row) {
+        await this.repository.setFingerprint(row.id, fingerprint)
+      }
+      return
+    }
+    this.fingerprints.set(path, fingerprint)
+  }
+
+  async withDetails(row) {
+    const [signals, classification] = await Promise.all([
+      this.repository.findSignals(row.id),
+      this.repository.findClassification(row.id),
+    ])
+    return fromProjectRecord(row, signals, classification)
+  }
+
   async addProject(project) {
     this.projects.set(project.id, project)
     return project
@@ -48,4 +222,13 @@ export class ProjectService {
     }
     return true
   }
+
+  setWebSocketManager(wsManager) {
+    this.wsManager = wsManager
+  }
+
+  emit(type, payload = {}) {
+    if (!this.wsManager) return
+    this.wsManager.broadcast({ type, ...payload }, NAVIS_WS_CHANNELS.projects)
+  }
 }
@@ -0,0 +1,1158 @@
+import assert from 'node:assert/strict'
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import test from 'node:test'
+import { DiscoveryEngine } from '@navisai/discovery'
+import { classificationEngine } from '@navisai/discovery/classification.js'
+import {
+  ContainerDetector,
+  parseCompose,
+  parseDockerfile,
+  parseKubernetesManifest,
+} from '@navisai/discovery/detectors/containers.js'
+import {
+  parseJustfile,
+  parseMakefile,
+  parseTaskfile,
+  TaskRunnerDetector,
+} from '@navisai/discovery/detectors/tasks.js'
+import { DotNetDetector } from '@navisai/discovery/detectors/dotnet.js'
+import { detectorRegistry } from '@navisai/discovery/detectors/index.js'
+import { ElixirDetector } from '@navisai/discovery/detectors/elixir.js'
+import { JavaDetector } from '@navisai/discovery/detectors/java.js'
+import { PhpDetector } from '@navisai/discovery/detectors/php.js'
+import { RubyDetector } from '@navisai/discovery/detectors/ruby.js'
+import { IgnoreMatcher, parseIgnoreRules } from '@navisai/discovery/ignore.js'
+import { ProjectIndexer } from '@navisai/discovery/indexer.js'
+import { createLimiter } from '@navisai/discovery/pool.js'
+import {
+  findWorkspace,
+  parseCargoWorkspace,
+  parseGoWork,
+  parsePnpmWorkspace,
+} from '@navisai/discovery/workspaces.js'
+import { ProjectService } from './project.js'
+
+function createFakeProjectsRepository() {
+  const projects = new Map()
+  const signals = new Map()
+  const classifications = new Map()
+  let nextId = 1
+  const writes = []
+
+  return {
+    writes,
+    async findAll() {
+      return [...projects.values()]
+    },
+    async findById(id) {
+      return projects.get(id) || null
+    },
+    async findByPath(path) {
+      return [...projects.values()].find(project => project.path === path) || null
+    },
+    async create(data) {
+      const id = `project_${nextId++}`
+      projects.set(id, { id, createdAt: 'now', updatedAt: 'now', ...data })
+      writes.push('create')
+      return projects.get(id)
+    },
+    async update(id, data) {
+      Object.assign(projects.get(id), data)
+      writes.push('update')
+      return projects.get(id)
+    },
+    async markScanned(id, lastScannedAt) {
+      projects.get(id).lastScannedAt = lastScannedAt
+    },
+    async findSignals(projectId) {
+      return signals.get(projectId) || []
+    },
+    async replaceSignals(projectId, rows) {
+      signals.set(projectId, rows.map(row => ({ ...row, projectId })))
+      writes.push('signals')
+    },
+    async findClassification(projectId) {
+      return classifications.get(projectId) || null
+    },
+    async setClassification(projectId, row) {
+      classifications.set(projectId, { projectId, ...row })
+      writes.push('classification')
+    },
+    async findByPaths(paths) {
+      return [...projects.values()].filter(project => paths.includes(project.path))
+    },
+    async findChildren(parentId) {
+      return [...projects.values()].filter(project => project.parentId === parentId)
+    },
+    async setParent(id, parentId) {
+      projects.get(id).parentId = parentId
+    },
+    async setWorkspaceMembers(parentId, memberPaths) {
+      for (const project of projects.values()) {
+        if (memberPaths.includes(project.path)) {
+          project.parentId = parentId
+        } else if (project.parentId === parentId) {
+          project.parentId = null
+        }
+      }
+    },
+  }
+}
+
+function discoveredProject(overrides = {}) {
+  const signals = [
+    { type: 'nodejs', confidence: 0.9, path: '/work/app' },
+    { type: 'svelte', confidence: 0.8, path: '/work/app' },
+  ]
+  return {
+    path: '/work/app',
+    name: 'app',
+    confidence: 0.9,
+    lastScanned: '2026-01-01T00:00:00.000Z',
+    packageJson: { name: 'app', scripts: ['dev'] },
+    signals,
+    classification: classificationEngine.classifySignals(signals),
+    ...overrides,
+  }
+}
+
+function createService() {
+  const repository = createFakeProjectsRepository()
+  const discovery = new DiscoveryEngine({ isAvailable: true }, { repository })
+  const service = new ProjectService({ repository, discovery })
+  const events = []
+  service.setWebSocketManager({ broadcast: (data, channel) => events.push({ data, channel }) })
+  return { repository, service, events }
+}
+
+test('classifySignals derives categories, languages and frameworks from detector signals', () => {
+  const classification = classificationEngine.classifySignals([
+    { type: 'nodejs', confidence: 0.9 },
+    { type: 'svelte', confidence: 0.8 },
+  ])
+
+  assert.equal(classification.primary.id, 'web-app')
+  assert.ok(classification.categories.includes('web-app'))
+  assert.equal(classification.language, 'javascript')
+  assert.deepEqual(classification.frameworks, ['nodejs', 'svelte'])
+})
+
+test('recordDiscovered stores signals and classification and reads them back', async () => {
+  const { service, events } = createService()
+
+  const [stored] = await service.recordDiscovered([discoveredProject()])
+  const { projects } = await service.listProjects()
+
+  assert.equal(projects.length, 1)
+  assert.deepEqual(projects[0], stored)
+  assert.equal(stored.name, 'app')
+  assert.equal(stored.lastScannedAt, '2026-01-01T00:00:00.000Z')
+  assert.deepEqual(stored.packageJson, { name: 'app', scripts: ['dev'] })
+  assert.deepEqual(stored.signals.map(signal => signal.type), ['nodejs', 'svelte'])
+  assert.equal(stored.classification.primary.id, 'web-app')
+  assert.equal(stored.classification.language, 'javascript')
+
+  assert.equal(events.length, 1)
+  assert.equal(events[0].channel, 'projects')
+  assert.equal(events[0].data.type, 'project.updated')
+  assert.equal(events[0].data.created, true)
+})
+
+test('rescans only broadcast project.updated when something changed', async () => {
+  const { repository, service, events } = createService()
+
+  await service.recordDiscovered([discoveredProject()])
+  repository.writes.length = 0
+
+  const [unchanged] = await service.recordDiscovered([
+    discoveredProject({ lastScanned: '2026-01-02T00:00:00.000Z' }),
+  ])
+  assert.equal(events.length, 1)
+  assert.deepEqual(repository.writes, [])
+  assert.equal(unchanged.lastScannedAt, '2026-01-02T00:00:00.000Z')
+
+  const signals = [{ type: 'nodejs', confidence: 0.9, path: '/work/app' }]
+  await service.recordDiscovered([
+    discoveredProject({ signals, classification: classificationEngine.classifySignals(signals) }),
+  ])
+  assert.equal(events.length, 2)
+  assert.equal(events[1].data.created, false)
+  assert.deepEqual(events[1].data.project.signals.map(signal => signal.type), ['nodejs'])
+})
+
+test('projects are kept in memory without a database', async () => {
+  const service = new ProjectService()
+  const events = []
+  service.setWebSocketManager({ broadcast: data => events.push(data) })
+
+  const [stored] = await service.recordDiscovered([discoveredProject()])
+  await service.recordDiscovered([discoveredProject()])
+
+  assert.deepEqual(await service.getProject(stored.id), stored)
+  assert.equal(events.length, 1)
+  await assert.rejects(service.getProject('missing'), /Project not found/)
+})
+
+async function createWorkspace() {
+  const root = await mkdtemp(join(tmpdir(), 'navis-index-'))
+  for (const name of ['api', 'web']) {
+    await mkdir(join(root, name), { recursive: true })
+    await writeFile(join(root, name, 'package.json'), JSON.stringify({ name }))
+  }
+  return root
+}
+
+function createIndexer(root, overrides = {}) {
+  const engine = new DiscoveryEngine()
+  engine.registerDetector('nodejs', async () => 0.9, ['package.json'])
+  const stored = new Map()
+  const analyzed = []
+  const progress = []
+  const indexer = new ProjectIndexer({
+    engine,
+    roots: [root],
+    globalIgnoreFile: null,
+    fingerprints: {
+      get: async path => stored.get(path) || null,
+      set: async (path, fingerprint) => stored.set(path, fingerprint),
+    },
+    onProjects: async projects => analyzed.push(...projects.map(project => project.name)),
+    onProgress: event => progress.push(event),
+    ...overrides,
+  })
+  return { indexer, analyzed, progress }
+}
+
+test('the indexer skips projects whose manifests did not change', async () => {
+  const root = await createWorkspace()
+  const { indexer, analyzed, progress } = createIndexer(root)
+
+  try {
+    const [first] = await indexer.indexAll()
+    assert.equal(first.analyzed, 2)
+    assert.deepEqual(analyzed.sort(), ['api', 'web'])
+
+    await writeFile(join(root, 'web', 'package.json'), JSON.stringify({ name: 'web', version: '2.0.0' }))
+    const [second] = await indexer.indexAll()
+    assert.equal(second.analyzed, 1)
+    assert.equal(second.skipped, 1)
+    assert.deepEqual(analyzed.slice(2), ['web'])
+
+    assert.equal(progress[0].phase, 'scanning')
+    assert.deepEqual(
+      progress.filter(event => event.phase === 'indexing').map(event => event.total),
+      [2, 2, 2, 2],
+    )
+    assert.equal(progress.at(-1).phase, 'complete')
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('watched manifest changes re-index only top-level projects', async () => {
+  const root = await createWorkspace()
+  const { indexer, analyzed, progress } = createIndexer(root)
+
+  try {
+    await mkdir(join(root, 'web', 'fixtures', 'demo'), { recursive: true })
+    await writeFile(join(root, 'web', 'fixtures', 'demo', 'package.json'), '{}')
+    await writeFile(join(root, 'api', 'package.json'), JSON.stringify({ name: 'api', private: true }))
+
+    indexer.pending.add(join(root, 'api'))
+    indexer.pending.add(join(root, 'web', 'fixtures', 'demo'))
+    await indexer.flush()
+
+    assert.deepEqual(analyzed, ['api'])
+    assert.deepEqual(progress, [{ phase: 'watch', path: join(root, 'api'), result: 'analyzed' }])
+  } finally {
+    await indexer.stop()
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('file change watchers follow indexed projects and skip ignored trees', async () => {
+  const root = await createWorkspace()
+  const changes = []
+  const { indexer } = createIndexer(root, { onFileChange: change => changes.push(change) })
+
+  try {
+    await writeFile(join(root, 'web', '.gitignore'), 'generated/\n')
+    await mkdir(join(root, 'web', 'generated'), { recursive: true })
+    await mkdir(join(root, 'notes'), { recursive: true })
+    await indexer.start()
+
+    assert.equal(indexer.watcher.options.depth, 4)
+    assert.deepEqual([...indexer.projectWatchers.keys()].sort(), [join(root, 'api'), join(root, 'web')])
+
+    await writeFile(join(root, 'notes', 'todo.txt'), 'outside any project')
+    await writeFile(join(root, 'web', 'generated', 'bundle.js'), 'ignored')
+    await writeFile(join(root, 'web', 'index.js'), 'watched')
+    for (let i = 0; i < 100 && !changes.some(change => change.path.endsWith('index.js')); i++) {
+      await new Promise(resolve => setTimeout(resolve, 50))
+    }
+    await new Promise(resolve => setTimeout(resolve, 200))
+
+    assert.deepEqual(changes, [{ type: 'add', path: join(root, 'web', 'index.js') }])
+  } finally {
+    await indexer.stop()
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('createLimiter never runs more than its concurrency at once', async () => {
+  const limit = createLimiter(2)
+  let active = 0
+  let peak = 0
+  const task = async () => {
+    active++
+    peak = Math.max(peak, active)
+    await new Promise(resolve => setTimeout(resolve, 5))
+    active--
+  }
+
+  await Promise.all(Array.from({ length: 8 }, () => limit(task)))
+  assert.equal(peak, 2)
+})
+
+test('scan runs detectors in parallel within maxConcurrency and reports throughput', async () => {
+  const root = await createWorkspace()
+  const engine = new DiscoveryEngine()
+  let active = 0
+  let peak = 0
+  for (const name of ['nodejs', 'react', 'svelte']) {
+    engine.registerDetector(name, async () => {
+      active++
+      peak = Math.max(peak, active)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      active--
+      return name === 'nodejs' ? 0.9 : 0
+    }, ['package.json'])
+  }
+
+  try {
+    let stats = null
+    const projects = await engine.scan(root, { concurrency: 3, onStats: result => (stats = result) })
+
+    assert.deepEqual(projects.map(project => project.name), ['api', 'web'])
+    assert.equal(peak, 3)
+    assert.equal(stats.projects, 2)
+    assert.equal(stats.directories, 3)
+    assert.equal(stats.concurrency, 3)
+    assert.ok(stats.directoriesPerSecond > 0)
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('scan rejects once its AbortSignal fires', async () => {
+  const root = await createWorkspace()
+  const engine = new DiscoveryEngine()
+  const controller = new AbortController()
+  engine.registerDetector('nodejs', async () => {
+    controller.abort()
+    return 0.9
+  }, ['package.json'])
+
+  try {
+    await assert.rejects(engine.scan(root, { signal: controller.signal }), { name: 'AbortError' })
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('ignore rules follow gitignore semantics', () => {
+  const matcher = new IgnoreMatcher(parseIgnoreRules([
+    '# generated',
+    'vendor/',
+    '/fixtures',
+    'packages/**/snapshots',
+    'build-*',
+    '!build-keep',
+    'docs/**',
+  ].join('\n'), '/repo'))
+
+  assert.equal(matcher.ignores('/repo/vendor'), true)
+  assert.equal(matcher.ignores('/repo/lib/vendor'), true)
+  assert.equal(matcher.ignores('/repo/vendor', false), false)
+  assert.equal(matcher.ignores('/repo/fixtures'), true)
+  assert.equal(matcher.ignores('/repo/test/fixtures'), false)
+  assert.equal(matcher.ignores('/repo/packages/a/b/snapshots'), true)
+  assert.equal(matcher.ignores('/repo/packages/snapshots'), true)
+  assert.equal(matcher.ignores('/repo/build-web'), true)
+  assert.equal(matcher.ignores('/repo/build-keep'), false)
+  assert.equal(matcher.ignores('/repo/docs'), false)
+  assert.equal(matcher.ignores('/repo/docs/site'), true)
+  assert.equal(matcher.ignores('/elsewhere/vendor'), false)
+})
+
+test('discovery skips directories excluded by ignore files', async () => {
+  const root = await createWorkspace()
+  const globalIgnoreFile = join(root, 'global-ignore')
+  for (const dir of ['third_party/lib', 'generated/keep', 'generated/drop', 'scratch']) {
+    await mkdir(join(root, dir), { recursive: true })
+    await writeFile(join(root, dir, 'package.json'), '{}')
+  }
+  await writeFile(join(root, '.gitignore'), 'third_party/\ngenerated/*\n')
+  await writeFile(join(root, '.navisignore'), '!generated/keep\n')
+  await writeFile(globalIgnoreFile, 'scratch\n')
+
+  const engine = new DiscoveryEngine()
+  try {
+    const found = await engine.findProjectDirectories(root, { globalIgnoreFile })
+    assert.deepEqual(found.map(dir => dir.slice(root.length + 1)), ['api', 'generated/keep', 'web'])
+
+    const all = await engine.findProjectDirectories(root, { respectIgnoreFiles: false })
+    assert.equal(all.length, 6)
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('workspace files are parsed for member patterns', () => {
+  assert.deepEqual(
+    parsePnpmWorkspace("# apps\npackages:\n  - 'apps/*'\n  - \"packages/*\" # libs\n  - '!**/test/**'\ncatalog:\n  react: ^18\n"),
+    ['apps/*', 'packages/*', '!**/test/**']
+  )
+  assert.deepEqual(parsePnpmWorkspace("packages: ['apps/*', 'tools']\n"), ['apps/*', 'tools'])
+
+  assert.deepEqual(
+    parseCargoWorkspace('[package]\nname = "cli"\n\n[workspace]\nmembers = [\n  "crates/*", # all crates\n  "xtask",\n]\nexclude = ["crates/old"]\n\n[workspace.dependencies]\nserde = "1"\n'),
+    { members: ['crates/*', 'xtask'], exclude: ['crates/old'] }
+  )
+  assert.equal(parseCargoWorkspace('[package]\nname = "cli"\n'), null)
+
+  assert.deepEqual(
+    parseGoWork('go 1.22\n\nuse (\n\t./api // service\n\t./tools\n)\n\nuse ./cmd\n'),
+    ['./api', './tools', './cmd']
+  )
+})
+
+async function writeFiles(root, files) {
+  for (const [file, content] of Object.entries(files)) {
+    await mkdir(join(root, file, '..'), { recursive: true })
+    await writeFile(join(root, file), content)
+  }
+}
+
+test('discovery lists workspace member packages alongside the repository', async () => {
+  const root = await mkdtemp(join(tmpdir(), 'navis-workspace-'))
+  await writeFiles(root, {
+    'mono/package.json': JSON.stringify({ name: 'mono' }),
+    'mono/pnpm-workspace.yaml': "packages:\n  - 'apps/*'\n  - 'packages/**'\n  - '!packages/internal'\n",
+    'mono/apps/web/package.json': '{}',
+    'mono/apps/notes/README.md': '',
+    'mono/packages/core/package.json': '{}',
+    'mono/packages/ui/button/package.json': '{}',
+    'mono/packages/internal/package.json': '{}',
+    'mono/node_modules/dep/package.json': '{}',
+    'rust/Cargo.toml': '[workspace]\nmembers = ["crates/*"]\nexclude = ["crates/old"]\n',
+    'rust/crates/cli/Cargo.toml': '',
+    'rust/crates/old/Cargo.toml': '',
+    'gomod/go.mod': 'module example.com/gomod\n',
+    'gomod/go.work': 'use (\n  .\n  ./svc\n)\n',
+    'gomod/svc/go.mod': 'module example.com/svc\n',
+    'yarn/package.json': JSON.stringify({ workspaces: { packages: ['libs/*'] } }),
+    'yarn/yarn.lock': '',
+    'yarn/libs/a/package.json': '{}',
+  })
+
+  const engine = new DiscoveryEngine()
+  engine.registerDetector('rust', async () => 0.9, ['Cargo.toml'])
+  engine.registerDetector('go', async () => 0.9, ['go.mod'])
+  try {
+    const found = await engine.findProjectDirectories(root, { globalIgnoreFile: null })
+    assert.deepEqual(found.map(dir => dir.slice(root.length + 1)), [
+      'gomod',
+      'gomod/svc',
+      'mono',
+      'mono/apps/web',
+      'mono/packages/core',
+      'mono/packages/ui/button',
+      'rust',
+      'rust/crates/cli',
+      'yarn',
+      'yarn/libs/a',
+    ])
+
+    assert.equal((await findWorkspace(join(root, 'mono'))).type, 'pnpm')
+    assert.equal((await findWorkspace(join(root, 'yarn'))).type, 'yarn')
+    assert.equal((await findWorkspace(join(root, 'rust'))).type, 'cargo')
+    assert.deepEqual(await findWorkspace(join(root, 'gomod')), { type: 'go', members: [join(root, 'gomod', 'svc')] })
+    assert.equal(await findWorkspace(join(root, 'mono', 'apps', 'web')), null)
+
+    const flat = await engine.findProjectDirectories(root, { globalIgnoreFile: null, workspaces: false })
+    assert.deepEqual(flat.map(dir => dir.slice(root.length + 1)), ['gomod', 'mono', 'rust', 'yarn'])
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('workspace members are linked to their repository project', async () => {
+  const { service } = createService()
+  const workspace = { type: 'pnpm', members: ['/work/mono/apps/web', '/work/mono/packages/core'] }
+  const member = path => discoveredProject({ path, name: path.split('/').at(-1) })
+
+  // A member stored before its root is adopted when the root is saved...
+  await service.recordDiscovered([member('/work/mono/apps/web')])
+  const [root] = await service.recordDiscovered([discoveredProject({ path: '/work/mono', name: 'mono', workspace })])
+  // ...and one stored afterwards joins the root on creation.
+  await service.recordDiscovered([member('/work/mono/packages/core'), member('/work/other')])
+
+  const { project, packages } = await service.listPackages(root.id)
+  assert.deepEqual(project.workspace, workspace)
+  assert.deepEqual(packages.map(pkg => pkg.path).sort(), workspace.members)
+  assert.ok(packages.every(pkg => pkg.parentId === root.id))
+  assert.equal((await service.listPackages(packages[0].id)).packages.length, 0)
+
+  // Dropping a member from the workspace detaches it.
+  await service.recordDiscovered([
+    discoveredProject({ path: '/work/mono', name: 'mono', workspace: { ...workspace, members: workspace.members.slice(1) } }),
+  ])
+  assert.deepEqual((await service.listPackages(root.id)).packages.map(pkg => pkg.path), ['/work/mono/packages/core'])
+  await assert.rejects(service.listPackages('missing'), /Project not found/)
+})
+
+test('workspace members are linked in memory without a database', async () => {
+  const service = new ProjectService()
+  const workspace = { type: 'cargo', members: ['/work/rust/crates/cli'] }
+
+  const [cli, root] = await service.recordDiscovered([
+    discoveredProject({ path: '/work/rust/crates/cli', name: 'cli' }),
+    discoveredProject({ path: '/work/rust', name: 'rust', workspace }),
+  ])
+
+  assert.equal(cli.parentId, root.id)
+  assert.equal(root.parentId, null)
+  assert.deepEqual((await service.listPackages(root.id)).packages.map(pkg => pkg.name), ['cli'])
+})
+
+test('task runner files are parsed into targets with descriptions', () => {
+  const makefile = [
+    'GO ?= go',
+    'VERSION := 1.0',
+    '.PHONY: build test',
+    '',
+    'build: deps ## Build the binaries',
+    '\t$(GO) build ./...',
+    '',
+    '# Run the test suite',
+    'test lint:',
+    '\techo testing',
+    '',
+    'define HELP',
+    'usage: make <target>',
+    'endef',
+    '',
+    '%.o: %.c',
+    '\tcc -c $<',
+  ].join('\n')
+  assert.deepEqual(parseMakefile(makefile), [
+    { name: 'build', description: 'Build the binaries' },
+    { name: 'test', description: 'Run the test suite' },
+    { name: 'lint', description: 'Run the test suite' },
+  ])
+
+  const justfile = [
+    'set dotenv-load',
+    'version := "1.0"',
+    'alias t := test',
+    '',
+    '# Start the dev server',
+    'dev port="5173":',
+    '    vite --port {{port}}',
+    '',
+    "[doc('Run all tests')]",
+    "[group('ci')]",
+    'test *args: build',
+    '    cargo test {{args}}',
+    '',
+    '[private]',
+    'helper:',
+    '    echo hidden',
+    '',
+    '_internal:',
+    '    echo hidden',
+    '',
+    '@build:',
+    '    cargo build',
+  ].join('\n')
+  assert.deepEqual(parseJustfile(justfile), [
+    { name: 'dev', description: 'Start the dev server' },
+    { name: 'test', description: 'Run all tests' },
+    { name: 'build', description: null },
+  ])
+
+  const taskfile = [
+    "version: '3'",
+    '',
+    'vars:',
+    '  BIN: app',
+    '',
+    'tasks:',
+    '  build:',
+    '    desc: Build the app  # compiled binary',
+    '    cmds:',
+    '      - go build -o {{.BIN}}',
+    '  "docker:up":',
+    "    desc: 'Start the containers'",
+    '  lint: golangci-lint run',
+    '  "--dir=/":',
+    '    desc: Read as an option by task',
+    '  setup:',
+    '    internal: true',
+    '    cmds:',
+    '      - desc: not a task field',
+    '',
+    'includes:',
+    '  docs: ./docs',
+  ].join('\n')
+  assert.deepEqual(parseTaskfile(taskfile), [
+    { name: 'build', description: 'Build the app' },
+    { name: 'docker:up', description: 'Start the containers' },
+    { name: 'lint', description: null },
+  ])
+})
+
+test('the task runner detector stores normalized tasks as a project signal', async () => {
+  const root = await mkdtemp(join(tmpdir(), 'navis-tasks-'))
+  try {
+    const app = join(root, 'app')
+    const tool = join(root, 'tool')
+    await mkdir(app)
+    await mkdir(tool)
+    await writeFile(join(app, 'package.json'), JSON.stringify({ name: 'app', scripts: { dev: 'vite' } }))
+    await writeFile(join(app, 'pnpm-lock.yaml'), '')
+    await writeFile(join(app, 'Makefile'), 'deploy: ## Ship it\n\t./deploy.sh\n')
+    // Driven entirely by make: still a project, with its targets as tasks.
+    await writeFile(join(tool, 'Makefile'), 'all:\n\tcc main.c\n')
+
+    const detector = new TaskRunnerDetector()
+    const engine = new DiscoveryEngine()
+    engine.registerDetector('nodejs', async () => 0.9, ['package.json'])
+    engine.registerDetector(
+      detector.name,
+      async path => {
+        const result = await detector.detect(path)
+        return { confidence: result.confidence, metadata: result.metadata }
+      },
+      detector.indicators.map(indicator => indicator.file)
+    )
+    const service = new ProjectService()
+    const stored = await service.recordDiscovered(await engine.scan(root, { globalIgnoreFile: null }))
+
+    const byName = Object.fromEntries(stored.map(project => [project.name, project]))
+    assert.deepEqual(Object.keys(byName).sort(), ['app', 'tool'])
+    const { tasks } = await service.listTasks(byName.app.id)
+    assert.deepEqual(tasks, [
+      { runner: 'pnpm', name: 'dev', description: 'vite', command: 'pnpm run dev', source: 'package.json' },
+      { runner: 'make', name: 'deploy', description: 'Ship it', command: 'make deploy', source: 'Makefile' },
+    ])
+    assert.deepEqual(byName.app.signals.find(signal => signal.type === 'tasks').metadata.runners, ['pnpm', 'make'])
+    // Task runners are tooling, not part of the project's stack
+    assert.deepEqual(classificationEngine.classifySignals(byName.app.signals).frameworks, ['nodejs'])
+
+    assert.deepEqual((await service.listTasks(byName.tool.id)).tasks.map(task => task.command), ['make all'])
+    await assert.rejects(service.listTasks('missing'), /Project not found/)
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('projects nested under a repository-root Makefile or compose file are still discovered', async () => {
+  const root = await mkdtemp(join(tmpdir(), 'navis-nested-'))
+  try {
+    await writeFixture(join(root, 'repo'), {
+      Makefile: 'up:\n\tdocker compose up\n',
+      'compose.yaml': 'services:\n  api:\n    build: ./services/api\n',
+      'services/api/package.json': JSON.stringify({ name: 'api', scripts: { start: 'node index.js' } }),
+      'services/worker/go.mod': 'module example.com/worker\n\ngo 1.22\n',
+      'services/worker/Dockerfile': 'FROM golang:1.22\n',
+      // Below a real project the scan still stops
+      'services/api/fixtures/app/Cargo.toml': '[package]\nname = "fixture"\n',
+    })
+
+    const engine = new DiscoveryEngine()
+    for (const detector of detectorRegistry.getAll()) {
+      engine.registerDetector(
+        detector.name,
+        async path => {
+          const result = await detector.detect(path)
+          return { confidence: result.confidence || 0, metadata: result.metadata }
+        },
+        detector.indicators?.map(indicator => indicator.file) || [],
+        { descend: detector.descend }
+      )
+    }
+    const discovered = await engine.scan(root, { globalIgnoreFile: null })
+
+    assert.deepEqual(discovered.map(project => project.path.slice(root.length + 1)).sort(), [
+      'repo',
+      join('repo', 'services', 'api'),
+      join('repo', 'services', 'worker'),
+    ])
+    const repo = discovered.find(project => project.path === join(root, 'repo'))
+    assert.deepEqual(repo.signals.map(signal => signal.type).sort(), ['containers', 'tasks'])
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('compose files, Dockerfiles and Kubernetes manifests are parsed', () => {
+  const compose = [
+    'x-env: &env',
+    '  NODE_ENV: production',
+    'services:',
+    '  web:',
+    '    build: .',
+    '    ports:',
+    '      - "3000:3000"',
+    '      - ${WEB_PORT:-8080}:80',
+    '      - 127.0.0.1:9229:9229/udp',
+    '      - 5173',
+    '    depends_on: [db]',
+    '    environment:',
+    '      <<: *env',
+    '    volumes:',
+    '      - ./src:/app/src:ro',
+    '      - node_modules:/app/node_modules',
+    '  db:',
+    '    image: postgres:16  # pinned',
+    '    ports:',
+    '      - target: 5432',
+    '        published: 5433',
+    '    depends_on:',
+    '      cache:',
+    '        condition: service_healthy',
+    '    volumes:',
+    '      - type: volume',
+    '        source: pgdata',
+    '        target: /var/lib/postgresql/data',
+    '  cache:',
+    '    image: redis',
+    'volumes:',
+    '  pgdata:',
+  ].join('\n')
+  assert.deepEqual(parseCompose(compose), [
+    {
+      name: 'web',
+      image: null,
+      build: '.',
+      ports: [
+        { published: '3000', target: '3000', protocol: 'tcp' },
+        { published: '${WEB_PORT:-8080}', target: '80', protocol: 'tcp' },
+        { published: '9229', target: '9229', protocol: 'udp' },
+        { published: null, target: '5173', protocol: 'tcp' },
+      ],
+      dependsOn: ['db'],
+      volumes: [
+        { type: 'bind', source: './src', target: '/app/src' },
+        { type: 'volume', source: 'node_modules', target: '/app/node_modules' },
+      ],
+    },
+    {
+      name: 'db',
+      image: 'postgres:16',
+      build: null,
+      ports: [{ published: '5433', target: '5432', protocol: 'tcp' }],
+      dependsOn: ['cache'],
+      volumes: [{ type: 'volume', source: 'pgdata', target: '/var/lib/postgresql/data' }],
+    },
+    { name: 'cache', image: 'redis', build: null, ports: [], dependsOn: [], volumes: [] },
+  ])
+  assert.deepEqual(parseCompose('version: "3"\n'), [])
+
+  const dockerfile = [
+    '# syntax=docker/dockerfile:1',
+    'FROM --platform=$BUILDPLATFORM node:20-alpine AS build',
+    'RUN npm ci && \\',
+    '    npm run build',
+    'FROM build as test',
+    'FROM nginx:1.27',
+    'EXPOSE 80 443/tcp',
+  ].join('\n')
+  assert.deepEqual(parseDockerfile(dockerfile), {
+    stages: ['build', 'test'],
+    baseImages: ['node:20-alpine', 'nginx:1.27'],
+    exposedPorts: ['80', '443/tcp'],
+  })
+
+  const manifest = [
+    'apiVersion: v1',
+    'kind: Service',
+    'metadata:',
+    '  name: web',
+    '  namespace: shop',
+    'spec:',
+    '  ports:',
+    '  - port: 80',
+    '    targetPort: 3000',
+    '---',
+    '# the app itself',
+    'apiVersion: apps/v1',
+    'kind: Deployment',
+    'metadata: { name: web }',
+    'spec:',
+    '  template:',
+    '    spec:',
+    '      containers:',
+    '        - name: web',
+    '          args: ["--port", "3000"]',
+    '---',
+    'name: not-a-resource',
+  ].join('\n')
+  assert.deepEqual(parseKubernetesManifest(manifest), [
+    { kind: 'Service', name: 'web', namespace: 'shop' },
+    { kind: 'Deployment', name: 'web', namespace: null },
+  ])
+})
+
+test('the container detector records compose topology and feeds the devops classification', async () => {
+  const root = await mkdtemp(join(tmpdir(), 'navis-containers-'))
+  try {
+    const stack = join(root, 'stack')
+    await mkdir(join(stack, 'k8s', 'base'), { recursive: true })
+    await writeFile(join(stack, 'compose.yaml'), 'services:\n  api:\n    build: .\n    ports:\n      - "8080:80"\n')
+    await writeFile(join(stack, 'Dockerfile'), 'FROM golang:1.22\nEXPOSE 80\n')
+    await writeFile(join(stack, 'k8s', 'base', 'deployment.yaml'), 'apiVersion: apps/v1\nkind: Deployment\nmetadata:\n  name: api\n')
+    await writeFile(join(stack, 'Taskfile.yml'), "version: '3'\ntasks:\n  up: docker compose up\n")
+
+    const detector = new ContainerDetector()
+    const result = await detector.detect(stack)
+    assert.deepEqual(result.signals, ['has dockerfile', 'has docker compose', 'has k8s'])
+    assert.deepEqual(result.metadata.compose.services.map(service => [service.name, service.ports]), [
+      ['api', [{ published: '8080', target: '80', protocol: 'tcp' }]],
+    ])
+    assert.deepEqual(result.metadata.kubernetes, {
+      files: [join('k8s', 'base', 'deployment.yaml')],
+      resources: [{ kind: 'Deployment', name: 'api', namespace: null, file: join('k8s', 'base', 'deployment.yaml') }],
+    })
+    assert.equal((await detector.detect(root)).detected, false)
+
+    // A directory with only container files is a project of its own
+    const engine = new DiscoveryEngine()
+    engine.registerDetector(
+      detector.name,
+      async path => {
+        const detected = await detector.detect(path)
+        return { confidence: detected.confidence, metadata: detected.metadata }
+      },
+      detector.indicators.map(indicator => indicator.file)
+    )
+    engine.registerClassifier('category', async (path, signals) => classificationEngine.classifySignals(signals))
+    const service = new ProjectService()
+    const [project] = await service.recordDiscovered(await engine.scan(root, { globalIgnoreFile: null }))
+
+    assert.equal(project.path, stack)
+    assert.equal(project.signals[0].metadata.compose.file, 'compose.yaml')
+    assert.equal(project.classification.primary.id, 'devops')
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+
+  // Alongside a web framework the container files add devops without taking over
+  const classification = classificationEngine.classifySignals([
+    { type: 'nodejs', confidence: 0.9 },
+    { type: 'svelte', confidence: 0.8 },
+    { type: 'containers', confidence: 0.5, metadata: { signals: ['has dockerfile'] } },
+  ])
+  assert.equal(classification.primary.id, 'web-app')
+  assert.ok(classification.categories.includes('devops'))
+})
+
+// One fixture project per ecosystem: its files, and the metadata the detector should report
+const BACKEND_FIXTURES = {
+  spring: {
+    detector: new JavaDetector(),
+    files: {
+      'pom.xml': '<project><parent><groupId>org.springframework.boot</groupId><artifactId>spring-boot-starter-parent</artifactId></parent></project>',
+      mvnw: '#!/bin/sh\n',
+      'src/main/java/App.java': 'class App {}\n',
+      'src/main/resources/application.properties': 'spring.application.name=orders\nserver.port=${PORT:9090}\n',
+    },
+    metadata: { language: 'java', buildTool: 'maven', frameworks: ['spring-boot'], devServer: { command: './mvnw spring-boot:run', port: 9090 } },
+  },
+  quarkus: {
+    detector: new JavaDetector(),
+    files: {
+      'build.gradle.kts': 'plugins {\n  kotlin("jvm") version "1.9.22"\n  id("io.quarkus")\n}\n',
+      'src/main/resources/application.yml': 'quarkus:\n  http:\n    port: 8081\n',
+    },
+    metadata: { language: 'kotlin', buildTool: 'gradle', frameworks: ['quarkus'], devServer: { command: 'gradle quarkusDev', port: 8081 } },
+  },
+  dotnet: {
+    detector: new DotNetDetector(),
+    files: {
+      'Shop.sln': [
+        'Microsoft Visual Studio Solution File, Format Version 12.00',
+        'Project("{FAE04EC0-301F-11D3-BF4B-00C04F79EFBC}") = "Shop.Api", "src\\Shop.Api\\Shop.Api.csproj", "{1}"',
+        'EndProject',
+        'Project("{2150E333-8FDC-42A3-9474-1A3956D46DE8}") = "src", "src", "{2}"',
+        'EndProject',
+      ].join('\n'),
+      'src/Shop.Api/Shop.Api.csproj': '<Project Sdk="Microsoft.NET.Sdk.Web"><PropertyGroup><TargetFramework>net8.0</TargetFramework></PropertyGroup></Project>',
+      'src/Shop.Api/Properties/launchSettings.json': JSON.stringify({
+        profiles: { https: { applicationUrl: 'https://localhost:7043;http://localhost:5043' } },
+      }),
+    },
+    metadata: {
+      language: 'csharp',
+      solution: 'Shop.sln',
+      projects: ['src/Shop.Api/Shop.Api.csproj'],
+      targetFrameworks: ['net8.0'],
+      frameworks: ['aspnetcore'],
+      devServer: { command: 'dotnet watch run --project src/Shop.Api/Shop.Api.csproj', port: 5043 },
+    },
+  },
+  rails: {
+    detector: new RubyDetector(),
+    files: {
+      Gemfile: 'source "https://rubygems.org"\n\ngem "rails", "~> 7.1"\ngem \'puma\'\n',
+      'config.ru': 'run Rails.application\n',
+      'bin/rails': '#!/usr/bin/env ruby\n',
+      'config/puma.rb': 'port ENV.fetch("PORT") { 3001 }\n',
+    },
+    metadata: { language: 'ruby', gems: ['rails', 'puma'], frameworks: ['rails'], devServer: { command: 'bin/rails server', port: 3001 } },
+  },
+  sinatra: {
+    detector: new RubyDetector(),
+    files: { Gemfile: "gem 'sinatra'\n", 'config.ru': 'run App\n' },
+    metadata: { frameworks: ['sinatra'], devServer: { command: 'bundle exec rackup', port: 9292 } },
+  },
+  laravel: {
+    detector: new PhpDetector(),
+    files: {
+      'composer.json': JSON.stringify({ name: 'acme/shop', require: { php: '^8.2', 'laravel/framework': '^11.0' } }),
+      artisan: '#!/usr/bin/env php\n',
+    },
+    metadata: { language: 'php', name: 'acme/shop', phpVersion: '^8.2', frameworks: ['laravel'], devServer: { command: 'php artisan serve', port: 8000 } },
+  },
+  symfony: {
+    detector: new PhpDetector(),
+    files: { 'composer.json': JSON.stringify({ require: { 'symfony/framework-bundle': '7.0.*' } }) },
+    metadata: { frameworks: ['symfony'], devServer: { command: 'php -S localhost:8000 -t public', port: 8000 } },
+  },
+  phoenix: {
+    detector: new ElixirDetector(),
+    files: {
+      'mix.exs': 'defmodule Shop.MixProject do\n  def project, do: [app: :shop, deps: deps()]\n  defp deps, do: [{:phoenix, "~> 1.7"}, {:ecto_sql, "~> 3.10"}]\nend\n',
+      'config/dev.exs': 'config :shop, ShopWeb.Endpoint,\n  http: [ip: {127, 0, 0, 1}, port: 4001],\n  debug_errors: true\n',
+    },
+    metadata: { language: 'elixir', app: 'shop', umbrella: false, frameworks: ['phoenix'], devServer: { command: 'mix phx.server', port: 4001 } },
+  },
+}
+
+async function writeFixture(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    await mkdir(join(dir, file, '..'), { recursive: true })
+    await writeFile(join(dir, file), content)
+  }
+}
+
+test('backend detectors report frameworks, dev-server commands and ports from fixture projects', async () => {
+  const root = await mkdtemp(join(tmpdir(), 'navis-backends-'))
+  try {
+    for (const [name, fixture] of Object.entries(BACKEND_FIXTURES)) {
+      const dir = join(root, name)
+      await writeFixture(dir, fixture.files)
+
+      const result = await fixture.detector.detect(dir)
+      assert.equal(result.detected, true, name)
+      assert.ok(result.confidence > 0, name)
+      for (const [key, value] of Object.entries(fixture.metadata)) {
+        assert.deepEqual(result.metadata[key], value, `${name}: ${key}`)
+      }
+    }
+
+    // Without a framework there is no dev server to suggest
+    await writeFixture(join(root, 'plain'), { 'pom.xml': '<project/>', Gemfile: "gem 'rake'\n", 'mix.exs': 'defmodule Plain.MixProject do\nend\n' })
+    for (const detector of [new JavaDetector(), new RubyDetector(), new ElixirDetector()]) {
+      const result = await detector.detect(join(root, 'plain'))
+      assert.deepEqual([result.metadata.frameworks, result.metadata.devServer], [[], null], detector.name)
+    }
+    for (const fixture of Object.values(BACKEND_FIXTURES)) {
+      assert.equal((await fixture.detector.detect(join(root, 'plain', 'src'))).detected, false)
+    }
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+test('backend projects are discovered and classified with their language and frameworks', async () => {
+  const root = await mkdtemp(join(tmpdir(), 'navis-backends-'))
+  try {
+    for (const name of ['spring', 'quarkus', 'dotnet', 'rails', 'laravel', 'phoenix']) {
+      await writeFixture(join(root, name), BACKEND_FIXTURES[name].files)
+    }
+
+    const engine = new DiscoveryEngine()
+    for (const detector of [new JavaDetector(), new DotNetDetector(), new RubyDetector(), new PhpDetector(), new ElixirDetector()]) {
+      engine.registerDetector(
+        detector.name,
+        async path => {
+          const result = await detector.detect(path)
+          return { confidence: result.confidence || 0, metadata: result.metadata }
+        },
+        detector.indicators.map(indicator => indicator.file)
+      )
+    }
+    engine.registerClassifier('category', async (path, signals) => classificationEngine.classifySignals(signals))
+    const discovered = await engine.scan(root, { globalIgnoreFile: null })
+
+    const summary = Object.fromEntries(
+      discovered.map(project => [
+        project.name,
+        [project.classification.primary?.id, project.classification.language, project.classification.frameworks],
+      ])
+    )
+    assert.deepEqual(summary, {
+      spring: ['backend-api', 'java', ['java', 'spring-boot']],
+      quarkus: ['backend-api', 'kotlin', ['java', 'quarkus']],
+      dotnet: ['backend-api', 'csharp', ['dotnet', 'aspnetcore']],
+      rails: ['backend-api', 'ruby', ['ruby', 'rails']],
+      laravel: ['backend-api', 'php', ['php', 'laravel']],
+      phoenix: ['backend-api', 'elixir', ['elixir', 'phoenix']],
+    })
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
+
+// Mobile and desktop fixture apps, with the category and framework they should classify as
+const APP_FIXTURES = {
+  expo: {
+    files: {
+      'package.json': JSON.stringify({ name: 'expo-app', dependencies: { expo: '~51.0.0', react: '18.2.0', 'react-native': '0.74.1' } }),
+      'app.json': JSON.stringify({ expo: { name: 'expo-app', platforms: ['ios', 'android'] } }),
+      'App.tsx': 'export default function App() {}\n',
+    },
+    category: 'mobile-app',
+    framework: 'react-native',
+  },
+  'rn-bare': {
+    files: {
+      'package.json': JSON.stringify({ name: 'rn-bare', dependencies: { react: '18.2.0', 'react-native': '0.74.1' } }),
+      'metro.config.js': 'module.exports = {}\n',
+      'android/build.gradle': '',
+      'ios/Podfile': '',
+    },
+    category: 'mobile-app',
+    framework: 'react-native',
+  },
+  flutter: {
+    files: {
+      'pubspec.yaml': 'name: shop_app\nenvironment:\n  sdk: ">=3.3.0 <4.0.0"\ndependencies:\n  flutter:\n    sdk: flutter\n  http: ^1.2.0\n',
+      'lib/main.dart': 'void main() {}\n',
+      'android/build.gradle': '',
+      'ios/Runner/Info.plist': '',
+    },
+    category: 'mobile-app',
+    framework: 'flutter',
+  },
+  capacitor: {
+    files: {
+      'package.json': JSON.stringify({ name: 'cap-app', dependencies: { '@capacitor/core': '^6.0.0', '@capacitor/android': '^6.0.0' } }),
+      'capacitor.config.ts': "const config = { appId: 'com.example.cap', appName: 'Cap', webDir: 'dist' }\nexport default config\n",
+    },
+    category: 'mobile-app',
+    framework: 'capacitor',
+  },
+  cordova: {
+    files: {
+      'package.json': JSON.stringify({ name: 'cordova-app', devDependencies: { 'cordova-android': '^12.0.0' }, cordova: { platforms: ['android'] } }),
+      'config.xml': '<widget id="com.example.cordova" version="1.0.0"></widget>\n',
+    },
+    category: 'mobile-app',
+    framework: 'cordova',
+  },
+  electron: {
+    files: {
+      'package.json': JSON.stringify({
+        name: 'electron-app',
+        main: 'main.js',
+        dependencies: { react: '18.2.0', 'react-dom': '18.2.0' },
+        devDependencies: { electron: '^30.0.0', '@electron-forge/cli': '^7.4.0' },
+      }),
+      'forge.config.js': 'module.exports = {}\n',
+      'src/App.jsx': 'export default function App() {}\n',
+    },
+    category: 'desktop-app',
+    framework: 'electron',
+  },
+  tauri: {
+    files: {
+      'package.json': JSON.stringify({ name: 'tauri-app', devDependencies: { svelte: '^4.2.0', '@tauri-apps/cli': '^2.0.0' } }),
+      'svelte.config.js': 'export default {}\n',
+      'src-tauri/tauri.conf.json': JSON.stringify({
+        productName: 'Tauri App',
+        identifier: 'com.example.tauri',
+        build: { devUrl: 'http://localhost:1420', frontendDist: '../build' },
+      }),
+      'src-tauri/Cargo.toml': '[package]\nname = "tauri-app"\n',
+    },
+    category: 'desktop-app',
+    framework: 'tauri',
+  },
+  wails: {
+    files: {
+      'wails.json': JSON.stringify({ name: 'wails-app', outputfilename: 'wails-app', 'frontend:dir': 'frontend' }),
+      'go.mod': 'module example.com/wails-app\n\ngo 1.22\n',
+      'main.go': 'package main\n',
+    },
+    category: 'desktop-app',
+    framework: 'wails',
+  },
+}
+
+test('mobile and desktop apps classify into the mobile-app and desktop-app categories', async () => {
+  const root = await mkdtemp(join(tmpdir(), 'navis-apps-'))
+  try {
+    for (const [name, fixture] of Object.entries(APP_FIXTURES)) {
+      await writeFixture(join(root, name), fixture.files)
+    }
+    // Plain web projects stay web apps
+    await writeFixture(join(root, 'web'), {
+      'package.json': JSON.stringify({ name: 'web', dependencies: { react: '18.2.0', 'react-dom': '18.2.0' } }),
+      'src/App.jsx': 'export default function App() {}\n',
+    })
+
+    // Every built-in detector, registered the way the daemon does
+    const engine = new DiscoveryEngine()
+    for (const detector of detectorRegistry.getAll()) {
+      engine.registerDetector(
+        detector.name,
+        async path => {
+          const result = await detector.detect(path)
+          return { confidence: result.confidence || 0, metadata: result.metadata }
+        },
+        detector.indicators?.map(indicator => indicator.file) || [],
+        { descend: detector.descend }
+      )
+    }
+    engine.registerClassifier('category', async (path, signals) => classificationEngine.classifySignals(signals))
+    const discovered = await engine.scan(root, { globalIgnoreFile: null })
+    const byPath = Object.fromEntries(discovered.map(project => [project.path.slice(root.length + 1), project]))
+
+    assert.deepEqual(Object.keys(byPath).sort(), [...Object.keys(APP_FIXTURES), 'web'].sort())
+    for (const [name, fixture] of Object.entries(APP_FIXTURES)) {
+      const { classification } = byPath[name]
+      assert.equal(classification.primary?.id, fixture.category, name)
+      assert.ok(classification.frameworks.includes(fixture.framework), name)
+    }
+    assert.equal(byPath.web.classification.primary.id, 'web-app')
+    assert.equal(byPath.flutter.classification.language, 'dart')
+
+    const metadata = (name, type) => byPath[name].signals.find(signal => signal.type === type).metadata
+    assert.deepEqual(metadata('expo', 'react-native').devServer, { command: 'npx expo start', port: 8081 })
+    assert.deepEqual(metadata('rn-bare', 'react-native').platforms, ['android', 'ios'])
+    assert.deepEqual(metadata('flutter', 'flutter').platforms, ['android', 'ios'])
+    assert.deepEqual([metadata('capacitor', 'capacitor').appId, metadata('capacitor', 'capacitor').platforms], ['com.example.cap', ['android']])
+    assert.equal(metadata('cordova', 'cordova').appId, 'com.example.cordova')
+    assert.equal(metadata('electron', 'electron').packager, 'electron-forge')
+    assert.deepEqual(metadata('tauri', 'tauri').devServer, { command: 'npx tauri dev', port: 1420 })
+    assert.equal(metadata('wails', 'wails').frontendDir, 'frontend')
+  } finally {
+    await rm(root, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,59 @@
+/**
+ * Asciicast Recorder
+ * Appends a terminal session to an asciicast v2 file as it runs
+ * (format helpers live in @navisai/core/recording).
+ */
+
+import { createWriteStream } from 'node:fs'
+import { mkdir } from 'node:fs/promises'
+import path from 'node:path'
+import { performance } from 'node:perf_hooks'
+
+export class AsciicastRecorder {
+  constructor(filePath, { width, height, command, title } = {}) {
+    this.filePath = filePath
+    this.header = {
+      version: 2,
+      width,
+      height,
+      timestamp: Math.floor(Date.now() / 1000),
+      command,
+      title,
+      env: { SHELL: process.env.SHELL || null, TERM: 'xterm-256color' },
+    }
+    this.stream = null
+    this.startedAt = 0
+  }
+
+  async open() {
+    await mkdir(path.dirname(this.filePath), { recursive: true })
+    this.stream = createWriteStream(this.filePath, { flags: 'w', mode: 0o600 })
+    this.startedAt = performance.now()
+    this.writeLine(this.header)
+  }
+
+  output(data) {
+    this.writeEvent('o', data)
+  }
+
+  input(data) {
+    this.writeEvent('i', data)
+  }
+
+  writeEvent(code, data) {
+    const elapsed = (performance.now() - this.startedAt) / 1000
+    this.writeLine([Number(elapsed.toFixed(6)), code, data])
+  }
+
+  writeLine(value) {
+    if (!this.stream) return
+    this.stream.write(`${JSON.stringify(value)}\n`)
+  }
+
+  async close() {
+    if (!this.stream) return
+    const stream = this.stream
+    this.stream = null
+    await new Promise(resolve => stream.end(resolve))
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Search Service
+ * Full-text and file name search across discovered projects.
+ *
+ * Each project's files (minus excluded directories and anything matched by
+ * the global, `.gitignore` or `.navisignore` rules) are stored in the SQLite
+ * FTS5 index: name and path always, text contents when `contents` is enabled
+ * and the file is small enough and not binary.
+ *
+ * Indexing is incremental: a pass over a project only re-reads files whose
+ * size or mtime changed and drops files that disappeared. Projects are synced
+ * when the daemon starts and whenever discovery stores them, and single files
+ * are updated from the discovery watcher's change events.
+ */
+
+import path from 'node:path'
+import { stat } from 'node:fs/promises'
+import { DEFAULT_EXCLUDE_DIRS } from '@navisai/discovery'
+import { DEFAULT_MAX_FILES, listProjectFiles, readTextFile } from '@navisai/discovery/files.js'
+import { GLOBAL_IGNORE_FILE, isPathIgnored } from '@navisai/discovery/ignore.js'
+import { logger } from '@navisai/logging'
+
+const DEFAULT_MAX_CONTENT_BYTES = 256 * 1024
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+const WRITE_BATCH_FILES = 200
+const CHANGE_DEBOUNCE_MS = 500
+
+export class SearchService {
+  constructor({
+    repository,
+    projectService,
+    contents = true,
+    maxContentBytes = DEFAULT_MAX_CONTENT_BYTES,
+    maxFiles = DEFAULT_MAX_FILES,
+    excludeDirs = DEFAULT_EXCLUDE_DIRS,
+    globalIgnoreFile = GLOBAL_IGNORE_FILE,
+    debounceMs = CHANGE_DEBOUNCE_MS,
+  } = {}) {
+    this.repository = repository || null
+    this.projectService = projectService
+    this.contents = contents
+    this.maxContentBytes = maxContentBytes
+    this.maxFiles = maxFiles
+    this.excludeDirs = excludeDirs
+    this.globalIgnoreFile = globalIgnoreFile
+    this.debounceMs = debounceMs
+    this.running = new Map()
+    this.queue = Promise.resolve()
+    this.changes = new Map()
+    this.changeTimer = null
+  }
+
+  async initialize() {
+    console.log('🔎 Search service initialized')
+  }
+
+  get available() {
+    return Boolean(this.repository)
+  }
+
+  /**
+   * Queue a sync of every known project.
+   */
+  async start() {
+    if (!this.available) return
+    const { projects } = await this.projectService.listProjects()
+    this.schedule(projects)
+  }
+
+  /**
+   * Sync projects in the background, one at a time.
+   */
+  schedule(projects) {
+    if (!this.available) return this.queue
+    for (const project of projects) {
+      this.queue = this.queue
+        .then(() => this.indexProject(project))
+        .catch(error => {
+          logger.warn('Search indexing failed', { projectId: project.id, error: error.message })
+        })
+    }
+    return this.queue
+  }
+
+  /**
+   * Bring a project's index up to date. Concurrent calls for the same project
+   * share one pass.
+   * @returns {Promise<{ projectId: string, added: number, updated: number, removed: number, unchanged: number, truncated: boolean }>}
+   */
+  async indexProject(project) {
+    if (!this.available) return null
+    if (!this.running.has(project.id)) {
+      this.running.set(
+        project.id,
+        this.syncProject(project).finally(() => this.running.delete(project.id))
+      )
+    }
+    return this.running.get(project.id)
+  }
+
+  async syncProject(project) {
+    const startedAt = Date.now()
+    // Workspace members are projects of their own and index their own files.
+    const { packages } = await this.projectService.listPackages(project.id)
+    const [{ files, truncated }, indexed] = await Promise.all([
+      listProjectFiles(project.path, {
+        excludeDirs: this.excludeDirs,
+        globalIgnoreFile: this.globalIgnoreFile,
+        maxFiles: this.maxFiles,
+        skipPaths: packages.map(pkg => pkg.path),
+      }),
+      this.repository.listFiles(project.id),
+    ])
+
+    const known = new Map(indexed.map(row => [row.path, row]))
+    const changed = []
+    let added = 0
+    for (const file of files) {
+      const row = known.get(file.path)
+      known.delete(file.path)
+      if (!row) {
+        added++
+        changed.push(file)
+      } else if (row.size !== file.size || row.mtimeMs !== file.mtimeMs) {
+        changed.push(file)
+      }
+    }
+
+    for (let i = 0; i < changed.length; i += WRITE_BATCH_FILES) {
+      const batch = changed.slice(i, i + WRITE_BATCH_FILES)
+      await this.repository.upsertFiles(project.id, await this.withContents(project, batch))
+    }
+    const removed = [...known.keys()]
+    await this.repository.removeFiles(project.id, removed)
+
+    const result = {
+      projectId: project.id,
+      added,
+      updated: changed.length - added,
+      removed: removed.length,
+      unchanged: files.length - changed.length,
+      truncated,
+    }
+    if (changed.length > 0 || removed.length > 0) {
+      logger.info('Search index updated', { ...result, durationMs: Date.now() - startedAt })
+    }
+    return result
+  }
+
+  async withContents(project, files) {
+    return Promise.all(
+      files.map(async file => {
+        let content = null
+        if (this.contents && file.size <= this.maxContentBytes) {
+          content = await readTextFile(path.join(project.path, file.path), this.maxContentBytes).catch(() => null)
+        }
+        return { ...file, content }
+      })
+    )
+  }
+
+  /**
+   * Record a file change reported by the discovery watcher; changes are
+   * applied in batches after a short pause.
+   * @param {{ type: 'add'|'change'|'unlink', path: string }} change
+   */
+  handleFileChange(change) {
+    if (!this.available) return
+    this.changes.set(change.path, change.type)
+    clearTimeout(this.changeTimer)
+    this.changeTimer = setTimeout(() => {
+      this.changeTimer = null
+      this.flushChanges().catch(error => {
+        logger.warn('Search index update failed', { error: error.message })
+      })
+    }, this.debounceMs)
+    this.changeTimer.unref?.()
+  }
+
+  async flushChanges() {
+    const changes = [...this.changes]
+    this.changes.clear()
+    if (changes.length === 0) return
+
+    const { projects } = await this.projectService.listProjects()
+    // Deepest project first, so workspace members own their files (see syncProject).
+    const candidates = [...projects].sort((a, b) => b.path.length - a.path.length)
+    const updates = new Map()
+
+    for (const [filePath, type] of changes) {
+      const project = candidates.find(candidate => filePath.startsWith(candidate.path + path.sep))
+      if (!project) continue
+      const relative = path.relative(project.path, filePath)
+      const segments = relative.split(path.sep)
+      if (segments.slice(0, -1).some(segment => segment === '.git' || this.excludeDirs.includes(segment))) continue
+
+      if (!updates.has(project.id)) updates.set(project.id, { project, upserts: [], removals: [] })
+      const update = updates.get(project.id)
+      const entryPath = segments.join('/')
+
+      const stats = type === 'unlink' ? null : await stat(filePath).catch(() => null)
+      const ignored = stats?.isFile() &&
+        (await isPathIgnored(project.path, filePath, { isDirectory: false, globalIgnoreFile: this.globalIgnoreFile }))
+      if (!stats?.isFile() || ignored) {
+        update.removals.push(entryPath)
+      } else {
+        update.upserts.push({ path: entryPath, size: stats.size, mtimeMs: Math.floor(stats.mtimeMs) })
+      }
+    }
+
+    for (const { project, upserts, removals } of updates.values()) {
+      await this.repository.upsertFiles(project.id, await this.withContents(project, upserts))
+      await this.repository.removeFiles(project.id, removals)
+    }
+  }
+
+  /**
+   * Search file names, paths and contents.
+   * @returns {Promise<{ query: string, results: Object[] }>}
+   */
+  async search(query, { projectId, limit = DEFAULT_LIMIT } = {}) {
+    if (!this.available) {
+      throw new Error('Search index not available')
+    }
+    const text = String(query || '').trim()
+    if (!text) {
+      throw new Error('Query is required')
+    }
+    const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+    const rows = await this.repository.search(text, { projectId, limit: max })
+
+    const terms = text.toLowerCase().split(/\s+/)
+    const projects = new Map()
+    const results = []
+    for (const row of rows) {
+      if (!projects.has(row.projectId)) {
+        projects.set(row.projectId, await this.projectService.getProject(row.projectId).catch(() => null))
+      }
+      const project = projects.get(row.projectId)
+      if (!project) continue
+
+      const lowerPath = row.path.toLowerCase()
+      const name = lowerPath.split('/').pop()
+      const match = terms.every(term => name.includes(term))
+        ? 'name'
+        : terms.every(term => lowerPath.includes(term)) ? 'path' : 'content'
+      results.push({
+        projectId: row.projectId,
+        projectName: project.name,
+        path: row.path,
+        absolutePath: path.join(project.path, row.path),
+        size: row.size,
+        mtime: new Date(row.mtimeMs).toISOString(),
+        match,
+        snippet: match === 'content' ? row.snippet : null,
+      })
+    }
+    return { query: text, results }
+  }
+
+  stop() {
+    clearTimeout(this.changeTimer)
+    this.changeTimer = null
+    this.changes.clear()
+  }
+}
@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict'
+import { mkdir, mkdtemp, rm, utimes, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import test from 'node:test'
+import { listProjectFiles } from '@navisai/discovery/files.js'
+import { SearchService } from './search.js'
+
+// Substring matching over an in-memory table, standing in for FTS5.
+function createFakeSearchRepository() {
+  const rows = new Map()
+  const key = (projectId, path) => `${projectId}\0${path}`
+  return {
+    rows,
+    writes: [],
+    async listFiles(projectId) {
+      return [...rows.values()].filter(row => row.projectId === projectId)
+    },
+    async upsertFiles(projectId, files) {
+      for (const file of files) {
+        this.writes.push(file.path)
+        rows.set(key(projectId, file.path), { projectId, ...file })
+      }
+    },
+    async removeFiles(projectId, paths) {
+      for (const path of paths) rows.delete(key(projectId, path))
+    },
+    async search(query, { projectId, limit }) {
+      const terms = query.toLowerCase().split(/\s+/)
+      return [...rows.values()]
+        .filter(row => !projectId || row.projectId === projectId)
+        .filter(row => terms.every(term => `${row.path}\n${row.content ?? ''}`.toLowerCase().includes(term)))
+        .slice(0, limit)
+        .map(row => ({ ...row, snippet: `…[${terms[0]}]…` }))
+    },
+  }
+}
+
+async function createProjects() {
+  const dir = await mkdtemp(join(tmpdir(), 'navis-search-'))
+  const api = join(dir, 'api')
+  await mkdir(join(api, 'src'), { recursive: true })
+  await mkdir(join(api, 'node_modules', 'dep'), { recursive: true })
+  await mkdir(join(api, 'tmp'), { recursive: true })
+  await writeFile(join(api, 'docker-compose.yml'), 'services:\n  db:\n    image: postgres:16\n')
+  await writeFile(join(api, 'src', 'server.js'), 'listen(8080)\n')
+  await writeFile(join(api, 'node_modules', 'dep', 'index.js'), 'postgres\n')
+  await writeFile(join(api, 'tmp', 'dump.sql'), 'postgres\n')
+  await writeFile(join(api, 'logo.png'), Buffer.from([0x89, 0x50, 0x00, 0x47]))
+  await writeFile(join(api, '.gitignore'), 'tmp/\n*.log\n')
+  await writeFile(join(api, 'debug.log'), 'postgres\n')
+
+  const web = join(dir, 'web')
+  await mkdir(web)
+  await writeFile(join(web, 'vite.config.js'), 'export default { server: { port: 5173 } }\n')
+
+  const projects = [
+    { id: 'project_api', name: 'api', path: api },
+    { id: 'project_web', name: 'web', path: web },
+  ]
+  const projectService = {
+    listProjects: async () => ({ projects }),
+    getProject: async id => projects.find(project => project.id === id),
+    listPackages: async () => ({ packages: [] }),
+  }
+  return { dir, api, web, projects, projectService }
+}
+
+test('listProjectFiles skips excluded directories, ignored files and skipped paths', async () => {
+  const { dir, api } = await createProjects()
+
+  try {
+    const { files, truncated } = await listProjectFiles(api, { globalIgnoreFile: null })
+    assert.equal(truncated, false)
+    assert.deepEqual(files.map(file => file.path), ['.gitignore', 'docker-compose.yml', 'logo.png', 'src/server.js'])
+
+    const skipped = await listProjectFiles(api, { globalIgnoreFile: null, skipPaths: [join(api, 'src')], maxFiles: 2 })
+    assert.deepEqual(skipped.files.map(file => file.path), ['.gitignore', 'docker-compose.yml'])
+    assert.equal(skipped.truncated, true)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('projects are indexed incrementally and searched by name, path and content', async () => {
+  const { dir, api, projects, projectService } = await createProjects()
+  const repository = createFakeSearchRepository()
+  const search = new SearchService({ repository, projectService, globalIgnoreFile: null })
+
+  try {
+    await search.schedule(projects)
+    assert.equal(repository.rows.size, 5)
+    const logo = repository.rows.get('project_api\0logo.png')
+    assert.equal(logo.content, null)
+
+    const byName = await search.search('compose')
+    assert.deepEqual(byName.results.map(result => [result.projectName, result.path, result.match]), [
+      ['api', 'docker-compose.yml', 'name'],
+    ])
+    assert.equal(byName.results[0].absolutePath, join(api, 'docker-compose.yml'))
+    assert.equal(byName.results[0].snippet, null)
+
+    const byContent = await search.search('postgres')
+    assert.deepEqual(byContent.results.map(result => [result.path, result.match]), [['docker-compose.yml', 'content']])
+    assert.match(byContent.results[0].snippet, /\[postgres\]/)
+
+    const scoped = await search.search('port', { projectId: 'project_web' })
+    assert.deepEqual(scoped.results.map(result => result.path), ['vite.config.js'])
+
+    // A second pass only rewrites what changed.
+    repository.writes.length = 0
+    await writeFile(join(api, 'src', 'server.js'), 'listen(9090)\n')
+    await utimes(join(api, 'src', 'server.js'), new Date(), new Date(Date.now() + 5000))
+    await rm(join(api, 'logo.png'))
+    const result = await search.indexProject(projects[0])
+    assert.deepEqual(
+      { updated: result.updated, removed: result.removed, unchanged: result.unchanged },
+      { updated: 1, removed: 1, unchanged: 2 }
+    )
+    assert.deepEqual(repository.writes, ['src/server.js'])
+
+    await assert.rejects(search.search('  '), /Query is required/)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('watcher changes update single files and respect ignore rules', async () => {
+  const { dir, api, projects, projectService } = await createProjects()
+  const repository = createFakeSearchRepository()
+  const search = new SearchService({ repository, projectService, globalIgnoreFile: null, debounceMs: 10 })
+
+  try {
+    await search.schedule(projects)
+
+    await writeFile(join(api, 'src', 'db.js'), 'connect("postgres://localhost")\n')
+    await writeFile(join(api, 'trace.log'), 'postgres\n')
+    await rm(join(api, 'docker-compose.yml'))
+    search.handleFileChange({ type: 'add', path: join(api, 'src', 'db.js') })
+    search.handleFileChange({ type: 'add', path: join(api, 'trace.log') })
+    search.handleFileChange({ type: 'add', path: join(api, 'node_modules', 'dep', 'index.js') })
+    search.handleFileChange({ type: 'unlink', path: join(api, 'docker-compose.yml') })
+    search.handleFileChange({ type: 'add', path: join(dir, 'elsewhere.txt') })
+    await search.flushChanges()
+
+    const { results } = await search.search('postgres')
+    assert.deepEqual(results.map(result => result.path), ['src/db.js'])
+    assert.equal(repository.rows.has('project_api\0docker-compose.yml'), false)
+  } finally {
+    search.stop()
+    await rm(dir, { recursive: true, force: true })
+  }
+})
+
+test('search is unavailable without a database', async () => {
+  const search = new SearchService({ projectService: {} })
+  assert.equal(search.available, false)
+  await assert.rejects(search.search('anything'), /Search index not available/)
+})
@@ -1,26 +1,124 @@
 /**
  * Session Service
  * Manages active sessions (terminal, ACP, etc.)
+ *
+ * Terminal sessions are backed by a PTY (see ./terminal.js). Output is streamed
+ * as `terminal.output` on the per-session WebSocket channel `session:<id>` and
+ * kept in a bounded scrollback buffer so late joiners can catch up.
+ *
+ * Input from paired devices is written straight through for sessions created
+ * with `allowInput`; for every other session each input becomes a
+ * `terminal.input` approval and is only written once approved.
+ *
+ * Terminal sessions can be recorded as asciicast v2 files (one per session,
+ * named after the session id) so they can be replayed after the daemon restarts.
+ *
+ * ACP sessions relay a locally launched agent over the Agent Client Protocol
+ * (see ./acp.js). Agent messages and tool calls are kept in a bounded transcript
+ * and broadcast as `session.update` on the session channel; the agent's
+ * permission requests become `acp.permission` approvals.
+ *
+ * When the database is available every session is written through the sessions
+ * repository, so history survives restarts. Sessions still `active` in the
+ * database at startup belonged to a previous daemon run and are marked `lost`.
+ *
+ * Only the most recent finished sessions (`retainExited`) stay in memory with
+ * their scrollback; older ones are served from the repository and, for
+ * terminal scrollback, from their recording.
  */
 
+import { readFile } from 'node:fs/promises'
+import { NAVIS_WS_CHANNELS } from '@navisai/api-contracts'
+import { DEFAULT_RECORDINGS_DIR, parseAsciicast, recordingPath } from '@navisai/core/recording'
+import { logger } from '@navisai/logging'
+import { AcpAgent, selectPermissionOutcome } from './acp.js'
+import { DAEMON_EXECUTOR } from './approval.js'
+import { AsciicastRecorder } from './recording.js'
+import {
+  DEFAULT_COLS,
+  DEFAULT_ROWS,
+  DEFAULT_SCROLLBACK_BYTES,
+  ScrollbackBuffer,
+  spawnTerminalProcess,
+} from './terminal.js'
+
+const MAX_INPUT_BYTES = 4096
+const MAX_TRANSCRIPT_ENTRIES = 500
+export const DEFAULT_RETAINED_SESSIONS = 50
+
+const MESSAGE_KINDS = {
+  user_message_chunk: 'user_message',
+  agent_message_chunk: 'agent_message',
+  agent_thought_chunk: 'agent_thought',
+}
+
 export class SessionService {
-  constructor() {
+  constructor({
+    spawnTerminal,
+    scrollbackBytes,
+    approvalService,
+    recordingsDir,
+    recordByDefault = false,
+    repository,
+    retainExited = DEFAULT_RETAINED_SESSIONS,
+  } = {}) {
     this.sessions = new Map()
+    // Ids of finished sessions still held in memory, oldest first
+    this.finished = new Set()
+    this.retainExited = retainExited
+    this.repository = repository || null
+    this.approvalService = approvalService || null
+    this.terminals = new Map()
+    this.agents = new Map()
+    this.spawnTerminal = spawnTerminal || spawnTerminalProcess
+    this.scrollbackBytes = scrollbackBytes || DEFAULT_SCROLLBACK_BYTES
+    this.recordingsDir = recordingsDir || DEFAULT_RECORDINGS_DIR
+    this.recordByDefault = recordByDefault
+    this.wsManager = null
   }
 
   async initialize() {
+    if (this.repository) {
+      await this.reconcile()
+    }
     console.log('💻 Session service initialized')
   }
 
-  async listSessions() {
+  /**
+   * Mark sessions left `active` by a previous daemon run as `lost`; their
+   * processes did not survive the restart.
+   */
+  async reconcile() {
+    const orphaned = await this.repository.findAll({ status: 'active' })
+    const endTime = new Date().toISOString()
+    for (const row of orphaned) {
+      if (this.sessions.has(row.id)) continue
+      await this.repository.update(row.id, { status: 'lost', endTime })
+    }
+    if (orphaned.length > 0) {
+      logger.info('Marked orphaned sessions as lost', { count: orphaned.length })
+    }
+  }
+
+  async listSessions(options = {}) {
+    const { projectId, status, type } = options
+
+    if (this.repository) {
+      const rows = await this.repository.findAll({ projectId, status, type })
+      return {
+        sessions: rows.map(row => {
+          const session = this.sessions.get(row.id)
+          return session ? this.toSummary(session) : this.fromRow(row)
+        })
+      }
+    }
+
     return {
-      sessions: Array.from(this.sessions.values()).map(session => ({
-        id: session.id,
-        type: session.type,
-        status: session.status,
-        startTime: session.startTime,
-        lastActivity: session.lastActivity
-      }))
+      sessions: Array.from(this.sessions.values())
+        .filter(session => !projectId || session.projectId === projectId)
+        .filter(session => !status || session.status === status)
+        .filter(session => !type || session.type === type)
+        .map(session => this.toSummary(session))
     }
   }
 
@@ -34,10 +132,472 @@ export class SessionService {
       ...metadata
     }
 
+    if (this.repository) {
+      await this.repository.create({ ...session, createdAt: session.startTime })
+    }
+
     this.sessions.set(session.id, session)
     return session
   }
 
+  /**
+   * Spawn a PTY-backed terminal session and start mirroring its output.
+   * `approvalId` links a session started on behalf of an approval; `onExit`
+   * is called with the session once its process has exited. `shell: false`
+   * runs a bare `command` as an executable instead of a shell command line.
+   */
+  async createTerminalSession({
+    command,
+    args = [],
+    cwd,
+    env,
+    cols = DEFAULT_COLS,
+    rows = DEFAULT_ROWS,
+    projectId = null,
+    allowInput = false,
+    record = this.recordByDefault,
+    approvalId = null,
+    shell = true,
+    onExit,
+  }) {
+    const session = await this.createSession('terminal', {
+      command,
+      args,
+      cwd: cwd || process.cwd(),
+      projectId,
+      allowInput: Boolean(allowInput),
+      recording: Boolean(record),
+      approvalId,
+      exitCode: null,
+    })
+
+    const scrollback = new ScrollbackBuffer(this.scrollbackBytes)
+    const recorder = record
+      ? new AsciicastRecorder(recordingPath(session.id, this.recordingsDir), {
+          width: cols,
+          height: rows,
+          command: [command, ...args].join(' '),
+          title: session.id,
+        })
+      : null
+    // Open the recording before spawning so no early output is missed.
+    if (recorder) {
+      try {
+        await recorder.open()
+      } catch (error) {
+        logger.warn('Session recording unavailable', { sessionId: session.id, error: error.message })
+        session.recording = false
+      }
+    }
+
+    let proc
+    try {
+      proc = await this.spawnTerminal({ command, args, cwd: session.cwd, env, cols, rows, shell })
+    } catch (error) {
+      session.status = 'failed'
+      session.endTime = new Date().toISOString()
+      session.error = error.message
+      await recorder?.close()
+      this.saveSession(session)
+      this.retire(session.id)
+      throw error
+    }
+
+    session.pid = proc.pid
+    session.pty = proc.pty
+    this.terminals.set(session.id, { proc, scrollback, recorder: session.recording ? recorder : null })
+
+    proc.onData(data => this.handleOutput(session, scrollback, data))
+    proc.onExit(({ exitCode, signal }) => {
+      this.handleExit(session, { exitCode, signal })
+      onExit?.(session)
+    })
+
+    this.saveSession(session)
+    return session
+  }
+
+  handleOutput(session, scrollback, data) {
+    const seq = scrollback.append(data)
+    this.terminals.get(session.id)?.recorder?.output(data)
+    session.lastActivity = new Date().toISOString()
+    this.emit(
+      'terminal.output',
+      { sessionId: session.id, seq, data },
+      NAVIS_WS_CHANNELS.session(session.id)
+    )
+  }
+
+  /**
+   * Launch a local ACP agent and open a session mirroring it.
+   * An optional first prompt is sent once the agent's session is open.
+   */
+  async createAcpSession({ command, args = [], cwd, env, projectId = null, prompt }) {
+    const session = await this.createSession('acp', {
+      command,
+      args,
+      cwd: cwd || process.cwd(),
+      projectId,
+      exitCode: null,
+      busy: false,
+      stopReason: null,
+      transcript: [],
+    })
+
+    const agent = new AcpAgent({
+      command,
+      args,
+      cwd: session.cwd,
+      env,
+      onUpdate: update => this.handleAcpUpdate(session, update),
+      onPermission: params => this.handleAcpPermission(session, params),
+      onExit: result => this.handleExit(session, result),
+    })
+
+    try {
+      await agent.start()
+    } catch (error) {
+      session.status = 'failed'
+      session.endTime = new Date().toISOString()
+      session.error = error.message
+      this.saveSession(session)
+      this.retire(session.id)
+      throw error
+    }
+
+    session.acpSessionId = agent.sessionId
+    this.agents.set(session.id, agent)
+    this.saveSession(session)
+
+    if (prompt) {
+      this.promptAcpSession(session.id, prompt).catch(error => {
+        logger.warn('ACP prompt failed', { sessionId: session.id, error: error.message })
+      })
+    }
+    return session
+  }
+
+  /**
+   * Send a prompt to an ACP session; resolves when the agent's turn ends.
+   */
+  async promptAcpSession(id, text) {
+    const session = await this.getSession(id)
+    const agent = this.agents.get(id)
+    if (!agent || session.status !== 'active') {
+      throw new Error('Session is not running')
+    }
+    if (session.busy) {
+      throw new Error('Agent is already working on a prompt')
+    }
+
+    session.busy = true
+    this.handleAcpUpdate(session, {
+      sessionUpdate: 'user_message_chunk',
+      content: { type: 'text', text },
+    })
+    this.emitUpdate(session)
+
+    try {
+      session.stopReason = await agent.prompt(text)
+      return { stopReason: session.stopReason }
+    } finally {
+      session.busy = false
+      this.emitUpdate(session)
+    }
+  }
+
+  async cancelAcpSession(id) {
+    const session = await this.getSession(id)
+    const agent = this.agents.get(id)
+    if (!agent || session.status !== 'active') {
+      throw new Error('Session is not running')
+    }
+    agent.cancel()
+    return session
+  }
+
+  handleAcpUpdate(session, update) {
+    session.lastActivity = new Date().toISOString()
+    const { transcript } = session
+    const at = session.lastActivity
+
+    switch (update.sessionUpdate) {
+      case 'user_message_chunk':
+      case 'agent_message_chunk':
+      case 'agent_thought_chunk': {
+        const kind = MESSAGE_KINDS[update.sessionUpdate]
+        const text = update.content?.type === 'text' ? update.content.text : `[${update.content?.type}]`
+        const last = transcript[transcript.length - 1]
+        // Agents stream messages in chunks; keep one transcript entry per message.
+        if (last?.kind === kind && kind !== 'user_message') {
+          last.text += text
+        } else {
+          transcript.push({ kind, text, at })
+        }
+        break
+      }
+      case 'tool_call':
+        transcript.push({
+          kind: 'tool_call',
+          toolCallId: update.toolCallId,
+          title: update.title,
+          toolKind: update.kind || 'other',
+          status: update.status || 'pending',
+          at,
+        })
+        break
+      case 'tool_call_update': {
+        const entry = this.findToolCall(session, update.toolCallId)
+        if (entry) {
+          if (update.status) entry.status = update.status
+          if (update.title) entry.title = update.title
+        }
+        break
+      }
+      case 'plan':
+        session.plan = update.entries || []
+        break
+      default:
+        break
+    }
+
+    if (transcript.length > MAX_TRANSCRIPT_ENTRIES) {
+      transcript.splice(0, transcript.length - MAX_TRANSCRIPT_ENTRIES)
+    }
+
+    this.emit(
+      'session.update',
+      { sessionId: session.id, update },
+      NAVIS_WS_CHANNELS.session(session.id)
+    )
+  }
+
+  /**
+   * Route an agent's permission request through ApprovalService.
+   * Unanswered requests (expired approval, no approvals available) are cancelled.
+   */
+  async handleAcpPermission(session, { toolCall = {}, options = [] }) {
+    if (!this.approvalService) {
+      return { outcome: 'cancelled' }
+    }
+
+    let approval = await this.approvalService.createApproval(
+      'acp.permission',
+      {
+        sessionId: session.id,
+        toolCallId: toolCall.toolCallId,
+        title: toolCall.title,
+        kind: toolCall.kind,
+        options: options.map(({ optionId, name, kind }) => ({ optionId, name, kind })),
+      },
+      { projectId: session.projectId || null, executor: DAEMON_EXECUTOR }
+    )
+
+    const entry = this.findToolCall(session, toolCall.toolCallId)
+    if (entry) entry.approvalId = approval.id
+
+    if (approval.status === 'pending') {
+      const remaining = Math.max(Date.parse(approval.expiresAt) - Date.now(), 0)
+      approval = await this.approvalService.waitForResolution(approval.id, remaining + 1000)
+    }
+
+    if (entry) entry.permission = approval.status
+    if (approval.status === 'pending') {
+      return { outcome: 'cancelled' }
+    }
+    return selectPermissionOutcome(options, approval.status === 'approved')
+  }
+
+  findToolCall(session, toolCallId) {
+    return session.transcript.findLast(
+      entry => entry.kind === 'tool_call' && entry.toolCallId === toolCallId
+    )
+  }
+
+  handleExit(session, { exitCode, signal }) {
+    // closeSession() may already have marked a killed session as closed.
+    if (session.status === 'active') {
+      session.status = 'exited'
+    }
+    session.exitCode = exitCode ?? null
+    session.signal = signal || null
+    session.endTime = session.endTime || new Date().toISOString()
+    this.agents.delete(session.id)
+
+    const terminal = this.terminals.get(session.id)
+    if (terminal) {
+      // Scrollback stays readable after exit; only the process handle is dropped.
+      terminal.proc = null
+      if (terminal.recorder) {
+        terminal.recordingClosed = terminal.recorder.close().catch(error => {
+          logger.warn('Failed to finish session recording', { sessionId: session.id, error: error.message })
+        })
+        terminal.recorder = null
+      }
+    }
+    this.saveSession(session)
+    // Evict only once the recording is flushed, so getRecording never reads a partial file.
+    Promise.resolve(terminal?.recordingClosed).then(() => this.retire(session.id))
+  }
+
+  /**
+   * Remember a finished session, evicting the oldest ones beyond `retainExited`
+   * together with their scrollback.
+   */
+  retire(id) {
+    if (!this.sessions.has(id)) return
+    this.finished.delete(id)
+    this.finished.add(id)
+    for (const oldest of this.finished) {
+      if (this.finished.size <= this.retainExited) break
+      this.finished.delete(oldest)
+      this.sessions.delete(oldest)
+      this.terminals.delete(oldest)
+      this.agents.delete(oldest)
+    }
+  }
+
+  /**
+   * Scrollback snapshot for a terminal session; `seq` is the last chunk included.
+   */
+  async getScrollback(id) {
+    if (!this.sessions.has(id)) {
+      return this.recordedScrollback(id)
+    }
+    const terminal = this.terminals.get(id)
+    if (!terminal) {
+      throw new Error('Session has no terminal')
+    }
+    return { sessionId: id, ...terminal.scrollback.snapshot() }
+  }
+
+  /**
+   * Scrollback of an evicted (or earlier run's) session, rebuilt from its recording.
+   */
+  async recordedScrollback(id) {
+    let text
+    try {
+      text = await this.getRecording(id)
+    } catch (error) {
+      if (error.message === 'Recording not found') {
+        throw new Error('Session not found')
+      }
+      throw error
+    }
+    const scrollback = new ScrollbackBuffer(this.scrollbackBytes)
+    for (const [, code, data] of parseAsciicast(text).events) {
+      if (code === 'o') scrollback.append(data)
+    }
+    return { sessionId: id, ...scrollback.snapshot() }
+  }
+
+  /**
+   * Send input from a paired device into a running terminal session.
+   * Allow-listed sessions get the input immediately; otherwise a `terminal.input`
+   * approval is created (onPending is called with it) and the input is written
+   * only if it is approved before it expires.
+   * @returns {Promise<{ status: 'sent' | 'denied', approvalId?: string, reason?: string }>}
+   */
+  async submitInput(id, data, { deviceId = null, onPending } = {}) {
+    const session = await this.getSession(id)
+    if (typeof data !== 'string' || data.length === 0 || Buffer.byteLength(data) > MAX_INPUT_BYTES) {
+      throw new Error('Invalid terminal input')
+    }
+    this.requireRunningTerminal(session)
+
+    if (session.allowInput) {
+      this.writeInput(session, data, { deviceId, via: 'allow-list' })
+      return { status: 'sent' }
+    }
+
+    if (!this.approvalService) {
+      throw new Error('Terminal input requires approval, but approvals are unavailable')
+    }
+
+    let approval = await this.approvalService.createApproval(
+      'terminal.input',
+      // Not `command`: command rules must never match keystrokes sent to a session.
+      { sessionId: id, sessionCommand: session.command, data },
+      { projectId: session.projectId || null, executor: DAEMON_EXECUTOR }
+    )
+
+    if (approval.status === 'pending') {
+      onPending?.(approval)
+      const remaining = Math.max(Date.parse(approval.expiresAt) - Date.now(), 0)
+      approval = await this.approvalService.waitForResolution(approval.id, remaining + 1000)
+    }
+
+    if (approval.status !== 'approved') {
+      return {
+        status: 'denied',
+        approvalId: approval.id,
+        reason: approval.deniedReason || (approval.status === 'pending' ? 'expired' : 'rejected'),
+      }
+    }
+
+    // The process may have exited while the approval was pending.
+    this.requireRunningTerminal(session)
+    this.writeInput(session, data, { deviceId, via: approval.id })
+    return { status: 'sent', approvalId: approval.id }
+  }
+
+  requireRunningTerminal(session) {
+    if (session.status !== 'active' || !this.terminals.get(session.id)?.proc) {
+      throw new Error('Session is not running')
+    }
+  }
+
+  writeInput(session, data, { deviceId, via }) {
+    const terminal = this.terminals.get(session.id)
+    terminal.proc.write(data)
+    terminal.recorder?.input(data)
+    session.lastActivity = new Date().toISOString()
+    logger.info('Terminal input sent', { sessionId: session.id, deviceId, via, bytes: data.length })
+  }
+
+  /**
+   * Raw asciicast v2 text of a session recording. Recordings outlive the
+   * in-memory session, so this only needs the file to exist.
+   */
+  async getRecording(id) {
+    // Let a just-exited session finish flushing its recording first.
+    await this.terminals.get(id)?.recordingClosed
+    try {
+      return await readFile(recordingPath(id, this.recordingsDir), 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.message.startsWith('Invalid session id')) {
+        throw new Error('Recording not found')
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Session summary plus type-specific detail (the transcript for ACP sessions).
+   */
+  async getSessionDetail(id) {
+    const session = this.sessions.get(id)
+    if (!session) {
+      // Sessions from earlier daemon runs only exist in the database.
+      const row = this.repository ? await this.repository.findById(id) : null
+      if (!row) {
+        throw new Error('Session not found')
+      }
+      return this.fromRow(row)
+    }
+    const detail = this.toSummary(session)
+    if (session.type === 'acp') {
+      Object.assign(detail, {
+        acpSessionId: session.acpSessionId,
+        busy: session.busy,
+        stopReason: session.stopReason,
+        plan: session.plan || [],
+        transcript: session.transcript,
+      })
+    }
+    return detail
+  }
+
   async getSession(id) {
     const session = this.sessions.get(id)
     if (!session) {
@@ -57,6 +617,7 @@ export class SessionService {
     })
 
     this.sessions.set(id, session)
+    this.saveSession(session)
     return session
   }
 
@@ -69,11 +630,98 @@ export class SessionService {
     session.status = 'closed'
     session.endTime = new Date().toISOString()
     this.sessions.set(id, session)
+    this.saveSession(session)
+
+    const running = this.terminals.get(id)?.proc || this.agents.get(id)
+    running?.kill()
+    // Sessions without a process never reach handleExit
+    if (!running) this.retire(id)
 
     return session
   }
 
+  /**
+   * Kill any running terminal processes (daemon shutdown).
+   */
+  async closeAll() {
+    for (const [id, terminal] of this.terminals) {
+      if (terminal.proc) {
+        await this.closeSession(id)
+      }
+    }
+    for (const id of [...this.agents.keys()]) {
+      await this.closeSession(id)
+    }
+  }
+
+  toSummary(session) {
+    return {
+      id: session.id,
+      type: session.type,
+      status: session.status,
+      startTime: session.startTime,
+      lastActivity: session.lastActivity,
+      endTime: session.endTime,
+      projectId: session.projectId,
+      command: session.command,
+      allowInput: session.allowInput,
+      recording: session.recording,
+      approvalId: session.approvalId ?? null,
+      exitCode: session.exitCode
+    }
+  }
+
+  /**
+   * Summary for a session known only from the database.
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      startTime: row.createdAt,
+      lastActivity: row.updatedAt,
+      endTime: row.endTime || undefined,
+      projectId: row.projectId,
+      command: row.command || undefined,
+      allowInput: false,
+      recording: Boolean(row.recording),
+      approvalId: row.approvalId ?? null,
+      exitCode: row.exitCode ?? null
+    }
+  }
+
   generateId() {
     return 'session_' + Math.random().toString(36).substr(2, 9)
   }
+
+  setWebSocketManager(wsManager) {
+    this.wsManager = wsManager
+  }
+
+  /**
+   * Persist a session's state change and broadcast it as `session.update`.
+   */
+  saveSession(session) {
+    if (this.repository) {
+      this.repository.update(session.id, {
+        status: session.status,
+        exitCode: session.exitCode,
+        endTime: session.endTime,
+        recording: session.recording,
+      }).catch(error => {
+        logger.warn('Failed to persist session', { sessionId: session.id, error: error.message })
+      })
+    }
+    this.emitUpdate(session)
+  }
+
+  emitUpdate(session) {
+    this.emit('session.update', { session: this.toSummary(session) }, NAVIS_WS_CHANNELS.sessions)
+  }
+
+  emit(type, payload, channel) {
+    if (!this.wsManager) return
+    this.wsManager.broadcast({ type, ...payload }, channel)
+  }
 }
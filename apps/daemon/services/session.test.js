@@ -0,0 +1,457 @@
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import test from 'node:test'
+import { fileURLToPath } from 'node:url'
+import { parseApprovalPolicy } from '@navisai/core/policy'
+import { parseAsciicast } from '@navisai/core/recording'
+import { ApprovalService } from './approval.js'
+import { SessionService } from './session.js'
+import { ScrollbackBuffer, spawnTerminalProcess } from './terminal.js'
+
+function createFakeTerminal() {
+  const handlers = { data: [], exit: [] }
+  const writes = []
+  return {
+    handlers,
+    writes,
+    spawn: async () => ({
+      pid: 4242,
+      pty: true,
+      onData: cb => handlers.data.push(cb),
+      onExit: cb => handlers.exit.push(cb),
+      write: data => writes.push(data),
+      resize() {},
+      kill() {
+        handlers.exit.forEach(cb => cb({ exitCode: null, signal: 'SIGTERM' }))
+      },
+    }),
+    output: data => handlers.data.forEach(cb => cb(data)),
+    exit: exitCode => handlers.exit.forEach(cb => cb({ exitCode, signal: null })),
+  }
+}
+
+function createFakeSessionsRepository(rows = []) {
+  const store = new Map(rows.map(row => [row.id, { ...row }]))
+  return {
+    store,
+    async findAll({ projectId, status, type } = {}) {
+      return [...store.values()].filter(row =>
+        (!projectId || row.projectId === projectId) &&
+        (!status || row.status === status) &&
+        (!type || row.type === type))
+    },
+    async findById(id) {
+      return store.get(id) || null
+    },
+    async create(data) {
+      store.set(data.id, { ...data })
+      return store.get(data.id)
+    },
+    async update(id, fields) {
+      Object.assign(store.get(id), fields)
+      return store.get(id)
+    },
+  }
+}
+
+test('ScrollbackBuffer keeps the newest output within its byte limit', () => {
+  const buffer = new ScrollbackBuffer(10)
+  buffer.append('aaaa')
+  buffer.append('bbbb')
+  buffer.append('cccc')
+
+  const snapshot = buffer.snapshot()
+  assert.equal(snapshot.data, 'bbbbcccc')
+  assert.equal(snapshot.seq, 3)
+  assert.equal(snapshot.truncated, true)
+})
+
+test('terminal output is streamed on the session channel and kept in scrollback', async () => {
+  const terminal = createFakeTerminal()
+  const service = new SessionService({ spawnTerminal: terminal.spawn })
+  const broadcasts = []
+  service.setWebSocketManager({ broadcast: (data, channel) => broadcasts.push({ data, channel }) })
+
+  const session = await service.createTerminalSession({ command: 'pnpm build' })
+  terminal.output('building...\r\n')
+  terminal.output('done\r\n')
+  terminal.exit(0)
+
+  const outputs = broadcasts.filter(({ data }) => data.type === 'terminal.output')
+  assert.deepEqual(
+    outputs.map(({ data, channel }) => [channel, data.seq, data.data]),
+    [
+      [`session:${session.id}`, 1, 'building...\r\n'],
+      [`session:${session.id}`, 2, 'done\r\n'],
+    ],
+  )
+
+  const scrollback = await service.getScrollback(session.id)
+  assert.equal(scrollback.data, 'building...\r\ndone\r\n')
+  assert.equal(scrollback.seq, 2)
+
+  const { sessions } = await service.listSessions()
+  assert.equal(sessions[0].status, 'exited')
+  assert.equal(sessions[0].exitCode, 0)
+  assert.equal(broadcasts.at(-1).data.type, 'session.update')
+})
+
+test('closeSession kills a running terminal', async () => {
+  const terminal = createFakeTerminal()
+  const service = new SessionService({ spawnTerminal: terminal.spawn })
+
+  const session = await service.createTerminalSession({ command: 'sleep 60' })
+  await service.closeSession(session.id)
+
+  assert.equal(session.status, 'closed')
+  assert.equal(session.signal, 'SIGTERM')
+})
+
+test('createTerminalSession mirrors a real process', async () => {
+  const service = new SessionService()
+  const session = await service.createTerminalSession({
+    command: process.execPath,
+    args: ['-e', 'console.log("hello from navis")'],
+  })
+
+  await new Promise(resolve => {
+    const check = () => (session.status === 'active' ? setTimeout(check, 10) : resolve())
+    check()
+  })
+
+  const scrollback = await service.getScrollback(session.id)
+  assert.match(scrollback.data, /hello from navis/)
+  assert.equal(session.exitCode, 0)
+})
+
+test('a command that cannot be spawned exits exactly once', async () => {
+  const proc = await spawnTerminalProcess({ command: 'navis-no-such-command', args: ['--version'] })
+  const exits = []
+  proc.onExit(result => exits.push(result))
+
+  await new Promise(resolve => {
+    const check = () => (exits.length === 0 ? setTimeout(check, 10) : setTimeout(resolve, 100))
+    check()
+  })
+  assert.equal(exits.length, 1)
+  assert.notEqual(exits[0].exitCode, 0)
+  // node-pty reports its own failure code; the piped fallback uses 127
+  if (!proc.pty) assert.equal(exits[0].exitCode, 127)
+})
+
+test('submitInput writes straight through for allow-listed sessions', async () => {
+  const terminal = createFakeTerminal()
+  const service = new SessionService({ spawnTerminal: terminal.spawn })
+
+  const session = await service.createTerminalSession({ command: './deploy.sh', allowInput: true })
+  const result = await service.submitInput(session.id, 'y\n', { deviceId: 'device_1' })
+
+  assert.deepEqual(result, { status: 'sent' })
+  assert.deepEqual(terminal.writes, ['y\n'])
+})
+
+test('submitInput waits for a terminal.input approval before writing', async () => {
+  const terminal = createFakeTerminal()
+  const approvalService = new ApprovalService()
+  const service = new SessionService({ spawnTerminal: terminal.spawn, approvalService })
+
+  const session = await service.createTerminalSession({ command: './deploy.sh' })
+  let pending = null
+  const resultPromise = service.submitInput(session.id, 'y\n', {
+    deviceId: 'device_1',
+    onPending: approval => {
+      pending = approval
+    },
+  })
+
+  await new Promise(resolve => setImmediate(resolve))
+  assert.equal(pending.type, 'terminal.input')
+  assert.deepEqual(JSON.parse(pending.payload), { sessionId: session.id, sessionCommand: './deploy.sh', data: 'y\n' })
+  assert.deepEqual(terminal.writes, [])
+
+  await approvalService.approve(pending.id)
+  const result = await resultPromise
+
+  assert.deepEqual(result, { status: 'sent', approvalId: pending.id })
+  assert.deepEqual(terminal.writes, ['y\n'])
+})
+
+test('command rules never auto-approve input typed into a matching session', async () => {
+  const terminal = createFakeTerminal()
+  const approvalService = new ApprovalService({
+    policy: parseApprovalPolicy({
+      rules: [
+        { id: 'allow-tests', decision: 'auto-approve', match: { command: 'npm test' } },
+        { id: 'allow-terminal-tests', decision: 'auto-approve', match: { type: 'terminal.*', command: 'npm test' } },
+      ],
+    }),
+  })
+  const service = new SessionService({ spawnTerminal: terminal.spawn, approvalService })
+
+  const session = await service.createTerminalSession({ command: 'npm test' })
+  let pending = null
+  const resultPromise = service.submitInput(session.id, 'rm -rf ~\n', {
+    onPending: approval => {
+      pending = approval
+    },
+  })
+
+  await new Promise(resolve => setImmediate(resolve))
+  assert.equal(pending?.status, 'pending')
+  assert.equal(pending.policyRule, undefined)
+  assert.deepEqual(terminal.writes, [])
+
+  await approvalService.reject(pending.id)
+  assert.equal((await resultPromise).status, 'denied')
+})
+
+test('submitInput drops input whose approval is rejected', async () => {
+  const terminal = createFakeTerminal()
+  const approvalService = new ApprovalService()
+  const service = new SessionService({ spawnTerminal: terminal.spawn, approvalService })
+
+  const session = await service.createTerminalSession({ command: './deploy.sh' })
+  const resultPromise = service.submitInput(session.id, 'y\n', {
+    onPending: approval => approvalService.reject(approval.id),
+  })
+
+  const result = await resultPromise
+  assert.equal(result.status, 'denied')
+  assert.equal(result.reason, 'rejected')
+  assert.deepEqual(terminal.writes, [])
+})
+
+test('submitInput rejects input for sessions that are not running', async () => {
+  const terminal = createFakeTerminal()
+  const service = new SessionService({ spawnTerminal: terminal.spawn })
+
+  const session = await service.createTerminalSession({ command: 'true', allowInput: true })
+  terminal.exit(0)
+
+  await assert.rejects(service.submitInput(session.id, 'y\n'), /Session is not running/)
+})
+
+test('recorded sessions are written as asciicast v2', async () => {
+  const recordingsDir = await mkdtemp(join(tmpdir(), 'navis-recordings-'))
+  const terminal = createFakeTerminal()
+  const service = new SessionService({ spawnTerminal: terminal.spawn, recordingsDir })
+
+  try {
+    const session = await service.createTerminalSession({
+      command: './deploy.sh',
+      allowInput: true,
+      record: true,
+    })
+    terminal.output('Continue? [y/N] ')
+    await service.submitInput(session.id, 'y\n')
+    terminal.output('deployed\r\n')
+    terminal.exit(0)
+
+    const { header, events } = parseAsciicast(await service.getRecording(session.id))
+    assert.equal(header.version, 2)
+    assert.equal(header.command, './deploy.sh')
+    assert.deepEqual(
+      events.map(([, code, data]) => [code, data]),
+      [
+        ['o', 'Continue? [y/N] '],
+        ['i', 'y\n'],
+        ['o', 'deployed\r\n'],
+      ],
+    )
+    assert.ok(events.every(([time], i) => i === 0 || time >= events[i - 1][0]))
+  } finally {
+    await rm(recordingsDir, { recursive: true, force: true })
+  }
+})
+
+test('sessions whose process fails to spawn are retired like exited ones', async () => {
+  const repository = createFakeSessionsRepository()
+  const service = new SessionService({
+    repository,
+    retainExited: 1,
+    spawnTerminal: async () => {
+      throw new Error('spawn navis-no-such-command ENOENT')
+    },
+  })
+
+  await assert.rejects(service.createTerminalSession({ command: 'navis-no-such-command' }), /ENOENT/)
+  await assert.rejects(service.createTerminalSession({ command: 'navis-no-such-command' }), /ENOENT/)
+
+  const [failed, latest] = [...repository.store.values()]
+  assert.deepEqual([...service.sessions.keys()], [latest.id])
+  assert.deepEqual([...service.finished], [latest.id])
+  assert.equal((await service.getSessionDetail(failed.id)).status, 'failed')
+})
+
+test('finished sessions beyond retainExited are evicted and served from their recording', async () => {
+  const recordingsDir = await mkdtemp(join(tmpdir(), 'navis-recordings-'))
+  const repository = createFakeSessionsRepository()
+  const terminals = []
+  const service = new SessionService({
+    recordingsDir,
+    repository,
+    retainExited: 2,
+    spawnTerminal: async options => {
+      const terminal = createFakeTerminal()
+      terminals.push(terminal)
+      return terminal.spawn(options)
+    },
+  })
+
+  try {
+    const sessions = []
+    for (const name of ['first', 'second', 'third']) {
+      sessions.push(await service.createTerminalSession({ command: `echo ${name}`, record: true }))
+      terminals.at(-1).output(`${name}\r\n`)
+      terminals.at(-1).exit(0)
+    }
+    await service.getRecording(sessions[2].id)
+    await new Promise(resolve => setImmediate(resolve))
+
+    assert.deepEqual([...service.sessions.keys()], [sessions[1].id, sessions[2].id])
+    assert.equal(service.terminals.has(sessions[0].id), false)
+    await assert.rejects(service.getSession(sessions[0].id), /Session not found/)
+
+    assert.equal((await service.getSessionDetail(sessions[0].id)).status, 'exited')
+    const scrollback = await service.getScrollback(sessions[0].id)
+    assert.equal(scrollback.data, 'first\r\n')
+    assert.equal(scrollback.seq, 1)
+    await assert.rejects(service.getScrollback('session_missing'), /Session not found/)
+  } finally {
+    await rm(recordingsDir, { recursive: true, force: true })
+  }
+})
+
+test('getRecording rejects unknown and path-like session ids', async () => {
+  const service = new SessionService({ recordingsDir: tmpdir() })
+
+  await assert.rejects(service.getRecording('session_missing'), /Recording not found/)
+  await assert.rejects(service.getRecording('../etc/passwd'), /Recording not found/)
+})
+
+test('sessions are written through the repository on each state change', async () => {
+  const terminal = createFakeTerminal()
+  const repository = createFakeSessionsRepository()
+  const service = new SessionService({ spawnTerminal: terminal.spawn, repository })
+
+  const session = await service.createTerminalSession({ command: 'pnpm test', projectId: 'project_1' })
+  assert.equal(repository.store.get(session.id).status, 'active')
+  assert.equal(repository.store.get(session.id).projectId, 'project_1')
+
+  terminal.exit(1)
+  await new Promise(resolve => setImmediate(resolve))
+
+  const row = repository.store.get(session.id)
+  assert.equal(row.status, 'exited')
+  assert.equal(row.exitCode, 1)
+  assert.ok(row.endTime)
+})
+
+test('initialize marks sessions orphaned by a previous run as lost', async () => {
+  const repository = createFakeSessionsRepository([
+    { id: 'session_old', type: 'terminal', status: 'active', projectId: 'project_1', createdAt: '2026-01-01T00:00:00.000Z' },
+    { id: 'session_done', type: 'acp', status: 'exited', projectId: 'project_2', createdAt: '2026-01-01T00:00:00.000Z' },
+  ])
+  const service = new SessionService({ repository })
+  await service.initialize()
+
+  assert.equal(repository.store.get('session_old').status, 'lost')
+  assert.ok(repository.store.get('session_old').endTime)
+  assert.equal(repository.store.get('session_done').status, 'exited')
+
+  const { sessions } = await service.listSessions({ projectId: 'project_1' })
+  assert.deepEqual(sessions.map(session => [session.id, session.status]), [['session_old', 'lost']])
+  assert.equal((await service.getSessionDetail('session_done')).type, 'acp')
+})
+
+test('listSessions filters in-memory sessions without a repository', async () => {
+  const terminal = createFakeTerminal()
+  const service = new SessionService({ spawnTerminal: terminal.spawn })
+
+  await service.createTerminalSession({ command: 'a', projectId: 'project_1' })
+  const other = await service.createTerminalSession({ command: 'b', projectId: 'project_2' })
+
+  const { sessions } = await service.listSessions({ projectId: 'project_2', status: 'active', type: 'terminal' })
+  assert.deepEqual(sessions.map(session => session.id), [other.id])
+})
+
+const STUB_ACP_AGENT = fileURLToPath(new URL('../fixtures/stub-acp-agent.js', import.meta.url))
+
+test('ACP sessions relay agent messages, tool calls and permission approvals', async () => {
+  const approvalService = new ApprovalService()
+  const service = new SessionService({ approvalService })
+  const updates = []
+  service.setWebSocketManager({
+    broadcast: (data, channel) => {
+      if (data.update) updates.push({ channel, update: data.update.sessionUpdate })
+    },
+  })
+  approvalService.setWebSocketManager({
+    broadcast: data => {
+      if (data.type === 'approval.request') approvalService.approve(data.approval.id)
+    },
+  })
+
+  const session = await service.createAcpSession({ command: process.execPath, args: [STUB_ACP_AGENT] })
+  try {
+    assert.equal(session.acpSessionId, 'stub-session-1')
+
+    const { stopReason } = await service.promptAcpSession(session.id, 'add notes')
+    assert.equal(stopReason, 'end_turn')
+
+    const detail = await service.getSessionDetail(session.id)
+    assert.deepEqual(
+      detail.transcript.map(entry => [entry.kind, entry.text ?? entry.status]),
+      [
+        ['user_message', 'add notes'],
+        ['agent_message', 'Echo: add notes'],
+        ['tool_call', 'completed'],
+      ],
+    )
+    assert.equal(detail.transcript[2].permission, 'approved')
+    assert.deepEqual(
+      updates.map(({ update }) => update),
+      ['user_message_chunk', 'agent_message_chunk', 'tool_call', 'tool_call_update'],
+    )
+    assert.ok(updates.every(({ channel }) => channel === `session:${session.id}`))
+
+    const { approvals } = await approvalService.listApprovals({ status: 'approved' })
+    assert.equal(approvals[0].type, 'acp.permission')
+  } finally {
+    await service.closeSession(session.id)
+  }
+})
+
+test('rejected ACP permission requests fail the tool call', async () => {
+  const approvalService = new ApprovalService()
+  const service = new SessionService({ approvalService })
+  approvalService.setWebSocketManager({
+    broadcast: data => {
+      if (data.type === 'approval.request') approvalService.reject(data.approval.id)
+    },
+  })
+
+  const session = await service.createAcpSession({ command: process.execPath, args: [STUB_ACP_AGENT] })
+  try {
+    await service.promptAcpSession(session.id, 'add notes')
+    const detail = await service.getSessionDetail(session.id)
+    const toolCall = detail.transcript.find(entry => entry.kind === 'tool_call')
+    assert.equal(toolCall.status, 'failed')
+    assert.equal(toolCall.permission, 'denied')
+  } finally {
+    await service.closeSession(session.id)
+  }
+})
+
+test('createAcpSession fails when the agent does not speak ACP', async () => {
+  const service = new SessionService()
+
+  await assert.rejects(
+    service.createAcpSession({ command: process.execPath, args: ['-e', 'process.exit(3)'] }),
+    /closed|exited/,
+  )
+  const { sessions } = await service.listSessions()
+  assert.equal(sessions[0].status, 'failed')
+})
@@ -0,0 +1,153 @@
+/**
+ * Terminal process + scrollback helpers
+ *
+ * Terminal sessions prefer a real PTY via the optional `node-pty` module so
+ * programs see a TTY (colors, progress bars). When the native module is not
+ * installed the daemon falls back to a piped child process; output is still
+ * mirrored, it just looks like a non-interactive run.
+ */
+
+import { spawn } from 'node:child_process'
+import { StringDecoder } from 'node:string_decoder'
+import { logger } from '@navisai/logging'
+
+export const DEFAULT_SCROLLBACK_BYTES = 256 * 1024
+export const DEFAULT_COLS = 120
+export const DEFAULT_ROWS = 32
+
+let ptyModulePromise = null
+
+async function loadPty() {
+  if (!ptyModulePromise) {
+    ptyModulePromise = import('node-pty')
+      .then(mod => mod.default || mod)
+      .catch(error => {
+        logger.info('PTY unavailable (module not installed), using piped processes', {
+          module: 'node-pty',
+          error: error?.message,
+        })
+        return null
+      })
+  }
+  return ptyModulePromise
+}
+
+function resolveCommand(command, args, shell) {
+  // A bare command string is run through the user's shell, like typing it,
+  // unless the caller passes `shell: false` because `command` is a file path.
+  if (shell && (!args || args.length === 0)) {
+    const shell = process.platform === 'win32'
+      ? process.env.COMSPEC || 'cmd.exe'
+      : process.env.SHELL || '/bin/sh'
+    const shellArgs = process.platform === 'win32' ? ['/d', '/s', '/c', command] : ['-c', command]
+    return { file: shell, args: shellArgs }
+  }
+  return { file: command, args }
+}
+
+/**
+ * Spawn a terminal process.
+ * With `shell: false` the command is always executed directly, never parsed.
+ * Returns a uniform handle: { pid, pty, onData(cb), onExit(cb), write(data), resize(cols, rows), kill(signal) }
+ */
+export async function spawnTerminalProcess({
+  command,
+  args = [],
+  cwd = process.cwd(),
+  env = process.env,
+  cols = DEFAULT_COLS,
+  rows = DEFAULT_ROWS,
+  shell = true,
+} = {}) {
+  const { file, args: argv } = resolveCommand(command, args, shell)
+  const pty = await loadPty()
+
+  if (pty) {
+    const proc = pty.spawn(file, argv, { name: 'xterm-256color', cols, rows, cwd, env })
+    return {
+      pid: proc.pid,
+      pty: true,
+      onData: cb => proc.onData(cb),
+      onExit: cb => proc.onExit(({ exitCode, signal }) => cb({ exitCode, signal: signal || null })),
+      write: data => proc.write(data),
+      resize: (c, r) => proc.resize(c, r),
+      kill: signal => proc.kill(signal),
+    }
+  }
+
+  const child = spawn(file, argv, { cwd, env, stdio: ['pipe', 'pipe', 'pipe'] })
+  const dataHandlers = []
+  const exitHandlers = []
+  const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') }
+
+  const forward = stream => chunk => {
+    const text = decoders[stream].write(chunk)
+    if (text) dataHandlers.forEach(cb => cb(text))
+  }
+  // Writes after the process exits fail with EPIPE; the exit handler reports that.
+  child.stdin.on('error', () => {})
+  child.stdout.on('data', forward('stdout'))
+  child.stderr.on('data', forward('stderr'))
+
+  // A spawn failure emits `error` and then `close`; report only the first.
+  let settled = false
+  const exit = result => {
+    if (settled) return
+    settled = true
+    exitHandlers.forEach(cb => cb(result))
+  }
+  child.on('error', error => {
+    dataHandlers.forEach(cb => cb(`${error.message}\r\n`))
+    exit({ exitCode: 127, signal: null })
+  })
+  child.on('close', (code, signal) => exit({ exitCode: code, signal }))
+
+  return {
+    pid: child.pid,
+    pty: false,
+    onData: cb => dataHandlers.push(cb),
+    onExit: cb => exitHandlers.push(cb),
+    write: data => child.stdin.writable && child.stdin.write(data),
+    resize: () => {},
+    kill: signal => child.kill(signal),
+  }
+}
+
+/**
+ * Bounded scrollback for late joiners.
+ * Keeps the most recent output up to maxBytes; every chunk carries a sequence
+ * number so clients can stitch the snapshot to the live `terminal.output` stream.
+ */
+export class ScrollbackBuffer {
+  constructor(maxBytes = DEFAULT_SCROLLBACK_BYTES) {
+    this.maxBytes = maxBytes
+    this.chunks = []
+    this.bytes = 0
+    this.seq = 0
+    this.truncated = false
+  }
+
+  append(data) {
+    const size = Buffer.byteLength(data)
+    this.seq += 1
+    this.chunks.push({ seq: this.seq, data, size })
+    this.bytes += size
+
+    // Always keep the newest chunk, even if it alone exceeds the limit.
+    while (this.bytes > this.maxBytes && this.chunks.length > 1) {
+      const dropped = this.chunks.shift()
+      this.bytes -= dropped.size
+      this.truncated = true
+    }
+    return this.seq
+  }
+
+  snapshot() {
+    return {
+      data: this.chunks.map(chunk => chunk.data).join(''),
+      seq: this.seq,
+      bytes: this.bytes,
+      truncated: this.truncated,
+    }
+  }
+}
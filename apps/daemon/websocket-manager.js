@@ -10,11 +10,14 @@ import {
   checkReplay,
   isTimestampValid,
 } from './auth/utils.js'
+import { verifyAgentToken } from './auth/agent-token.js'
 
 export class WebSocketManager {
-  constructor(fastify, dbManager) {
+  constructor(fastify, dbManager, { getAgentToken, onTerminalInput } = {}) {
     this.fastify = fastify
     this.dbManager = dbManager
+    this.getAgentToken = getAgentToken || (() => null)
+    this.onTerminalInput = onTerminalInput || null
     this.wss = null
     this.clients = new Map()
   }
@@ -42,6 +45,17 @@ export class WebSocketManager {
   }
 
   async handleConnection(ws, request) {
+    // Local agents authenticate with the agent token instead of a device signature
+    const agentToken = this.extractAgentToken(request.url)
+    if (agentToken) {
+      if (!verifyAgentToken(agentToken, this.getAgentToken())) {
+        ws.close(4401, 'Invalid agent token')
+        return
+      }
+      this.registerClient(ws, request, { deviceId: null, agent: true })
+      return
+    }
+
     const authParams = this.extractAuthParams(request.url)
     if (!authParams) {
       ws.close(4401, 'Missing authentication parameters')
@@ -76,11 +90,16 @@ export class WebSocketManager {
       return
     }
 
+    this.registerClient(ws, request, { deviceId, agent: false })
+  }
+
+  registerClient(ws, request, { deviceId, agent }) {
     const clientId = this.generateClientId()
     const client = {
       id: clientId,
       ws,
       deviceId,
+      agent,
       ip: request.socket.remoteAddress,
       userAgent: request.headers['user-agent'],
       connectedAt: new Date().toISOString(),
@@ -128,6 +147,12 @@ export class WebSocketManager {
           this.handleSubscription(clientId, message.channels || [])
           break
 
+        case 'terminal.input':
+          this.handleTerminalInput(clientId, message).catch(error => {
+            console.error('Error handling terminal input:', error)
+          })
+          break
+
         default:
           console.log('Unknown message type:', message.type)
       }
@@ -148,6 +173,37 @@ export class WebSocketManager {
     }
   }
 
+  /**
+   * Forward terminal input from a paired device to the session service.
+   * The client gets `terminal.input.result` replies keyed by its requestId:
+   * `pending-approval` while an approval is open, then `sent`, `denied` or `error`.
+   */
+  async handleTerminalInput(clientId, message) {
+    const client = this.clients.get(clientId)
+    const { requestId = null, sessionId, data } = message
+    const reply = (status, extra = {}) =>
+      this.send(clientId, { type: 'terminal.input.result', requestId, sessionId, status, ...extra })
+
+    if (!client.deviceId) {
+      reply('error', { error: 'Terminal input requires a paired device' })
+      return
+    }
+    if (!this.onTerminalInput) {
+      reply('error', { error: 'Terminal input is not available' })
+      return
+    }
+
+    try {
+      const result = await this.onTerminalInput(sessionId, data, {
+        deviceId: client.deviceId,
+        onPending: approval => reply('pending-approval', { approvalId: approval.id }),
+      })
+      reply(result.status, { approvalId: result.approvalId, reason: result.reason })
+    } catch (error) {
+      reply('error', { error: error.message })
+    }
+  }
+
   send(clientId, data) {
     const client = this.clients.get(clientId)
     if (client && client.ws.readyState === 1) {
@@ -194,6 +250,15 @@ export class WebSocketManager {
     }
   }
 
+  extractAgentToken(rawUrl) {
+    if (!rawUrl) return null
+    try {
+      return new URL(rawUrl, 'https://navis.local').searchParams.get('agentToken')
+    } catch {
+      return null
+    }
+  }
+
   generateClientId() {
     return 'ws_' + Math.random().toString(36).substr(2, 9)
   }
@@ -0,0 +1,56 @@
+import type { AcpTranscriptEntry } from '$lib/api/client'
+
+const MESSAGE_KINDS: Record<string, AcpTranscriptEntry['kind']> = {
+  user_message_chunk: 'user_message',
+  agent_message_chunk: 'agent_message',
+  agent_thought_chunk: 'agent_thought',
+}
+
+/**
+ * Apply a live ACP `session/update` to a transcript, mirroring how the daemon
+ * builds the transcript it serves from `GET /sessions/:id`.
+ */
+export function applyAcpUpdate(
+  transcript: AcpTranscriptEntry[],
+  update: Record<string, any>
+): AcpTranscriptEntry[] {
+  const at = new Date().toISOString()
+  const kind = MESSAGE_KINDS[update.sessionUpdate]
+
+  if (kind) {
+    const text = update.content?.type === 'text' ? update.content.text : `[${update.content?.type}]`
+    const last = transcript[transcript.length - 1]
+    if (last?.kind === kind && kind !== 'user_message') {
+      return [...transcript.slice(0, -1), { ...last, text: `${last.text ?? ''}${text}` }]
+    }
+    return [...transcript, { kind, text, at }]
+  }
+
+  if (update.sessionUpdate === 'tool_call') {
+    return [
+      ...transcript,
+      {
+        kind: 'tool_call',
+        toolCallId: update.toolCallId,
+        title: update.title,
+        toolKind: update.kind || 'other',
+        status: update.status || 'pending',
+        at,
+      },
+    ]
+  }
+
+  if (update.sessionUpdate === 'tool_call_update') {
+    return transcript.map(entry =>
+      entry.kind === 'tool_call' && entry.toolCallId === update.toolCallId
+        ? {
+            ...entry,
+            status: update.status ?? entry.status,
+            title: update.title ?? entry.title,
+          }
+        : entry
+    )
+  }
+
+  return transcript
+}
@@ -1,4 +1,4 @@
-import { NAVIS_PATHS } from '@navisai/api-contracts'
+import { NAVIS_PATHS, NAVIS_WS_CHANNELS } from '@navisai/api-contracts'
 
 const API_BASE = 'https://navis.local'
 const WS_BASE = `wss://navis.local${NAVIS_PATHS.ws}`
@@ -14,6 +14,11 @@ export interface Project {
   name: string
   createdAt: string
   updatedAt?: string
+  lastScannedAt?: string | null
+  confidence?: number
+  parentId?: string | null
+  workspace?: ProjectWorkspace | null
+  signals?: ProjectSignal[]
   detection?: {
     primary: {
       detector: string
@@ -33,10 +38,217 @@ export interface Project {
       id: string
       name: string
       confidence: number
-    }
-    language: string
+    } | null
+    categories?: string[]
+    language: string | null
+    languages?: string[]
     frameworks: string[]
-  }
+    confidence?: number
+  } | null
+}
+
+export interface ProjectWorkspace {
+  type: 'pnpm' | 'npm' | 'yarn' | 'cargo' | 'go'
+  members: string[]
+}
+
+export interface FileEntry {
+  name: string
+  path: string
+  type: 'file' | 'directory' | 'symlink' | 'other'
+  size: number | null
+  mtime: string
+  git: string | null
+}
+
+export interface DirectoryListing {
+  path: string
+  repository: boolean
+  entries: FileEntry[]
+  truncated: boolean
+}
+
+export interface FileContent {
+  path: string
+  size: number
+  mtime: string
+  language: string | null
+  binary: boolean
+  truncated: boolean
+  encoding: 'utf-8' | null
+  content: string | null
+}
+
+export interface SearchResult {
+  projectId: string
+  projectName: string
+  path: string
+  absolutePath: string
+  size: number
+  mtime: string
+  match: 'name' | 'path' | 'content'
+  snippet: string | null
+}
+
+export interface SearchResponse {
+  query: string
+  results: SearchResult[]
+}
+
+export interface GitSummary {
+  head: string | null
+  branch: string | null
+  detached: boolean
+  upstream: string | null
+  ahead: number
+  behind: number
+  dirty: number
+}
+
+export interface GitFileStatus {
+  path: string
+  oldPath?: string
+  index: string | null
+  worktree: string | null
+  status:
+    | 'modified'
+    | 'typechange'
+    | 'added'
+    | 'deleted'
+    | 'renamed'
+    | 'copied'
+    | 'conflicted'
+    | 'untracked'
+    | 'ignored'
+  staged: boolean
+}
+
+export interface GitStatus extends Omit<GitSummary, 'dirty'> {
+  clean: boolean
+  files: GitFileStatus[]
+  branches: Array<{ name: string; current: boolean; upstream: string | null; sha: string }>
+}
+
+export interface GitCommit {
+  sha: string
+  shortSha: string
+  author: { name: string; email: string }
+  date: string
+  subject: string
+  parents: string[]
+}
+
+export interface GitDiffSummary {
+  base: string
+  staged: boolean
+  files: Array<{
+    path: string
+    oldPath?: string
+    status: string
+    additions: number
+    deletions: number
+    binary: boolean
+  }>
+  totals: { files: number; additions: number; deletions: number }
+}
+
+export interface CommitTemplate {
+  message: string
+  type: string
+  scope: string | null
+  conventions: {
+    style: 'conventional' | 'plain'
+    conventionalRatio: number
+    types: string[]
+    scopes: string[]
+    packageScopes: string[]
+  }
+  staged: { files: number; additions: number; deletions: number }
+  usedTemplate: boolean
+}
+
+export type GitActionRequest =
+  | { action: 'commit'; message: string; all?: boolean }
+  | { action: 'branch'; name: string; create?: boolean }
+  | { action: 'stash'; operation?: 'push'; message?: string; includeUntracked?: boolean }
+  | { action: 'stash'; operation: 'pop' }
+  | { action: 'push'; remote?: string; branch?: string; setUpstream?: boolean }
+
+export interface GitActionEvent {
+  approvalId: string
+  projectId: string
+  action: string
+  status: 'pending' | 'running' | 'completed' | 'failed' | 'denied'
+  sessionId?: string
+  exitCode?: number | null
+  reason?: string
+  error?: string
+}
+
+export type ProjectActionKind =
+  | 'run-script'
+  | 'cargo'
+  | 'go-test'
+  | 'pytest'
+  | 'make'
+  | 'just'
+  | 'task'
+
+export interface ProjectAction {
+  action: ProjectActionKind
+  name: string
+  command: string
+}
+
+export type ProjectActionRequest = { restart?: boolean } & (
+  | { action: 'run-script'; script: string }
+  | { action: 'cargo'; command?: 'build' | 'check' | 'test' | 'run' | 'clippy' }
+  | { action: 'go-test'; package?: string }
+  | { action: 'pytest'; path?: string }
+  | { action: 'make' | 'just' | 'task'; target: string }
+)
+
+// Progress of a project action is reported like a git action's
+export type ProjectActionEvent = GitActionEvent
+
+export interface ProjectTask {
+  runner: 'npm' | 'pnpm' | 'yarn' | 'bun' | 'make' | 'just' | 'task'
+  name: string
+  description: string | null
+  command: string
+  source: string
+}
+
+export interface ProjectSignal {
+  type: string
+  path: string | null
+  confidence: number
+  metadata?: Record<string, any> | null
+}
+
+export interface ComposeService {
+  name: string
+  image: string | null
+  build: string | null
+  ports: Array<{ published: string | null; target: string; protocol: string }>
+  dependsOn: string[]
+  volumes: Array<{ type: string; source: string | null; target: string | null }>
+}
+
+/** `metadata` of a project's `containers` signal */
+export interface ContainerMetadata {
+  signals: string[]
+  dockerfiles: Array<{
+    file: string
+    stages: string[]
+    baseImages: string[]
+    exposedPorts: string[]
+  }>
+  compose: { file: string; services: ComposeService[] } | null
+  kubernetes: {
+    files: string[]
+    resources: Array<{ kind: string; name: string | null; namespace: string | null; file: string }>
+  } | null
 }
 
 export interface Approval {
@@ -46,7 +258,71 @@ export interface Approval {
   payload: string
   status: 'pending' | 'approved' | 'denied'
   createdAt: string
+  expiresAt?: string
   resolvedAt?: string
+  resolvedBy?: 'human' | 'policy' | 'system'
+  deniedReason?: string
+  policyRule?: string
+  quorum?: number
+  votes?: ApprovalVote[]
+}
+
+export interface ApprovalVote {
+  deviceId: string
+  vote: 'approve' | 'reject'
+  votedAt: string
+}
+
+export interface Session {
+  id: string
+  type: string
+  status: 'active' | 'exited' | 'closed' | 'failed' | 'lost'
+  startTime: string
+  lastActivity: string
+  endTime?: string
+  projectId?: string | null
+  command?: string
+  exitCode?: number | null
+  allowInput?: boolean
+  recording?: boolean
+  approvalId?: string | null
+}
+
+export interface AcpTranscriptEntry {
+  kind: 'user_message' | 'agent_message' | 'agent_thought' | 'tool_call'
+  at: string
+  text?: string
+  toolCallId?: string
+  title?: string
+  toolKind?: string
+  status?: 'pending' | 'in_progress' | 'completed' | 'failed'
+  approvalId?: string
+  permission?: 'pending' | 'approved' | 'denied'
+}
+
+export interface SessionDetail extends Session {
+  acpSessionId?: string
+  busy?: boolean
+  stopReason?: string | null
+  plan?: Array<{ content: string; status: string; priority?: string }>
+  transcript?: AcpTranscriptEntry[]
+}
+
+export interface TerminalInputResult {
+  requestId: string
+  sessionId: string
+  status: 'pending-approval' | 'sent' | 'denied' | 'error'
+  approvalId?: string
+  reason?: string
+  error?: string
+}
+
+export interface SessionScrollback {
+  sessionId: string
+  data: string
+  seq: number
+  bytes: number
+  truncated: boolean
 }
 
 export interface Device {
@@ -201,6 +477,11 @@ class ApiClient {
   private ws: WebSocket | null = null
   private wsHandlers = new Map<string, Function[]>()
   private wsConnecting = false
+  private channels = new Set<string>([
+    NAVIS_WS_CHANNELS.approvals,
+    NAVIS_WS_CHANNELS.projects,
+    NAVIS_WS_CHANNELS.sessions,
+  ])
 
   constructor() {
     void this.connectWebSocket()
@@ -243,6 +524,107 @@ class ApiClient {
     return response.json()
   }
 
+  async getProjectPackages(id: string): Promise<Project[]> {
+    const response = await this.request('GET', NAVIS_PATHS.projects.packages(id))
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    const data = await response.json()
+    return data.packages
+  }
+
+  async getProjectTasks(id: string): Promise<ProjectTask[]> {
+    const response = await this.request('GET', NAVIS_PATHS.projects.tasks(id))
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    const data = await response.json()
+    return data.tasks
+  }
+
+  async listProjectFiles(id: string, path = ''): Promise<DirectoryListing> {
+    const query = path ? `?path=${encodeURIComponent(path)}` : ''
+    const response = await this.request('GET', `${NAVIS_PATHS.projects.files(id)}${query}`)
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    return response.json()
+  }
+
+  async getProjectFile(id: string, path: string): Promise<FileContent> {
+    const query = `?path=${encodeURIComponent(path)}`
+    const response = await this.request('GET', `${NAVIS_PATHS.projects.fileContent(id)}${query}`)
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    return response.json()
+  }
+
+  async listProjectActions(id: string): Promise<ProjectAction[]> {
+    const response = await this.request('GET', NAVIS_PATHS.projects.actions(id))
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    const data = await response.json()
+    return data.actions
+  }
+
+  async runProjectAction(id: string, request: ProjectActionRequest): Promise<Approval> {
+    const { action, ...params } = request
+    const response = await this.request('POST', NAVIS_PATHS.projects.runAction(id, action), {
+      body: JSON.stringify(params),
+      headers: { 'Content-Type': 'application/json' },
+    })
+    if (!response.ok) {
+      const error = await response.json().catch(() => null)
+      throw new Error(error?.error || `HTTP ${response.status}`)
+    }
+    const data = await response.json()
+    return data.approval
+  }
+
+  async search(
+    q: string,
+    options: { projectId?: string; limit?: number } = {}
+  ): Promise<SearchResponse> {
+    const params = new URLSearchParams({ q })
+    if (options.projectId) params.set('projectId', options.projectId)
+    if (options.limit) params.set('limit', String(options.limit))
+    const response = await this.request('GET', `${NAVIS_PATHS.search}?${params}`)
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    return response.json()
+  }
+
+  async getGitStatus(id: string): Promise<GitStatus> {
+    const response = await this.request('GET', NAVIS_PATHS.projects.gitStatus(id))
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    return response.json()
+  }
+
+  async getGitLog(id: string, limit?: number): Promise<GitCommit[]> {
+    const query = limit ? `?limit=${limit}` : ''
+    const response = await this.request('GET', `${NAVIS_PATHS.projects.gitLog(id)}${query}`)
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    const data = await response.json()
+    return data.commits
+  }
+
+  async getGitDiff(id: string, options: { staged?: boolean } = {}): Promise<GitDiffSummary> {
+    const query = options.staged ? '?staged=true' : ''
+    const response = await this.request('GET', `${NAVIS_PATHS.projects.gitDiff(id)}${query}`)
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    return response.json()
+  }
+
+  async getCommitTemplate(id: string): Promise<CommitTemplate> {
+    const response = await this.request('GET', NAVIS_PATHS.projects.commitTemplate(id))
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    return response.json()
+  }
+
+  async requestGitAction(id: string, request: GitActionRequest): Promise<Approval> {
+    const response = await this.request('POST', NAVIS_PATHS.projects.gitActions(id), {
+      body: JSON.stringify(request),
+      headers: { 'Content-Type': 'application/json' },
+    })
+    if (!response.ok) {
+      const error = await response.json().catch(() => null)
+      throw new Error(error?.error || `HTTP ${response.status}`)
+    }
+    const data = await response.json()
+    return data.approval
+  }
+
   async scanDirectory(path: string, options: ScanOptions = {}) {
     const payload = JSON.stringify({ path, options })
     const response = await this.request('POST', NAVIS_PATHS.discovery.scan, {
@@ -351,6 +733,47 @@ class ApiClient {
     return response.json()
   }
 
+  async getSessions(
+    filters: { projectId?: string; status?: string; type?: string } = {}
+  ): Promise<Session[]> {
+    const params = new URLSearchParams()
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) params.set(key, value)
+    }
+    const query = params.toString()
+    const response = await this.request(
+      'GET',
+      query ? `${NAVIS_PATHS.sessions.list}?${query}` : NAVIS_PATHS.sessions.list
+    )
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    const data = await response.json()
+    return data.sessions || []
+  }
+
+  async getSession(id: string): Promise<SessionDetail> {
+    const response = await this.request('GET', NAVIS_PATHS.sessions.byId(id))
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    return response.json()
+  }
+
+  async cancelSession(id: string): Promise<Session> {
+    const response = await this.request('POST', NAVIS_PATHS.sessions.cancel(id), { body: '' })
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    return response.json()
+  }
+
+  async getSessionScrollback(id: string): Promise<SessionScrollback> {
+    const response = await this.request('GET', NAVIS_PATHS.sessions.scrollback(id))
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    return response.json()
+  }
+
+  async getSessionRecording(id: string): Promise<string> {
+    const response = await this.request('GET', NAVIS_PATHS.sessions.recording(id))
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+    return response.text()
+  }
+
   async getDevices(): Promise<Device[]> {
     const response = await this.request('GET', NAVIS_PATHS.devices.list)
     if (!response.ok) throw new Error(`HTTP ${response.status}`)
@@ -379,6 +802,7 @@ class ApiClient {
 
     this.ws.onopen = () => {
       console.log('Connected to Navis daemon WebSocket')
+      this.sendSubscriptions()
       this.emit('connected')
     }
 
@@ -430,6 +854,36 @@ class ApiClient {
     }
   }
 
+  // The daemon only delivers channel events to subscribed clients, and each
+  // subscribe message replaces the previous set, so always send the full set.
+  subscribe(channel: string) {
+    this.channels.add(channel)
+    this.sendSubscriptions()
+  }
+
+  unsubscribe(channel: string) {
+    this.channels.delete(channel)
+    this.sendSubscriptions()
+  }
+
+  /**
+   * Send keystrokes to a terminal session. Progress arrives as
+   * `terminal.input.result` events carrying the returned requestId.
+   */
+  sendTerminalInput(sessionId: string, data: string): string {
+    if (this.ws?.readyState !== WebSocket.OPEN) {
+      throw new Error('Not connected to the Navis daemon')
+    }
+    const requestId = `input_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`
+    this.ws.send(JSON.stringify({ type: 'terminal.input', requestId, sessionId, data }))
+    return requestId
+  }
+
+  private sendSubscriptions() {
+    if (this.ws?.readyState !== WebSocket.OPEN) return
+    this.ws.send(JSON.stringify({ type: 'subscribe', channels: [...this.channels] }))
+  }
+
   on(event: string, handler: Function) {
     if (!this.wsHandlers.has(event)) {
       this.wsHandlers.set(event, [])
@@ -1,4 +1,4 @@
-import { writable, derived } from 'svelte/store'
+import { writable, derived, get } from 'svelte/store'
 import { apiClient, type Approval } from '$lib/api/client'
 
 interface ApprovalsState {
@@ -48,7 +48,11 @@ function createApprovalsStore() {
 
       update(state => ({
         ...state,
-        pending: state.pending.filter(a => a.id !== id),
+        // Quorum approvals stay pending until enough devices approve.
+        pending:
+          approval.status === 'pending'
+            ? state.pending.map(a => (a.id === id ? approval : a))
+            : state.pending.filter(a => a.id !== id),
         resolving: state.resolving.filter(rid => rid !== id),
       }))
 
@@ -103,6 +107,10 @@ function createApprovalsStore() {
   })
 
   apiClient.on('approval.updated', (data: any) => {
+    if (data?.approval?.status === 'pending') {
+      addApproval(data.approval)
+      return
+    }
     if (data?.approval) {
       update(state => ({
         ...state,
@@ -112,6 +120,16 @@ function createApprovalsStore() {
     }
   })
 
+  // Expired approvals can no longer be resolved; drop them and any prompt showing one.
+  apiClient.on('approval.expired', (data: any) => {
+    const id = data?.approval?.id
+    if (!id) return
+    removeApproval(id)
+    if (get(livePrompt)?.id === id) {
+      clearLivePrompt()
+    }
+  })
+
   return {
     subscribe,
     loadPendingApprovals,
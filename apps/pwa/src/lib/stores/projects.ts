@@ -1,11 +1,32 @@
 import { writable, derived } from 'svelte/store'
-import { apiClient, type Project } from '$lib/api/client'
+import {
+  apiClient,
+  type GitActionEvent,
+  type GitActionRequest,
+  type GitSummary,
+  type Project,
+  type ProjectActionEvent,
+  type ProjectActionRequest,
+} from '$lib/api/client'
+
+export interface IndexingProgress {
+  root: string
+  phase: 'scanning' | 'indexing'
+  processed?: number
+  total?: number
+}
 
 interface ProjectsState {
   projects: Project[]
   loading: boolean
   error: string | null
   scanning: boolean
+  indexing: IndexingProgress | null
+  git: Record<string, GitSummary>
+  // Latest progress of each git action, keyed by approval id
+  gitActions: Record<string, GitActionEvent>
+  // Latest progress of each project action (scripts, tests, make targets), keyed by approval id
+  projectActions: Record<string, ProjectActionEvent>
 }
 
 function createProjectsStore() {
@@ -14,6 +35,10 @@ function createProjectsStore() {
     loading: true,
     error: null,
     scanning: false,
+    indexing: null,
+    git: {},
+    gitActions: {},
+    projectActions: {},
   })
 
   const loadProjects = async () => {
@@ -116,10 +141,82 @@ function createProjectsStore() {
     }
   }
 
+  const requestGitAction = async (projectId: string, request: GitActionRequest) => {
+    const approval = await apiClient.requestGitAction(projectId, request)
+    update(state => ({
+      ...state,
+      gitActions: {
+        // A policy-approved action may already have reported progress.
+        [approval.id]: {
+          approvalId: approval.id,
+          projectId,
+          action: approval.type,
+          status: 'pending',
+        },
+        ...state.gitActions,
+      },
+    }))
+    return approval
+  }
+
+  const runProjectAction = async (projectId: string, request: ProjectActionRequest) => {
+    const approval = await apiClient.runProjectAction(projectId, request)
+    update(state => ({
+      ...state,
+      projectActions: {
+        [approval.id]: {
+          approvalId: approval.id,
+          projectId,
+          action: approval.type,
+          status: 'pending',
+        },
+        ...state.projectActions,
+      },
+    }))
+    return approval
+  }
+
   const clearError = () => {
     update(state => ({ ...state, error: null }))
   }
 
+  apiClient.on('project.updated', (data: any) => {
+    const project: Project | undefined = data?.project
+    if (!project) return
+    update(state => ({
+      ...state,
+      projects: state.projects.some(p => p.id === project.id)
+        ? state.projects.map(p => (p.id === project.id ? project : p))
+        : [...state.projects, project],
+      git: data.git ? { ...state.git, [project.id]: data.git } : state.git,
+    }))
+  })
+
+  apiClient.on('git.action', (data: any) => {
+    const event: GitActionEvent | undefined = data?.approvalId ? data : undefined
+    if (!event) return
+    update(state => ({
+      ...state,
+      gitActions: { ...state.gitActions, [event.approvalId]: event },
+    }))
+  })
+
+  apiClient.on('project.action', (data: any) => {
+    const event: ProjectActionEvent | undefined = data?.approvalId ? data : undefined
+    if (!event) return
+    update(state => ({
+      ...state,
+      projectActions: { ...state.projectActions, [event.approvalId]: event },
+    }))
+  })
+
+  apiClient.on('discovery.progress', (data: any) => {
+    update(state => ({
+      ...state,
+      indexing: data?.phase === 'scanning' || data?.phase === 'indexing' ? data : null,
+    }))
+  })
+
   // Listen for discovery updates from WebSocket
   apiClient.on('discovery_completed', (data: any) => {
     update(state => ({
@@ -137,6 +234,8 @@ function createProjectsStore() {
     getProject,
     analyzeProject,
     indexPaths,
+    requestGitAction,
+    runProjectAction,
     clearError,
   }
 }
@@ -148,3 +247,6 @@ export const projects = derived(projectsStore, $projects => $projects.projects)
 export const isLoadingProjects = derived(projectsStore, $projects => $projects.loading)
 export const projectsError = derived(projectsStore, $projects => $projects.error)
 export const isScanning = derived(projectsStore, $projects => $projects.scanning)
+export const indexingProgress = derived(projectsStore, $projects => $projects.indexing)
+export const gitActions = derived(projectsStore, $projects => $projects.gitActions)
+export const projectActions = derived(projectsStore, $projects => $projects.projectActions)
@@ -0,0 +1,57 @@
+import { writable, derived } from 'svelte/store'
+import { apiClient, type Session } from '$lib/api/client'
+
+interface SessionsState {
+  sessions: Session[]
+  loading: boolean
+  error: string | null
+}
+
+function createSessionsStore() {
+  const { subscribe, update } = writable<SessionsState>({
+    sessions: [],
+    loading: true,
+    error: null,
+  })
+
+  const loadSessions = async () => {
+    try {
+      update(state => ({ ...state, loading: true, error: null }))
+      const sessions = await apiClient.getSessions()
+      update(state => ({ ...state, sessions, loading: false }))
+    } catch (error) {
+      update(state => ({
+        ...state,
+        error: error instanceof Error ? error.message : 'Failed to load sessions',
+        loading: false,
+      }))
+    }
+  }
+
+  const upsertSession = (session: Session) => {
+    update(state => ({
+      ...state,
+      sessions: state.sessions.some(s => s.id === session.id)
+        ? state.sessions.map(s => (s.id === session.id ? session : s))
+        : [session, ...state.sessions],
+    }))
+  }
+
+  apiClient.on('session.update', (data: any) => {
+    if (data?.session) {
+      upsertSession(data.session)
+    }
+  })
+
+  return {
+    subscribe,
+    loadSessions,
+    upsertSession,
+  }
+}
+
+export const sessionsStore = createSessionsStore()
+
+export const sessions = derived(sessionsStore, $sessions => $sessions.sessions)
+export const isLoadingSessions = derived(sessionsStore, $sessions => $sessions.loading)
+export const sessionsError = derived(sessionsStore, $sessions => $sessions.error)
@@ -0,0 +1,66 @@
+// CSI/OSC escape sequences (colors, cursor movement, titles). The mirror view
+// renders plain text, so these are stripped rather than interpreted.
+const ANSI_PATTERN =
+  /\u001b\[[0-?]*[ -/]*[@-~]|\u001b\][^\u0007\u001b]*(?:\u0007|\u001b\\)|\u001b[@-Z\\-_]/g
+
+export function stripAnsi(text: string): string {
+  return text.replace(ANSI_PATTERN, '')
+}
+
+/**
+ * Apply carriage returns the way a terminal would, so progress bars that
+ * redraw a line with `\r` show only their latest state.
+ */
+export function renderTerminalText(text: string): string {
+  return stripAnsi(text)
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => {
+      const parts = line.split('\r')
+      return parts[parts.length - 1]
+    })
+    .join('\n')
+}
+
+export type AsciicastEvent = [time: number, code: string, data: string]
+
+export interface Asciicast {
+  header: { version: number; width?: number; height?: number; command?: string; title?: string }
+  events: AsciicastEvent[]
+  duration: number
+}
+
+/**
+ * Parse an asciicast v2 recording (header line + one event per line).
+ * A partial last line from a recording still in progress is ignored.
+ */
+export function parseAsciicast(text: string): Asciicast {
+  const lines = text.split('\n').filter(line => line.trim())
+  if (lines.length === 0) throw new Error('Empty recording')
+
+  const header = JSON.parse(lines[0])
+  if (header.version !== 2) throw new Error(`Unsupported asciicast version: ${header.version}`)
+
+  const events: AsciicastEvent[] = []
+  for (const line of lines.slice(1)) {
+    try {
+      const event = JSON.parse(line)
+      if (Array.isArray(event) && event.length === 3) events.push(event as AsciicastEvent)
+    } catch {
+      // ignore partial line
+    }
+  }
+  return { header, events, duration: events.length ? events[events.length - 1][0] : 0 }
+}
+
+/**
+ * Terminal output of a recording up to `time` seconds.
+ */
+export function asciicastOutputAt(cast: Asciicast, time: number): string {
+  let output = ''
+  for (const [at, code, data] of cast.events) {
+    if (at > time) break
+    if (code === 'o') output += data
+  }
+  return output
+}
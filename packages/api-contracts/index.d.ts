@@ -15,12 +15,33 @@ export const NAVIS_PATHS: {
   projects: {
     list: '/projects'
     byId: (id: string) => string
+    packages: (id: string) => string
+    tasks: (id: string) => string
+    files: (id: string) => string
+    fileContent: (id: string) => string
+    gitStatus: (id: string) => string
+    gitLog: (id: string) => string
+    gitDiff: (id: string) => string
+    commitTemplate: (id: string) => string
+    gitActions: (id: string) => string
+    actions: (id: string) => string
+    runAction: (id: string, action: string) => string
+  }
+  sessions: {
+    list: '/sessions'
+    create: '/sessions'
+    byId: (id: string) => string
+    scrollback: (id: string) => string
+    recording: (id: string) => string
+    prompt: (id: string) => string
+    cancel: (id: string) => string
   }
-  sessions: '/sessions'
   approvals: {
     list: '/approvals'
+    create: '/approvals'
     pending: '/approvals/pending'
     byId: (id: string) => string
+    wait: (id: string) => string
     approve: (id: string) => string
     reject: (id: string) => string
   }
@@ -32,6 +53,25 @@ export const NAVIS_PATHS: {
     scan: '/discovery/scan'
     index: '/discovery/index'
   }
+  search: '/search'
 }
 
 export const NAVIS_WS_EVENTS: readonly string[]
+
+export const NAVIS_WS_CLIENT_MESSAGES: readonly ['ping', 'subscribe', 'terminal.input']
+
+export const NAVIS_WS_CHANNELS: {
+  approvals: 'approvals'
+  projects: 'projects'
+  sessions: 'sessions'
+  session: (id: string) => string
+}
+
+export type NavisAgentApprovalType =
+  | 'terminal.command'
+  | 'file.write'
+  | 'file.delete'
+  | 'git.push'
+  | 'agent.action'
+
+export const NAVIS_AGENT_APPROVAL_TYPES: Readonly<Record<NavisAgentApprovalType, object>>
@@ -5,6 +5,8 @@
  * - REST endpoint paths
  * - WebSocket endpoint path
  * - Event type names (minimal set)
+ * - WebSocket channel names
+ * - Payload schemas for agent-submitted approvals
  *
  * It is intentionally small and dependency-free.
  *
@@ -26,12 +28,33 @@ export const NAVIS_PATHS = /** @type {const} */ ({
   projects: {
     list: '/projects',
     byId: (id) => `/projects/${encodeURIComponent(id)}`,
+    packages: (id) => `/projects/${encodeURIComponent(id)}/packages`,
+    tasks: (id) => `/projects/${encodeURIComponent(id)}/tasks`,
+    files: (id) => `/projects/${encodeURIComponent(id)}/files`,
+    fileContent: (id) => `/projects/${encodeURIComponent(id)}/files/content`,
+    gitStatus: (id) => `/projects/${encodeURIComponent(id)}/git/status`,
+    gitLog: (id) => `/projects/${encodeURIComponent(id)}/git/log`,
+    gitDiff: (id) => `/projects/${encodeURIComponent(id)}/git/diff`,
+    commitTemplate: (id) => `/projects/${encodeURIComponent(id)}/git/commit-template`,
+    gitActions: (id) => `/projects/${encodeURIComponent(id)}/git/actions`,
+    actions: (id) => `/projects/${encodeURIComponent(id)}/actions`,
+    runAction: (id, action) => `/projects/${encodeURIComponent(id)}/actions/${encodeURIComponent(action)}`,
+  },
+  sessions: {
+    list: '/sessions',
+    create: '/sessions',
+    byId: (id) => `/sessions/${encodeURIComponent(id)}`,
+    scrollback: (id) => `/sessions/${encodeURIComponent(id)}/scrollback`,
+    recording: (id) => `/sessions/${encodeURIComponent(id)}/recording`,
+    prompt: (id) => `/sessions/${encodeURIComponent(id)}/prompt`,
+    cancel: (id) => `/sessions/${encodeURIComponent(id)}/cancel`,
   },
-  sessions: '/sessions',
   approvals: {
     list: '/approvals',
+    create: '/approvals',
     pending: '/approvals/pending',
     byId: (id) => `/approvals/${encodeURIComponent(id)}`,
+    wait: (id) => `/approvals/${encodeURIComponent(id)}/wait`,
     approve: (id) => `/approvals/${encodeURIComponent(id)}/approve`,
     reject: (id) => `/approvals/${encodeURIComponent(id)}/reject`,
   },
@@ -43,14 +66,89 @@ export const NAVIS_PATHS = /** @type {const} */ ({
     scan: '/api/discovery/scan',
     index: '/api/discovery/index',
   },
+  search: '/search',
 })
 
 export const NAVIS_WS_EVENTS = /** @type {const} */ ([
   'daemon.status',
   'project.updated',
+  'git.action',
+  'project.action',
   'discovery.progress',
   'terminal.output',
   'session.update',
   'approval.request',
   'approval.updated',
+  'approval.expired',
+  'terminal.input.result',
+])
+
+/**
+ * Message types clients may send over the WebSocket.
+ * `terminal.input` carries { sessionId, data, requestId? } from a paired device.
+ */
+export const NAVIS_WS_CLIENT_MESSAGES = /** @type {const} */ ([
+  'ping',
+  'subscribe',
+  'terminal.input',
 ])
+
+/**
+ * WebSocket channels clients subscribe to. Events broadcast on a channel only
+ * reach clients subscribed to it.
+ */
+export const NAVIS_WS_CHANNELS = /** @type {const} */ ({
+  approvals: 'approvals',
+  projects: 'projects',
+  sessions: 'sessions',
+  session: (id) => `session:${id}`,
+})
+
+/**
+ * JSON schemas for the payload of each approval type a local agent may submit
+ * via `POST /approvals`. The daemon rejects unknown types and invalid payloads.
+ */
+export const NAVIS_AGENT_APPROVAL_TYPES = /** @type {const} */ ({
+  'terminal.command': {
+    type: 'object',
+    required: ['command'],
+    properties: {
+      command: { type: 'string', minLength: 1 },
+      cwd: { type: 'string' },
+      reason: { type: 'string' },
+    },
+  },
+  'file.write': {
+    type: 'object',
+    required: ['paths'],
+    properties: {
+      paths: { type: 'array', minItems: 1, items: { type: 'string' } },
+      summary: { type: 'string' },
+    },
+  },
+  'file.delete': {
+    type: 'object',
+    required: ['paths'],
+    properties: {
+      paths: { type: 'array', minItems: 1, items: { type: 'string' } },
+      reason: { type: 'string' },
+    },
+  },
+  'git.push': {
+    type: 'object',
+    required: ['remote', 'branch'],
+    properties: {
+      remote: { type: 'string' },
+      branch: { type: 'string' },
+      force: { type: 'boolean' },
+    },
+  },
+  'agent.action': {
+    type: 'object',
+    required: ['summary'],
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      details: { type: 'string' },
+    },
+  },
+})
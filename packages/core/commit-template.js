@@ -0,0 +1,232 @@
+/**
+ * NavisAI Commit Message Templates
+ * Builds a commit message skeleton from a staged diff summary, the conventions
+ * visible in recent history and an optional per-project template file.
+ *
+ * History counts as Conventional Commits (https://www.conventionalcommits.org)
+ * when at least half of the recent subjects look like `type(scope): subject`.
+ * The suggested type comes from what is staged (docs, tests, CI, build files),
+ * falling back to the most used type in history. The suggested scope is the
+ * workspace package that contains every staged file.
+ *
+ * A template file at `.navis/commit-template` in the project replaces the
+ * default layout. It may use `{{type}}`, `{{scope}}`, `{{header}}`, `{{files}}`
+ * and `{{stats}}` placeholders.
+ *
+ * `readCommitTemplate` gathers all of this from a repository by running the
+ * `git` CLI (see ./git.js); the daemon passes its own git runner.
+ */
+
+import { readFile, realpath } from 'node:fs/promises'
+import path from 'node:path'
+import { findWorkspace } from '@navisai/discovery/workspaces.js'
+import { EMPTY_TREE, parseDiff, runGit } from './git.js'
+
+export const TEMPLATE_FILE = path.join('.navis', 'commit-template')
+
+const CONVENTIONAL_SUBJECT = /^([a-z]+)(?:\(([^)]+)\))?(!)?: \S/
+const CONVENTIONAL_THRESHOLD = 0.5
+const MAX_LISTED_FILES = 20
+
+const DEFAULT_TYPE = 'chore'
+const CONVENTION_SAMPLE = 50
+
+/**
+ * Commit type implied by a path, or null when nothing specific applies.
+ */
+function typeForPath(filePath) {
+  const name = path.posix.basename(filePath)
+  if (/^\.github\/|^\.gitlab-ci|^\.circleci\//.test(filePath)) return 'ci'
+  if (/\.(md|mdx|rst|txt)$/i.test(name) || /^docs?\//.test(filePath)) return 'docs'
+  if (/(\.|_)(test|spec)\.[cm]?[jt]sx?$|_test\.(go|py)$|^tests?\/|\/__tests__\//.test(filePath)) return 'test'
+  if (/^(package\.json|pnpm-lock\.yaml|package-lock\.json|yarn\.lock|Cargo\.(toml|lock)|go\.(mod|sum)|Dockerfile)$/.test(name)) {
+    return 'build'
+  }
+  return null
+}
+
+/**
+ * Scope name for a package: npm scopes are dropped (`@navisai/db` -> `db`).
+ */
+export function scopeName(packageName) {
+  return String(packageName).replace(/^@[^/]+\//, '')
+}
+
+function countBy(values) {
+  const counts = new Map()
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1)
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+}
+
+/**
+ * Conventions visible in recent commit subjects (newest first).
+ * @param {string[]} subjects
+ */
+export function detectConventions(subjects = []) {
+  const parsed = subjects.map(subject => subject.match(CONVENTIONAL_SUBJECT)).filter(Boolean)
+  const ratio = subjects.length > 0 ? parsed.length / subjects.length : 0
+
+  return {
+    style: ratio >= CONVENTIONAL_THRESHOLD ? 'conventional' : 'plain',
+    conventionalRatio: Math.round(ratio * 100) / 100,
+    types: countBy(parsed.map(match => match[1])).map(([type]) => type),
+    scopes: countBy(parsed.map(match => match[2]).filter(Boolean)).map(([scope]) => scope),
+  }
+}
+
+/**
+ * Suggested commit type for a set of staged files.
+ */
+export function suggestType(files, conventions = {}) {
+  const types = new Set(files.map(file => typeForPath(file.path)))
+  if (types.size === 1 && !types.has(null)) {
+    return [...types][0]
+  }
+  if (files.length > 0 && files.every(file => file.status === 'added')) {
+    return 'feat'
+  }
+  return conventions.types?.[0] || DEFAULT_TYPE
+}
+
+/**
+ * Workspace package containing every staged file, if there is exactly one.
+ * @param {Array<{ path: string }>} files - Paths relative to the repository root
+ * @param {Array<{ name: string, path: string }>} scopes - Package paths relative to the repository root
+ */
+export function suggestScope(files, scopes = []) {
+  if (files.length === 0) return null
+  const owners = new Set(
+    files.map(file => {
+      const owner = scopes
+        .filter(scope => file.path === scope.path || file.path.startsWith(`${scope.path}/`))
+        .sort((a, b) => b.path.length - a.path.length)[0]
+      return owner?.name ?? null
+    })
+  )
+  return owners.size === 1 ? [...owners][0] : null
+}
+
+function describeFile(file) {
+  const counts = file.binary ? 'binary' : `+${file.additions} -${file.deletions}`
+  const name = file.oldPath ? `${file.oldPath} -> ${file.path}` : file.path
+  return `${file.status.padEnd(8)} ${name} (${counts})`
+}
+
+/**
+ * Build a commit message template.
+ * @param {Object} input
+ * @param {{ files: Object[], totals: Object }} input.diff - Staged diff summary
+ * @param {string[]} [input.subjects] - Recent commit subjects, newest first
+ * @param {Array<{ name: string, path: string }>} [input.scopes] - Workspace packages
+ * @param {string|null} [input.template] - Contents of the project template file
+ */
+export function buildCommitTemplate({ diff, subjects = [], scopes = [], template = null }) {
+  const conventions = detectConventions(subjects)
+  const type = suggestType(diff.files, conventions)
+  const scope = suggestScope(diff.files, scopes)
+  const header = conventions.style === 'conventional' ? `${type}${scope ? `(${scope})` : ''}: ` : ''
+
+  const listed = diff.files.slice(0, MAX_LISTED_FILES).map(file => `#   ${describeFile(file)}`)
+  if (diff.files.length > MAX_LISTED_FILES) {
+    listed.push(`#   ... and ${diff.files.length - MAX_LISTED_FILES} more`)
+  }
+  const { files, additions, deletions } = diff.totals
+  const stats = files > 0
+    ? `${files} file${files === 1 ? '' : 's'} changed, +${additions} -${deletions}`
+    : 'nothing staged'
+
+  const values = { type, scope: scope || '', header, files: listed.join('\n'), stats }
+  const message = template
+    ? template.replace(/\{\{\s*(type|scope|header|files|stats)\s*\}\}/g, (_, key) => values[key])
+    : [
+        header,
+        '',
+        `# Staged: ${stats}`,
+        ...listed,
+        ...(conventions.style === 'conventional'
+          ? [`# Types used here: ${conventions.types.slice(0, 6).join(', ') || type}`]
+          : []),
+      ].join('\n') + '\n'
+
+  return {
+    message,
+    type,
+    scope,
+    conventions: {
+      ...conventions,
+      packageScopes: scopes.map(entry => entry.name),
+    },
+    staged: diff.totals,
+    usedTemplate: Boolean(template),
+  }
+}
+
+/**
+ * Contents of a project's template file, or null when it has none.
+ */
+export async function readCommitTemplateFile(projectPath) {
+  try {
+    return await readFile(path.join(projectPath, TEMPLATE_FILE), 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') return null
+    throw error
+  }
+}
+
+/**
+ * Workspace member directories of a repository, named after the directory.
+ */
+export async function workspaceScopes(repoPath) {
+  const workspace = await findWorkspace(repoPath)
+  return (workspace?.members || []).map(memberPath => ({
+    name: scopeName(path.basename(memberPath)),
+    path: memberPath,
+  }))
+}
+
+/**
+ * Commit message template for what is staged in a repository.
+ * @param {string} repoPath
+ * @param {Object} [options]
+ * @param {Array<{ name: string, path: string }>} [options.scopes] - Workspace
+ *   packages (absolute paths); read from the workspace files when omitted
+ * @param {(cwd: string, args: string[]) => Promise<string>} [options.git] - Runs
+ *   git and resolves with its stdout
+ */
+export async function readCommitTemplate(repoPath, { scopes, git = runGit } = {}) {
+  const toplevel = (await git(repoPath, ['rev-parse', '--show-toplevel'])).trim()
+  const hasCommits = await git(repoPath, ['rev-parse', '--verify', '--quiet', 'HEAD']).then(
+    () => true,
+    () => false
+  )
+  const diff = format =>
+    git(repoPath, ['diff', format, '-M', '-z', '--cached', hasCommits ? 'HEAD' : EMPTY_TREE, '--'])
+
+  const [numstat, nameStatus, log, template, packages] = await Promise.all([
+    diff('--numstat'),
+    diff('--name-status'),
+    hasCommits ? git(repoPath, ['log', `--max-count=${CONVENTION_SAMPLE}`, '--format=%s', '--']) : '',
+    readCommitTemplateFile(repoPath),
+    scopes ?? workspaceScopes(repoPath),
+  ])
+
+  // Diff paths are relative to the repository root, which git reports resolved.
+  const relativeScopes = await Promise.all(
+    packages.map(async scope => ({
+      name: scope.name,
+      path: path
+        .relative(toplevel, await realpath(scope.path).catch(() => scope.path))
+        .split(path.sep)
+        .join('/'),
+    }))
+  )
+
+  return buildCommitTemplate({
+    diff: parseDiff(numstat, nameStatus),
+    subjects: log.split('\n').filter(Boolean),
+    scopes: relativeScopes.filter(scope => scope.path && !scope.path.startsWith('..')),
+    template,
+  })
+}
@@ -6,6 +6,7 @@
 import { readFile, writeFile, mkdir } from 'node:fs/promises'
 import { homedir } from 'node:os'
 import path from 'node:path'
+import { parseApprovalPolicy } from './policy.js'
 
 const DEFAULT_CONFIG = {
   daemon: {
@@ -21,13 +22,48 @@ const DEFAULT_CONFIG = {
     enabled: true,
     mdns: true,
     scanDepth: 3,
-    maxConcurrency: 5
+    maxConcurrency: 5,
+    roots: [],
+    watch: true
   },
   safety: {
     snapshot: {
       freshnessHours: 24
     }
   },
+  sessions: {
+    scrollbackBytes: 262144,
+    // Record terminal sessions to ~/.navis/recordings (asciicast v2) unless a
+    // session opts out
+    record: false,
+    // Finished sessions kept in memory with their scrollback; older ones are
+    // read back from the database and their recordings
+    retainExited: 50
+  },
+  approvals: {
+    policyFile: 'approval-policy.json',
+    sweepIntervalSeconds: 15,
+    // Per-type overrides, e.g. { "terminal.command": 120 }
+    ttlSeconds: {
+      default: 300
+    }
+  },
+  search: {
+    enabled: true,
+    // Index text contents (not only names and paths) of files up to this size
+    contents: true,
+    maxContentBytes: 262144,
+    maxFilesPerProject: 20000
+  },
+  files: {
+    // Larger files are returned truncated by the file explorer
+    maxReadBytes: 1048576,
+    maxEntries: 1000
+  },
+  git: {
+    // Remotes a git push action may target
+    allowedRemotes: ['origin']
+  },
   logging: {
     level: 'info',
     pretty: true
@@ -85,6 +121,23 @@ export class Config {
     }
   }
 
+  /**
+   * Load the approval policy file from the config directory.
+   * A missing file yields an empty policy (every approval requires a human).
+   */
+  async loadApprovalPolicy() {
+    const policyPath = path.resolve(this.configDir, this.get('approvals.policyFile'))
+    try {
+      const raw = JSON.parse(await readFile(policyPath, 'utf8'))
+      return parseApprovalPolicy(raw)
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return parseApprovalPolicy(null)
+      }
+      throw new Error(`Invalid approval policy at ${policyPath}: ${error.message}`)
+    }
+  }
+
   get(key) {
     return key.split('.').reduce((obj, k) => obj?.[k], this.config)
   }
@@ -0,0 +1,100 @@
+/**
+ * NavisAI git helpers
+ * Runs the `git` CLI for read-only queries (no optional locks, so it never
+ * contends with a user's own git, and C locale output) and parses its diff
+ * output. Shared by the daemon's GitService and commit templates.
+ */
+
+import { execFile } from 'node:child_process'
+import { existsSync } from 'node:fs'
+import { promisify } from 'node:util'
+
+const execFileAsync = promisify(execFile)
+
+const MAX_OUTPUT_BYTES = 16 * 1024 * 1024
+
+// `git diff` against this tree shows everything in a repository without commits.
+export const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904'
+
+// File status names for git's one-letter status codes
+export const STATUS_NAMES = {
+  M: 'modified',
+  T: 'typechange',
+  A: 'added',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  U: 'conflicted',
+}
+
+/**
+ * Run git in `cwd` and resolve with its stdout. Failures are reported as
+ * 'git is not installed', 'Project directory not found', 'Not a git
+ * repository' or git's own error output.
+ */
+export async function runGit(cwd, args, { gitBinary = 'git' } = {}) {
+  try {
+    const { stdout } = await execFileAsync(gitBinary, args, {
+      cwd,
+      maxBuffer: MAX_OUTPUT_BYTES,
+      env: { ...process.env, GIT_OPTIONAL_LOCKS: '0', LC_ALL: 'C' },
+    })
+    return stdout
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(existsSync(cwd) ? 'git is not installed' : 'Project directory not found')
+    }
+    if (/not a git repository/i.test(error.stderr || '')) {
+      throw new Error('Not a git repository')
+    }
+    throw new Error((error.stderr || error.message).trim())
+  }
+}
+
+/**
+ * Combine `git diff --numstat -z` and `git diff --name-status -z` into per-file summaries.
+ */
+export function parseDiff(numstat, nameStatus) {
+  const statuses = new Map()
+  const names = nameStatus.split('\0')
+  for (let i = 0; i < names.length; i++) {
+    const code = names[i]
+    if (!code) continue
+    if (code[0] === 'R' || code[0] === 'C') {
+      statuses.set(names[i + 2], { status: STATUS_NAMES[code[0]], oldPath: names[i + 1] })
+      i += 2
+    } else {
+      statuses.set(names[i + 1], { status: STATUS_NAMES[code[0]] || 'modified' })
+      i += 1
+    }
+  }
+
+  const files = []
+  const records = numstat.split('\0')
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i]
+    if (!record) continue
+    const [added, deleted, filePath] = record.split('\t')
+    // Renames and copies leave the path empty and append old and new paths.
+    const target = filePath || records[i + 2]
+    if (!filePath) i += 2
+
+    const binary = added === '-' && deleted === '-'
+    files.push({
+      path: target,
+      ...(statuses.get(target) || { status: 'modified' }),
+      additions: binary ? 0 : Number(added),
+      deletions: binary ? 0 : Number(deleted),
+      binary,
+    })
+  }
+
+  return {
+    files,
+    totals: {
+      files: files.length,
+      additions: files.reduce((sum, file) => sum + file.additions, 0),
+      deletions: files.reduce((sum, file) => sum + file.deletions, 0),
+    },
+  }
+}
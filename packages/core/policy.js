@@ -0,0 +1,211 @@
+/**
+ * NavisAI Approval Policy
+ * Declarative rules that auto-approve, auto-deny or require a human for approval requests.
+ *
+ * Policy file shape (~/.navis/approval-policy.json):
+ *
+ * {
+ *   "default": "require-human",
+ *   "rules": [
+ *     {
+ *       "id": "allow-tests",
+ *       "decision": "auto-approve",
+ *       "match": {
+ *         "type": "terminal.command",
+ *         "projectId": ["proj_a", "proj_b"],
+ *         "command": ["npm test", "pnpm test *"],
+ *         "path": "src/**",
+ *         "payload": { "cwd": "/Users/me/code/**" },
+ *         "timeOfDay": { "from": "09:00", "to": "18:00" }
+ *       }
+ *     },
+ *     { "id": "two-person-push", "decision": "require-human", "quorum": 2, "match": { "type": "git.push" } }
+ *   ]
+ * }
+ *
+ * Rules are evaluated in order; the first rule whose every `match` key matches wins.
+ * `command` patterns match word by word: `*` stays within one word, and a trailing
+ * `*` word (as in `"pnpm test *"`) matches one or more further arguments. Commands
+ * run through a shell, so one containing `; & | $ \` > < ( )` or a newline is never
+ * auto-approved: such rules are skipped and an auto-approve default falls back to
+ * require-human.
+ * `quorum` (default 1) is the number of distinct paired devices that must approve
+ * a require-human request before it is approved.
+ */
+
+export const POLICY_DECISIONS = /** @type {const} */ ([
+  'auto-approve',
+  'auto-deny',
+  'require-human',
+])
+
+const EMPTY_POLICY = Object.freeze({ default: 'require-human', rules: [] })
+
+/**
+ * Convert a policy match glob (type, command word or path) to a RegExp.
+ * In path mode `*` stops at `/` and `**` crosses directories; otherwise `*` matches anything.
+ */
+function policyGlobToRegExp(pattern, { pathMode = true } = {}) {
+  let source = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        i++
+        if (pattern[i + 1] === '/') {
+          i++
+          source += '(?:.*/)?'
+        } else {
+          source += '.*'
+        }
+      } else {
+        source += pathMode ? '[^/]*' : '.*'
+      }
+    } else if (char === '?') {
+      source += pathMode ? '[^/]' : '.'
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+function matchesAny(value, patterns, options) {
+  if (value === undefined || value === null) return false
+  return toList(patterns).some(pattern => policyGlobToRegExp(String(pattern), options).test(String(value)))
+}
+
+// Characters that let a shell run more than the matched command
+const SHELL_OPERATORS = /[;&|$`<>()\n\r]/
+
+function matchesCommand(command, patterns) {
+  if (typeof command !== 'string') return false
+  const words = command.trim().split(/\s+/)
+  return toList(patterns).some(pattern => {
+    const tokens = String(pattern).trim().split(/\s+/)
+    const rest = tokens.at(-1) === '*' ? tokens.pop() : null
+    if (rest ? words.length <= tokens.length : words.length !== tokens.length) return false
+    return tokens.every((token, index) => policyGlobToRegExp(token, { pathMode: false }).test(words[index]))
+  })
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''))
+  if (!match) return null
+  const minutes = Number(match[1]) * 60 + Number(match[2])
+  return minutes < 24 * 60 ? minutes : null
+}
+
+function matchesTimeOfDay(window, now) {
+  const from = parseClock(window.from)
+  const to = parseClock(window.to)
+  if (from === null || to === null) return false
+  const minutes = now.getHours() * 60 + now.getMinutes()
+  // Windows such as 22:00–06:00 wrap past midnight.
+  return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to
+}
+
+function parsePayload(payload) {
+  if (payload && typeof payload === 'object') return payload
+  try {
+    const parsed = JSON.parse(payload)
+    return parsed && typeof parsed === 'object' ? parsed : {}
+  } catch {
+    return {}
+  }
+}
+
+function payloadPaths(payload) {
+  return [...toList(payload.path), ...toList(payload.paths)]
+}
+
+function ruleMatches(match = {}, approval, payload, now) {
+  if (match.type !== undefined && !matchesAny(approval.type, match.type, { pathMode: false })) {
+    return false
+  }
+  if (match.projectId !== undefined && !toList(match.projectId).includes(approval.projectId)) {
+    return false
+  }
+  if (match.command !== undefined && !matchesCommand(payload.command, match.command)) {
+    return false
+  }
+  if (match.path !== undefined) {
+    const paths = payloadPaths(payload)
+    if (paths.length === 0 || !paths.every(p => matchesAny(p, match.path))) {
+      return false
+    }
+  }
+  if (match.payload !== undefined) {
+    for (const [field, patterns] of Object.entries(match.payload)) {
+      if (!matchesAny(payload[field], patterns, { pathMode: false })) return false
+    }
+  }
+  if (match.timeOfDay !== undefined && !matchesTimeOfDay(match.timeOfDay, now)) {
+    return false
+  }
+  return true
+}
+
+/**
+ * Validate and normalize a raw policy object.
+ * @throws {Error} when a rule is malformed
+ */
+export function parseApprovalPolicy(raw) {
+  if (!raw) return EMPTY_POLICY
+
+  const defaultDecision = raw.default || EMPTY_POLICY.default
+  if (!POLICY_DECISIONS.includes(defaultDecision)) {
+    throw new Error(`Invalid default policy decision: ${defaultDecision}`)
+  }
+
+  const rules = toList(raw.rules).map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Policy rule ${index} must be an object`)
+    }
+    if (!POLICY_DECISIONS.includes(rule.decision)) {
+      throw new Error(`Policy rule ${rule.id || index} has invalid decision: ${rule.decision}`)
+    }
+    if (rule.match?.timeOfDay) {
+      const { from, to } = rule.match.timeOfDay
+      if (parseClock(from) === null || parseClock(to) === null) {
+        throw new Error(`Policy rule ${rule.id || index} has invalid timeOfDay (expected HH:MM)`)
+      }
+    }
+    const quorum = rule.quorum === undefined ? 1 : Number(rule.quorum)
+    if (!Number.isInteger(quorum) || quorum < 1) {
+      throw new Error(`Policy rule ${rule.id || index} has invalid quorum: ${rule.quorum}`)
+    }
+    return {
+      id: rule.id || `rule-${index + 1}`,
+      decision: rule.decision,
+      quorum,
+      match: rule.match || {},
+    }
+  })
+
+  return { default: defaultDecision, rules }
+}
+
+/**
+ * Decide what to do with an approval request.
+ * @returns {{ decision: string, rule: string | null, quorum: number }}
+ */
+export function evaluateApprovalPolicy(policy, approval, now = new Date()) {
+  const { default: fallback, rules } = policy || EMPTY_POLICY
+  const payload = parsePayload(approval.payload)
+  const chained = typeof payload.command === 'string' && SHELL_OPERATORS.test(payload.command)
+
+  for (const rule of rules) {
+    if (chained && rule.decision === 'auto-approve') continue
+    if (ruleMatches(rule.match, approval, payload, now)) {
+      return { decision: rule.decision, rule: rule.id, quorum: rule.quorum }
+    }
+  }
+
+  return { decision: chained && fallback === 'auto-approve' ? 'require-human' : fallback, rule: null, quorum: 1 }
+}
@@ -0,0 +1,64 @@
+/**
+ * NavisAI Session Recordings
+ * Terminal sessions can be recorded as asciicast v2 files
+ * (https://docs.asciinema.org/manual/asciicast/v2/) under ~/.navis/recordings.
+ *
+ * A recording is one JSON header line followed by one `[time, code, data]`
+ * event per line, where code is "o" (output) or "i" (input).
+ */
+
+import { homedir } from 'node:os'
+import path from 'node:path'
+
+export const DEFAULT_RECORDINGS_DIR = path.join(homedir(), '.navis', 'recordings')
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/
+
+/**
+ * Path of the recording for a session.
+ * @throws {Error} when the id could escape the recordings directory
+ */
+export function recordingPath(sessionId, dir = DEFAULT_RECORDINGS_DIR) {
+  if (!SESSION_ID_PATTERN.test(String(sessionId || ''))) {
+    throw new Error(`Invalid session id: ${sessionId}`)
+  }
+  return path.join(dir, `${sessionId}.cast`)
+}
+
+/**
+ * Parse asciicast v2 text.
+ * A truncated last line (recording still in progress) is ignored.
+ * @returns {{ header: object, events: Array<[number, string, string]> }}
+ */
+export function parseAsciicast(text) {
+  const lines = String(text).split('\n').filter(line => line.trim())
+  if (lines.length === 0) {
+    throw new Error('Empty recording')
+  }
+
+  const header = JSON.parse(lines[0])
+  if (header.version !== 2) {
+    throw new Error(`Unsupported asciicast version: ${header.version}`)
+  }
+
+  const events = []
+  for (const line of lines.slice(1)) {
+    try {
+      const event = JSON.parse(line)
+      if (Array.isArray(event) && event.length === 3) events.push(event)
+    } catch {
+      // Partial write at the end of a live recording.
+    }
+  }
+  return { header, events }
+}
+
+/**
+ * Concatenated terminal output of a recording.
+ */
+export function asciicastOutput(text) {
+  return parseAsciicast(text)
+    .events.filter(([, code]) => code === 'o')
+    .map(([, , data]) => data)
+    .join('')
+}
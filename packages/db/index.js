@@ -13,6 +13,31 @@ import { fileURLToPath } from 'node:url'
 import * as schema from './schema.js'
 import { logger } from '@navisai/logging'
 
+// Columns added after a table first shipped. Migrations re-run on every start,
+// so these are applied idempotently instead of via ALTER TABLE in a .sql file.
+const ADDED_COLUMNS = [
+  ['projects', 'confidence REAL'],
+  ['projects', 'metadata TEXT'],
+  ['projects', 'lastScannedAt TEXT'],
+  ['projects', 'fingerprint TEXT'],
+  ['projects', 'parentId TEXT REFERENCES projects(id) ON DELETE SET NULL'],
+  ['project_signals', 'metadata TEXT'],
+  ['devices', 'secretHash TEXT'],
+  ['approvals', 'expiresAt TEXT'],
+  ['approvals', 'deniedReason TEXT'],
+  ['approvals', 'resolvedBy TEXT'],
+  ['approvals', 'policyRule TEXT'],
+  ['approvals', 'quorum INTEGER DEFAULT 1'],
+  ['approvals', 'executor TEXT'],
+  ['sessions', "status TEXT NOT NULL DEFAULT 'active'"],
+  ['sessions', 'command TEXT'],
+  ['sessions', 'cwd TEXT'],
+  ['sessions', 'exitCode INTEGER'],
+  ['sessions', 'recording INTEGER DEFAULT 0'],
+  ['sessions', 'endTime TEXT'],
+  ['sessions', 'approvalId TEXT'],
+]
+
 class DatabaseManager {
   constructor() {
     this.db = null
@@ -106,10 +131,12 @@ class DatabaseManager {
   }
 
   async ensureLegacyColumns() {
-    try {
-      await this.execute('ALTER TABLE devices ADD COLUMN secretHash TEXT;')
-    } catch {
-      // ignore: column exists or table missing (created by migrations)
+    for (const [table, column] of ADDED_COLUMNS) {
+      try {
+        await this.execute(`ALTER TABLE ${table} ADD COLUMN ${column};`)
+      } catch {
+        // ignore: column exists or table missing (created by migrations)
+      }
     }
   }
 
@@ -126,6 +153,26 @@ class DatabaseManager {
     throw new Error('Database not initialized')
   }
 
+  /**
+   * Run write statements ({ sql, args }) in one transaction.
+   */
+  async batch(statements) {
+    if (this.nativeDB) {
+      const run = this.nativeDB.transaction(() => {
+        for (const { sql, args = [] } of statements) {
+          this.nativeDB.prepare(sql).run(args)
+        }
+      })
+      return run()
+    }
+
+    if (this.client) {
+      return this.client.batch(statements.map(({ sql, args = [] }) => ({ sql, args })), 'write')
+    }
+
+    throw new Error('Database not initialized')
+  }
+
   async query(sql, params = []) {
     if (this.nativeDB) {
       const statement = this.nativeDB.prepare(sql)
@@ -0,0 +1,15 @@
+-- NavisAI Approval Votes
+-- Per-device votes for quorum (multi-party) approvals
+
+CREATE TABLE IF NOT EXISTS approval_votes (
+  id TEXT PRIMARY KEY,
+  approvalId TEXT NOT NULL,
+  deviceId TEXT NOT NULL,
+  vote TEXT NOT NULL,
+  createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (approvalId, deviceId),
+  FOREIGN KEY (approvalId) REFERENCES approvals(id) ON DELETE CASCADE,
+  FOREIGN KEY (deviceId) REFERENCES devices(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_votes_approval ON approval_votes(approvalId);
@@ -0,0 +1,22 @@
+-- NavisAI Search Index
+-- File names, paths and text contents of discovered projects
+
+CREATE TABLE IF NOT EXISTS search_files (
+  id INTEGER PRIMARY KEY,
+  projectId TEXT NOT NULL,
+  path TEXT NOT NULL,
+  size INTEGER,
+  mtimeMs INTEGER,
+  hasContent INTEGER DEFAULT 0,
+  UNIQUE (projectId, path),
+  FOREIGN KEY (projectId) REFERENCES projects(id) ON DELETE CASCADE
+);
+
+-- One row per search_files row, sharing its rowid. The trigram tokenizer makes any
+-- substring of three or more characters searchable
+CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+  name,
+  path,
+  content,
+  tokenize = 'trigram'
+);
@@ -3,7 +3,7 @@
  * High-level data access methods for each entity type
  */
 
-import { eq, and, desc, gt, lte, isNull } from 'drizzle-orm'
+import { eq, and, desc, gt, lte, isNull, count, inArray, notInArray, asc } from 'drizzle-orm'
 import { nanoid } from 'nanoid'
 import { logger } from '@navisai/logging'
 
@@ -84,6 +84,9 @@ export class ProjectsRepository {
         id,
         name: data.name,
         path: data.path,
+        confidence: data.confidence ?? null,
+        metadata: data.metadata ?? null,
+        lastScannedAt: data.lastScannedAt ?? null,
         createdAt: now,
         updatedAt: now
       }
@@ -155,6 +158,189 @@ export class ProjectsRepository {
       throw error
     }
   }
+
+  /**
+   * Record a scan that found no changes (leaves updatedAt alone).
+   */
+  async markScanned(id, lastScannedAt = new Date().toISOString()) {
+    const db = await getDB()
+
+    try {
+      await db
+        .update(schema.projects)
+        .set({ lastScannedAt })
+        .where(eq(schema.projects.id, id))
+    } catch (error) {
+      logger.error('Failed to mark project scanned', { id, error: error.message })
+      throw error
+    }
+  }
+
+  async setFingerprint(id, fingerprint) {
+    const db = await getDB()
+
+    try {
+      await db
+        .update(schema.projects)
+        .set({ fingerprint })
+        .where(eq(schema.projects.id, id))
+    } catch (error) {
+      logger.error('Failed to set project fingerprint', { id, error: error.message })
+      throw error
+    }
+  }
+
+  async findSignals(projectId) {
+    const db = await getDB()
+
+    try {
+      return await db
+        .select()
+        .from(schema.projectSignals)
+        .where(eq(schema.projectSignals.projectId, projectId))
+        .orderBy(desc(schema.projectSignals.confidence))
+    } catch (error) {
+      logger.error('Failed to find project signals', { projectId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Replace a project's signals with the latest scan's.
+   */
+  async replaceSignals(projectId, signals = []) {
+    const db = await getDB()
+
+    try {
+      await db.delete(schema.projectSignals).where(eq(schema.projectSignals.projectId, projectId))
+      if (signals.length > 0) {
+        await db.insert(schema.projectSignals).values(signals.map(signal => ({
+          id: nanoid(),
+          projectId,
+          type: signal.type,
+          path: signal.path ?? null,
+          confidence: signal.confidence ?? 1.0,
+          metadata: signal.metadata ?? null
+        })))
+      }
+      return this.findSignals(projectId)
+    } catch (error) {
+      logger.error('Failed to replace project signals', { projectId, error: error.message })
+      throw error
+    }
+  }
+
+  async findClassification(projectId) {
+    const db = await getDB()
+
+    try {
+      const rows = await db
+        .select()
+        .from(schema.projectClassification)
+        .where(eq(schema.projectClassification.projectId, projectId))
+        .limit(1)
+
+      return rows[0] || null
+    } catch (error) {
+      logger.error('Failed to find project classification', { projectId, error: error.message })
+      throw error
+    }
+  }
+
+  async setClassification(projectId, classification) {
+    const db = await getDB()
+    const values = {
+      categories: classification.categories ?? null,
+      frameworks: classification.frameworks ?? null,
+      languages: classification.languages ?? null,
+      confidence: classification.confidence ?? null,
+      metadata: classification.metadata ?? null
+    }
+
+    try {
+      await db.insert(schema.projectClassification).values({ projectId, ...values }).onConflictDoUpdate({
+        target: schema.projectClassification.projectId,
+        set: values
+      })
+      return this.findClassification(projectId)
+    } catch (error) {
+      logger.error('Failed to set project classification', { projectId, error: error.message })
+      throw error
+    }
+  }
+
+  async findByPaths(paths) {
+    if (paths.length === 0) return []
+    const db = await getDB()
+
+    try {
+      return await db
+        .select()
+        .from(schema.projects)
+        .where(inArray(schema.projects.path, paths))
+    } catch (error) {
+      logger.error('Failed to find projects by path', { error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Member packages of a workspace project, ordered by path.
+   */
+  async findChildren(parentId) {
+    const db = await getDB()
+
+    try {
+      return await db
+        .select()
+        .from(schema.projects)
+        .where(eq(schema.projects.parentId, parentId))
+        .orderBy(asc(schema.projects.path))
+    } catch (error) {
+      logger.error('Failed to find child projects', { parentId, error: error.message })
+      throw error
+    }
+  }
+
+  async setParent(id, parentId) {
+    const db = await getDB()
+
+    try {
+      await db
+        .update(schema.projects)
+        .set({ parentId })
+        .where(eq(schema.projects.id, id))
+    } catch (error) {
+      logger.error('Failed to set project parent', { id, parentId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Make the stored projects at `memberPaths` the children of `parentId` and
+   * detach any former children that are no longer members.
+   */
+  async setWorkspaceMembers(parentId, memberPaths = []) {
+    const db = await getDB()
+
+    try {
+      const former = memberPaths.length > 0
+        ? and(eq(schema.projects.parentId, parentId), notInArray(schema.projects.path, memberPaths))
+        : eq(schema.projects.parentId, parentId)
+      await db.update(schema.projects).set({ parentId: null }).where(former)
+
+      if (memberPaths.length > 0) {
+        await db
+          .update(schema.projects)
+          .set({ parentId })
+          .where(inArray(schema.projects.path, memberPaths))
+      }
+      return this.findChildren(parentId)
+    } catch (error) {
+      logger.error('Failed to set workspace members', { parentId, error: error.message })
+      throw error
+    }
+  }
 }
 
 export class DevicesRepository {
@@ -310,6 +496,25 @@ export class ApprovalsRepository {
     }
   }
 
+  async count(options = {}) {
+    const { status } = options
+    const db = await getDB()
+
+    try {
+      let query = db.select({ value: count() }).from(schema.approvals)
+
+      if (status) {
+        query = query.where(eq(schema.approvals.status, status))
+      }
+
+      const rows = await query
+      return Number(rows[0]?.value || 0)
+    } catch (error) {
+      logger.error('Failed to count approvals', { error: error.message })
+      throw error
+    }
+  }
+
   async create(data) {
     const db = await getDB()
     const id = data.id || nanoid()
@@ -320,9 +525,13 @@ export class ApprovalsRepository {
         id,
         projectId: data.projectId || null,
         type: data.type,
-        payload: JSON.stringify(data.payload || {}),
+        payload: typeof data.payload === 'string' ? data.payload : JSON.stringify(data.payload || {}),
         status: 'pending',
-        createdAt: now
+        createdAt: data.createdAt || now,
+        expiresAt: data.expiresAt || null,
+        policyRule: data.policyRule || null,
+        quorum: data.quorum || 1,
+        executor: data.executor || null
       }
 
       await db.insert(schema.approvals).values(approval)
@@ -333,7 +542,7 @@ export class ApprovalsRepository {
     }
   }
 
-  async resolve(id, newStatus) {
+  async resolve(id, newStatus, options = {}) {
     const db = await getDB()
     const now = new Date().toISOString()
 
@@ -346,7 +555,9 @@ export class ApprovalsRepository {
         .update(schema.approvals)
         .set({
           status: newStatus,
-          resolvedAt: now
+          resolvedAt: options.resolvedAt || now,
+          resolvedBy: options.resolvedBy || null,
+          deniedReason: options.deniedReason || null
         })
         .where(eq(schema.approvals.id, id))
 
@@ -356,31 +567,78 @@ export class ApprovalsRepository {
       throw error
     }
   }
+
+  async findVotes(approvalId) {
+    const db = await getDB()
+
+    try {
+      return await db
+        .select()
+        .from(schema.approvalVotes)
+        .where(eq(schema.approvalVotes.approvalId, approvalId))
+        .orderBy(schema.approvalVotes.createdAt)
+    } catch (error) {
+      logger.error('Failed to find approval votes', { approvalId, error: error.message })
+      throw error
+    }
+  }
+
+  async addVote(approvalId, deviceId, vote) {
+    const db = await getDB()
+
+    if (!['approve', 'reject'].includes(vote)) {
+      throw new Error('Invalid vote')
+    }
+
+    try {
+      await db.insert(schema.approvalVotes).values({
+        id: nanoid(),
+        approvalId,
+        deviceId,
+        vote,
+        createdAt: new Date().toISOString()
+      })
+
+      return this.findVotes(approvalId)
+    } catch (error) {
+      logger.error('Failed to record approval vote', { approvalId, deviceId, error: error.message })
+      throw error
+    }
+  }
 }
 
 export class SessionsRepository {
   async findAll(options = {}) {
-    const { projectId, type, activeOnly = false } = options
+    const { projectId, type, status, activeOnly = false } = options
     const db = await getDB()
 
     try {
-      let query = db.select().from(schema.sessions)
+      const conditions = []
 
       if (projectId) {
-        query = query.where(eq(schema.sessions.projectId, projectId))
+        conditions.push(eq(schema.sessions.projectId, projectId))
       }
 
       if (type) {
-        query = query.where(eq(schema.sessions.type, type))
+        conditions.push(eq(schema.sessions.type, type))
+      }
+
+      if (status) {
+        conditions.push(eq(schema.sessions.status, status))
       }
 
       if (activeOnly) {
         // Consider sessions active if updated in last 5 minutes
         const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000).toISOString()
-        query = query.where(gt(schema.sessions.updatedAt, fiveMinutesAgo))
+        conditions.push(gt(schema.sessions.updatedAt, fiveMinutesAgo))
+      }
+
+      let query = db.select().from(schema.sessions)
+      if (conditions.length > 0) {
+        query = query.where(and(...conditions))
       }
 
-      const sessions = await query.orderBy(desc(schema.sessions.updatedAt))
+      const sessions = await query.orderBy(desc(schema.sessions.createdAt))
       return sessions
     } catch (error) {
       logger.error('Failed to find sessions', { error: error.message })
@@ -415,7 +673,14 @@ export class SessionsRepository {
         id,
         projectId: data.projectId || null,
         type: data.type,
-        createdAt: now,
+        status: data.status || 'active',
+        command: data.command || null,
+        cwd: data.cwd || null,
+        exitCode: data.exitCode ?? null,
+        recording: Boolean(data.recording),
+        endTime: data.endTime || null,
+        approvalId: data.approvalId || null,
+        createdAt: data.createdAt || now,
         updatedAt: now
       }
 
@@ -427,6 +692,28 @@ export class SessionsRepository {
     }
   }
 
+  async update(id, fields = {}) {
+    const db = await getDB()
+    const changes = { updatedAt: new Date().toISOString() }
+
+    for (const key of ['status', 'exitCode', 'endTime']) {
+      if (fields[key] !== undefined) changes[key] = fields[key]
+    }
+    if (fields.recording !== undefined) changes.recording = Boolean(fields.recording)
+
+    try {
+      await db
+        .update(schema.sessions)
+        .set(changes)
+        .where(eq(schema.sessions.id, id))
+
+      return this.findById(id)
+    } catch (error) {
+      logger.error('Failed to update session', { id, error: error.message })
+      throw error
+    }
+  }
+
   async updateActivity(id) {
     const db = await getDB()
     const now = new Date().toISOString()
@@ -522,9 +809,154 @@ export class SettingsRepository {
   }
 }
 
+/**
+ * FTS5 query for whole terms: each is quoted so punctuation (`.`, `-`, `:`) is
+ * matched literally, and all must match.
+ */
+function toMatchQuery(terms) {
+  return terms.map(term => `"${term.replace(/"/g, '""')}"`).join(' ')
+}
+
+function escapeLike(term) {
+  return term.replace(/[\\%_]/g, match => `\\${match}`)
+}
+
+// The trigram tokenizer cannot match terms shorter than this
+const MIN_MATCH_TERM_LENGTH = 3
+
+/**
+ * File search index: `search_files` rows plus an FTS5 `search_index` row
+ * (name, path, content) sharing each file's rowid.
+ */
+export class SearchRepository {
+  async listFiles(projectId) {
+    const db = await getDB()
+
+    try {
+      return await db
+        .select({
+          path: schema.searchFiles.path,
+          size: schema.searchFiles.size,
+          mtimeMs: schema.searchFiles.mtimeMs,
+          hasContent: schema.searchFiles.hasContent,
+        })
+        .from(schema.searchFiles)
+        .where(eq(schema.searchFiles.projectId, projectId))
+    } catch (error) {
+      logger.error('Failed to list indexed files', { projectId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Insert or replace files; `content` is null for files indexed by name only.
+   * @param {string} projectId
+   * @param {Array<{ path: string, size: number, mtimeMs: number, content: string|null }>} files
+   */
+  async upsertFiles(projectId, files) {
+    if (files.length === 0) return
+    await getDB()
+
+    const statements = []
+    for (const file of files) {
+      statements.push(
+        {
+          sql: 'DELETE FROM search_index WHERE rowid IN (SELECT id FROM search_files WHERE projectId = ? AND path = ?)',
+          args: [projectId, file.path],
+        },
+        {
+          sql: `INSERT INTO search_files (projectId, path, size, mtimeMs, hasContent) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (projectId, path) DO UPDATE SET
+              size = excluded.size, mtimeMs = excluded.mtimeMs, hasContent = excluded.hasContent`,
+          args: [projectId, file.path, file.size, file.mtimeMs, file.content === null ? 0 : 1],
+        },
+        {
+          sql: `INSERT INTO search_index (rowid, name, path, content)
+            SELECT id, ?, ?, ? FROM search_files WHERE projectId = ? AND path = ?`,
+          args: [file.path.split('/').pop(), file.path, file.content ?? '', projectId, file.path],
+        }
+      )
+    }
+
+    try {
+      await dbManager.batch(statements)
+    } catch (error) {
+      logger.error('Failed to index files', { projectId, count: files.length, error: error.message })
+      throw error
+    }
+  }
+
+  async removeFiles(projectId, paths) {
+    if (paths.length === 0) return
+    await getDB()
+
+    const statements = paths.flatMap(filePath => [
+      {
+        sql: 'DELETE FROM search_index WHERE rowid IN (SELECT id FROM search_files WHERE projectId = ? AND path = ?)',
+        args: [projectId, filePath],
+      },
+      { sql: 'DELETE FROM search_files WHERE projectId = ? AND path = ?', args: [projectId, filePath] },
+    ])
+
+    try {
+      await dbManager.batch(statements)
+    } catch (error) {
+      logger.error('Failed to remove indexed files', { projectId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Files whose name, path or content contain every whitespace-separated term
+   * (case-insensitive), best matches first. Terms shorter than three
+   * characters only filter on the path.
+   */
+  async search(query, { projectId, limit = 50 } = {}) {
+    await getDB()
+    const terms = String(query || '').trim().split(/\s+/).filter(Boolean)
+    if (terms.length === 0) return []
+
+    const matchTerms = terms.filter(term => [...term].length >= MIN_MATCH_TERM_LENGTH)
+    const shortTerms = terms.filter(term => [...term].length < MIN_MATCH_TERM_LENGTH)
+    const conditions = []
+    const args = []
+    if (matchTerms.length > 0) {
+      conditions.push('search_index MATCH ?')
+      args.push(toMatchQuery(matchTerms))
+    }
+    for (const term of shortTerms) {
+      conditions.push("search_index.path LIKE ? ESCAPE '\\'")
+      args.push(`%${escapeLike(term)}%`)
+    }
+    if (projectId) {
+      conditions.push('f.projectId = ?')
+      args.push(projectId)
+    }
+    args.push(limit)
+
+    // bm25() weights: name, path, content. It needs a MATCH to rank by.
+    const ranked = matchTerms.length > 0
+    const sql = `SELECT f.projectId, f.path, f.size, f.mtimeMs,
+        ${ranked ? "snippet(search_index, 2, '[', ']', '…', 12)" : 'NULL'} AS snippet,
+        ${ranked ? 'bm25(search_index, 10.0, 4.0, 1.0)' : '0'} AS rank
+      FROM search_index JOIN search_files f ON f.id = search_index.rowid
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY rank, f.path
+      LIMIT ?`
+
+    try {
+      return await dbManager.query(sql, args)
+    } catch (error) {
+      logger.error('Failed to search files', { query, error: error.message })
+      throw error
+    }
+  }
+}
+
 // Export repository instances
 export const projectsRepo = new ProjectsRepository()
 export const devicesRepo = new DevicesRepository()
 export const approvalsRepo = new ApprovalsRepository()
 export const sessionsRepo = new SessionsRepository()
 export const settingsRepo = new SettingsRepository()
+export const searchRepo = new SearchRepository()
@@ -22,6 +22,11 @@ export const projects = sqliteTable('projects', {
   id: text('id').primaryKey(),
   path: text('path').unique().notNull(),
   name: text('name'),
+  confidence: real('confidence'),
+  metadata: text('metadata'), // JSON string (package.json summary, etc.)
+  lastScannedAt: text('lastScannedAt'),
+  fingerprint: text('fingerprint'), // hash of manifest files at last analysis
+  parentId: text('parentId'), // workspace root project this package belongs to
   createdAt: text('createdAt').notNull(),
   updatedAt: text('updatedAt')
 })
@@ -65,7 +70,22 @@ export const approvals = sqliteTable('approvals', {
   payload: text('payload').notNull(), // JSON string of action details
   status: text('status').notNull(), // pending, approved, denied
   createdAt: text('createdAt').notNull(),
-  resolvedAt: text('resolvedAt')
+  expiresAt: text('expiresAt'),
+  resolvedAt: text('resolvedAt'),
+  resolvedBy: text('resolvedBy'), // human, policy, system
+  deniedReason: text('deniedReason'), // e.g. expired, policy
+  policyRule: text('policyRule'), // id of the approval policy rule that fired
+  quorum: integer('quorum').default(1), // distinct device approvals required
+  executor: text('executor') // daemon when the daemon itself runs the approved action
+})
+
+// Approval votes - per-device decisions for quorum approvals
+export const approvalVotes = sqliteTable('approval_votes', {
+  id: text('id').primaryKey(),
+  approvalId: text('approvalId').notNull().references(() => approvals.id, { onDelete: 'cascade' }),
+  deviceId: text('deviceId').notNull().references(() => devices.id, { onDelete: 'cascade' }),
+  vote: text('vote').notNull(), // approve, reject
+  createdAt: text('createdAt').notNull()
 })
 
 // Sessions table - tracks active terminal and ACP sessions
@@ -73,10 +93,28 @@ export const sessions = sqliteTable('sessions', {
   id: text('id').primaryKey(),
   projectId: text('projectId').references(() => projects.id, { onDelete: 'set null' }),
   type: text('type').notNull(), // terminal, acp, etc.
+  status: text('status').notNull().default('active'), // active, exited, closed, failed, lost
+  command: text('command'),
+  cwd: text('cwd'),
+  exitCode: integer('exitCode'),
+  recording: integer('recording', { mode: 'boolean' }).default(false),
+  endTime: text('endTime'),
+  approvalId: text('approvalId'), // approval that started the session, if any
   createdAt: text('createdAt').notNull(),
   updatedAt: text('updatedAt').notNull()
 })
 
+// Search files - indexed files of each project; the FTS5 `search_index` table
+// (created by migration 003, not modelled here) shares their rowids
+export const searchFiles = sqliteTable('search_files', {
+  id: integer('id').primaryKey(),
+  projectId: text('projectId').notNull().references(() => projects.id, { onDelete: 'cascade' }),
+  path: text('path').notNull(),
+  size: integer('size'),
+  mtimeMs: integer('mtimeMs'),
+  hasContent: integer('hasContent', { mode: 'boolean' }).default(false)
+})
+
 // Settings table - key-value configuration storage
 export const settings = sqliteTable('settings', {
   key: text('key').primaryKey(),
@@ -91,6 +129,8 @@ export const schema = {
   projectClassification,
   devices,
   approvals,
+  approvalVotes,
   sessions,
+  searchFiles,
   settings
 }
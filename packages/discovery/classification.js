@@ -3,6 +3,21 @@
  * Categorizes projects based on detected signals and metadata
  */
 
+const LANGUAGE_BY_DETECTOR = {
+  nodejs: 'javascript',
+  python: 'python',
+  go: 'go',
+  rust: 'rust',
+  java: 'java',
+  dotnet: 'csharp',
+  ruby: 'ruby',
+  php: 'php',
+  elixir: 'elixir'
+}
+
+// Detectors that describe a project's tooling rather than its stack
+const TOOLING_DETECTORS = new Set(['tasks'])
+
 export class ClassificationEngine {
   constructor() {
     this.categories = {
@@ -17,7 +32,7 @@ export class ClassificationEngine {
         name: 'Backend API',
         description: 'Server-side APIs and microservices',
         keywords: ['api', 'server', 'backend', 'express', 'fastapi', 'django'],
-        languages: ['nodejs', 'python', 'go', 'rust'],
+        languages: ['nodejs', 'python', 'go', 'rust', 'java', 'csharp', 'ruby', 'php', 'elixir'],
         excludePatterns: ['react', 'vue', 'angular', 'svelte'],
         minConfidence: 0.6
       },
@@ -69,8 +84,9 @@ export class ClassificationEngine {
         name: 'DevOps/Infrastructure',
         description: 'Infrastructure and deployment automation',
         keywords: ['docker', 'kubernetes', 'terraform', 'ansible'],
-        signals: ['has dockerfile', 'has k8s', 'has terraform'],
-        minConfidence: 0.7
+        frameworks: ['containers'],
+        signals: ['has dockerfile', 'has docker compose', 'has k8s', 'has terraform'],
+        minConfidence: 0.6
       },
       'documentation': {
         name: 'Documentation Site',
@@ -122,6 +138,35 @@ export class ClassificationEngine {
     }
   }
 
+  /**
+   * Classify from discovery engine signals ({ type, confidence }) and return
+   * the compact form stored with the project. Detectors can add finer-grained
+   * signals (e.g. `has dockerfile`) under `metadata.signals`, the frameworks
+   * they found (e.g. `spring-boot`) under `metadata.frameworks` and a more
+   * specific language than their own (e.g. `kotlin`) as `metadata.language`.
+   */
+  classifySignals(signals = []) {
+    const all = signals
+      .filter(signal => !TOOLING_DETECTORS.has(signal.type))
+      .map(signal => ({ detector: signal.type, confidence: signal.confidence, language: signal.metadata?.language }))
+      .sort((a, b) => b.confidence - a.confidence)
+    const signalNames = signals.flatMap(signal => [signal.type, ...(signal.metadata?.signals || [])])
+    const result = this.classify({ primary: all[0] || null, all }, signalNames)
+    const languages = [...new Set(all.map(r => r.language || LANGUAGE_BY_DETECTOR[r.detector]).filter(Boolean))]
+    const frameworks = signals.flatMap(signal => signal.metadata?.frameworks || [])
+
+    return {
+      primary: result.primary
+        ? { id: result.primary.id, name: result.primary.name, confidence: result.primary.confidence }
+        : null,
+      categories: result.all.map(category => category.id),
+      language: languages[0] || null,
+      languages,
+      frameworks: [...new Set([...result.frameworks, ...frameworks])],
+      confidence: result.primary?.confidence ?? 0
+    }
+  }
+
   /**
    * Calculate score for a specific category
    */
@@ -197,14 +242,7 @@ export class ClassificationEngine {
    */
   _getPrimaryLanguage(detectionResults) {
     if (detectionResults.primary) {
-      // Map detector names to languages
-      const languageMap = {
-        'nodejs': 'javascript',
-        'python': 'python',
-        'go': 'go',
-        'rust': 'rust'
-      }
-      return languageMap[detectionResults.primary.detector] || 'unknown'
+      return LANGUAGE_BY_DETECTOR[detectionResults.primary.detector] || 'unknown'
     }
     return 'unknown'
   }
@@ -227,12 +265,7 @@ export class ClassificationEngine {
 
     // Language matches
     if (category.languages && detectionResults.primary) {
-      const detectorLang = {
-        'nodejs': 'javascript',
-        'python': 'python',
-        'go': 'go',
-        'rust': 'rust'
-      }[detectionResults.primary.detector]
+      const detectorLang = LANGUAGE_BY_DETECTOR[detectionResults.primary.detector]
 
       if (detectorLang && category.languages.includes(detectorLang)) {
         reasons.push(`Written in ${detectorLang}`)
@@ -0,0 +1,81 @@
+/**
+ * Capacitor Project Detector
+ * Detects Capacitor apps by their @capacitor/core dependency or config file,
+ * and the native platforms they have added.
+ */
+
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { exists } from './fs.js'
+
+const CONFIG_FILES = ['capacitor.config.ts', 'capacitor.config.js', 'capacitor.config.json']
+
+export class CapacitorDetector {
+  constructor() {
+    this.name = 'capacitor'
+    this.confidence = 0.9
+    this.indicators = CONFIG_FILES.map(file => ({ file, weight: 1.0 }))
+  }
+
+  async detect(projectPath) {
+    try {
+      let deps = {}
+      try {
+        const packageJson = JSON.parse(await readFile(join(projectPath, 'package.json'), 'utf8'))
+        deps = { ...packageJson.dependencies, ...packageJson.devDependencies }
+      } catch {
+        // Config file only
+      }
+
+      let config = null
+      for (const file of CONFIG_FILES) {
+        if (await exists(join(projectPath, file))) {
+          config = file
+          break
+        }
+      }
+      if (!deps['@capacitor/core'] && !config) {
+        return { detected: false, confidence: 0 }
+      }
+
+      const signals = ['mobile app']
+      let score = 1.0
+      const maxScore = 1.6
+      if (config) signals.push(`has ${config}`)
+
+      // A platform counts once its package is installed or its native project added
+      const platforms = []
+      for (const platform of ['android', 'ios']) {
+        const hasProject = await exists(join(projectPath, platform))
+        if (hasProject) score += 0.3
+        if (hasProject || deps[`@capacitor/${platform}`]) platforms.push(platform)
+      }
+      signals.push(...platforms.map(platform => `targets ${platform}`))
+
+      let appId = null
+      try {
+        const capacitorConfig = JSON.parse(await readFile(join(projectPath, 'capacitor.config.json'), 'utf8'))
+        appId = capacitorConfig.appId || null
+      } catch {
+        const source = config ? await readFile(join(projectPath, config), 'utf8').catch(() => '') : ''
+        appId = /appId:\s*['"]([^'"]+)['"]/.exec(source)?.[1] || null
+      }
+
+      return {
+        detected: true,
+        confidence: Math.min(score / maxScore, 1.0),
+        signals,
+        metadata: {
+          framework: 'capacitor',
+          signals,
+          appId,
+          version: deps['@capacitor/core'] || null,
+          platforms,
+          devServer: null
+        }
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+}
@@ -0,0 +1,393 @@
+/**
+ * Container Detector
+ * Detects Dockerfiles, Docker Compose files and Kubernetes manifests and
+ * records the compose service topology (ports, depends_on, volumes) and the
+ * Kubernetes resources of a project.
+ */
+
+import { readdir, readFile } from 'node:fs/promises'
+import { join, relative } from 'node:path'
+
+export const DOCKERFILES = ['Dockerfile', 'Containerfile']
+// In the order `docker compose` picks them
+export const COMPOSE_FILES = ['compose.yaml', 'compose.yml', 'docker-compose.yaml', 'docker-compose.yml']
+
+// Directories Kubernetes manifests are usually kept in (searched three levels down)
+const KUBERNETES_DIRS = ['k8s', 'kubernetes', 'kube', 'manifests', 'deploy', 'deployment', 'deployments']
+const MAX_MANIFEST_FILES = 50
+const MAX_MANIFEST_BYTES = 256 * 1024
+
+const YAML_FILE = /\.ya?ml$/
+
+function unquote(value) {
+  const trimmed = value.trim()
+  if (trimmed.startsWith('"') && trimmed.endsWith('"') && trimmed.length > 1) {
+    try {
+      return JSON.parse(trimmed)
+    } catch {
+      return trimmed.slice(1, -1)
+    }
+  }
+  if (trimmed.startsWith("'") && trimmed.endsWith("'") && trimmed.length > 1) {
+    return trimmed.slice(1, -1).replace(/''/g, "'")
+  }
+  return trimmed
+}
+
+// Drop a trailing `# comment` that is not inside quotes.
+function stripComment(line) {
+  let quote = null
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i).trimEnd()
+    }
+  }
+  return line.trimEnd()
+}
+
+// Split on `separator` outside quotes, brackets and `${...}`.
+function splitTopLevel(text, separator) {
+  const parts = []
+  let depth = 0
+  let quote = null
+  let start = 0
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if ('[{'.includes(char)) {
+      depth++
+    } else if (']}'.includes(char)) {
+      depth--
+    } else if (char === separator && depth === 0) {
+      parts.push(text.slice(start, i))
+      start = i + 1
+    }
+  }
+  parts.push(text.slice(start))
+  return parts
+}
+
+function parseScalar(text) {
+  const value = text.replace(/^(?:&\S+|!!?\S+)\s*/, '').trim()
+  if (value.startsWith('*')) return null
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim()
+    return inner ? splitTopLevel(inner, ',').map(item => parseScalar(item)) : []
+  }
+  if (value.startsWith('{') && value.endsWith('}')) {
+    const map = {}
+    for (const entry of splitTopLevel(value.slice(1, -1), ',')) {
+      const [key, ...rest] = splitTopLevel(entry, ':')
+      if (key.trim()) map[unquote(key)] = rest.length ? parseScalar(rest.join(':')) : null
+    }
+    return map
+  }
+  if (/^["']/.test(value)) return unquote(value)
+  if (value === '' || value === '~' || value === 'null') return null
+  if (value === 'true' || value === 'false') return value === 'true'
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value)
+  return value
+}
+
+const MAPPING_KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"#[{-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/
+
+/**
+ * Parse the block-style YAML subset used by Compose files and Kubernetes
+ * manifests: nested mappings and sequences, one-line flow collections and
+ * quoted scalars. Anchors are dropped, aliases read as null and block scalars
+ * (`|`, `>`) as their joined lines. Returns one value per `---` document.
+ * @returns {Array<any>}
+ */
+export function parseYamlDocuments(content) {
+  const documents = [[]]
+  for (const rawLine of content.split(/\r?\n/)) {
+    if (/^(---|\.\.\.)(\s|$)/.test(rawLine)) {
+      documents.push([])
+      continue
+    }
+    const line = stripComment(rawLine.replace(/\t/g, '  '))
+    if (!line.trim() || line.startsWith('%')) continue
+    documents.at(-1).push({ indent: line.length - line.trimStart().length, text: line.trim() })
+  }
+
+  return documents
+    .filter(lines => lines.length > 0)
+    .map(lines => {
+      let index = 0
+      const isItem = line => line.text === '-' || line.text.startsWith('- ')
+
+      const parseBlockScalar = indent => {
+        const text = []
+        while (index < lines.length && lines[index].indent > indent) {
+          text.push(lines[index++].text)
+        }
+        return text.join('\n')
+      }
+
+      const parseNode = indent => {
+        const line = lines[index]
+        if (!line || line.indent < indent) return null
+        return isItem(line) ? parseSequence(line.indent) : parseMapping(line.indent)
+      }
+
+      // The value after `key:` or `- `, with its nested block if it has one
+      const parseValue = (rest, indent, allowSequence) => {
+        if (rest && /^[|>]/.test(rest)) return parseBlockScalar(indent)
+        if (rest) return parseScalar(rest)
+        const next = lines[index]
+        if (next && (next.indent > indent || (allowSequence && next.indent === indent && isItem(next)))) {
+          return parseNode(next.indent)
+        }
+        return null
+      }
+
+      const parseSequence = indent => {
+        const items = []
+        while (index < lines.length) {
+          const line = lines[index]
+          if (line.indent > indent) {
+            // Continuation of a multi-line plain scalar
+            index++
+            continue
+          }
+          if (line.indent < indent || !isItem(line)) break
+          const rest = line.text.slice(1).trim()
+          if (rest && MAPPING_KEY.test(rest) && !/^["'[{]/.test(rest)) {
+            // `- key: value` starts a mapping indented to where `key` starts
+            const offset = line.text.length - line.text.slice(1).trimStart().length
+            lines[index] = { indent: indent + offset, text: rest }
+            items.push(parseMapping(indent + offset))
+          } else {
+            index++
+            items.push(parseValue(rest, indent, false))
+          }
+        }
+        return items
+      }
+
+      const parseMapping = indent => {
+        const map = {}
+        while (index < lines.length) {
+          const line = lines[index]
+          if (line.indent > indent) {
+            index++
+            continue
+          }
+          if (line.indent < indent || isItem(line)) break
+          const match = MAPPING_KEY.exec(line.text)
+          index++
+          if (!match) continue
+          const key = unquote(match[1])
+          const value = parseValue(match[2]?.trim(), indent, true)
+          if (key !== '<<') map[key] = value
+        }
+        return map
+      }
+
+      return parseNode(0)
+    })
+}
+
+/**
+ * Build stages, base images and exposed ports of a Dockerfile.
+ * @returns {{ stages: string[], baseImages: string[], exposedPorts: string[] }}
+ */
+export function parseDockerfile(content) {
+  const stages = []
+  const baseImages = []
+  const exposedPorts = []
+  const instructions = content.replace(/\\\r?\n/g, ' ').split(/\r?\n/)
+
+  for (const instruction of instructions) {
+    const match = /^\s*(FROM|EXPOSE)\s+(.+)$/i.exec(instruction)
+    if (!match) continue
+    const args = match[2].trim().split(/\s+/).filter(arg => !arg.startsWith('--'))
+
+    if (match[1].toUpperCase() === 'FROM') {
+      const [image, as, name] = args
+      // `FROM <stage>` builds on an earlier stage rather than an image
+      if (image && !stages.includes(image) && !baseImages.includes(image)) baseImages.push(image)
+      if (as?.toUpperCase() === 'AS' && name) stages.push(name)
+    } else {
+      for (const port of args) {
+        if (!exposedPorts.includes(port)) exposedPorts.push(port)
+      }
+    }
+  }
+  return { stages, baseImages, exposedPorts }
+}
+
+function parseComposePort(port) {
+  if (port && typeof port === 'object') {
+    return {
+      published: port.published != null ? String(port.published) : null,
+      target: String(port.target ?? ''),
+      protocol: port.protocol || 'tcp',
+    }
+  }
+  const [mapping, protocol = 'tcp'] = String(port).split('/')
+  // `[ip:][published:]target`, where the parts may use `${VAR:-default}`
+  const parts = splitTopLevel(mapping, ':')
+  const target = parts.pop()
+  return { published: parts.length ? parts.pop() : null, target, protocol }
+}
+
+function parseComposeVolume(volume) {
+  if (volume && typeof volume === 'object') {
+    return { type: volume.type || 'volume', source: volume.source ?? null, target: volume.target ?? null }
+  }
+  const [source, target] = String(volume).split(':')
+  if (target === undefined) {
+    return { type: 'volume', source: null, target: source }
+  }
+  return { type: /^[./~$]/.test(source) ? 'bind' : 'volume', source, target }
+}
+
+function list(value) {
+  if (Array.isArray(value)) return value
+  return value == null ? [] : [value]
+}
+
+/**
+ * Services of a Compose file with their image or build context, ports,
+ * dependencies and volumes.
+ * @returns {Array<{ name: string, image: string|null, build: string|null, ports: Array<{ published: string|null, target: string, protocol: string }>, dependsOn: string[], volumes: Array<{ type: string, source: string|null, target: string|null }> }>}
+ */
+export function parseCompose(content) {
+  const [document] = parseYamlDocuments(content)
+  const services = document?.services
+  if (!services || typeof services !== 'object' || Array.isArray(services)) return []
+
+  return Object.entries(services).map(([name, service]) => {
+    const config = service && typeof service === 'object' ? service : {}
+    const build = typeof config.build === 'string' ? config.build : config.build?.context ?? (config.build ? '.' : null)
+    const dependsOn = Array.isArray(config.depends_on) ? config.depends_on : Object.keys(config.depends_on || {})
+    return {
+      name,
+      image: typeof config.image === 'string' ? config.image : null,
+      build,
+      ports: list(config.ports).map(parseComposePort),
+      dependsOn: dependsOn.map(String),
+      volumes: list(config.volumes).map(parseComposeVolume),
+    }
+  })
+}
+
+/**
+ * Kubernetes resources (`apiVersion` and `kind`) defined in a YAML file.
+ * @returns {Array<{ kind: string, name: string|null, namespace: string|null }>}
+ */
+export function parseKubernetesManifest(content) {
+  return parseYamlDocuments(content)
+    .flatMap(document => (document?.kind === 'List' && Array.isArray(document.items) ? document.items : [document]))
+    .filter(document => typeof document?.apiVersion === 'string' && typeof document?.kind === 'string')
+    .map(document => ({
+      kind: document.kind,
+      name: document.metadata?.name != null ? String(document.metadata.name) : null,
+      namespace: document.metadata?.namespace ?? null,
+    }))
+}
+
+async function readFirst(projectPath, names) {
+  for (const name of names) {
+    try {
+      return { name, content: await readFile(join(projectPath, name), 'utf8') }
+    } catch {
+      // try the next name
+    }
+  }
+  return null
+}
+
+// YAML files in the project root and in the usual manifest directories
+async function findManifestFiles(projectPath) {
+  const files = []
+  const visit = async (dir, depth) => {
+    let entries
+    try {
+      entries = await readdir(dir, { withFileTypes: true })
+    } catch {
+      return
+    }
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (files.length >= MAX_MANIFEST_FILES) return
+      const entryPath = join(dir, entry.name)
+      if (entry.isFile() && YAML_FILE.test(entry.name) && !COMPOSE_FILES.includes(entry.name)) {
+        files.push(entryPath)
+      } else if (entry.isDirectory() && (depth > 0 ? depth < 3 : KUBERNETES_DIRS.includes(entry.name))) {
+        await visit(entryPath, depth + 1)
+      }
+    }
+  }
+  await visit(projectPath, 0)
+  return files
+}
+
+export class ContainerDetector {
+  constructor() {
+    this.name = 'containers'
+    this.confidence = 0.5
+    this.indicators = [...DOCKERFILES, ...COMPOSE_FILES].map(file => ({ file, weight: 1.0 }))
+    // Compose files at a repository root usually wire up the projects below it
+    this.descend = true
+  }
+
+  async detect(projectPath) {
+    try {
+      const signals = []
+
+      const dockerfiles = []
+      for (const name of DOCKERFILES) {
+        try {
+          const content = await readFile(join(projectPath, name), 'utf8')
+          dockerfiles.push({ file: name, ...parseDockerfile(content) })
+        } catch {
+          // No such file
+        }
+      }
+      if (dockerfiles.length > 0) signals.push('has dockerfile')
+
+      let compose = null
+      const composeFile = await readFirst(projectPath, COMPOSE_FILES)
+      if (composeFile) {
+        compose = { file: composeFile.name, services: parseCompose(composeFile.content) }
+        signals.push('has docker compose')
+      }
+
+      let kubernetes = null
+      const resources = []
+      for (const filePath of await findManifestFiles(projectPath)) {
+        try {
+          const content = await readFile(filePath, 'utf8')
+          if (content.length > MAX_MANIFEST_BYTES) continue
+          const file = relative(projectPath, filePath)
+          resources.push(...parseKubernetesManifest(content).map(resource => ({ ...resource, file })))
+        } catch {
+          // Unreadable file, skip
+        }
+      }
+      if (resources.length > 0) {
+        kubernetes = { files: [...new Set(resources.map(resource => resource.file))], resources }
+        signals.push('has k8s')
+      }
+
+      const detected = signals.length > 0
+      return {
+        detected,
+        confidence: detected ? this.confidence : 0,
+        signals,
+        metadata: { signals, dockerfiles, compose, kubernetes }
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+}
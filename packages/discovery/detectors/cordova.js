@@ -0,0 +1,73 @@
+/**
+ * Cordova Project Detector
+ * Detects Cordova apps by the `cordova` section or platform packages in
+ * package.json, and the platforms they are built for.
+ */
+
+import { readFile, readdir } from 'node:fs/promises'
+import { join } from 'node:path'
+
+export class CordovaDetector {
+  constructor() {
+    this.name = 'cordova'
+    this.confidence = 0.9
+    // Found through package.json; config.xml alone is too common a name
+    this.indicators = []
+  }
+
+  async detect(projectPath) {
+    try {
+      let packageJson
+      try {
+        packageJson = JSON.parse(await readFile(join(projectPath, 'package.json'), 'utf8'))
+      } catch {
+        return { detected: false, confidence: 0 }
+      }
+      const deps = { ...packageJson.dependencies, ...packageJson.devDependencies }
+      const platformPackages = Object.keys(deps).filter(dep => /^cordova-(android|ios|electron|browser)$/.test(dep))
+      if (!packageJson.cordova && !deps.cordova && platformPackages.length === 0) {
+        return { detected: false, confidence: 0 }
+      }
+
+      const signals = ['mobile app']
+      let score = 1.0
+      let config = ''
+      try {
+        config = await readFile(join(projectPath, 'config.xml'), 'utf8')
+        score += 0.5
+        signals.push('has config.xml')
+      } catch {
+        // No config.xml
+      }
+
+      // Platforms added with `cordova platform add`, else the installed platform packages
+      let platforms = Array.isArray(packageJson.cordova?.platforms) ? packageJson.cordova.platforms : []
+      if (platforms.length === 0) {
+        try {
+          platforms = (await readdir(join(projectPath, 'platforms'), { withFileTypes: true }))
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+          score += 0.3
+        } catch {
+          platforms = platformPackages.map(dep => dep.slice('cordova-'.length))
+        }
+      }
+      signals.push(...platforms.map(platform => `targets ${platform}`))
+
+      return {
+        detected: true,
+        confidence: Math.min(score / 1.8, 1.0),
+        signals,
+        metadata: {
+          framework: 'cordova',
+          signals,
+          appId: /<widget\b[^>]*\bid="([^"]+)"/.exec(config)?.[1] || null,
+          platforms,
+          devServer: null
+        }
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+}
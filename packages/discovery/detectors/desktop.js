@@ -0,0 +1,8 @@
+/**
+ * Desktop Project Detectors Bundle
+ * Includes detectors for desktop app frameworks
+ */
+
+export { ElectronDetector } from './electron.js'
+export { TauriDetector } from './tauri.js'
+export { WailsDetector } from './wails.js'
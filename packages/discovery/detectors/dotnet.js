@@ -0,0 +1,143 @@
+/**
+ * .NET Project Detector
+ * Detects .NET projects and solutions (.csproj, .fsproj, .vbproj, .sln), the
+ * web framework they use (ASP.NET Core, Blazor) and how to start its dev server.
+ */
+
+import { readdir, readFile } from 'node:fs/promises'
+import { dirname, extname, join } from 'node:path'
+
+const PROJECT_LANGUAGES = {
+  '.csproj': 'csharp',
+  '.fsproj': 'fsharp',
+  '.vbproj': 'vb'
+}
+
+// `dotnet run` listens here when launchSettings.json does not say otherwise
+const DEFAULT_PORT = 5000
+
+/**
+ * Project file paths (relative to the solution, `/`-separated) listed in a .sln.
+ */
+export function parseSolution(content) {
+  return [...content.matchAll(/^Project\("[^"]*"\)\s*=\s*"[^"]*",\s*"([^"]+)"/gm)]
+    .map(match => match[1].replace(/\\/g, '/'))
+    .filter(file => Object.hasOwn(PROJECT_LANGUAGES, extname(file)))
+}
+
+/**
+ * SDK, target frameworks and web framework of an MSBuild project file.
+ */
+export function parseProjectFile(content) {
+  const sdk = /<Project\s[^>]*Sdk="([^"]+)"/.exec(content)?.[1] || null
+  const targets = /<TargetFrameworks?>([^<]+)<\/TargetFrameworks?>/.exec(content)?.[1]
+  let framework = null
+  if (sdk === 'Microsoft.NET.Sdk.BlazorWebAssembly' || /Include="Microsoft\.AspNetCore\.Components\.WebAssembly"/.test(content)) {
+    framework = 'blazor'
+  } else if (sdk === 'Microsoft.NET.Sdk.Web') {
+    framework = 'aspnetcore'
+  }
+  return {
+    sdk,
+    targetFrameworks: targets ? targets.split(';').map(target => target.trim()).filter(Boolean) : [],
+    framework
+  }
+}
+
+export class DotNetDetector {
+  constructor() {
+    this.name = 'dotnet'
+    this.confidence = 0.9
+    this.indicators = [
+      { file: '*.sln', weight: 1.0 },
+      { file: '*.csproj', weight: 1.0 },
+      { file: '*.fsproj', weight: 1.0 },
+      { file: '*.vbproj', weight: 1.0 },
+      { file: 'global.json', weight: 0.3 },
+      { file: 'Directory.Build.props', weight: 0.3 }
+    ]
+  }
+
+  async detect(projectPath) {
+    try {
+      const entries = await readdir(projectPath, { withFileTypes: true })
+      const files = entries.filter(entry => entry.isFile()).map(entry => entry.name).sort()
+      const solution = files.find(name => extname(name) === '.sln') || null
+      let projects = files.filter(name => Object.hasOwn(PROJECT_LANGUAGES, extname(name)))
+
+      if (projects.length === 0 && solution) {
+        projects = parseSolution(await readFile(join(projectPath, solution), 'utf8'))
+      }
+      if (projects.length === 0 && !solution) {
+        return { detected: false, confidence: 0 }
+      }
+
+      const signals = [`has ${solution || projects[0]}`]
+      let score = 1.0
+      for (const file of ['global.json', 'Directory.Build.props']) {
+        if (files.includes(file)) {
+          score += 0.3
+          signals.push(`has ${file}`)
+        }
+      }
+
+      const parsed = []
+      for (const file of projects) {
+        try {
+          parsed.push({ file, ...parseProjectFile(await readFile(join(projectPath, file), 'utf8')) })
+        } catch {
+          // Listed in the solution but missing on disk
+        }
+      }
+
+      const frameworks = [...new Set(parsed.map(project => project.framework).filter(Boolean))]
+      for (const framework of frameworks) signals.push(`${framework} project`)
+      const metadata = {
+        framework: 'dotnet',
+        language: PROJECT_LANGUAGES[extname(projects[0] || '')] || 'csharp',
+        solution,
+        projects,
+        targetFrameworks: [...new Set(parsed.flatMap(project => project.targetFrameworks))],
+        frameworks,
+        devServer: null
+      }
+
+      const web = parsed.find(project => project.framework)
+      if (web) {
+        const inRoot = !web.file.includes('/')
+        metadata.devServer = {
+          command: inRoot ? 'dotnet watch run' : `dotnet watch run --project ${web.file}`,
+          port: (await this._launchPort(join(projectPath, dirname(web.file)))) ?? DEFAULT_PORT
+        }
+      }
+
+      return {
+        detected: true,
+        confidence: Math.min(score / 1.6, 1.0),
+        signals,
+        metadata
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+
+  /**
+   * HTTP port of the first launch profile with an `applicationUrl` in
+   * Properties/launchSettings.json.
+   */
+  async _launchPort(projectDir) {
+    try {
+      const settings = JSON.parse(await readFile(join(projectDir, 'Properties', 'launchSettings.json'), 'utf8'))
+      for (const profile of Object.values(settings.profiles || {})) {
+        const urls = String(profile?.applicationUrl || '').split(';').filter(Boolean)
+        const url = urls.find(candidate => candidate.startsWith('http://')) || urls[0]
+        const port = url && /:(\d+)\/?$/.exec(url)?.[1]
+        if (port) return Number(port)
+      }
+    } catch {
+      // No launch settings
+    }
+    return null
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Electron Project Detector
+ * Detects Electron apps by their electron dependency, and the tool they are
+ * packaged with.
+ */
+
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { exists } from './fs.js'
+
+// Checked in order; the first one installed is reported
+const PACKAGERS = [
+  ['@electron-forge/cli', 'electron-forge'],
+  ['electron-builder', 'electron-builder'],
+  ['@electron/packager', 'electron-packager'],
+  ['electron-packager', 'electron-packager'],
+  ['electron-vite', 'electron-vite']
+]
+
+export class ElectronDetector {
+  constructor() {
+    this.name = 'electron'
+    this.confidence = 0.9
+    this.indicators = [
+      { file: 'forge.config.js', weight: 0.5 },
+      { file: 'forge.config.ts', weight: 0.5 },
+      { file: 'electron-builder.yml', weight: 0.5 },
+      { file: 'electron-builder.json', weight: 0.5 },
+      { file: 'electron.vite.config.ts', weight: 0.5 }
+    ]
+  }
+
+  async detect(projectPath) {
+    try {
+      let packageJson
+      try {
+        packageJson = JSON.parse(await readFile(join(projectPath, 'package.json'), 'utf8'))
+      } catch {
+        return { detected: false, confidence: 0 }
+      }
+      const deps = { ...packageJson.dependencies, ...packageJson.devDependencies }
+      if (!deps.electron) {
+        return { detected: false, confidence: 0 }
+      }
+
+      const signals = ['desktop app']
+      let score = 1.0
+      for (const indicator of this.indicators) {
+        if (await exists(join(projectPath, indicator.file))) {
+          score += indicator.weight
+          signals.push(`has ${indicator.file}`)
+          break
+        }
+      }
+      const packager = PACKAGERS.find(([dep]) => deps[dep])?.[1] || null
+      if (packager) {
+        score += 0.5
+        signals.push(`packaged with ${packager}`)
+      }
+
+      return {
+        detected: true,
+        confidence: Math.min(score / 2.0, 1.0),
+        signals,
+        metadata: {
+          framework: 'electron',
+          signals,
+          version: deps.electron,
+          main: packageJson.main || null,
+          packager,
+          devServer: null
+        }
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Elixir Project Detector
+ * Detects Mix projects by their mix.exs, Phoenix apps among them and the
+ * port their dev server listens on.
+ */
+
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { exists } from './fs.js'
+
+// Phoenix's generated config/dev.exs
+const PHOENIX_PORT = 4000
+
+/**
+ * App name, dependencies and umbrella flag of a mix.exs.
+ */
+export function parseMixfile(content) {
+  return {
+    app: /\bapp:\s*:(\w+)/.exec(content)?.[1] || null,
+    deps: [...new Set([...content.matchAll(/\{\s*:(\w+)\s*,/g)].map(match => match[1]))],
+    umbrella: /\bapps_path:/.test(content)
+  }
+}
+
+export class ElixirDetector {
+  constructor() {
+    this.name = 'elixir'
+    this.confidence = 0.9
+    this.indicators = [
+      { file: 'mix.exs', required: true, weight: 1.0 },
+      { file: 'mix.lock', weight: 0.4 },
+      { file: '.formatter.exs', weight: 0.2 },
+      { file: 'config/config.exs', weight: 0.2 }
+    ]
+  }
+
+  async detect(projectPath) {
+    try {
+      let mix
+      try {
+        mix = parseMixfile(await readFile(join(projectPath, 'mix.exs'), 'utf8'))
+      } catch {
+        return { detected: false, confidence: 0 }
+      }
+
+      const signals = ['has mix.exs']
+      let score = 1.0
+      let maxScore = 1.0
+      for (const indicator of this.indicators.slice(1)) {
+        maxScore += indicator.weight
+        if (await exists(join(projectPath, indicator.file))) {
+          score += indicator.weight
+          signals.push(`has ${indicator.file}`)
+        }
+      }
+
+      const phoenix = mix.deps.includes('phoenix')
+      if (phoenix) signals.push('phoenix project')
+      if (mix.umbrella) signals.push('umbrella project')
+
+      const metadata = {
+        framework: 'elixir',
+        language: 'elixir',
+        app: mix.app,
+        umbrella: mix.umbrella,
+        frameworks: phoenix ? ['phoenix'] : [],
+        devServer: phoenix
+          ? { command: 'mix phx.server', port: (await this._devPort(projectPath)) ?? PHOENIX_PORT }
+          : null
+      }
+
+      return {
+        detected: true,
+        confidence: Math.min(score / maxScore, 1.0),
+        signals,
+        metadata
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+
+  /**
+   * Endpoint port from config/dev.exs: `http: [ip: {127, 0, 0, 1}, port: 4001]`,
+   * or the default of `System.get_env("PORT") || "4001"`.
+   */
+  async _devPort(projectPath) {
+    try {
+      const content = await readFile(join(projectPath, 'config', 'dev.exs'), 'utf8')
+      const match = /\bhttp:\s*\[[^\]]*?\bport:[^\]\n]*?(\d{2,5})/.exec(content)
+      return match ? Number(match[1]) : null
+    } catch {
+      return null
+    }
+  }
+}
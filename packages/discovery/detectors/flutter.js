@@ -0,0 +1,73 @@
+/**
+ * Flutter Project Detector
+ * Detects Flutter apps and packages by the Flutter SDK dependency in
+ * pubspec.yaml, and the platforms they have runners for.
+ */
+
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { parseYamlDocuments } from './containers.js'
+import { exists } from './fs.js'
+
+const PLATFORMS = ['android', 'ios', 'web', 'macos', 'windows', 'linux']
+
+export class FlutterDetector {
+  constructor() {
+    this.name = 'flutter'
+    this.confidence = 0.9
+    this.indicators = [
+      { file: 'pubspec.yaml', required: true, weight: 1.0 },
+      { file: 'pubspec.lock', weight: 0.4 },
+      { file: 'lib/main.dart', weight: 0.5 }
+    ]
+  }
+
+  async detect(projectPath) {
+    try {
+      let pubspec
+      try {
+        pubspec = parseYamlDocuments(await readFile(join(projectPath, 'pubspec.yaml'), 'utf8'))[0]
+      } catch {
+        return { detected: false, confidence: 0 }
+      }
+      // Plain Dart packages have a pubspec.yaml too
+      if (pubspec?.dependencies?.flutter?.sdk !== 'flutter') {
+        return { detected: false, confidence: 0 }
+      }
+
+      const signals = ['has pubspec.yaml']
+      let score = 1.0
+      let maxScore = 1.0
+      for (const indicator of this.indicators.slice(1)) {
+        maxScore += indicator.weight
+        if (await exists(join(projectPath, indicator.file))) {
+          score += indicator.weight
+          signals.push(`has ${indicator.file}`)
+        }
+      }
+
+      const platforms = []
+      for (const platform of PLATFORMS) {
+        if (await exists(join(projectPath, platform))) platforms.push(platform)
+      }
+      if (platforms.includes('android') || platforms.includes('ios')) signals.push('mobile app')
+      signals.push(...platforms.map(platform => `targets ${platform}`))
+
+      return {
+        detected: true,
+        confidence: Math.min(score / maxScore, 1.0),
+        signals,
+        metadata: {
+          framework: 'flutter',
+          signals,
+          language: 'dart',
+          name: pubspec.name != null ? String(pubspec.name) : null,
+          platforms,
+          devServer: null
+        }
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * Filesystem helpers shared by detectors
+ */
+
+import { access } from 'node:fs/promises'
+
+/**
+ * Whether a path exists and is accessible.
+ */
+export async function exists(filePath) {
+  try {
+    await access(filePath)
+    return true
+  } catch {
+    return false
+  }
+}
@@ -3,11 +3,20 @@
  * Manages all project detectors and provides a unified interface for detection
  */
 
+import { ContainerDetector } from './containers.js'
 import { NodeJSDetector } from './nodejs.js'
 import { PythonDetector } from './python.js'
 import { GoDetector } from './go.js'
 import { RustDetector } from './rust.js'
+import { JavaDetector } from './java.js'
+import { DotNetDetector } from './dotnet.js'
+import { RubyDetector } from './ruby.js'
+import { PhpDetector } from './php.js'
+import { ElixirDetector } from './elixir.js'
+import { TaskRunnerDetector } from './tasks.js'
 import { SvelteDetector, ReactDetector, VueDetector, AngularDetector } from './web.js'
+import { ReactNativeDetector, FlutterDetector, CapacitorDetector, CordovaDetector } from './mobile.js'
+import { ElectronDetector, TauriDetector, WailsDetector } from './desktop.js'
 
 export class DetectorRegistry {
   constructor() {
@@ -21,12 +30,34 @@ export class DetectorRegistry {
     this.register(new PythonDetector())
     this.register(new GoDetector())
     this.register(new RustDetector())
+    this.register(new JavaDetector())
+    this.register(new DotNetDetector())
+    this.register(new RubyDetector())
+    this.register(new PhpDetector())
+    this.register(new ElixirDetector())
 
     // Web framework detectors
     this.register(new SvelteDetector())
     this.register(new ReactDetector())
     this.register(new VueDetector())
     this.register(new AngularDetector())
+
+    // Mobile framework detectors
+    this.register(new ReactNativeDetector())
+    this.register(new FlutterDetector())
+    this.register(new CapacitorDetector())
+    this.register(new CordovaDetector())
+
+    // Desktop framework detectors
+    this.register(new ElectronDetector())
+    this.register(new TauriDetector())
+    this.register(new WailsDetector())
+
+    // Tooling detectors
+    this.register(new TaskRunnerDetector())
+
+    // Infrastructure detectors
+    this.register(new ContainerDetector())
   }
 
   /**
@@ -91,10 +122,12 @@ export class DetectorRegistry {
    */
   getByCategory(category) {
     const categories = {
-      'language': ['nodejs', 'python', 'go', 'rust'],
+      'language': ['nodejs', 'python', 'go', 'rust', 'java', 'dotnet', 'ruby', 'php', 'elixir'],
       'web': ['svelte', 'react', 'vue', 'angular'],
-      'mobile': ['react-native', 'flutter', 'cordova'],
-      'desktop': ['electron', 'tauri', 'wails']
+      'mobile': ['react-native', 'flutter', 'capacitor', 'cordova'],
+      'desktop': ['electron', 'tauri', 'wails'],
+      'tooling': ['tasks'],
+      'infrastructure': ['containers']
     }
 
     const detectorNames = categories[category] || []
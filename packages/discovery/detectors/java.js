@@ -0,0 +1,135 @@
+/**
+ * Java/Kotlin Project Detector
+ * Detects Maven and Gradle projects, the JVM framework they are built on
+ * (Spring Boot, Quarkus, Micronaut) and how to start its dev server.
+ */
+
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { parseYamlDocuments } from './containers.js'
+import { exists } from './fs.js'
+
+// Build files in order of preference, with the wrapper script of each tool
+const BUILD_FILES = [
+  { file: 'pom.xml', tool: 'maven', wrapper: 'mvnw' },
+  { file: 'build.gradle.kts', tool: 'gradle', wrapper: 'gradlew' },
+  { file: 'build.gradle', tool: 'gradle', wrapper: 'gradlew' }
+]
+
+// Dev-server goal/task per build tool, the property that sets the HTTP port and its default
+const FRAMEWORKS = [
+  { id: 'spring-boot', marker: /org\.springframework\.boot|spring-boot-starter/, maven: 'spring-boot:run', gradle: 'bootRun', portKey: 'server.port', port: 8080 },
+  { id: 'quarkus', marker: /io\.quarkus/, maven: 'quarkus:dev', gradle: 'quarkusDev', portKey: 'quarkus.http.port', port: 8080 },
+  { id: 'micronaut', marker: /io\.micronaut/, maven: 'mn:run', gradle: 'run', portKey: 'micronaut.server.port', port: 8080 }
+]
+
+const KOTLIN_MARKER = /org\.jetbrains\.kotlin|kotlin\(|kotlin-maven-plugin/
+
+export class JavaDetector {
+  constructor() {
+    this.name = 'java'
+    this.confidence = 0.9
+    this.indicators = [
+      ...BUILD_FILES.map(({ file }) => ({ file, weight: 1.0 })),
+      { file: 'settings.gradle.kts', weight: 0.3 },
+      { file: 'settings.gradle', weight: 0.3 },
+      { file: 'mvnw', weight: 0.3 },
+      { file: 'gradlew', weight: 0.3 },
+      { file: 'src/main/java', weight: 0.5, isDirectory: true },
+      { file: 'src/main/kotlin', weight: 0.5, isDirectory: true }
+    ]
+  }
+
+  async detect(projectPath) {
+    try {
+      let buildFile = null
+      let content = ''
+      for (const candidate of BUILD_FILES) {
+        try {
+          content = await readFile(join(projectPath, candidate.file), 'utf8')
+          buildFile = candidate
+          break
+        } catch {
+          // try the next build file
+        }
+      }
+      if (!buildFile) {
+        return { detected: false, confidence: 0 }
+      }
+
+      const signals = [`has ${buildFile.file}`]
+      let score = 1.0
+      const hasWrapper = await exists(join(projectPath, buildFile.wrapper))
+      if (hasWrapper) {
+        score += 0.3
+        signals.push(`has ${buildFile.wrapper}`)
+      }
+      const hasKotlinSources = await exists(join(projectPath, 'src/main/kotlin'))
+      if (hasKotlinSources || (await exists(join(projectPath, 'src/main/java')))) {
+        score += 0.5
+        signals.push(`has src/main/${hasKotlinSources ? 'kotlin' : 'java'}`)
+      }
+
+      const language = hasKotlinSources || KOTLIN_MARKER.test(content) ? 'kotlin' : 'java'
+      const framework = FRAMEWORKS.find(candidate => candidate.marker.test(content))
+      const metadata = {
+        framework: 'java',
+        language,
+        buildTool: buildFile.tool,
+        frameworks: framework ? [framework.id] : [],
+        devServer: null
+      }
+
+      if (framework) {
+        signals.push(`${framework.id} project`)
+        const tool = hasWrapper ? `./${buildFile.wrapper}` : buildFile.tool === 'maven' ? 'mvn' : 'gradle'
+        metadata.devServer = {
+          command: `${tool} ${framework[buildFile.tool]}`,
+          port: (await this._configuredPort(projectPath, framework.portKey)) ?? framework.port
+        }
+      }
+
+      return {
+        detected: true,
+        confidence: Math.min(score / 1.8, 1.0),
+        signals,
+        metadata
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+
+  /**
+   * HTTP port set in src/main/resources/application.properties or
+   * application.yml (`server.port=9090`, or `${PORT:9090}` for its default).
+   */
+  async _configuredPort(projectPath, key) {
+    const resources = join(projectPath, 'src', 'main', 'resources')
+    const toPort = value => {
+      const match = /(\d+)\}?\s*$/.exec(String(value ?? ''))
+      return match ? Number(match[1]) : null
+    }
+
+    try {
+      const content = await readFile(join(resources, 'application.properties'), 'utf8')
+      const escaped = key.replace(/\./g, '\\.')
+      const match = new RegExp(`^\\s*${escaped}\\s*[=:]\\s*(.+)$`, 'm').exec(content)
+      if (match) return toPort(match[1])
+    } catch {
+      // No properties file
+    }
+
+    for (const file of ['application.yml', 'application.yaml']) {
+      try {
+        const [document] = parseYamlDocuments(await readFile(join(resources, file), 'utf8'))
+        // Either nested (`server: { port: 9090 }`) or a dotted key
+        const value = key.split('.').reduce((node, part) => node?.[part], document) ?? document?.[key]
+        if (value != null) return toPort(value)
+      } catch {
+        // No YAML config
+      }
+    }
+    return null
+  }
+}
@@ -0,0 +1,9 @@
+/**
+ * Mobile Project Detectors Bundle
+ * Includes detectors for cross-platform mobile app frameworks
+ */
+
+export { ReactNativeDetector } from './react-native.js'
+export { FlutterDetector } from './flutter.js'
+export { CapacitorDetector } from './capacitor.js'
+export { CordovaDetector } from './cordova.js'
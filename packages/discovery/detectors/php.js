@@ -0,0 +1,77 @@
+/**
+ * PHP Project Detector
+ * Detects Composer projects by their composer.json, the framework they use
+ * (Laravel, Symfony) and how to start its dev server.
+ */
+
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { exists } from './fs.js'
+
+// Checked in order; the first framework whose package is required wins
+const FRAMEWORKS = [
+  { id: 'laravel', packages: ['laravel/framework'], command: 'php artisan serve', port: 8000 },
+  { id: 'symfony', packages: ['symfony/framework-bundle'], command: 'php -S localhost:8000 -t public', port: 8000 }
+]
+
+export class PhpDetector {
+  constructor() {
+    this.name = 'php'
+    this.confidence = 0.9
+    this.indicators = [
+      { file: 'composer.json', required: true, weight: 1.0 },
+      { file: 'composer.lock', weight: 0.4 },
+      { file: 'artisan', weight: 0.3 },
+      { file: 'symfony.lock', weight: 0.3 },
+      { file: 'phpunit.xml', weight: 0.2 }
+    ]
+  }
+
+  async detect(projectPath) {
+    try {
+      let composer
+      try {
+        composer = JSON.parse(await readFile(join(projectPath, 'composer.json'), 'utf8'))
+      } catch {
+        return { detected: false, confidence: 0 }
+      }
+
+      const signals = ['has composer.json']
+      let score = 1.0
+      let maxScore = 1.0
+      for (const indicator of this.indicators.slice(1)) {
+        maxScore += indicator.weight
+        if (await exists(join(projectPath, indicator.file))) {
+          score += indicator.weight
+          signals.push(`has ${indicator.file}`)
+        }
+      }
+
+      const packages = Object.keys({ ...composer.require, ...composer['require-dev'] })
+      const framework = FRAMEWORKS.find(candidate => candidate.packages.some(name => packages.includes(name)))
+      if (framework) signals.push(`${framework.id} project`)
+
+      const metadata = {
+        framework: 'php',
+        language: 'php',
+        name: composer.name || null,
+        phpVersion: composer.require?.php || null,
+        frameworks: framework ? [framework.id] : [],
+        devServer: framework ? { command: framework.command, port: framework.port } : null
+      }
+      // Plain projects with a front controller still run on PHP's built-in server
+      if (!framework && (await exists(join(projectPath, 'public', 'index.php')))) {
+        metadata.devServer = { command: 'php -S localhost:8000 -t public', port: 8000 }
+      }
+
+      return {
+        detected: true,
+        confidence: Math.min(score / maxScore, 1.0),
+        signals,
+        metadata
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+}
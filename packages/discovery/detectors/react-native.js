@@ -0,0 +1,83 @@
+/**
+ * React Native Project Detector
+ * Detects React Native apps, bare or managed by Expo, and the platforms they target.
+ */
+
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { exists } from './fs.js'
+
+// Metro, the bundler both `expo start` and `react-native start` serve from
+const METRO_PORT = 8081
+
+export class ReactNativeDetector {
+  constructor() {
+    this.name = 'react-native'
+    this.confidence = 0.9
+    this.indicators = [
+      { file: 'metro.config.js', weight: 0.5 },
+      { file: 'react-native.config.js', weight: 0.5 },
+      { file: 'eas.json', weight: 0.3 }
+    ]
+  }
+
+  async detect(projectPath) {
+    try {
+      let deps
+      try {
+        const packageJson = JSON.parse(await readFile(join(projectPath, 'package.json'), 'utf8'))
+        deps = { ...packageJson.dependencies, ...packageJson.devDependencies }
+      } catch {
+        return { detected: false, confidence: 0 }
+      }
+      if (!deps['react-native'] && !deps.expo) {
+        return { detected: false, confidence: 0 }
+      }
+
+      const signals = ['mobile app']
+      let score = 1.0
+      let maxScore = 1.0
+      for (const indicator of this.indicators) {
+        maxScore += indicator.weight
+        if (await exists(join(projectPath, indicator.file))) {
+          score += indicator.weight
+          signals.push(`has ${indicator.file}`)
+        }
+      }
+
+      const expo = Boolean(deps.expo)
+      // Managed Expo apps have no native folders until they are prebuilt
+      let platforms = []
+      for (const platform of ['android', 'ios']) {
+        if (await exists(join(projectPath, platform))) platforms.push(platform)
+      }
+      if (expo) {
+        signals.push('Expo project')
+        try {
+          const appJson = JSON.parse(await readFile(join(projectPath, 'app.json'), 'utf8'))
+          if (Array.isArray(appJson.expo?.platforms)) platforms = appJson.expo.platforms
+        } catch {
+          // No app.json
+        }
+        if (platforms.length === 0) platforms = ['android', 'ios']
+      }
+      signals.push(...platforms.map(platform => `targets ${platform}`))
+
+      return {
+        detected: true,
+        confidence: Math.min(score / maxScore, 1.0),
+        signals,
+        metadata: {
+          framework: 'react-native',
+          signals,
+          expo,
+          version: deps['react-native'] || null,
+          platforms,
+          devServer: { command: expo ? 'npx expo start' : 'npx react-native start', port: METRO_PORT }
+        }
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Ruby Project Detector
+ * Detects Bundler projects by their Gemfile, the web framework they use
+ * (Rails, Hanami, Sinatra) and how to start its dev server.
+ */
+
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { exists } from './fs.js'
+
+// Checked in order; the first framework whose gem is in the Gemfile wins.
+// Sinatra apps (and plain Rack apps) are served by `rackup` from config.ru.
+const FRAMEWORKS = [
+  { id: 'rails', gems: ['rails', 'railties'], port: 3000 },
+  { id: 'hanami', gems: ['hanami'], port: 2300 },
+  { id: 'sinatra', gems: ['sinatra'] }
+]
+
+// `rackup`'s default port
+const RACK_PORT = 9292
+
+/**
+ * Gem names declared in a Gemfile.
+ */
+export function parseGemfile(content) {
+  return [...content.matchAll(/^\s*gem\s+["']([\w.-]+)["']/gm)].map(match => match[1])
+}
+
+export class RubyDetector {
+  constructor() {
+    this.name = 'ruby'
+    this.confidence = 0.9
+    this.indicators = [
+      { file: 'Gemfile', required: true, weight: 1.0 },
+      { file: 'Gemfile.lock', weight: 0.4 },
+      { file: 'config.ru', weight: 0.3 },
+      { file: 'Rakefile', weight: 0.2 },
+      { file: '.ruby-version', weight: 0.2 }
+    ]
+  }
+
+  async detect(projectPath) {
+    try {
+      let gems
+      try {
+        gems = parseGemfile(await readFile(join(projectPath, 'Gemfile'), 'utf8'))
+      } catch {
+        return { detected: false, confidence: 0 }
+      }
+
+      const signals = ['has Gemfile']
+      let score = 1.0
+      let maxScore = 1.0
+      for (const indicator of this.indicators.slice(1)) {
+        maxScore += indicator.weight
+        if (await exists(join(projectPath, indicator.file))) {
+          score += indicator.weight
+          signals.push(`has ${indicator.file}`)
+        }
+      }
+
+      const framework = FRAMEWORKS.find(candidate => candidate.gems.some(gem => gems.includes(gem)))
+      const metadata = {
+        framework: 'ruby',
+        language: 'ruby',
+        gems: gems.slice(0, 50),
+        frameworks: framework ? [framework.id] : [],
+        devServer: null
+      }
+      try {
+        metadata.rubyVersion = (await readFile(join(projectPath, '.ruby-version'), 'utf8')).trim()
+      } catch {
+        // No .ruby-version
+      }
+
+      if (framework) signals.push(`${framework.id} project`)
+      const hasRackup = signals.includes('has config.ru')
+      if (framework?.id === 'rails') {
+        const rails = (await exists(join(projectPath, 'bin', 'rails'))) ? 'bin/rails' : 'bundle exec rails'
+        metadata.devServer = {
+          command: `${rails} server`,
+          port: (await this._pumaPort(projectPath)) ?? framework.port
+        }
+      } else if (framework?.id === 'hanami') {
+        metadata.devServer = { command: 'bundle exec hanami server', port: framework.port }
+      } else if (hasRackup) {
+        metadata.devServer = { command: 'bundle exec rackup', port: RACK_PORT }
+      }
+
+      return {
+        detected: true,
+        confidence: Math.min(score / maxScore, 1.0),
+        signals,
+        metadata
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+
+  /**
+   * Port from config/puma.rb: `port 3001` or `port ENV.fetch("PORT") { 3001 }`.
+   */
+  async _pumaPort(projectPath) {
+    try {
+      const content = await readFile(join(projectPath, 'config', 'puma.rb'), 'utf8')
+      const match = /^\s*port\s+(?:ENV\.fetch\(\s*["']PORT["']\s*\)\s*\{\s*)?(\d+)/m.exec(content)
+      return match ? Number(match[1]) : null
+    } catch {
+      return null
+    }
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * Task Runner Detector
+ * Collects the runnable tasks of a project from its Makefile, justfile,
+ * Taskfile.yml and package.json scripts into one normalized list:
+ * `{ runner, name, description, command, source }`.
+ */
+
+import { readFile } from 'node:fs/promises'
+import { dirname, join } from 'node:path'
+import { exists } from './fs.js'
+
+export const MAKEFILES = ['GNUmakefile', 'makefile', 'Makefile']
+export const JUSTFILES = ['justfile', 'Justfile', '.justfile']
+export const TASKFILES = ['Taskfile.yml', 'Taskfile.yaml', 'taskfile.yml', 'taskfile.yaml']
+
+const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun']
+
+// Checked from the project directory up, so workspace members use the root's lockfile.
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lock', 'bun'],
+  ['bun.lockb', 'bun'],
+  ['package-lock.json', 'npm'],
+]
+
+// `name:` or `a b:` rule lines; skips `:=`/`::=` assignments, pattern rules and special targets.
+const MAKE_RULE = /^([A-Za-z0-9_][\w.-]*(?:[ \t]+[A-Za-z0-9_][\w.-]*)*)[ \t]*:(?![:=])(.*)$/
+// `name param='default' *rest:` recipe lines; `name := value` is an assignment.
+const JUST_RECIPE = /^@?([A-Za-z_][\w-]*)(?:\s[^:]*)?:(?!=)/
+const JUST_KEYWORDS = new Set(['alias', 'export', 'import', 'mod', 'set', 'unexport'])
+
+function commentText(line) {
+  return line.replace(/^#+/, '').trim()
+}
+
+function unquote(value) {
+  const trimmed = value.trim()
+  const match = /^(['"])(.*)\1$/.exec(trimmed)
+  return match ? match[2] : trimmed
+}
+
+/**
+ * Targets of a Makefile with their descriptions: a trailing `## text` on the
+ * rule line, or the comment directly above it.
+ * @returns {Array<{ name: string, description: string|null }>}
+ */
+export function parseMakefile(content) {
+  const targets = []
+  let comment = null
+  let inDefine = false
+
+  for (const line of content.split(/\r?\n/)) {
+    if (/^define\b/.test(line)) inDefine = true
+    if (inDefine) {
+      if (/^endef\b/.test(line)) inDefine = false
+      comment = null
+      continue
+    }
+    if (line.startsWith('#')) {
+      comment = commentText(line) || comment
+      continue
+    }
+
+    const match = MAKE_RULE.exec(line)
+    if (match) {
+      const inline = /##\s*(.+)$/.exec(match[2])
+      const description = inline ? inline[1].trim() : comment
+      for (const name of match[1].split(/[ \t]+/)) {
+        if (!targets.some(target => target.name === name)) {
+          targets.push({ name, description: description || null })
+        }
+      }
+    }
+    comment = null
+  }
+  return targets
+}
+
+/**
+ * Public recipes of a justfile with their doc comments (`[doc('...')]` or the
+ * comment above the recipe). Private recipes (`_name` or `[private]`) are left out.
+ * @returns {Array<{ name: string, description: string|null }>}
+ */
+export function parseJustfile(content) {
+  const recipes = []
+  let comment = null
+  let attributes = []
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || /^\s/.test(line)) {
+      comment = null
+      attributes = []
+      continue
+    }
+    if (line.startsWith('#')) {
+      comment = line.startsWith('#!') ? comment : commentText(line) || comment
+      continue
+    }
+    if (line.startsWith('[')) {
+      attributes.push(line)
+      continue
+    }
+
+    const match = JUST_RECIPE.exec(line)
+    const name = match?.[1]
+    if (name && !JUST_KEYWORDS.has(name) && !name.startsWith('_') && !attributes.some(attribute => /\bprivate\b/.test(attribute))) {
+      const doc = attributes.map(attribute => /\bdoc\(\s*(['"])(.*?)\1\s*\)/.exec(attribute)).find(Boolean)
+      if (!recipes.some(recipe => recipe.name === name)) {
+        recipes.push({ name, description: doc ? doc[2] : comment })
+      }
+    }
+    comment = null
+    attributes = []
+  }
+  return recipes
+}
+
+/**
+ * Tasks of a Taskfile (go-task) with their `desc`. Only the block layout of the
+ * `tasks:` map is read; `internal: true` tasks are left out, and so are names
+ * starting with `-`, which `task` would read as an option.
+ * @returns {Array<{ name: string, description: string|null }>}
+ */
+export function parseTaskfile(content) {
+  const tasks = []
+  const lines = content.split(/\r?\n/)
+  const start = lines.findIndex(line => /^tasks:\s*(#.*)?$/.test(line))
+  if (start === -1) return tasks
+
+  let taskIndent = null
+  let current = null
+  for (const line of lines.slice(start + 1)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue
+    const indent = line.length - line.trimStart().length
+    if (indent === 0) break
+    if (taskIndent === null) taskIndent = indent
+
+    if (indent === taskIndent) {
+      const match = /^((?:'[^']*')|(?:"[^"]*")|[^:#\s][^:#]*):(?:\s|$)/.exec(line.trim())
+      current = match ? { name: unquote(match[1]), description: null, internal: false } : null
+      if (current) tasks.push(current)
+    } else if (current && indent > taskIndent) {
+      // A task's own fields sit at the first indent below its name.
+      current.fieldIndent ??= indent
+      if (indent !== current.fieldIndent) continue
+      const field = /^(desc|internal):\s*(.*)$/.exec(line.trim())
+      const value = field ? field[2].replace(/\s+#.*$/, '') : ''
+      if (field?.[1] === 'desc') {
+        // Block scalars (`desc: |`) are not read.
+        current.description = /^[|>]/.test(value) ? null : unquote(value) || null
+      } else if (field?.[1] === 'internal') {
+        current.internal = value.trim() === 'true'
+      }
+    }
+  }
+  return tasks
+    .filter(task => !task.internal && !task.name.startsWith('-'))
+    .map(({ name, description }) => ({ name, description }))
+}
+
+async function readFirst(projectPath, names) {
+  for (const name of names) {
+    try {
+      return { name, content: await readFile(join(projectPath, name), 'utf8') }
+    } catch {
+      // try the next name
+    }
+  }
+  return null
+}
+
+/**
+ * The package manager a project uses: `packageManager` in package.json, else
+ * the nearest lockfile, else npm.
+ */
+export async function detectPackageManager(projectPath) {
+  try {
+    const packageJson = JSON.parse(await readFile(join(projectPath, 'package.json'), 'utf8'))
+    const name = String(packageJson.packageManager || '').split('@')[0]
+    if (PACKAGE_MANAGERS.includes(name)) return name
+  } catch {
+    // fall through to lockfiles
+  }
+  for (let dir = projectPath; ; dir = dirname(dir)) {
+    for (const [lockfile, manager] of LOCKFILES) {
+      if (await exists(join(dir, lockfile))) return manager
+    }
+    if (dirname(dir) === dir) return 'npm'
+  }
+}
+
+/**
+ * All tasks of a project, in runner order: package scripts, make, just, task.
+ */
+export async function findTasks(projectPath) {
+  const tasks = []
+
+  try {
+    const packageJson = JSON.parse(await readFile(join(projectPath, 'package.json'), 'utf8'))
+    const scripts = packageJson.scripts && typeof packageJson.scripts === 'object' ? packageJson.scripts : {}
+    const runner = Object.keys(scripts).length > 0 ? await detectPackageManager(projectPath) : null
+    for (const [name, script] of Object.entries(scripts)) {
+      if (name.startsWith('-')) continue
+      tasks.push({ runner, name, description: String(script), command: `${runner} run ${name}`, source: 'package.json' })
+    }
+  } catch {
+    // No package.json, or not valid JSON
+  }
+
+  const runners = [
+    ['make', MAKEFILES, parseMakefile],
+    ['just', JUSTFILES, parseJustfile],
+    ['task', TASKFILES, parseTaskfile],
+  ]
+  for (const [runner, names, parse] of runners) {
+    const file = await readFirst(projectPath, names)
+    if (!file) continue
+    for (const { name, description } of parse(file.content)) {
+      // Passed to the runner as an argument, so it must not read as an option
+      if (name.startsWith('-')) continue
+      tasks.push({ runner, name, description, command: `${runner} ${name}`, source: file.name })
+    }
+  }
+
+  return tasks
+}
+
+export class TaskRunnerDetector {
+  constructor() {
+    this.name = 'tasks'
+    this.confidence = 0.5
+    this.indicators = [...MAKEFILES, ...JUSTFILES, ...TASKFILES].map(file => ({ file, weight: 1.0 }))
+    // A repository-root Makefile must not hide the projects below it
+    this.descend = true
+  }
+
+  async detect(projectPath) {
+    try {
+      const tasks = await findTasks(projectPath)
+      const runners = [...new Set(tasks.map(task => task.runner))]
+      // Scripts alone do not make a directory a project; a task runner file does.
+      const hasTaskRunner = tasks.some(task => task.source !== 'package.json')
+
+      return {
+        detected: tasks.length > 0,
+        confidence: tasks.length === 0 ? 0 : hasTaskRunner ? this.confidence : 0.3,
+        signals: runners.map(runner => `has ${runner} tasks`),
+        metadata: { runners, tasks }
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Tauri Project Detector
+ * Detects Tauri apps by their tauri.conf.json (in src-tauri/ or the project
+ * root) and reads the app identity and dev server URL from it.
+ */
+
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+const CONFIG_PATHS = ['src-tauri/tauri.conf.json', 'tauri.conf.json']
+
+/**
+ * Product name, identifier, version and dev URL of a tauri.conf.json, for
+ * both the v1 (`package`, `tauri.bundle`, `build.devPath`) and v2 layout.
+ */
+export function parseTauriConfig(config) {
+  const v1 = Boolean(config.tauri || config.package)
+  return {
+    tauriVersion: v1 ? 1 : 2,
+    productName: config.productName || config.package?.productName || null,
+    identifier: config.identifier || config.tauri?.bundle?.identifier || null,
+    version: config.version || config.package?.version || null,
+    // Only URLs; a path means the frontend is served from disk
+    devUrl: [config.build?.devUrl, config.build?.devPath].find(url => /^https?:\/\//.test(url || '')) || null
+  }
+}
+
+export class TauriDetector {
+  constructor() {
+    this.name = 'tauri'
+    this.confidence = 0.9
+    this.indicators = [
+      { file: 'src-tauri', weight: 1.0, isDirectory: true },
+      { file: 'tauri.conf.json', weight: 1.0 }
+    ]
+  }
+
+  async detect(projectPath) {
+    try {
+      let configPath = null
+      let config = null
+      for (const candidate of CONFIG_PATHS) {
+        try {
+          config = JSON.parse(await readFile(join(projectPath, candidate), 'utf8'))
+          configPath = candidate
+          break
+        } catch {
+          // try the next location
+        }
+      }
+      if (!config) {
+        return { detected: false, confidence: 0 }
+      }
+
+      const parsed = parseTauriConfig(config)
+      const signals = ['desktop app', `has ${configPath}`, `Tauri ${parsed.tauriVersion}`]
+
+      // `tauri dev` starts the frontend dev server and opens the app on it
+      let cli = 'cargo tauri'
+      try {
+        const packageJson = JSON.parse(await readFile(join(projectPath, 'package.json'), 'utf8'))
+        if ({ ...packageJson.dependencies, ...packageJson.devDependencies }['@tauri-apps/cli']) cli = 'npx tauri'
+      } catch {
+        // Rust-only project
+      }
+      const url = parsed.devUrl ? new URL(parsed.devUrl) : null
+      const port = url ? Number(url.port) || (url.protocol === 'https:' ? 443 : 80) : null
+
+      return {
+        detected: true,
+        confidence: this.confidence,
+        signals,
+        metadata: {
+          framework: 'tauri',
+          signals,
+          configPath,
+          ...parsed,
+          devServer: { command: `${cli} dev`, port }
+        }
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+}
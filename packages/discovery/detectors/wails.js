@@ -0,0 +1,48 @@
+/**
+ * Wails Project Detector
+ * Detects Wails apps (Go backend, web frontend) by their wails.json.
+ */
+
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+// `wails dev` serves the app to browsers here as well
+const DEV_SERVER_PORT = 34115
+
+export class WailsDetector {
+  constructor() {
+    this.name = 'wails'
+    this.confidence = 0.9
+    this.indicators = [
+      { file: 'wails.json', required: true, weight: 1.0 }
+    ]
+  }
+
+  async detect(projectPath) {
+    try {
+      let config
+      try {
+        config = JSON.parse(await readFile(join(projectPath, 'wails.json'), 'utf8'))
+      } catch {
+        return { detected: false, confidence: 0 }
+      }
+
+      const signals = ['desktop app', 'has wails.json']
+      return {
+        detected: true,
+        confidence: this.confidence,
+        signals,
+        metadata: {
+          framework: 'wails',
+          signals,
+          name: config.name || null,
+          outputFilename: config.outputfilename || null,
+          frontendDir: config['frontend:dir'] || 'frontend',
+          devServer: { command: 'wails dev', port: DEV_SERVER_PORT }
+        }
+      }
+    } catch (error) {
+      return { detected: false, confidence: 0, error: error.message }
+    }
+  }
+}
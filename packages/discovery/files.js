@@ -0,0 +1,93 @@
+/**
+ * Project file listing for the search index
+ * Walks a project directory the way a scan walks a root: excluded directory
+ * names, `.git` and anything matched by the global, `.gitignore` or
+ * `.navisignore` rules are skipped. Symlinks are never followed.
+ */
+
+import { promises as fsPromises } from 'node:fs'
+import path from 'node:path'
+import { DEFAULT_EXCLUDE_DIRS } from './index.js'
+import { createRootMatcher, GLOBAL_IGNORE_FILE, loadDirectoryRules } from './ignore.js'
+
+export const DEFAULT_MAX_FILES = 20000
+
+// Same heuristic as git: a NUL byte in the first 8000 bytes means binary.
+const BINARY_SNIFF_BYTES = 8000
+
+/**
+ * Regular files of a project, sorted by path.
+ * @param {string} root - Project directory
+ * @param {Object} [options]
+ * @param {string[]} [options.excludeDirs] - Directory names never descended into
+ * @param {string|null} [options.globalIgnoreFile] - Global ignore file (null to skip)
+ * @param {number} [options.maxFiles] - Stop after this many files
+ * @param {string[]} [options.skipPaths] - Directories left out (e.g. workspace members indexed on their own)
+ * @returns {Promise<{ files: Array<{ path: string, size: number, mtimeMs: number }>, truncated: boolean }>}
+ */
+export async function listProjectFiles(root, {
+  excludeDirs = DEFAULT_EXCLUDE_DIRS,
+  globalIgnoreFile = GLOBAL_IGNORE_FILE,
+  maxFiles = DEFAULT_MAX_FILES,
+  skipPaths = [],
+} = {}) {
+  const excluded = new Set([...excludeDirs, '.git'])
+  const skipped = new Set(skipPaths.map(skipPath => path.resolve(skipPath)))
+  const files = []
+  let truncated = false
+
+  const walk = async (dirPath, matcher) => {
+    let entries
+    try {
+      entries = await fsPromises.readdir(dirPath, { withFileTypes: true })
+    } catch {
+      return
+    }
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+
+    for (const entry of entries) {
+      if (files.length >= maxFiles) {
+        truncated = true
+        return
+      }
+      const entryPath = path.join(dirPath, entry.name)
+      if (entry.isDirectory()) {
+        if (excluded.has(entry.name) || skipped.has(entryPath) || matcher.ignores(entryPath, true)) continue
+        await walk(entryPath, matcher.extend(await loadDirectoryRules(entryPath)))
+      } else if (entry.isFile() && !matcher.ignores(entryPath, false)) {
+        try {
+          const stats = await fsPromises.stat(entryPath)
+          files.push({
+            path: path.relative(root, entryPath).split(path.sep).join('/'),
+            size: stats.size,
+            mtimeMs: Math.floor(stats.mtimeMs),
+          })
+        } catch {
+          // removed while walking
+        }
+      }
+    }
+  }
+
+  const matcher = (await createRootMatcher(root, { globalIgnoreFile })).extend(await loadDirectoryRules(root))
+  await walk(root, matcher)
+  return { files, truncated }
+}
+
+/**
+ * UTF-8 contents of a text file, or null for binary files and files over `maxBytes`.
+ */
+export async function readTextFile(filePath, maxBytes) {
+  const handle = await fsPromises.open(filePath, 'r')
+  try {
+    const stats = await handle.stat()
+    if (!stats.isFile() || stats.size > maxBytes) return null
+    const buffer = Buffer.alloc(stats.size)
+    const { bytesRead } = await handle.read(buffer, 0, stats.size, 0)
+    const data = buffer.subarray(0, bytesRead)
+    if (data.subarray(0, BINARY_SNIFF_BYTES).includes(0)) return null
+    return data.toString('utf-8')
+  } finally {
+    await handle.close()
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Ignore rules for discovery
+ * Parses `.gitignore`-style files (`.gitignore`, `.navisignore` and the global
+ * `~/.navis/ignore`) and answers whether a directory should be skipped.
+ *
+ * Supported gitignore semantics: comments, `!` negation (last match wins),
+ * trailing `/` for directories, patterns anchored by a leading or inner `/`,
+ * `*`, `?`, `[...]` classes and `**` (leading, trailing and inner).
+ */
+
+import { promises as fsPromises } from 'node:fs'
+import { homedir } from 'node:os'
+import path from 'node:path'
+
+export const IGNORE_FILES = ['.gitignore', '.navisignore']
+export const GLOBAL_IGNORE_FILE = path.join(homedir(), '.navis', 'ignore')
+
+function escapeRegExp(char) {
+  return /[\\^$.*+?()[\]{}|/]/.test(char) ? `\\${char}` : char
+}
+
+/**
+ * Translate one glob (already stripped of `!`, anchors and trailing `/`) to a
+ * regular expression source.
+ */
+export function globToRegExp(glob) {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/'
+        const atEnd = i + 2 === glob.length
+        if (atStart && glob[i + 2] === '/') {
+          source += '(?:.*/)?' // `**/x` and `a/**/x`
+          i += 2
+          continue
+        }
+        if (atStart && atEnd) {
+          source += '.*' // `a/**`
+          i += 1
+          continue
+        }
+        // Other runs of asterisks behave like a single `*`.
+        while (glob[i + 1] === '*') i++
+      }
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2)
+      if (end === -1) {
+        source += '\\['
+        continue
+      }
+      let body = glob.slice(i + 1, end)
+      if (body[0] === '!') body = `^${body.slice(1)}`
+      source += `[${body.replace(/\\/g, '\\\\')}]`
+      i = end
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i])
+    } else {
+      source += escapeRegExp(char)
+    }
+  }
+  return source
+}
+
+/**
+ * Parse ignore file contents into rules relative to `base`.
+ */
+export function parseIgnoreRules(content, base) {
+  const rules = []
+  for (const rawLine of content.split(/\r?\n/)) {
+    // Trailing spaces are dropped unless escaped.
+    let line = rawLine.replace(/(?<!\\)\s+$/, '')
+    if (!line || line.startsWith('#')) continue
+
+    let negate = false
+    if (line.startsWith('!')) {
+      negate = true
+      line = line.slice(1)
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1)
+    }
+
+    let dirOnly = false
+    if (line.endsWith('/')) {
+      dirOnly = true
+      line = line.replace(/\/+$/, '')
+    }
+    if (!line) continue
+
+    // A slash anywhere but the end anchors the pattern to the file's directory.
+    const anchored = line.includes('/')
+    if (line.startsWith('/')) line = line.slice(1)
+
+    const body = globToRegExp(line)
+    rules.push({
+      base,
+      negate,
+      dirOnly,
+      regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`),
+    })
+  }
+  return rules
+}
+
+/**
+ * Ordered set of ignore rules; later rules override earlier ones.
+ */
+export class IgnoreMatcher {
+  constructor(rules = []) {
+    this.rules = rules
+  }
+
+  /**
+   * Matcher with extra rules (e.g. a subdirectory's ignore files) taking precedence.
+   */
+  extend(rules) {
+    return rules.length > 0 ? new IgnoreMatcher([...this.rules, ...rules]) : this
+  }
+
+  ignores(targetPath, isDirectory = true) {
+    let ignored = false
+    for (const rule of this.rules) {
+      if (rule.dirOnly && !isDirectory) continue
+      const relative = path.relative(rule.base, targetPath)
+      if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) continue
+      if (rule.regex.test(relative.split(path.sep).join('/'))) {
+        ignored = !rule.negate
+      }
+    }
+    return ignored
+  }
+}
+
+async function readIgnoreFile(filePath) {
+  try {
+    return await fsPromises.readFile(filePath, 'utf-8')
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR' || error.code === 'EACCES') return null
+    throw error
+  }
+}
+
+/**
+ * Rules from the ignore files in one directory (`.navisignore` wins over `.gitignore`).
+ */
+export async function loadDirectoryRules(dirPath, fileNames = IGNORE_FILES) {
+  const rules = []
+  for (const name of fileNames) {
+    const content = await readIgnoreFile(path.join(dirPath, name))
+    if (content) rules.push(...parseIgnoreRules(content, dirPath))
+  }
+  return rules
+}
+
+/**
+ * Base matcher for a scan root: the global ignore file, relative to the root.
+ */
+export async function createRootMatcher(root, { globalIgnoreFile = GLOBAL_IGNORE_FILE } = {}) {
+  const content = globalIgnoreFile ? await readIgnoreFile(globalIgnoreFile) : null
+  return new IgnoreMatcher(content ? parseIgnoreRules(content, root) : [])
+}
+
+/**
+ * Whether `target` (a directory under `root`, or a file with `isDirectory:
+ * false`) or any directory between them is ignored, reading ignore files along
+ * the way like a scan would.
+ */
+export async function isPathIgnored(root, target, { isDirectory = true, ...options } = {}) {
+  const relative = path.relative(root, target)
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return false
+
+  let matcher = (await createRootMatcher(root, options)).extend(await loadDirectoryRules(root))
+  let current = root
+  const segments = relative.split(path.sep)
+  for (const [index, segment] of segments.entries()) {
+    current = path.join(current, segment)
+    const last = index === segments.length - 1
+    if (matcher.ignores(current, !last || isDirectory)) return true
+    if (!last) matcher = matcher.extend(await loadDirectoryRules(current))
+  }
+  return false
+}
@@ -2,24 +2,43 @@ import { promises as fsPromises } from 'node:fs'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
 import { projectsRepo } from '@navisai/db/repositories.js'
+import { createRootMatcher, IGNORE_FILES, IgnoreMatcher, loadDirectoryRules } from './ignore.js'
+import { createLimiter, DEFAULT_CONCURRENCY } from './pool.js'
+import { fromProjectRecord, sameProjectRecord, storedProjectRecord, toProjectRecord } from './records.js'
+import { findWorkspace } from './workspaces.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
+export const DEFAULT_EXCLUDE_DIRS = ['node_modules', '.git', '.next', 'dist', 'build', 'coverage']
+
 class DiscoveryEngine {
-  constructor(db) {
+  constructor(db, { repository } = {}) {
     this.db = db
+    this.repository = repository || projectsRepo
     this.detectors = []
     this.classifiers = []
   }
 
+  /**
+   * Set the database manager used to persist projects
+   */
+  setDatabase(db) {
+    this.db = db
+  }
+
   /**
    * Register a project detector
    * @param {string} name - Detector name
-   * @param {Function} detector - Detector function that returns confidence score
+   * @param {Function} detector - Detector function that returns a confidence score, or
+   *   `{ confidence, metadata }` to store metadata with the project's signal
    * @param {string[]} patterns - File patterns to look for
+   * @param {Object} [options]
+   * @param {boolean} [options.descend] - Keep scanning below directories matched
+   *   only by this detector's patterns (files such as a Makefile or Dockerfile
+   *   often sit at a repository root above the real projects)
    */
-  registerDetector(name, detector, patterns = []) {
-    this.detectors.push({ name, detector, patterns })
+  registerDetector(name, detector, patterns = [], { descend = false } = {}) {
+    this.detectors.push({ name, detector, patterns, descend })
   }
 
   /**
@@ -33,73 +52,142 @@ class DiscoveryEngine {
 
   /**
    * Scan a directory for projects
+   * Directory reads and detector calls share one pool of `concurrency` slots.
    * @param {string} scanPath - Directory to scan (defaults to cwd)
    * @param {Object} options - Scan options
+   * @param {number} [options.concurrency] - Max concurrent filesystem/detector operations
+   * @param {AbortSignal} [options.signal] - Cancels the scan; it rejects with the abort reason
+   * @param {Function} [options.onStats] - Receives throughput stats once the scan finishes
    * @returns {Promise<Object[]>} - List of discovered projects
    */
   async scan(scanPath = process.cwd(), options = {}) {
-    const {
-      maxDepth = 5,
-      excludeDirs = ['node_modules', '.git', '.next', 'dist', 'build', 'coverage'],
-      excludeFiles = ['package-lock.json', 'yarn.lock', '.DS_Store', 'Thumbs.db'],
-    } = options
+    const { concurrency = DEFAULT_CONCURRENCY, signal, onStats } = options
+    const startedAt = Date.now()
+    const limit = createLimiter(concurrency, signal)
+    const stats = { directories: 0 }
 
     try {
-      const projects = []
-      const visitedDirs = new Set()
-
-      await this.scanDirectory(scanPath, projects, visitedDirs, maxDepth, excludeDirs, excludeFiles)
+      const projectPaths = await this.findProjectDirectories(scanPath, { ...options, limit, stats })
+      const analyzed = await Promise.all(
+        projectPaths.map(projectPath => this.analyzeProject(projectPath, { limit, signal }))
+      )
+      const projects = analyzed.filter(Boolean)
+
+      onStats?.(this.throughput({
+        directories: stats.directories,
+        candidates: projectPaths.length,
+        projects: projects.length,
+        concurrency: limit.concurrency,
+        durationMs: Date.now() - startedAt,
+      }))
       return projects
     } catch (error) {
-      console.error(`Scan failed for ${scanPath}:`, error)
+      if (!signal?.aborted) {
+        console.error(`Scan failed for ${scanPath}:`, error)
+      }
       throw error
     }
   }
 
   /**
-   * Recursively scan directory for projects
+   * Find project directories under a path without analyzing them
+   * Subdirectories are walked in parallel, bounded by `concurrency`. Directories
+   * matched by `.gitignore`, `.navisignore` or the global `~/.navis/ignore` are
+   * skipped (see ./ignore.js). The walk stops at the first project in a branch,
+   * except that a workspace root's member packages are listed too (see
+   * ./workspaces.js).
+   * @param {string} scanPath - Directory to walk
+   * @param {Object} options - Scan options (maxDepth, excludeDirs, concurrency, signal)
+   * @param {boolean} [options.respectIgnoreFiles=true] - Honor ignore files
+   * @param {boolean} [options.workspaces=true] - Include workspace member packages
+   * @param {string|null} [options.globalIgnoreFile] - Override or disable (null) the global ignore file
+   * @returns {Promise<string[]>} - Project directory paths, sorted
    */
-  async scanDirectory(dirPath, projects, visitedDirs, maxDepth, excludeDirs, excludeFiles, depth = 0) {
-    if (depth > maxDepth || visitedDirs.has(dirPath)) {
-      return
-    }
+  async findProjectDirectories(scanPath = process.cwd(), options = {}) {
+    const {
+      maxDepth = 5,
+      excludeDirs = DEFAULT_EXCLUDE_DIRS,
+      concurrency = DEFAULT_CONCURRENCY,
+      signal,
+      stats = { directories: 0 },
+      respectIgnoreFiles = true,
+      workspaces = true,
+    } = options
+    const limit = options.limit || createLimiter(concurrency, signal)
+    const projectPaths = []
+    const visitedDirs = new Set()
+    const rootMatcher = respectIgnoreFiles
+      ? await createRootMatcher(scanPath, options)
+      : new IgnoreMatcher()
+
+    const visit = async (dirPath, depth, parentMatcher) => {
+      signal?.throwIfAborted()
+      if (depth > maxDepth || visitedDirs.has(dirPath)) {
+        return
+      }
+      visitedDirs.add(dirPath)
 
-    visitedDirs.add(dirPath)
+      let entries
+      try {
+        entries = await limit(() => fsPromises.readdir(dirPath, { withFileTypes: true }))
+      } catch (error) {
+        if (signal?.aborted) throw error
+        if (error.code !== 'ENOENT' && error.code !== 'EACCES') {
+          console.error(`Error scanning ${dirPath}:`, error)
+        }
+        return
+      }
+      stats.directories++
 
-    try {
-      const entries = await fsPromises.readdir(dirPath, { withFileTypes: true })
+      let matcher = parentMatcher
+      if (respectIgnoreFiles && entries.some(entry => IGNORE_FILES.includes(entry.name))) {
+        matcher = matcher.extend(await limit(() => loadDirectoryRules(dirPath)))
+      }
 
       // Check if this is a project directory
       if (await this.isProjectDirectory(dirPath, entries)) {
-        const project = await this.analyzeProject(dirPath)
-        if (project) {
-          projects.push(project)
+        projectPaths.push(dirPath)
+        if (workspaces) {
+          const workspace = await limit(() => findWorkspace(dirPath, { excludeDirs }))
+          for (const memberPath of workspace?.members || []) {
+            if (!visitedDirs.has(memberPath) && !matcher.ignores(memberPath, true)) {
+              visitedDirs.add(memberPath)
+              projectPaths.push(memberPath)
+            }
+          }
         }
-        return // Don't scan deeper into project directories
+        // Don't scan deeper into project directories
+        if (!this.scansBelow(entries)) return
       }
 
       // Recursively scan subdirectories
-      const dirs = entries.filter(entry =>
-        entry.isDirectory() &&
-        !excludeDirs.includes(entry.name) &&
-        !entry.name.startsWith('.')
-      )
-
-      for (const dir of dirs) {
-        await this.scanDirectory(
-          path.join(dirPath, dir.name),
-          projects,
-          visitedDirs,
-          maxDepth,
-          excludeDirs,
-          excludeFiles,
-          depth + 1
+      const dirs = entries
+        .filter(entry =>
+          entry.isDirectory() &&
+          !excludeDirs.includes(entry.name) &&
+          !entry.name.startsWith('.')
         )
-      }
-    } catch (error) {
-      if (error.code !== 'ENOENT' && error.code !== 'EACCES') {
-        console.error(`Error scanning ${dirPath}:`, error)
-      }
+        .map(entry => path.join(dirPath, entry.name))
+        .filter(childPath => !matcher.ignores(childPath, true))
+
+      await Promise.all(dirs.map(childPath => visit(childPath, depth + 1, matcher)))
+    }
+
+    await visit(scanPath, 0, rootMatcher)
+    // Parallel traversal finishes in any order; keep results stable.
+    return projectPaths.sort()
+  }
+
+  /**
+   * Throughput figures for a finished scan
+   */
+  throughput({ durationMs, ...counts }) {
+    const seconds = Math.max(durationMs, 1) / 1000
+    return {
+      ...counts,
+      durationMs,
+      directoriesPerSecond: Math.round(counts.directories / seconds),
+      projectsPerSecond: Math.round((counts.projects / seconds) * 10) / 10,
     }
   }
 
@@ -124,10 +212,24 @@ class DiscoveryEngine {
     return false
   }
 
+  /**
+   * Whether a project directory is still scanned for nested projects: only when
+   * every pattern it matched belongs to a detector registered with `descend`.
+   */
+  scansBelow(entries) {
+    if (entries.some(entry => entry.name === 'package.json')) {
+      return false
+    }
+    return !this.detectors.some(detector =>
+      !detector.descend &&
+      detector.patterns.some(pattern => entries.some(entry => this.matchesPattern(entry.name, pattern)))
+    )
+  }
+
   /**
    * Analyze a project directory
    */
-  async analyzeProject(projectPath) {
+  async analyzeProject(projectPath, { signal, limit = createLimiter(DEFAULT_CONCURRENCY, signal) } = {}) {
     try {
       const signals = []
       let projectInfo = {
@@ -139,18 +241,26 @@ class DiscoveryEngine {
         lastScanned: new Date().toISOString(),
       }
 
-      // Run all detectors
-      for (const detector of this.detectors) {
-        const confidence = await detector.detector(projectPath)
+      // Run all detectors, bounded by the limiter
+      const results = await Promise.all(
+        this.detectors.map(detector => limit(() => {
+          signal?.throwIfAborted()
+          return detector.detector(projectPath)
+        }))
+      )
+      this.detectors.forEach((detector, index) => {
+        const result = results[index]
+        const confidence = typeof result === 'number' ? result : result?.confidence || 0
         if (confidence > 0) {
           signals.push({
             type: detector.name,
             confidence,
             path: projectPath,
+            ...(result?.metadata && { metadata: result.metadata }),
           })
           projectInfo.confidence = Math.max(projectInfo.confidence, confidence)
         }
-      }
+      })
 
       // Only continue if we have signals
       if (signals.length === 0) {
@@ -179,7 +289,7 @@ class DiscoveryEngine {
       // Run classifiers
       let classification = {}
       for (const classifier of this.classifiers) {
-        const result = await classifier.classifier(projectPath, projectInfo.signals, projectInfo.packageJson)
+        const result = await classifier.classifier(projectPath, signals, projectInfo.packageJson)
         if (result) {
           classification = { ...classification, ...result }
         }
@@ -187,9 +297,11 @@ class DiscoveryEngine {
 
       projectInfo.signals = signals
       projectInfo.classification = classification
+      projectInfo.workspace = await limit(() => findWorkspace(projectPath))
 
       return projectInfo
     } catch (error) {
+      if (signal?.aborted) throw error
       console.error(`Failed to analyze project ${projectPath}:`, error)
       return null
     }
@@ -197,35 +309,80 @@ class DiscoveryEngine {
 
   /**
    * Save discovered projects to database
+   * Writes each project with its signals and classification.
+   * @returns {Promise<Object[]>} - { projectId, created, changed } per saved project
    */
   async saveProjects(discoveredProjects) {
-    if (!this.db.isAvailable()) {
+    if (!this.db?.isAvailable) {
       console.warn('Database not available, projects will not be persisted')
-      return
+      return []
     }
 
+    const results = []
     for (const project of discoveredProjects) {
       try {
-        // Check if project already exists
-        const existing = await projectsRepo.findByPath(project.path)
-
-        if (existing) {
-          // Update existing project
-          await projectsRepo.update(existing.id, {
-            name: project.name,
-            updatedAt: new Date().toISOString(),
-          })
-        } else {
-          // Create new project
-          await projectsRepo.create({
-            path: project.path,
-            name: project.name,
-          })
-        }
+        results.push(await this.saveProject(project))
       } catch (error) {
         console.error(`Failed to save project ${project.path}:`, error)
       }
     }
+    return results
+  }
+
+  /**
+   * Upsert one project; signals and classification are only rewritten when
+   * the scan found something different from what is stored.
+   * Workspace links are kept in both directions: a saved workspace root adopts
+   * its stored members, and a newly stored member joins its stored root.
+   */
+  async saveProject(project) {
+    const repository = this.repository
+    const record = toProjectRecord(project)
+    const lastScannedAt = project.lastScanned || new Date().toISOString()
+    const existing = await repository.findByPath(project.path)
+
+    if (!existing) {
+      const created = await repository.create({ path: project.path, ...record.project, lastScannedAt })
+      await repository.replaceSignals(created.id, record.signals)
+      await repository.setClassification(created.id, record.classification)
+      await repository.setWorkspaceMembers(created.id, project.workspace?.members || [])
+      const parent = await this.findWorkspaceParent(project.path)
+      if (parent) {
+        await repository.setParent(created.id, parent.id)
+      }
+      return { projectId: created.id, created: true, changed: true }
+    }
+
+    const stored = storedProjectRecord(
+      existing,
+      await repository.findSignals(existing.id),
+      await repository.findClassification(existing.id)
+    )
+    const changed = !sameProjectRecord(stored, record)
+
+    if (changed) {
+      await repository.update(existing.id, { ...record.project, lastScannedAt })
+      await repository.replaceSignals(existing.id, record.signals)
+      await repository.setClassification(existing.id, record.classification)
+      await repository.setWorkspaceMembers(existing.id, project.workspace?.members || [])
+    } else {
+      await repository.markScanned(existing.id, lastScannedAt)
+    }
+    return { projectId: existing.id, created: false, changed }
+  }
+
+  /**
+   * Nearest stored ancestor project whose workspace lists `projectPath` as a member
+   */
+  async findWorkspaceParent(projectPath) {
+    const ancestors = []
+    for (let dir = path.dirname(projectPath); dir !== path.dirname(dir); dir = path.dirname(dir)) {
+      ancestors.push(dir)
+    }
+    const rows = await this.repository.findByPaths(ancestors)
+    return rows
+      .filter(row => fromProjectRecord(row).workspace?.members.includes(projectPath))
+      .sort((a, b) => b.path.length - a.path.length)[0] || null
   }
 
   /**
@@ -233,7 +390,7 @@ class DiscoveryEngine {
    */
   matchesPattern(filename, pattern) {
     if (pattern.startsWith('*.')) {
-      return filename === pattern.slice(1)
+      return filename.endsWith(pattern.slice(1))
     } else if (pattern.includes('*')) {
       return filename.includes(pattern.replace('*', ''))
     } else if (pattern.endsWith('/*')) {
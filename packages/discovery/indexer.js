@@ -0,0 +1,422 @@
+/**
+ * Background Project Indexer
+ * Keeps the project index current for a set of root directories.
+ *
+ * Each project gets a fingerprint of its manifest files (package.json,
+ * Cargo.toml, go.mod, pyproject.toml, pom.xml, build.gradle, Gemfile,
+ * composer.json, mix.exs, pubspec.yaml, wails.json, .NET project and solution
+ * files, the workspace files pnpm-workspace.yaml and go.work, the task runner
+ * files Makefile, justfile and Taskfile.yml, and Dockerfile and the Compose
+ * files; Kubernetes manifests are not included). A pass over the roots only
+ * re-analyzes projects whose fingerprint changed since it was stored, and a
+ * filesystem watcher (chokidar, when installed) re-indexes a project as soon
+ * as one of its manifests is added, changed or removed.
+ *
+ * With `onFileChange`, every indexed project also gets a watcher of its own
+ * that follows files below the scan depth and reports every add, change and
+ * removal (for the search index). Watchers skip excluded names, dot
+ * directories and whatever the global ignore file and the ignore files between
+ * the root and the watched directory ignore; ignore files further down are
+ * left to the listener.
+ */
+
+import { createHash } from 'node:crypto'
+import { promises as fsPromises } from 'node:fs'
+import path from 'node:path'
+import { getLogger } from '@navisai/logging'
+import { COMPOSE_FILES, DOCKERFILES } from './detectors/containers.js'
+import { JUSTFILES, MAKEFILES, TASKFILES } from './detectors/tasks.js'
+import { createRootMatcher, GLOBAL_IGNORE_FILE, isPathIgnored, loadDirectoryRules } from './ignore.js'
+import { DEFAULT_EXCLUDE_DIRS } from './index.js'
+import { DEFAULT_CONCURRENCY, mapWithConcurrency } from './pool.js'
+import { findWorkspace } from './workspaces.js'
+
+const logger = getLogger('discovery-indexer')
+
+export const MANIFEST_FILES = [
+  'package.json',
+  'Cargo.toml',
+  'go.mod',
+  'pyproject.toml',
+  'pom.xml',
+  'build.gradle',
+  'build.gradle.kts',
+  'Gemfile',
+  'composer.json',
+  'mix.exs',
+  'pubspec.yaml',
+  'wails.json',
+  'pnpm-workspace.yaml',
+  'go.work',
+  ...MAKEFILES,
+  ...JUSTFILES,
+  ...TASKFILES,
+  ...DOCKERFILES,
+  ...COMPOSE_FILES,
+]
+
+// Task runner and container files; a directory holding only these is still
+// scanned for nested projects, so it does not make the projects below it nested
+const TOOLING_MANIFESTS = [...MAKEFILES, ...JUSTFILES, ...TASKFILES, ...DOCKERFILES, ...COMPOSE_FILES]
+
+// Manifests named after the project, matched by extension
+export const MANIFEST_EXTENSIONS = ['.csproj', '.fsproj', '.vbproj', '.sln']
+
+// Bump when analysis output changes so stored fingerprints no longer match.
+const FINGERPRINT_VERSION = 6
+
+const DEFAULT_DEBOUNCE_MS = 500
+
+let chokidarPromise = null
+
+async function loadChokidar() {
+  if (!chokidarPromise) {
+    chokidarPromise = import('chokidar')
+      .then(mod => mod.default || mod)
+      .catch(error => {
+        logger.info('File watching unavailable (chokidar not installed)', { error: error?.message })
+        return null
+      })
+  }
+  return chokidarPromise
+}
+
+export function isManifestFile(name) {
+  return MANIFEST_FILES.includes(name) || MANIFEST_EXTENSIONS.includes(path.extname(name))
+}
+
+/**
+ * Manifest files in a directory: MANIFEST_FILES in order, then those matched
+ * by extension, by name.
+ */
+async function listManifests(dir) {
+  let entries
+  try {
+    entries = await fsPromises.readdir(dir, { withFileTypes: true })
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return []
+    throw error
+  }
+  const names = entries.filter(entry => !entry.isDirectory() && isManifestFile(entry.name)).map(entry => entry.name)
+  return [
+    ...MANIFEST_FILES.filter(file => names.includes(file)),
+    ...names.filter(name => !MANIFEST_FILES.includes(name)).sort(),
+  ]
+}
+
+/**
+ * Hash of the manifest files present in a project directory.
+ */
+export async function fingerprintProject(projectPath) {
+  const hash = createHash('sha1')
+  hash.update(`v${FINGERPRINT_VERSION}\0`)
+  for (const file of await listManifests(projectPath)) {
+    try {
+      const content = await fsPromises.readFile(path.join(projectPath, file))
+      hash.update(`${file}\0`)
+      hash.update(content)
+      hash.update('\0')
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'EISDIR') throw error
+    }
+  }
+  return hash.digest('hex')
+}
+
+export class ProjectIndexer {
+  /**
+   * @param {Object} options
+   * @param {import('./index.js').DiscoveryEngine} options.engine - Walks and analyzes projects
+   * @param {string[]} options.roots - Directories to index
+   * @param {{ get(path): Promise<string|null>, set(path, fingerprint): Promise<void> }} options.fingerprints
+   * @param {Function} options.onProjects - Stores analyzed projects
+   * @param {Function} [options.onProgress] - Receives `discovery.progress` payloads
+   * @param {Function} [options.onFileChange] - Receives `{ type, path }` for every watched file event
+   */
+  constructor({
+    engine,
+    roots = [],
+    maxDepth = 3,
+    excludeDirs = DEFAULT_EXCLUDE_DIRS,
+    concurrency = DEFAULT_CONCURRENCY,
+    globalIgnoreFile = GLOBAL_IGNORE_FILE,
+    fingerprints,
+    onProjects,
+    onProgress,
+    onFileChange,
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+  }) {
+    this.engine = engine
+    this.roots = roots.map(root => path.resolve(root))
+    this.maxDepth = maxDepth
+    this.excludeDirs = excludeDirs
+    this.concurrency = concurrency
+    this.globalIgnoreFile = globalIgnoreFile
+    this.fingerprints = fingerprints
+    this.onProjects = onProjects || (async () => {})
+    this.onProgress = onProgress || (() => {})
+    this.onFileChange = onFileChange || null
+    this.debounceMs = debounceMs
+    this.watcher = null
+    this.chokidar = null
+    // Watchers of indexed projects, by path, when onFileChange is set
+    this.projectWatchers = new Map()
+    this.projectPaths = new Set()
+    this.pending = new Set()
+    this.flushTimer = null
+    this.running = null
+  }
+
+  /**
+   * Index every root, then watch them for manifest changes.
+   */
+  async start({ watch = true } = {}) {
+    await this.indexAll()
+    if (watch) {
+      await this.watch()
+    }
+  }
+
+  async stop() {
+    clearTimeout(this.flushTimer)
+    this.flushTimer = null
+    this.pending.clear()
+    await this.watcher?.close()
+    this.watcher = null
+    const projectWatchers = [...this.projectWatchers.values()]
+    this.projectWatchers.clear()
+    await Promise.all(projectWatchers.map(watcher => watcher.close()))
+    this.chokidar = null
+  }
+
+  /**
+   * One pass over all roots; concurrent callers share the running pass.
+   */
+  async indexAll() {
+    if (!this.running) {
+      this.running = (async () => {
+        const results = []
+        for (const root of this.roots) {
+          results.push(await this.indexRoot(root))
+        }
+        return results
+      })().finally(() => {
+        this.running = null
+      })
+    }
+    return this.running
+  }
+
+  async indexRoot(root) {
+    const startedAt = Date.now()
+    this.onProgress({ root, phase: 'scanning' })
+
+    const projectPaths = await this.engine.findProjectDirectories(root, {
+      maxDepth: this.maxDepth,
+      excludeDirs: this.excludeDirs,
+      concurrency: this.concurrency,
+      globalIgnoreFile: this.globalIgnoreFile,
+    })
+
+    for (const projectPath of projectPaths) this.projectPaths.add(projectPath)
+    if (this.chokidar) await this.watchProjects()
+
+    const counts = { analyzed: 0, skipped: 0, failed: 0 }
+    let processed = 0
+    await mapWithConcurrency(projectPaths, this.concurrency, async projectPath => {
+      const result = await this.indexProject(projectPath)
+      counts[result] = (counts[result] || 0) + 1
+      processed++
+      this.onProgress({
+        root,
+        phase: 'indexing',
+        path: projectPath,
+        result,
+        processed,
+        total: projectPaths.length,
+      })
+    })
+
+    const summary = {
+      root,
+      phase: 'complete',
+      total: projectPaths.length,
+      ...counts,
+      durationMs: Date.now() - startedAt,
+    }
+    this.onProgress(summary)
+    logger.info('Indexed project root', summary)
+    return summary
+  }
+
+  /**
+   * Re-analyze a project if its manifests changed.
+   * @returns {Promise<'analyzed'|'skipped'|'failed'>}
+   */
+  async indexProject(projectPath) {
+    try {
+      const fingerprint = await fingerprintProject(projectPath)
+      if (fingerprint === (await this.fingerprints.get(projectPath))) {
+        return 'skipped'
+      }
+
+      const project = await this.engine.analyzeProject(projectPath)
+      if (!project) {
+        return 'skipped'
+      }
+      await this.onProjects([project])
+      await this.fingerprints.set(projectPath, fingerprint)
+      return 'analyzed'
+    } catch (error) {
+      logger.warn('Failed to index project', { path: projectPath, error: error.message })
+      return 'failed'
+    }
+  }
+
+  async watch() {
+    const chokidar = await loadChokidar()
+    if (!chokidar || this.roots.length === 0) return
+
+    this.chokidar = chokidar
+    const matchers = new Map(
+      await Promise.all(this.roots.map(async root => [root, await this.loadWatchMatcher(root, root)]))
+    )
+    this.watcher = chokidar.watch(this.roots, {
+      ignoreInitial: true,
+      // Manifests live at most one level below the deepest scanned directory.
+      depth: this.maxDepth + 1,
+      ignored: (candidate, stats) => {
+        const root = this.roots.find(dir => candidate === dir || candidate.startsWith(dir + path.sep))
+        return this.isWatchIgnored(root, matchers.get(root), candidate, stats)
+      },
+    })
+
+    const schedule = file => {
+      if (isManifestFile(path.basename(file))) {
+        this.schedule(path.dirname(file))
+      }
+    }
+    for (const type of ['add', 'change', 'unlink']) {
+      this.watcher.on(type, schedule)
+    }
+    this.watcher.on('error', error => {
+      logger.warn('Project watcher error', { error: error.message })
+    })
+    await new Promise(resolve => this.watcher.once('ready', resolve))
+    await this.watchProjects()
+  }
+
+  /**
+   * Give every indexed project not inside another watched one its own
+   * watcher, for onFileChange.
+   */
+  async watchProjects() {
+    if (!this.onFileChange || !this.chokidar) return
+
+    const paths = [...this.projectPaths].sort((a, b) => a.length - b.length)
+    for (const projectPath of paths) {
+      const covered = [...this.projectWatchers.keys()].some(
+        watched => projectPath === watched || projectPath.startsWith(watched + path.sep)
+      )
+      if (covered) continue
+      const root = this.roots.find(dir => projectPath.startsWith(dir + path.sep)) || projectPath
+      const matcher = await this.loadWatchMatcher(root, projectPath)
+
+      const watcher = this.chokidar.watch(projectPath, {
+        ignoreInitial: true,
+        ignored: (candidate, stats) => this.isWatchIgnored(projectPath, matcher, candidate, stats),
+      })
+      for (const type of ['add', 'change', 'unlink']) {
+        watcher.on(type, file => this.onFileChange?.({ type, path: file }))
+      }
+      watcher.on('error', error => {
+        logger.warn('Project file watcher error', { path: projectPath, error: error.message })
+      })
+      this.projectWatchers.set(projectPath, watcher)
+      await new Promise(resolve => watcher.once('ready', resolve))
+    }
+  }
+
+  /**
+   * Ignore rules in effect for everything below `dir`: the global file and the
+   * ignore files of every directory from `root` down to `dir`.
+   */
+  async loadWatchMatcher(root, dir) {
+    let matcher = await createRootMatcher(root, { globalIgnoreFile: this.globalIgnoreFile })
+    const segments = path.relative(root, dir).split(path.sep).filter(Boolean)
+    for (let i = 0; i <= segments.length; i++) {
+      matcher = matcher.extend(await loadDirectoryRules(path.join(root, ...segments.slice(0, i))))
+    }
+    return matcher
+  }
+
+  isWatchIgnored(base, matcher, candidate, stats) {
+    if (!base || candidate === base) return false
+    const name = path.basename(candidate)
+    if (this.excludeDirs.includes(name) || name.startsWith('.')) return true
+    // chokidar may ask before it has stats; treat the path as a directory then.
+    return matcher.ignores(candidate, !stats || stats.isDirectory())
+  }
+
+  async isIgnored(projectPath) {
+    const root = this.roots.find(candidate => projectPath.startsWith(candidate + path.sep))
+    return root
+      ? isPathIgnored(root, projectPath, { globalIgnoreFile: this.globalIgnoreFile })
+      : false
+  }
+
+  async isNestedProject(projectPath) {
+    const root = this.roots.find(candidate => projectPath.startsWith(candidate + path.sep))
+    if (!root) return false
+
+    for (let dir = path.dirname(projectPath); dir.length >= root.length; dir = path.dirname(dir)) {
+      if ((await listManifests(dir)).some(name => !TOOLING_MANIFESTS.includes(name))) return true
+      if (dir === root) break
+    }
+    return false
+  }
+
+  /**
+   * Whether a workspace root between the indexed root and `projectPath` lists it as a member.
+   */
+  async isWorkspaceMember(projectPath) {
+    const root = this.roots.find(candidate => projectPath.startsWith(candidate + path.sep))
+    if (!root) return false
+
+    for (let dir = path.dirname(projectPath); dir.length >= root.length; dir = path.dirname(dir)) {
+      const workspace = await findWorkspace(dir, { excludeDirs: this.excludeDirs })
+      if (workspace?.members.includes(projectPath)) return true
+      if (dir === root) break
+    }
+    return false
+  }
+
+  schedule(projectPath) {
+    this.pending.add(projectPath)
+    clearTimeout(this.flushTimer)
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null
+      this.flush().catch(error => {
+        logger.warn('Watched re-index failed', { error: error.message })
+      })
+    }, this.debounceMs)
+    this.flushTimer.unref?.()
+  }
+
+  async flush() {
+    const paths = [...this.pending]
+    this.pending.clear()
+    for (const projectPath of paths) {
+      // Full scans stop at the outermost project (apart from workspace members)
+      // and skip ignored directories; so do watched changes.
+      const nested = (await this.isNestedProject(projectPath)) && !(await this.isWorkspaceMember(projectPath))
+      if (nested || (await this.isIgnored(projectPath))) continue
+      const result = await this.indexProject(projectPath)
+      this.onProgress({ phase: 'watch', path: projectPath, result })
+      if (result === 'analyzed' && !this.projectPaths.has(projectPath)) {
+        this.projectPaths.add(projectPath)
+        await this.watchProjects()
+      }
+    }
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Bounded concurrency helpers for discovery
+ */
+
+export const DEFAULT_CONCURRENCY = 5
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once.
+ * Only wrap leaf work (a readdir, a detector call): a task that waits on other
+ * tasks from the same limiter can deadlock it.
+ * Tasks still queued when `signal` aborts reject without running.
+ * @returns {(task: () => Promise<any>) => Promise<any>}
+ */
+export function createLimiter(concurrency = DEFAULT_CONCURRENCY, signal) {
+  const limit = Number.isInteger(concurrency) && concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY
+  const queue = []
+  let active = 0
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return
+    const { task, resolve, reject } = queue.shift()
+    if (signal?.aborted) {
+      reject(signal.reason)
+      next()
+      return
+    }
+    active++
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--
+        next()
+      })
+  }
+
+  const run = task =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject })
+      next()
+    })
+  run.concurrency = limit
+  return run
+}
+
+/**
+ * Map over items with at most `concurrency` calls in flight; results keep input order.
+ */
+export async function mapWithConcurrency(items, concurrency, fn, signal) {
+  const limit = createLimiter(concurrency, signal)
+  return Promise.all(items.map((item, index) => limit(() => fn(item, index))))
+}
@@ -0,0 +1,122 @@
+/**
+ * Project records
+ * Converts between discovery results and the rows stored in the `projects`,
+ * `project_signals` and `project_classification` tables.
+ */
+
+function parseJSON(value, fallback) {
+  if (!value) return fallback
+  try {
+    return JSON.parse(value)
+  } catch {
+    return fallback
+  }
+}
+
+function bySignal(a, b) {
+  return a.type.localeCompare(b.type) || String(a.path).localeCompare(String(b.path))
+}
+
+/**
+ * Column values for a discovered project (see DiscoveryEngine.analyzeProject).
+ */
+export function toProjectRecord(project) {
+  const classification = project.classification || {}
+  return {
+    project: {
+      name: project.name,
+      confidence: project.confidence ?? null,
+      metadata: JSON.stringify({
+        packageJson: project.packageJson ?? null,
+        ...(project.workspace && { workspace: project.workspace }),
+      }),
+    },
+    signals: (project.signals || [])
+      .map(signal => ({
+        type: signal.type,
+        path: signal.path ?? null,
+        confidence: signal.confidence ?? 1.0,
+        metadata: signal.metadata ? JSON.stringify(signal.metadata) : null,
+      }))
+      .sort(bySignal),
+    classification: {
+      categories: JSON.stringify(classification.categories || []),
+      frameworks: JSON.stringify(classification.frameworks || []),
+      languages: JSON.stringify(classification.languages || []),
+      confidence: classification.confidence ?? null,
+      metadata: JSON.stringify({ primary: classification.primary ?? null }),
+    },
+  }
+}
+
+/**
+ * The same column values read back from stored rows, for change detection.
+ */
+export function storedProjectRecord(row, signals = [], classification = null) {
+  return {
+    project: {
+      name: row.name,
+      confidence: row.confidence ?? null,
+      metadata: row.metadata ?? null,
+    },
+    signals: signals
+      .map(signal => ({
+        type: signal.type,
+        path: signal.path ?? null,
+        confidence: signal.confidence ?? 1.0,
+        metadata: signal.metadata ?? null,
+      }))
+      .sort(bySignal),
+    classification: classification
+      ? {
+          categories: classification.categories ?? null,
+          frameworks: classification.frameworks ?? null,
+          languages: classification.languages ?? null,
+          confidence: classification.confidence ?? null,
+          metadata: classification.metadata ?? null,
+        }
+      : null,
+  }
+}
+
+export function sameProjectRecord(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * API representation of a stored project.
+ */
+export function fromProjectRecord(row, signals = [], classification = null) {
+  const metadata = parseJSON(row.metadata, {})
+  const classificationMetadata = parseJSON(classification?.metadata, {})
+  const languages = parseJSON(classification?.languages, [])
+
+  return {
+    id: row.id,
+    path: row.path,
+    name: row.name,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+    lastScannedAt: row.lastScannedAt || null,
+    confidence: row.confidence ?? 0,
+    parentId: row.parentId ?? null,
+    workspace: metadata.workspace ?? null,
+    packageJson: metadata.packageJson ?? null,
+    signals: signals.map(signal => ({
+      type: signal.type,
+      path: signal.path,
+      confidence: signal.confidence,
+      metadata: parseJSON(signal.metadata, null),
+    })),
+    classification: classification
+      ? {
+          primary: classificationMetadata.primary ?? null,
+          categories: parseJSON(classification.categories, []),
+          language: languages[0] || null,
+          languages,
+          frameworks: parseJSON(classification.frameworks, []),
+          confidence: classification.confidence ?? 0,
+        }
+      : null,
+  }
+}
@@ -0,0 +1,287 @@
+/**
+ * Workspace detection for discovery
+ * Recognizes repositories that hold several packages and lists their members:
+ *
+ * - pnpm: `packages:` in pnpm-workspace.yaml
+ * - npm/yarn: `workspaces` in package.json (array or `{ packages }`)
+ * - cargo: `members`/`exclude` in the `[workspace]` table of Cargo.toml
+ * - go: `use` directives in go.work
+ *
+ * Member patterns are directory globs relative to the workspace root (`*`,
+ * `**`, `?`, `[...]`, `!` exclusions). Only members inside the root that
+ * contain their ecosystem's manifest are returned.
+ */
+
+import { promises as fsPromises } from 'node:fs'
+import path from 'node:path'
+import { globToRegExp } from './ignore.js'
+
+export const WORKSPACE_FILES = ['pnpm-workspace.yaml', 'package.json', 'Cargo.toml', 'go.work']
+
+const MEMBER_MANIFESTS = {
+  pnpm: 'package.json',
+  npm: 'package.json',
+  yarn: 'package.json',
+  cargo: 'Cargo.toml',
+  go: 'go.mod',
+}
+
+// `**` patterns stop descending after this many directories.
+const MAX_GLOBSTAR_DEPTH = 6
+
+async function readText(filePath) {
+  try {
+    return await fsPromises.readFile(filePath, 'utf-8')
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR' || error.code === 'EACCES') return null
+    throw error
+  }
+}
+
+async function exists(filePath) {
+  try {
+    await fsPromises.access(filePath)
+    return true
+  } catch {
+    return false
+  }
+}
+
+function unquote(value) {
+  const trimmed = value.trim()
+  const match = trimmed.match(/^(['"])(.*)\1$/)
+  return match ? match[2] : trimmed
+}
+
+/**
+ * `packages:` entries from pnpm-workspace.yaml (block or flow sequence).
+ */
+export function parsePnpmWorkspace(content) {
+  const patterns = []
+  let inPackages = false
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+#.*$/, '')
+    if (!line.trim() || line.trim().startsWith('#')) continue
+
+    const key = line.match(/^([\w-]+):\s*(.*)$/)
+    if (key) {
+      inPackages = key[1] === 'packages'
+      const flow = inPackages && key[2].match(/^\[(.*)\]$/)
+      if (flow) {
+        patterns.push(...flow[1].split(',').map(unquote).filter(Boolean))
+        inPackages = false
+      }
+      continue
+    }
+
+    const item = inPackages && line.match(/^\s+-\s*(.+)$/)
+    if (item) {
+      patterns.push(unquote(item[1]))
+    }
+  }
+  return patterns
+}
+
+/**
+ * `[workspace]` members and exclusions from Cargo.toml.
+ */
+export function parseCargoWorkspace(content) {
+  const section = content.match(/^\[workspace\][^\n]*\n([\s\S]*?)(?=^\[|(?![\s\S]))/m)
+  if (!section) return null
+
+  const readArray = key => {
+    const match = section[1].match(new RegExp(`^\\s*${key}\\s*=\\s*\\[([\\s\\S]*?)\\]`, 'm'))
+    if (!match) return []
+    return [...match[1].replace(/#.*$/gm, '').matchAll(/"([^"]*)"|'([^']*)'/g)]
+      .map(item => item[1] ?? item[2])
+  }
+
+  return {
+    members: readArray('members'),
+    exclude: readArray('exclude'),
+  }
+}
+
+/**
+ * Module directories from the `use` directives of a go.work file.
+ */
+export function parseGoWork(content) {
+  const dirs = []
+  const lines = content.replace(/\/\/.*$/gm, '').split(/\r?\n/)
+  let inBlock = false
+  for (const rawLine of lines) {
+    const line = rawLine.trim()
+    if (inBlock) {
+      if (line === ')') {
+        inBlock = false
+      } else if (line) {
+        dirs.push(unquote(line))
+      }
+      continue
+    }
+    if (/^use\s*\($/.test(line)) {
+      inBlock = true
+    } else if (line.startsWith('use ')) {
+      dirs.push(unquote(line.slice(4)))
+    }
+  }
+  return dirs
+}
+
+/**
+ * Workspace definition of a directory, if it is a workspace root.
+ * pnpm-workspace.yaml wins over package.json workspaces; JavaScript
+ * workspaces win over Cargo, then Go.
+ * @returns {Promise<{ type: string, patterns: string[] } | null>}
+ */
+export async function readWorkspace(dirPath) {
+  const pnpm = await readText(path.join(dirPath, 'pnpm-workspace.yaml'))
+  if (pnpm !== null) {
+    const patterns = parsePnpmWorkspace(pnpm)
+    if (patterns.length > 0) return { type: 'pnpm', patterns }
+  }
+
+  const packageJson = await readText(path.join(dirPath, 'package.json'))
+  if (packageJson !== null) {
+    let workspaces = null
+    try {
+      workspaces = JSON.parse(packageJson).workspaces
+    } catch {
+      // invalid package.json is not a workspace
+    }
+    const patterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages
+    if (Array.isArray(patterns) && patterns.length > 0) {
+      const type = (await exists(path.join(dirPath, 'yarn.lock'))) ? 'yarn' : 'npm'
+      return { type, patterns: patterns.filter(pattern => typeof pattern === 'string') }
+    }
+  }
+
+  const cargo = await readText(path.join(dirPath, 'Cargo.toml'))
+  const cargoWorkspace = cargo !== null ? parseCargoWorkspace(cargo) : null
+  if (cargoWorkspace?.members.length > 0) {
+    return {
+      type: 'cargo',
+      patterns: [...cargoWorkspace.members, ...cargoWorkspace.exclude.map(dir => `!${dir}`)],
+    }
+  }
+
+  const goWork = await readText(path.join(dirPath, 'go.work'))
+  if (goWork !== null) {
+    const patterns = parseGoWork(goWork)
+    if (patterns.length > 0) return { type: 'go', patterns }
+  }
+
+  return null
+}
+
+function normalizePattern(pattern) {
+  return path.posix
+    .normalize(pattern.trim().replace(/\\/g, '/'))
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '')
+}
+
+async function childDirectories(dirPath, excludeDirs) {
+  let entries
+  try {
+    entries = await fsPromises.readdir(dirPath, { withFileTypes: true })
+  } catch {
+    return []
+  }
+  return entries
+    .filter(entry =>
+      entry.isDirectory() &&
+      !excludeDirs.includes(entry.name) &&
+      !entry.name.startsWith('.')
+    )
+    .map(entry => path.join(dirPath, entry.name))
+}
+
+/**
+ * Directories under `root` matching one include pattern.
+ */
+async function expandPattern(root, pattern, excludeDirs) {
+  const segments = pattern.split('/').filter(segment => segment && segment !== '.')
+  const matches = []
+
+  const walk = async (dirPath, index, globstarDepth) => {
+    if (index === segments.length) {
+      matches.push(dirPath)
+      return
+    }
+
+    const segment = segments[index]
+    if (segment === '**') {
+      await walk(dirPath, index + 1, globstarDepth)
+      if (globstarDepth < MAX_GLOBSTAR_DEPTH) {
+        for (const child of await childDirectories(dirPath, excludeDirs)) {
+          await walk(child, index, globstarDepth + 1)
+        }
+      }
+      return
+    }
+
+    if (!/[*?[]/.test(segment)) {
+      await walk(path.join(dirPath, segment), index + 1, globstarDepth)
+      return
+    }
+
+    const regex = new RegExp(`^${globToRegExp(segment)}$`)
+    for (const child of await childDirectories(dirPath, excludeDirs)) {
+      if (regex.test(path.basename(child))) {
+        await walk(child, index + 1, globstarDepth)
+      }
+    }
+  }
+
+  await walk(root, 0, 0)
+  return matches
+}
+
+/**
+ * Member package directories of a workspace root, sorted.
+ * @param {string} root - Workspace root directory
+ * @param {{ type: string, patterns: string[] }} workspace - From readWorkspace()
+ * @param {Object} [options]
+ * @param {string[]} [options.excludeDirs] - Directory names never descended into
+ */
+export async function resolveWorkspaceMembers(root, workspace, { excludeDirs = ['node_modules'] } = {}) {
+  const includes = []
+  const excludes = []
+  for (const raw of workspace.patterns) {
+    const negate = raw.startsWith('!')
+    const pattern = normalizePattern(negate ? raw.slice(1) : raw)
+    if (!pattern || pattern === '.' || pattern.startsWith('../') || pattern === '..') continue
+    if (negate) {
+      excludes.push(new RegExp(`^${globToRegExp(pattern)}$`))
+    } else {
+      includes.push(pattern)
+    }
+  }
+
+  const manifest = MEMBER_MANIFESTS[workspace.type]
+  const members = new Set()
+  for (const pattern of includes) {
+    for (const dirPath of await expandPattern(root, pattern, excludeDirs)) {
+      const relative = path.relative(root, dirPath).split(path.sep).join('/')
+      if (excludes.some(regex => regex.test(relative))) continue
+      if (await exists(path.join(dirPath, manifest))) {
+        members.add(dirPath)
+      }
+    }
+  }
+  return [...members].sort()
+}
+
+/**
+ * Workspace type and members of a directory, or null if it is not a workspace root.
+ * @returns {Promise<{ type: string, members: string[] } | null>}
+ */
+export async function findWorkspace(dirPath, options = {}) {
+  const workspace = await readWorkspace(dirPath)
+  if (!workspace) return null
+  return {
+    type: workspace.type,
+    members: await resolveWorkspaceMembers(dirPath, workspace, options),
+  }
+}